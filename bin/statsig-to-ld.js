@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createTwoFilesPatch } = require('diff');
+const {
+  migratePaths,
+  buildSummary,
+  assertValidSummary,
+  validateSummary,
+  SummaryValidationError,
+  readStatsigExports,
+  buildFlagDefinitions,
+  parityFlags,
+  uncomparedFlags,
+  paritySource,
+  StatsigExportError,
+  EXPOSURE_MODES,
+  CUSTOM_ID_MODES,
+  KEY_POLICIES,
+  FlagKeyMapError,
+  createFlagKeyMap,
+  flagKeyEntry,
+  flagKeyMapJson
+} = require('../src');
+
+const USAGE = `Usage: statsig-to-ld migrate <path...> [--dry-run | --write] [--summary <file>] [--export <file>...]
+                             [--exposures <mode>] [--custom-ids <mode>] [--shim]
+                             [--key-policy <policy>] [--key-map <file>] [--overrides-module <file>]
+       statsig-to-ld validate <summary.json>
+       statsig-to-ld flags <export.json...> [--summary <file>] [--out <file>] [--custom-ids <mode>]
+                           [--key-policy <policy>] [--key-map <file>]
+       statsig-to-ld parity <summary.json> [--out <file>]
+
+Finds every file under <path...> that imports a Statsig SDK and migrates it
+to LaunchDarkly.
+
+Options:
+  --dry-run         Print a unified diff for each file without changing it (default)
+  --write           Rewrite the files in place
+  --summary <file>  Where to write the aggregated report (default: migration-summary.json)
+  --export <file>   Statsig layer/experiment export; layers it shows have no
+                    experiments are migrated to JSON flags, and experiment
+                    targeting gates stay on Statsig (repeatable)
+  --exposures <mode>
+                    How disableExposureLog checks and manual exposures are
+                    migrated: drop (default) drops the option with a warning;
+                    preserve reads silent checks from allFlags() and turns
+                    manual exposures into variation() calls
+  --custom-ids <mode>
+                    How StatsigUser customIDs are migrated: flatten (default)
+                    makes them user attributes; multi makes each its own
+                    context kind in a multi-context (organizationID →
+                    organization). Pass the same mode to flags
+  --shim            Only point @statsig/js-client imports at the StatsigClient
+                    shim (statsig-to-launchdarkly-migrator/shim) and React
+                    hooks at its adapter (…/shim/react), swapping the provider;
+                    files using APIs the shim lacks are left unchanged
+  --key-policy <policy>
+                    How Statsig names without a key in the key map become
+                    flag keys: preserve (default) keeps the name, kebab turns
+                    underscores into hyphens, camel camelCases it
+  --key-map <file>  Flag key map that migrate and flags read, and that
+                    migrate --write and flags update
+                    (default: flag-key-map.json); commit it with the code
+  --overrides-module <file>
+                    Where to write the local override module that Statsig
+                    overrideGate/overrideConfig/overrideLayer calls are
+                    routed to (default: ld-overrides.js or .ts in the closest
+                    directory holding every file that calls them); an
+                    existing module is kept
+  -h, --help        Show this message
+
+validate checks an existing migration-summary.json against the report schema.
+
+flags converts Statsig gate, dynamic config and layer exports into LaunchDarkly flag
+definitions (default: launchdarkly-flags.json). Pass the migration summary
+with --summary to seed JSON flag variations with the fallbacks found in code.
+With --custom-ids multi, customID targeting and rollouts use the context
+kinds listed under contextKinds.
+
+parity writes a module (default: ld-parity.js) whose enableParity(ldClient,
+statsigClient, { serve, sink }) evaluates every gate, config and layer the
+summary lists as migrated in both SDKs, serves one of them (serve: statsig,
+the default, or launchdarkly) and passes each mismatch to sink. The module is
+TypeScript when --out ends in .ts and CommonJS when it ends in .cjs.`;
+
+function parse(argv) {
+  return parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean' },
+      write: { type: 'boolean' },
+      summary: { type: 'string' },
+      export: { type: 'string', multiple: true },
+      exposures: { type: 'string', default: 'drop' },
+      'custom-ids': { type: 'string', default: 'flatten' },
+      shim: { type: 'boolean' },
+      'key-policy': { type: 'string' },
+      'key-map': { type: 'string', default: 'flag-key-map.json' },
+      'overrides-module': { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+}
+
+function diffOf({ file, source, code }) {
+  return createTwoFilesPatch(`a/${file}`, `b/${file}`, source, code, undefined, undefined, { context: 3 });
+}
+
+function validate(file) {
+  let result;
+  try {
+    result = validateSummary(readJson(file));
+  } catch (error) {
+    if (!(error instanceof JsonFileError)) {
+      throw error;
+    }
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+  const { valid, errors } = result;
+  if (!valid) {
+    process.stderr.write(`${file} does not match the migration summary schema:\n${errors.map((error) => `  ${error}\n`).join('')}`);
+    return 1;
+  }
+  process.stderr.write(`${file} is a valid migration summary\n`);
+  return 0;
+}
+
+// An input file that is not valid JSON; the message names the file.
+class JsonFileError extends Error {}
+
+// fs error code → how an unreadable JSON input is reported.
+const READ_ERRORS = {
+  ENOENT: 'no such file or directory',
+  EISDIR: 'is a directory',
+  EACCES: 'permission denied'
+};
+
+function readJson(file) {
+  let source;
+  try {
+    source = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new JsonFileError(`${file}: ${READ_ERRORS[error.code] || error.message}`);
+  }
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    throw new JsonFileError(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * The flag key map in `--key-map`, or a new one when the file does not exist.
+ */
+function readKeyMap(values) {
+  const file = values['key-map'];
+  const json = fs.existsSync(file) ? readJson(file) : undefined;
+  return createFlagKeyMap({ policy: values['key-policy'], json, file });
+}
+
+function writeKeyMap(values, keyMap) {
+  fs.writeFileSync(values['key-map'], `${JSON.stringify(flagKeyMapJson(keyMap), null, 2)}\n`);
+}
+
+function flags(exportFiles, values) {
+  let definitions;
+  let keyMap;
+  try {
+    keyMap = readKeyMap(values);
+    const statsigExport = readStatsigExports(exportFiles.map((file) => ({ file, json: readJson(file) })));
+    const summary = values.summary ? assertValidSummary(readJson(values.summary)) : undefined;
+    definitions = buildFlagDefinitions(statsigExport, {
+      summary,
+      flagKey: (name) => flagKeyEntry(keyMap, name).ld_key,
+      customIDs: values['custom-ids']
+    });
+  } catch (error) {
+    if (![StatsigExportError, SummaryValidationError, FlagKeyMapError, JsonFileError].some((type) => error instanceof type)) {
+      throw error;
+    }
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+  for (const item of definitions.blocked) {
+    process.stderr.write(`blocked: ${item.flag} rule "${item.rule}": ${item.reason}\n`);
+  }
+  for (const warning of definitions.warnings) {
+    process.stderr.write(`warning: ${warning.message}\n`);
+  }
+  const out = values.out || 'launchdarkly-flags.json';
+  fs.writeFileSync(out, `${JSON.stringify(definitions, null, 2)}\n`);
+  writeKeyMap(values, keyMap);
+  process.stderr.write(`Wrote ${definitions.flags.length} flag definition(s) to ${out}\n`);
+  return 0;
+}
+
+function parity(summaryFile, values) {
+  let summary;
+  try {
+    summary = assertValidSummary(readJson(summaryFile));
+  } catch (error) {
+    if (!(error instanceof SummaryValidationError) && !(error instanceof JsonFileError)) {
+      throw error;
+    }
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+  const out = values.out || 'ld-parity.js';
+  if (Object.keys(parityFlags(summary)).length === 0) {
+    process.stderr.write(`${summaryFile} lists no migrated gates, configs or layers to compare\n`);
+    return 1;
+  }
+  fs.writeFileSync(out, paritySource(summary, { typescript: /\.[cm]?ts$/.test(out), commonjs: /\.cjs$/.test(out) }));
+  process.stderr.write(`Wrote the parity module to ${out}\n`);
+  const uncompared = uncomparedFlags(summary);
+  if (uncompared.length > 0) {
+    process.stderr.write(`Reads with useFlags() are not compared; these flags have some: ${uncompared.join(', ')}\n`);
+  }
+  return 0;
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parse(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  const { values, positionals } = args;
+  const [command, ...paths] = positionals;
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (values['key-policy'] !== undefined && !KEY_POLICIES.includes(values['key-policy'])) {
+    process.stderr.write(`--key-policy must be one of: ${KEY_POLICIES.join(', ')}\n`);
+    return 2;
+  }
+  if (!CUSTOM_ID_MODES.includes(values['custom-ids'])) {
+    process.stderr.write(`--custom-ids must be one of: ${CUSTOM_ID_MODES.join(', ')}\n`);
+    return 2;
+  }
+  if (command === 'validate' && paths.length === 1) {
+    return validate(paths[0]);
+  }
+  if (command === 'flags' && paths.length > 0) {
+    return flags(paths, values);
+  }
+  if (command === 'parity' && paths.length === 1) {
+    return parity(paths[0], values);
+  }
+  if (command !== 'migrate' || paths.length === 0) {
+    process.stderr.write(`${USAGE}\n`);
+    return 2;
+  }
+  if (values.write && values['dry-run']) {
+    process.stderr.write('--write and --dry-run cannot be used together\n');
+    return 2;
+  }
+  if (!EXPOSURE_MODES.includes(values.exposures)) {
+    process.stderr.write(`--exposures must be one of: ${EXPOSURE_MODES.join(', ')}\n`);
+    return 2;
+  }
+  const missing = paths.filter((target) => !fs.existsSync(target));
+  if (missing.length > 0) {
+    process.stderr.write(`${missing.map((target) => `${target}: no such file or directory`).join('\n')}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  let statsigExport;
+  let keyMap;
+  try {
+    statsigExport = values.export
+      ? readStatsigExports(values.export.map((file) => ({ file, json: readJson(file) })))
+      : undefined;
+    keyMap = readKeyMap(values);
+  } catch (error) {
+    if (![StatsigExportError, FlagKeyMapError, JsonFileError].some((type) => error instanceof type)) {
+      throw error;
+    }
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+
+  const write = Boolean(values.write);
+  const summaryFile = values.summary || 'migration-summary.json';
+  const results = migratePaths(paths, {
+    write,
+    statsigExport,
+    exposures: values.exposures,
+    customIDs: values['custom-ids'],
+    shim: Boolean(values.shim),
+    keyMap,
+    overridesModule: values['overrides-module']
+  });
+  let errors = 0;
+  for (const result of results) {
+    if (result.report.failed.some((item) => item.type === 'file')) {
+      errors++;
+      process.stderr.write(`${result.file}: ${result.report.failed[0].reason}\n`);
+    } else if (!write && result.changed) {
+      process.stdout.write(diffOf(result));
+    }
+  }
+
+  const summary = buildSummary(results.map((result) => result.report), { statsigExport });
+  try {
+    assertValidSummary(summary, { current: true });
+  } catch (error) {
+    if (!(error instanceof SummaryValidationError)) {
+      throw error;
+    }
+    process.stderr.write(`${error.message}\n${summaryFile} was not written\n`);
+    return 1;
+  }
+  fs.writeFileSync(summaryFile, `${JSON.stringify(summary, null, 2)}\n`);
+  if (write) {
+    writeKeyMap(values, keyMap);
+  }
+
+  const migrated = results.filter((result) => !result.generated);
+  const changed = migrated.filter((result) => result.changed).length;
+  process.stderr.write(
+    `${write ? 'Migrated' : 'Would migrate'} ${changed} of ${migrated.length} Statsig file(s); ` +
+      `summary written to ${summaryFile}${write ? `, flag keys to ${values['key-map']}` : ''}\n`
+  );
+  const overrides = results.find((result) => result.generated && result.changed);
+  if (overrides) {
+    process.stderr.write(`${write ? 'Wrote' : 'Would write'} the local override module to ${overrides.file}\n`);
+  }
+  return errors > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
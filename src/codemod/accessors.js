@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * React hook reads become `flags.<accessor>` on the LaunchDarkly `useFlags()`
+ * result, whose properties are camelCased flag keys. Two keys can share an
+ * accessor, and camelCasing can change a key in ways nobody reading the
+ * flag list would guess. A file reading such a flag through a hook is left
+ * unchanged until the key map resolves the conflict.
+ */
+
+const { staticString, lineOf } = require('./ast');
+const { hookCalls } = require('./react');
+const { usagesOf } = require('./clients');
+const { warn } = require('./state');
+const { accessorConflicts } = require('../flag-keys');
+
+const FLAG_METHODS = ['checkGate', 'getConfig', 'getLayer'];
+const FLAG_HOOKS = ['useGateValue', 'useFeatureGate', 'useConfig', 'useLayer'];
+
+/**
+ * Hook calls reading a flag by a static name.
+ *
+ * @returns {{name: string, callPath: object}[]}
+ */
+function accessorReads(state) {
+  return FLAG_HOOKS.flatMap((hook) => hookCalls(state, hook))
+    .map((callPath) => ({ name: staticString(callPath.node.arguments[0]), callPath }))
+    .filter(({ name }) => name !== null)
+    .sort((a, b) => a.callPath.node.start - b.callPath.node.start);
+}
+
+/**
+ * Static gate, config and layer names the file reads, through the client or
+ * through hooks. Requires `state.clientUsages`.
+ *
+ * @returns {string[]}
+ */
+function flagNames(state) {
+  const names = new Set();
+  for (const method of FLAG_METHODS) {
+    for (const { callPath } of usagesOf(state, method)) {
+      const name = staticString(callPath.node.arguments[0]);
+      if (name !== null) {
+        names.add(name);
+      }
+    }
+  }
+  accessorReads(state).forEach(({ name }) => names.add(name));
+  return [...names];
+}
+
+/**
+ * Reports every hook read of a flag with an accessor conflict, checked
+ * against the key map, this file's flags and `otherNames`.
+ *
+ * @param {object} state
+ * @param {object} [options]
+ * @param {string[]} [options.otherNames] - flags read by the other files being migrated
+ * @param {string[]} [options.types] - conflict types that block the file
+ * @returns {boolean} true when the file must not be rewritten
+ */
+function refuseAccessorConflicts(state, { otherNames = [], types = ['collision', 'ambiguous'] } = {}) {
+  const conflicts = accessorConflicts(state.keyMap, [...flagNames(state), ...otherNames]);
+  const reads = accessorReads(state).filter(({ name }) =>
+    conflicts.has(name) && types.includes(conflicts.get(name).type)
+  );
+  for (const { name, callPath } of reads) {
+    const { type, reason } = conflicts.get(name);
+    // Adds the flag to the key map, giving the user an ld_key to edit.
+    const key = state.flagKey(name);
+    state.report.keyConflicts.push({ name, key, accessor: state.flagAccessor(name), type, reason, line: lineOf(callPath.node) });
+    warn(state, `File not rewritten: ${reason}; give '${name}' a different ld_key in the flag key map and rerun`, callPath.node);
+  }
+  if (reads.length > 0) {
+    state.report.statsigPreserved = true;
+  }
+  return reads.length > 0;
+}
+
+module.exports = {
+  flagNames,
+  refuseAccessorConflicts
+};
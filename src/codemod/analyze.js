@@ -0,0 +1,237 @@
+'use strict';
+
+const {
+  JS_CLIENT,
+  REACT_BINDINGS,
+  LEGACY_SDK,
+  MIGRATED_CLIENT_METHODS,
+  EXPOSURE_METHODS,
+  EXPERIMENT_METHODS,
+  MIGRATED_REACT_EXPORTS,
+  EXPERIMENT_HOOKS
+} = require('./statsig-api');
+const { staticString, lineOf, isReference } = require('./ast');
+const { collectStatsigImports, localFor, importsFrom } = require('./imports');
+const { collectClientUsages } = require('./clients');
+const { planOrFail } = require('./configs');
+const { classifyLayer } = require('./layers');
+const { DETAIL_METHODS, planDetailsOrFail, readsReasons } = require('./details');
+const { OVERRIDE_METHODS, planOverride } = require('./overrides');
+const { isMigratableEvent } = require('./events');
+const { hasSilentReads } = require('./exposures');
+const { planBootstrap } = require('./bootstrap');
+const { findExperimentEdges } = require('./dependencies');
+const { buildExperimentGraph, edgesForGate } = require('../experiment-graph');
+const { observabilityLocals } = require('./observability');
+const { warn } = require('./state');
+
+function recordExperiment(state, callPath, api) {
+  state.report.experiments.push({
+    name: staticString(callPath.node.arguments[0]),
+    api,
+    line: lineOf(callPath.node)
+  });
+}
+
+/**
+ * Paths that read `local`, for both identifiers and JSX element names.
+ */
+function referencesOf(state, local) {
+  const { j, root } = state;
+  const entry = state.statsigImports.get(local);
+  const identifiers = root
+    .find(j.Identifier, { name: local })
+    .filter((path) => path.node !== entry.localNode && isReference(path))
+    .paths();
+  const elements = root
+    .find(j.JSXIdentifier, { name: local })
+    .filter((path) => path.parent.node.type === 'JSXOpeningElement')
+    .paths();
+  return identifiers.concat(elements);
+}
+
+function calledName(path) {
+  return path.node.type === 'JSXIdentifier' ? `<${path.node.name}>` : `${path.node.name}()`;
+}
+
+/**
+ * Keeps a gate check on Statsig when the experiment graph has edges for the
+ * gate, reporting every edge as the reason.
+ *
+ * @returns {boolean} true when the gate is blocked
+ */
+function blockGate(state, graph, callPath) {
+  const name = staticString(callPath.node.arguments[0]);
+  const edges = name === null ? [] : edgesForGate(graph, name);
+  if (edges.length === 0) {
+    return false;
+  }
+  state.blockedGates.add(callPath.node);
+  state.report.blocked.push({
+    name,
+    type: 'feature_gate',
+    reason: edges.map((edge) => edge.reason).join('; '),
+    line: lineOf(callPath.node)
+  });
+  return true;
+}
+
+/**
+ * Classifies every Statsig usage in the file before anything is rewritten.
+ * Experiments, gates that experiments depend on, layers that stay on
+ * Statsig, failed configs and APIs without a rewrite all keep the Statsig
+ * SDK in the file, which switches the codemod to parallel operation.
+ *
+ * @returns {boolean} false when the file does not use Statsig
+ */
+function analyze(state) {
+  if (!collectStatsigImports(state)) {
+    return false;
+  }
+  const blockers = [];
+
+  state.clientUsages = collectClientUsages(state);
+  state.report.dependencies = findExperimentEdges(state);
+  const graph = state.experimentGraph || buildExperimentGraph({
+    codeEdges: state.report.dependencies.map((edge) => ({ ...edge, file: state.filePath })),
+    statsigExport: state.statsigExport
+  });
+
+  for (const { method, memberPath, callPath } of state.clientUsages) {
+    if (EXPERIMENT_METHODS.includes(method) && callPath) {
+      recordExperiment(state, callPath, method);
+    } else if (method === 'checkGate' && callPath && blockGate(state, graph, callPath)) {
+      blockers.push({ api: 'checkGate()', node: callPath.node, reported: true });
+    } else if (method === 'getConfig' && callPath) {
+      const name = staticString(callPath.node.arguments[0]);
+      const plan = planOrFail(state, callPath, name);
+      if (!plan || name === null) {
+        blockers.push({ api: 'getConfig()', node: callPath.node, reported: !plan });
+      }
+    } else if (method in DETAIL_METHODS && callPath) {
+      const name = staticString(callPath.node.arguments[0]);
+      if (DETAIL_METHODS[method] === 'gate' && blockGate(state, graph, callPath)) {
+        blockers.push({ api: `${method}()`, node: callPath.node, reported: true });
+      } else if (!planDetailsOrFail(state, callPath, method) || name === null) {
+        blockers.push({ api: `${method}()`, node: callPath.node, reported: name !== null });
+      }
+    } else if (method === 'getLayer' && callPath) {
+      if (!classifyLayer(state, callPath, method)) {
+        blockers.push({ api: 'getLayer()', node: callPath.node, reported: true });
+      }
+    } else if (method in OVERRIDE_METHODS && callPath) {
+      if (!planOverride(state, graph, callPath, method)) {
+        blockers.push({ api: `${method}()`, node: callPath.node, reported: state.keptOverrides.has(callPath.node) });
+      }
+    } else if (method === 'logEvent' && callPath && !isMigratableEvent(callPath)) {
+      blockers.push({ api: 'logEvent()', node: callPath.node });
+    } else if (EXPOSURE_METHODS.includes(method) && callPath && state.exposures === 'preserve') {
+      if (method === 'manuallyLogGateExposure' && blockGate(state, graph, callPath)) {
+        blockers.push({ api: `${method}()`, node: callPath.node, reported: true });
+      }
+    } else if ((method === 'updateUserAsync' || method === 'updateUserSync') && callPath && callPath.node.arguments.length === 0) {
+      blockers.push({ api: `${method}()`, node: callPath.node });
+    } else if (!MIGRATED_CLIENT_METHODS.includes(method) || !callPath) {
+      blockers.push({ api: callPath ? `${method}()` : method, node: memberPath.node });
+    }
+  }
+
+  for (const [local, imported] of importsFrom(state, REACT_BINDINGS)) {
+    for (const path of referencesOf(state, local)) {
+      const node = path.parent.node;
+      const isCall = node.type === 'CallExpression' && node.callee === path.node;
+      if (EXPERIMENT_HOOKS.includes(imported) && isCall) {
+        recordExperiment(state, path.parent, imported);
+      } else if (imported === 'useLayer' && isCall) {
+        if (!classifyLayer(state, path.parent, imported)) {
+          blockers.push({ api: calledName(path), node, reported: true });
+        }
+      } else if (!MIGRATED_REACT_EXPORTS.includes(imported)) {
+        blockers.push({ api: calledName(path), node });
+      } else if (imported === 'StatsigSynchronousProvider' && node.type === 'JSXOpeningElement') {
+        const element = path.parent.parent;
+        if (state.bootstrapPlans.has(element.node)) {
+          continue;
+        }
+        const plan = planBootstrap(state, element);
+        state.bootstrapPlans.set(element.node, plan);
+        if (!plan) {
+          state.report.blocked.push({
+            name: calledName(path),
+            type: 'unsupported_api',
+            reason: 'initializeValues is computed at runtime; have the server send LaunchDarkly flag state for the LDProvider bootstrap',
+            line: lineOf(node)
+          });
+          blockers.push({ api: calledName(path), node, reported: true });
+        }
+      } else if (imported === 'useConfig' && isCall) {
+        if (!planOrFail(state, path.parent, staticString(node.arguments[0]))) {
+          blockers.push({ api: calledName(path), node, reported: true });
+        }
+      } else if (imported === 'useFeatureGate' && !isGateValueRead(path)) {
+        blockers.push({ api: calledName(path), node });
+      } else if ((imported === 'useGateValue' || imported === 'useFeatureGate') && isCall && blockGate(state, graph, path.parent)) {
+        blockers.push({ api: calledName(path), node, reported: true });
+      } else if (imported === 'useStatsigClient' && !isClientDestructure(path)) {
+        blockers.push({ api: calledName(path), node });
+      }
+    }
+  }
+
+  const hasConstruction = localFor(state, JS_CLIENT, 'StatsigClient') || localFor(state, REACT_BINDINGS, 'StatsigProvider');
+  for (const [local] of observabilityLocals(state)) {
+    if (!hasConstruction) {
+      for (const path of referencesOf(state, local)) {
+        blockers.push({ api: calledName(path), node: path.parent.node });
+      }
+    }
+  }
+
+  for (const [local, entry] of state.statsigImports) {
+    if (entry.source === LEGACY_SDK) {
+      blockers.push({ api: `${local} (statsig-js)`, node: entry.localNode });
+    }
+  }
+
+  state.silentReads = hasSilentReads(state);
+  state.readsReasons = readsReasons(state);
+  state.parallel = state.report.experiments.length > 0 || blockers.length > 0;
+  state.report.statsigPreserved = state.parallel;
+  for (const experiment of state.report.experiments) {
+    state.report.warnings.push({
+      message: `Experiment '${experiment.name}' is not migrated and stays on Statsig`,
+      line: experiment.line
+    });
+  }
+  // Blocked gates, layers and failed configs are already reported with their reason.
+  for (const blocker of blockers.filter((item) => !item.reported)) {
+    state.report.blocked.push({
+      name: blocker.api,
+      type: 'unsupported_api',
+      reason: 'No LaunchDarkly rewrite; stays on Statsig',
+      line: lineOf(blocker.node)
+    });
+  }
+  if (state.parallel) {
+    warn(state, 'The Statsig SDK is kept and runs in parallel with LaunchDarkly until its experiments, layers and blocked items are migrated', null);
+  }
+  return true;
+}
+
+function isGateValueRead(path) {
+  const call = path.parent.node;
+  const member = path.parent.parent.node;
+  return call.type === 'CallExpression' && member.type === 'MemberExpression' &&
+    member.object === call && !member.computed && member.property.name === 'value';
+}
+
+function isClientDestructure(path) {
+  const declarator = path.parent.parent.node;
+  return declarator.type === 'VariableDeclarator' && declarator.id.type === 'ObjectPattern' &&
+    declarator.id.properties.length === 1 && declarator.id.properties[0].type === 'ObjectProperty' &&
+    declarator.id.properties[0].key.name === 'client' && declarator.id.properties[0].value.type === 'Identifier';
+}
+
+module.exports = {
+  analyze
+};
@@ -0,0 +1,365 @@
+'use strict';
+
+/**
+ * Small AST helpers shared by the codemod passes. Everything here works on
+ * the Babel AST produced by jscodeshift's `ts`/`tsx` parsers.
+ */
+
+const NOT_STATIC = Symbol('NOT_STATIC');
+
+const WRAPPER_TYPES = new Set([
+  'TSAsExpression',
+  'TSSatisfiesExpression',
+  'TSNonNullExpression',
+  'TSTypeAssertion',
+  'ParenthesizedExpression',
+  'TypeCastExpression'
+]);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassMethod',
+  'ClassPrivateMethod',
+  'ObjectMethod'
+]);
+
+// Keys that locate a node in its original source. Dropping them on copies
+// makes recast print the copy fresh instead of reusing the original text.
+const POSITION_KEYS = new Set([
+  'loc',
+  'start',
+  'end',
+  'range',
+  'tokens',
+  'original',
+  'comments',
+  'leadingComments',
+  'trailingComments',
+  'innerComments'
+]);
+
+/**
+ * Strips type assertions and parentheses: `({ a: 1 } as Foo)` → `{ a: 1 }`.
+ */
+function unwrapExpression(node) {
+  let current = node;
+  while (current && WRAPPER_TYPES.has(current.type)) {
+    current = current.expression;
+  }
+  return current;
+}
+
+/**
+ * Evaluates a literal expression (including nested arrays and objects).
+ * Returns NOT_STATIC when any part depends on runtime values.
+ */
+function staticValue(node) {
+  const expr = unwrapExpression(node);
+  if (!expr) {
+    return NOT_STATIC;
+  }
+  switch (expr.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return expr.value;
+    case 'NullLiteral':
+      return null;
+    case 'Literal':
+      return expr.value instanceof RegExp ? NOT_STATIC : expr.value;
+    case 'TemplateLiteral':
+      return expr.expressions.length === 0 ? expr.quasis[0].value.cooked : NOT_STATIC;
+    case 'UnaryExpression': {
+      const argument = staticValue(expr.argument);
+      if (expr.operator === '-' && typeof argument === 'number') {
+        return -argument;
+      }
+      return NOT_STATIC;
+    }
+    case 'ArrayExpression': {
+      const values = [];
+      for (const element of expr.elements) {
+        const value = element ? staticValue(element) : NOT_STATIC;
+        if (value === NOT_STATIC) {
+          return NOT_STATIC;
+        }
+        values.push(value);
+      }
+      return values;
+    }
+    case 'ObjectExpression': {
+      const value = {};
+      for (const prop of expr.properties) {
+        const name = propertyName(prop);
+        const propValue = name === null ? NOT_STATIC : staticValue(prop.value);
+        if (propValue === NOT_STATIC) {
+          return NOT_STATIC;
+        }
+        value[name] = propValue;
+      }
+      return value;
+    }
+    default:
+      return NOT_STATIC;
+  }
+}
+
+/**
+ * Returns the value of a string literal (or expression-free template), else null.
+ */
+function staticString(node) {
+  const value = staticValue(node);
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Returns the static key of an object property, or null for computed keys,
+ * spreads and methods.
+ */
+function propertyName(prop) {
+  if (!prop || (prop.type !== 'ObjectProperty' && prop.type !== 'Property') || prop.computed) {
+    return null;
+  }
+  const key = prop.key;
+  if (key.type === 'Identifier') {
+    return key.name;
+  }
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral' || key.type === 'Literal') {
+    return String(key.value);
+  }
+  return null;
+}
+
+function isIdentifierName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+/**
+ * Builds an object key, quoting it only when it is not a valid identifier.
+ */
+function propertyKey(j, name) {
+  return isIdentifierName(name) ? j.identifier(name) : j.stringLiteral(name);
+}
+
+/**
+ * Builds `object.name`, or `object['name']` when `name` needs quoting.
+ */
+function memberAccess(j, object, name) {
+  return isIdentifierName(name)
+    ? j.memberExpression(object, j.identifier(name))
+    : j.memberExpression(object, j.stringLiteral(name), true);
+}
+
+/**
+ * Converts a JSON-compatible value back into an expression.
+ */
+function valueToNode(j, value) {
+  if (value === null || value === undefined) {
+    return j.nullLiteral();
+  }
+  if (Array.isArray(value)) {
+    return j.arrayExpression(value.map((item) => valueToNode(j, item)));
+  }
+  switch (typeof value) {
+    case 'string':
+      return j.stringLiteral(value);
+    case 'number':
+      return value < 0
+        ? j.unaryExpression('-', j.numericLiteral(-value))
+        : j.numericLiteral(value);
+    case 'boolean':
+      return j.booleanLiteral(value);
+    default:
+      return j.objectExpression(
+        Object.keys(value).map((key) => j.objectProperty(propertyKey(j, key), valueToNode(j, value[key])))
+      );
+  }
+}
+
+/**
+ * Deep-copies a node without its source positions so the copy can be
+ * inserted elsewhere while the original stays in place.
+ */
+function cloneNode(node) {
+  if (Array.isArray(node)) {
+    return node.map(cloneNode);
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+  const copy = {};
+  for (const key of Object.keys(node)) {
+    if (!POSITION_KEYS.has(key)) {
+      copy[key] = cloneNode(node[key]);
+    }
+  }
+  return copy;
+}
+
+function lineOf(node) {
+  return node && node.loc ? node.loc.start.line : null;
+}
+
+/**
+ * Walks up from `path` to the statement that sits directly in a block or
+ * program body, so siblings can be inserted next to it.
+ */
+function enclosingStatement(path) {
+  let current = path;
+  while (current && current.parentPath) {
+    const container = current.parentPath.value;
+    const parentType = current.parent && current.parent.node.type;
+    if (
+      Array.isArray(container) &&
+      (parentType === 'Program' || parentType === 'BlockStatement' || parentType === 'StaticBlock')
+    ) {
+      return current;
+    }
+    current = current.parent;
+  }
+  return null;
+}
+
+function enclosingFunction(path) {
+  let current = path.parent;
+  while (current) {
+    if (FUNCTION_TYPES.has(current.node.type)) {
+      return current;
+    }
+    current = current.parent;
+  }
+  return null;
+}
+
+/**
+ * True when the identifier at `path` reads a binding, as opposed to naming a
+ * property, an object key or an import specifier.
+ */
+function isReference(path) {
+  const parent = path.parent && path.parent.node;
+  if (!parent) {
+    return true;
+  }
+  switch (parent.type) {
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return parent.object === path.node || parent.computed;
+    case 'ObjectProperty':
+    case 'Property':
+      return parent.value === path.node || parent.computed;
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+    case 'ClassMethod':
+    case 'ObjectMethod':
+    case 'TSPropertySignature':
+    case 'TSMethodSignature':
+      return parent.key !== path.node || parent.computed;
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ExportSpecifier':
+      return false;
+    case 'TSQualifiedName':
+      return parent.left === path.node;
+    default:
+      return true;
+  }
+}
+
+function isDeclarationName(path) {
+  const parent = path.parent && path.parent.node;
+  return Boolean(parent) && (parent.type === 'FunctionDeclaration' || parent.type === 'ClassDeclaration') && parent.id === path.node;
+}
+
+/**
+ * Finds every identifier that reads the binding declared at `bindingPath`.
+ * The name of a function declared with the same name in the binding's scope
+ * is not one, though ast-types puts it in the function's own scope.
+ */
+function findReferences(j, bindingPath) {
+  const name = bindingPath.node.name;
+  const scope = bindingPath.scope && bindingPath.scope.lookup(name);
+  if (!scope) {
+    return [];
+  }
+  return j(scope.path)
+    .find(j.Identifier, { name })
+    .filter((path) => path.node !== bindingPath.node && isReference(path) && !isDeclarationName(path) && path.scope.lookup(name) === scope)
+    .paths();
+}
+
+/**
+ * Resolves an identifier to the path of the identifier that declares it.
+ */
+function resolveBinding(path) {
+  const name = path.node.name;
+  const scope = path.scope && path.scope.lookup(name);
+  if (!scope) {
+    return null;
+  }
+  const bindings = scope.getBindings()[name];
+  return bindings && bindings.length > 0 ? bindings[0] : null;
+}
+
+/**
+ * Returns the VariableDeclarator path whose id is the binding at `bindingPath`.
+ */
+function declaratorOf(bindingPath) {
+  const parent = bindingPath && bindingPath.parent;
+  if (parent && parent.node.type === 'VariableDeclarator' && parent.node.id === bindingPath.node) {
+    return parent;
+  }
+  return null;
+}
+
+/**
+ * Resolves the expression at `path` to an object literal, following a
+ * `const name = { … }` declaration when the expression is an identifier.
+ */
+function resolveObjectLiteral(path) {
+  const node = unwrapExpression(path.node);
+  if (node && node.type === 'ObjectExpression') {
+    return node;
+  }
+  if (node && node.type === 'Identifier' && path.node.type === 'Identifier') {
+    const declarator = declaratorOf(resolveBinding(path));
+    const init = declarator && unwrapExpression(declarator.node.init);
+    return init && init.type === 'ObjectExpression' ? init : null;
+  }
+  return null;
+}
+
+/**
+ * Name of the type referenced by a `: Foo` annotation, if any.
+ */
+function annotationTypeName(node) {
+  const annotation = node && node.typeAnnotation && node.typeAnnotation.typeAnnotation;
+  if (annotation && annotation.type === 'TSTypeReference' && annotation.typeName.type === 'Identifier') {
+    return annotation.typeName.name;
+  }
+  return null;
+}
+
+module.exports = {
+  NOT_STATIC,
+  unwrapExpression,
+  staticValue,
+  staticString,
+  propertyName,
+  isIdentifierName,
+  propertyKey,
+  memberAccess,
+  valueToNode,
+  cloneNode,
+  lineOf,
+  enclosingStatement,
+  enclosingFunction,
+  isReference,
+  findReferences,
+  resolveBinding,
+  declaratorOf,
+  resolveObjectLiteral,
+  annotationTypeName
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * `initializeValues` → LaunchDarkly `bootstrap`. A StatsigSynchronousProvider
+ * renders with values the server already evaluated; the LaunchDarkly
+ * equivalent is an LDProvider whose `options.bootstrap` holds flag values
+ * keyed by flag key. Server code that builds the Statsig payload has to send
+ * LaunchDarkly flag state instead, so those calls are flagged inline.
+ */
+
+const { INITIALIZE_RESPONSE_METHOD } = require('./statsig-api');
+const {
+  NOT_STATIC,
+  propertyName,
+  staticValue,
+  unwrapExpression,
+  lineOf,
+  enclosingStatement,
+  resolveBinding,
+  declaratorOf,
+  findReferences
+} = require('./ast');
+const { warn, addTodo } = require('./state');
+
+const INITIALIZE_RESPONSE_TODO = 'send LaunchDarkly flag state instead of the Statsig initialize response: ' +
+  'ldClient.allFlagsState(context, { clientSideOnly: true }).toJSON() from the LaunchDarkly server SDK, ' +
+  'passed to the LDProvider as options.bootstrap';
+
+/**
+ * Path to the object literal `initializeValues` evaluates to, following a
+ * `const initializeValues = { … }` declaration.
+ *
+ * @returns {{objectPath: object, declarator: object|null}|null}
+ */
+function resolveValues(valuesPath) {
+  const node = unwrapExpression(valuesPath.node);
+  if (node && node.type === 'ObjectExpression' && valuesPath.node === node) {
+    return { objectPath: valuesPath, declarator: null };
+  }
+  if (node && node.type === 'Identifier' && valuesPath.node.type === 'Identifier') {
+    const declarator = declaratorOf(resolveBinding(valuesPath));
+    if (declarator && declarator.node.init && declarator.node.init.type === 'ObjectExpression') {
+      return { objectPath: declarator.get('init'), declarator };
+    }
+  }
+  return null;
+}
+
+/**
+ * Value of one `feature_gates` / `dynamic_configs` entry. Initialize
+ * responses hold evaluation objects (`{ name, value, rule_id, … }`);
+ * hand-written payloads usually map names straight to values.
+ */
+function evaluation(key, entry) {
+  const isEvaluation = entry !== null && typeof entry === 'object' && 'value' in entry && 'rule_id' in entry;
+  return {
+    name: isEvaluation && typeof entry.name === 'string' ? entry.name : key,
+    value: isEvaluation ? entry.value : entry
+  };
+}
+
+/**
+ * Plans the bootstrap for a `<StatsigSynchronousProvider>`: flag values from
+ * the gates and configs in a static `initializeValues`, keyed by flag key.
+ * Returns null when `initializeValues` is computed at runtime, which keeps
+ * the provider on Statsig.
+ *
+ * @returns {{bootstrap: object, userPath: object|null, declarator: object|null}|null}
+ */
+function planBootstrap(state, elementPath) {
+  const attributes = elementPath.node.openingElement.attributes;
+  const index = attributes.findIndex((attribute) =>
+    attribute.type === 'JSXAttribute' && attribute.name.name === 'initializeValues'
+  );
+  if (index === -1 || !attributes[index].value || attributes[index].value.type !== 'JSXExpressionContainer') {
+    return null;
+  }
+  const resolved = resolveValues(elementPath.get('openingElement', 'attributes', index, 'value', 'expression'));
+  if (!resolved) {
+    return null;
+  }
+
+  const bootstrap = {};
+  let userPath = null;
+  const properties = resolved.objectPath.get('properties');
+  for (let i = 0; i < properties.value.length; i++) {
+    const property = properties.value[i];
+    const name = propertyName(property);
+    if (name === 'user') {
+      userPath = properties.get(i, 'value');
+      continue;
+    }
+    if (name !== 'feature_gates' && name !== 'dynamic_configs' && name !== 'layer_configs') {
+      continue;
+    }
+    const values = staticValue(property.value);
+    if (values === NOT_STATIC || values === null || typeof values !== 'object') {
+      return null;
+    }
+    if (name === 'layer_configs') {
+      if (Object.keys(values).length > 0) {
+        warn(state, 'Layer values in initializeValues were not added to the LaunchDarkly bootstrap', property);
+      }
+      continue;
+    }
+    for (const [key, entry] of Object.entries(values)) {
+      const { name: flagName, value } = evaluation(key, entry);
+      bootstrap[state.flagKey(flagName)] = name === 'feature_gates' ? value === true : value;
+    }
+  }
+  return { bootstrap, userPath, declarator: resolved.declarator };
+}
+
+/**
+ * Removes the `const initializeValues = { … }` declaration once the migrated
+ * provider no longer reads it.
+ */
+function removeUnusedValues(state, plan) {
+  const { j } = state;
+  const { declarator } = plan;
+  if (!declarator || findReferences(j, declarator.get('id')).length > 0) {
+    return;
+  }
+  const statement = declarator.parent;
+  if (statement.node.type === 'VariableDeclaration' && statement.node.declarations.length === 1) {
+    statement.prune();
+  } else {
+    declarator.prune();
+  }
+}
+
+/**
+ * Marks every `getClientInitializeResponse()` call, which builds Statsig
+ * `initializeValues` on the server, for conversion to LaunchDarkly flag
+ * state. Runs on files without a Statsig client import too.
+ *
+ * @returns {number} calls found
+ */
+function flagInitializeResponses(state) {
+  const { j, root } = state;
+  const calls = root.find(j.CallExpression, {
+    callee: { type: 'MemberExpression', property: { type: 'Identifier', name: INITIALIZE_RESPONSE_METHOD } }
+  });
+  calls.forEach((path) => {
+    state.report.blocked.push({
+      name: `${INITIALIZE_RESPONSE_METHOD}()`,
+      type: 'unsupported_api',
+      reason: 'Builds Statsig initializeValues; migrated clients bootstrap from LaunchDarkly flag state instead',
+      line: lineOf(path.node)
+    });
+    warn(state, INITIALIZE_RESPONSE_TODO, path.node);
+    const statement = enclosingStatement(path);
+    if (statement) {
+      addTodo(state, statement.node, INITIALIZE_RESPONSE_TODO);
+    }
+  });
+  if (calls.size() > 0) {
+    state.report.statsigPreserved = true;
+  }
+  return calls.size();
+}
+
+module.exports = {
+  planBootstrap,
+  removeUnusedValues,
+  flagInitializeResponses
+};
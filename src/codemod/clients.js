@@ -0,0 +1,455 @@
+'use strict';
+
+const { JS_CLIENT, REACT_BINDINGS, LD_JS_SDK, LD_REACT_SDK } = require('./statsig-api');
+const {
+  unwrapExpression,
+  cloneNode,
+  enclosingStatement,
+  resolveBinding,
+  declaratorOf,
+  findReferences,
+  annotationTypeName
+} = require('./ast');
+const { localFor, addImport } = require('./imports');
+const { uniqueName, localName, warn, addTodo } = require('./state');
+const { renameDeclarator, retypeDeclarator } = require('./declarations');
+const { contextFor } = require('./user-context');
+const { translateOptions } = require('./options');
+
+// Matches the timeout used throughout the README examples.
+const INIT_TIMEOUT_SECONDS = 5;
+
+// React hooks whose callback (first argument) re-runs when a value in their
+// dependency array (second argument) changes.
+const DEPENDENCY_HOOKS = ['useEffect', 'useLayoutEffect', 'useCallback', 'useMemo'];
+
+const SDK_KEY_TODO = 'replace the Statsig client SDK key with your LaunchDarkly client-side ID';
+
+function isStatsigClientConstruction(state, node) {
+  const expr = unwrapExpression(node);
+  const clientLocal = localFor(state, JS_CLIENT, 'StatsigClient');
+  return Boolean(
+    clientLocal && expr && expr.type === 'NewExpression' &&
+    expr.callee.type === 'Identifier' && expr.callee.name === clientLocal
+  );
+}
+
+function isClientType(state, node) {
+  const clientLocal = localFor(state, JS_CLIENT, 'StatsigClient');
+  return Boolean(clientLocal && annotationTypeName(node) === clientLocal);
+}
+
+/**
+ * For an identifier bound by `const { client } = useStatsigClient()`,
+ * returns the VariableDeclarator path; otherwise null.
+ */
+function hookDeclaratorOf(state, bindingPath) {
+  const hookLocal = localFor(state, REACT_BINDINGS, 'useStatsigClient');
+  const property = bindingPath.parent;
+  if (!hookLocal || !property || property.node.type !== 'ObjectProperty' || property.node.value !== bindingPath.node) {
+    return null;
+  }
+  const key = property.node.key;
+  const declarator = property.parent && property.parent.parent;
+  if (key.type !== 'Identifier' || key.name !== 'client' || !declarator || declarator.node.type !== 'VariableDeclarator') {
+    return null;
+  }
+  const init = unwrapExpression(declarator.node.init);
+  if (init && init.type === 'CallExpression' && init.callee.type === 'Identifier' && init.callee.name === hookLocal) {
+    return declarator;
+  }
+  return null;
+}
+
+function classPropertyIsClient(state, memberPath) {
+  const name = memberPath.node.property.name;
+  let current = memberPath.parent;
+  while (current && current.node.type !== 'ClassBody') {
+    current = current.parent;
+  }
+  if (!current) {
+    return false;
+  }
+  return current.node.body.some((member) =>
+    member.type === 'ClassProperty' && !member.computed &&
+    member.key.type === 'Identifier' && member.key.name === name && isClientType(state, member)
+  );
+}
+
+/**
+ * True when the expression at `path` evaluates to a StatsigClient: a variable
+ * initialised with `new StatsigClient(…)`, anything annotated `StatsigClient`,
+ * the `client` from `useStatsigClient()`, or a `this.x` class property typed
+ * as StatsigClient.
+ */
+function isClientRef(state, path) {
+  const node = path.node;
+  if (node.type === 'Identifier') {
+    const binding = resolveBinding(path);
+    if (!binding) {
+      return false;
+    }
+    const declarator = declaratorOf(binding);
+    return Boolean(
+      (declarator && isStatsigClientConstruction(state, declarator.node.init)) ||
+      isClientType(state, binding.node) ||
+      hookDeclaratorOf(state, binding)
+    );
+  }
+  if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression' && !node.computed) {
+    return classPropertyIsClient(state, path);
+  }
+  return false;
+}
+
+/**
+ * Every `<client>.<member>` access on a Statsig client, in source order.
+ * `fromHook` is set on accesses to the `client` of `useStatsigClient()`,
+ * whose LaunchDarkly counterpart is the `useLDClient()` client.
+ *
+ * @returns {Array<{method: string, memberPath: object, callPath: object|null, fromHook: boolean}>}
+ */
+function collectClientUsages(state) {
+  const { j, root } = state;
+  const usages = [];
+  root.find(j.MemberExpression).forEach((memberPath) => {
+    const member = memberPath.node;
+    if (member.computed || member.property.type !== 'Identifier' || !isClientRef(state, memberPath.get('object'))) {
+      return;
+    }
+    const parent = memberPath.parent.node;
+    const isCall = parent.type === 'CallExpression' && parent.callee === member;
+    const object = memberPath.get('object');
+    const binding = object.node.type === 'Identifier' ? resolveBinding(object) : null;
+    usages.push({
+      method: member.property.name,
+      memberPath,
+      callPath: isCall ? memberPath.parent : null,
+      fromHook: Boolean(binding && hookDeclaratorOf(state, binding))
+    });
+  });
+  return usages;
+}
+
+function usagesOf(state, method) {
+  return state.clientUsages.filter((usage) => usage.method === method && usage.callPath);
+}
+
+/**
+ * Expression to call LaunchDarkly methods on in place of the Statsig client
+ * at `objectPath`. Without parallel operation the Statsig client itself has
+ * been converted, so the original expression is reused. Returns null when no
+ * LaunchDarkly client is reachable from that call site.
+ */
+function ldClientFor(state, objectPath) {
+  const { j } = state;
+  if (!state.parallel) {
+    return objectPath.node;
+  }
+  if (objectPath.node.type === 'Identifier') {
+    const binding = resolveBinding(objectPath);
+    const hookDeclarator = binding && hookDeclaratorOf(state, binding);
+    if (hookDeclarator) {
+      return j.identifier(hookClientFor(state, hookDeclarator));
+    }
+  }
+  return state.ldClient ? j.identifier(state.ldClient) : null;
+}
+
+/**
+ * `target.method(...args)`, or `target?.method(...args)` when `optional`:
+ * the `useLDClient()` client is undefined until LDProvider has initialized
+ * it.
+ */
+function clientCall(state, target, method, args, optional) {
+  const { j } = state;
+  if (optional) {
+    return j.optionalCallExpression(j.optionalMemberExpression(target, j.identifier(method), false, true), args, false);
+  }
+  return j.callExpression(j.memberExpression(target, j.identifier(method)), args);
+}
+
+/**
+ * A flag read on the `useLDClient()` client, `target?.method(...args) ??
+ * fallback`, which serves `fallback` until LDProvider has initialized the
+ * client. Inside a React hook callback, `target` is added to the hook's
+ * dependencies.
+ */
+function hookClientRead(state, path, target, method, args, fallback) {
+  addHookDependency(state, path, target.name);
+  return state.j.logicalExpression('??', clientCall(state, target, method, args, true), fallback);
+}
+
+/**
+ * Adds `name` to the dependency array of the React hook whose callback
+ * contains `path`, so the callback sees the `useLDClient()` client once
+ * LDProvider has initialized it.
+ */
+function addHookDependency(state, path, name) {
+  const { j } = state;
+  for (let current = path.parent; current; current = current.parent) {
+    const call = current.parent && current.parent.node;
+    const isCallback = ['ArrowFunctionExpression', 'FunctionExpression'].includes(current.node.type) &&
+      call.type === 'CallExpression' && call.arguments[0] === current.node;
+    if (!isCallback) {
+      continue;
+    }
+    const callee = call.callee.type === 'MemberExpression' ? call.callee.property : call.callee;
+    const deps = call.arguments[1];
+    if (callee.type !== 'Identifier' || !DEPENDENCY_HOOKS.includes(callee.name)) {
+      continue;
+    }
+    if (deps && deps.type === 'ArrayExpression' && !deps.elements.some((element) => element && element.type === 'Identifier' && element.name === name)) {
+      deps.elements.push(j.identifier(name));
+    }
+    return;
+  }
+}
+
+/**
+ * Declares `const ldClient = useLDClient();` next to a `useStatsigClient()`
+ * call (once per component) and returns its name.
+ */
+function hookClientFor(state, hookDeclarator) {
+  const { j } = state;
+  if (!state.hookClients.has(hookDeclarator.node)) {
+    const name = localName(state, 'ldClient');
+    const hook = addImport(state, LD_REACT_SDK, 'useLDClient');
+    enclosingStatement(hookDeclarator).insertAfter(
+      j.variableDeclaration('const', [
+        j.variableDeclarator(j.identifier(name), j.callExpression(j.identifier(hook), []))
+      ])
+    );
+    state.hookClients.set(hookDeclarator.node, name);
+  }
+  return state.hookClients.get(hookDeclarator.node);
+}
+
+/**
+ * LDOptions object for a new client or provider, or null when there is
+ * nothing to pass.
+ *
+ * @param {object[]} [translated] - properties translated from StatsigOptions
+ */
+function ldOptionsFor(state, translated = []) {
+  const { j } = state;
+  const properties = [...translated];
+  if (state.plugins.length > 0) {
+    state.pluginsConsumed = true;
+    const plugins = state.plugins.map((plugin) => plugin.build());
+    properties.push(j.objectProperty(j.identifier('plugins'), j.arrayExpression(plugins)));
+  }
+  if (state.silentReads) {
+    // Keeps the allFlags() reads that replace silent checks out of analytics.
+    state.silentReadsConfigured = true;
+    properties.push(j.objectProperty(j.identifier('sendEventsOnlyForVariation'), j.booleanLiteral(true)));
+  }
+  if (state.readsReasons) {
+    // variationDetail() returns a null reason otherwise.
+    state.reasonsConfigured = true;
+    properties.push(j.objectProperty(j.identifier('evaluationReasons'), j.booleanLiteral(true)));
+  }
+  return properties.length > 0 ? j.objectExpression(properties) : null;
+}
+
+/**
+ * `new StatsigClient(key, user, options)` → `initialize(key, context, options)`.
+ * In parallel mode the Statsig client stays and an `ldClient` is declared
+ * right after it.
+ */
+function migrateConstruction(state) {
+  const { j, root } = state;
+  const clientLocal = localFor(state, JS_CLIENT, 'StatsigClient');
+  if (!clientLocal) {
+    return;
+  }
+
+  root.find(j.NewExpression, { callee: { type: 'Identifier', name: clientLocal } }).forEach((path) => {
+    const [sdkKey, user, options] = path.node.arguments;
+    const statement = enclosingStatement(path);
+    if (!sdkKey || !statement) {
+      warn(state, '`new StatsigClient()` could not be converted; initialize the LaunchDarkly client by hand', path.node);
+      return;
+    }
+    const translated = options ? translateOptions(state, path.get('arguments', 2), 'StatsigClient') : null;
+    const optionsBinding = options && options.type === 'Identifier' ? resolveBinding(path.get('arguments', 2)) : null;
+    if (translated && translated.timeoutSeconds !== null) {
+      state.initTimeoutSeconds = translated.timeoutSeconds;
+    }
+
+    const context = user
+      ? contextFor(state, path.get('arguments', 1))
+      : j.objectExpression([
+        j.objectProperty(j.identifier('kind'), j.stringLiteral('user')),
+        j.objectProperty(j.identifier('anonymous'), j.booleanLiteral(true))
+      ]);
+    const initialize = addImport(state, LD_JS_SDK, 'initialize');
+    const args = [state.parallel ? cloneNode(sdkKey) : sdkKey, context];
+    const ldOptions = ldOptionsFor(state, translated ? translated.properties : []);
+    if (ldOptions) {
+      args.push(ldOptions);
+    }
+    const init = j.callExpression(j.identifier(initialize), args);
+    warn(state, SDK_KEY_TODO, sdkKey);
+
+    if (state.parallel) {
+      const name = uniqueName(state, 'ldClient');
+      const declaration = j.variableDeclaration('const', [j.variableDeclarator(j.identifier(name), init)]);
+      addTodo(state, declaration, SDK_KEY_TODO);
+      statement.insertAfter(declaration);
+      state.ldClient = state.ldClient || name;
+      return;
+    }
+
+    path.replace(init);
+    addTodo(state, statement.node, SDK_KEY_TODO);
+    removeUnusedOptions(state, optionsBinding);
+    const declarator = path.parent.node.type === 'VariableDeclarator' ? path.parent : null;
+    if (declarator) {
+      retypeDeclarator(state, declarator, 'LDClient');
+      state.ldClient = state.ldClient || renameDeclarator(state, declarator, 'ldClient');
+    }
+  });
+
+  if (!state.parallel && state.typescript) {
+    root.find(j.TSTypeReference, { typeName: { type: 'Identifier', name: clientLocal } }).forEach((path) => {
+      path.node.typeName = j.identifier(addImport(state, LD_JS_SDK, 'LDClient'));
+    });
+  }
+}
+
+/**
+ * Removes a `const options = { … }` the Statsig client no longer reads.
+ */
+function removeUnusedOptions(state, binding) {
+  const declarator = binding && declaratorOf(binding);
+  if (!declarator || findReferences(state.j, binding).length > 0) {
+    return;
+  }
+  const statement = declarator.parent;
+  if (statement.node.type === 'VariableDeclaration' && statement.node.declarations.length === 1) {
+    statement.prune();
+  } else {
+    declarator.prune();
+  }
+}
+
+/**
+ * `await client.initializeAsync()` → `await client.waitForInitialization(timeout)`,
+ * with the StatsigOptions `initTimeoutMs` in seconds or 5.
+ */
+function migrateInitialization(state) {
+  const { j } = state;
+  for (const { memberPath, callPath } of usagesOf(state, 'initializeAsync')) {
+    const resultUsed = !['ExpressionStatement', 'AwaitExpression'].includes(callPath.parent.node.type) ||
+      (callPath.parent.node.type === 'AwaitExpression' && callPath.parent.parent.node.type !== 'ExpressionStatement');
+
+    if (!state.parallel) {
+      memberPath.node.property = j.identifier('waitForInitialization');
+      callPath.node.arguments = [j.numericLiteral(state.initTimeoutSeconds || INIT_TIMEOUT_SECONDS)];
+      if (resultUsed) {
+        warn(state, 'waitForInitialization() resolves without Statsig InitializationDetails; update code that reads them', callPath.node);
+      }
+      continue;
+    }
+
+    const target = ldClientFor(state, memberPath.get('object'));
+    const statement = enclosingStatement(callPath);
+    if (!target || !statement || callPath.parent.node.type !== 'AwaitExpression') {
+      warn(state, 'Wait for the LaunchDarkly client with `waitForInitialization()` where the Statsig client is initialized', callPath.node);
+      continue;
+    }
+    const wait = j.callExpression(
+      j.memberExpression(target, j.identifier('waitForInitialization')),
+      [j.numericLiteral(state.initTimeoutSeconds || INIT_TIMEOUT_SECONDS)]
+    );
+    statement.insertAfter(j.expressionStatement(j.awaitExpression(wait)));
+  }
+}
+
+/**
+ * `client.updateUserAsync(user)` / `client.updateUserSync(user)` →
+ * `client.identify(context)`, with the user converted like the one the
+ * client was created with. In parallel mode the Statsig call stays and the
+ * LaunchDarkly client identifies the same user after it.
+ */
+function migrateUserUpdates(state) {
+  const { j } = state;
+  for (const method of ['updateUserAsync', 'updateUserSync']) {
+    for (const { memberPath, callPath, fromHook } of usagesOf(state, method)) {
+      if (callPath.node.arguments.length === 0) {
+        continue;
+      }
+      if (method === 'updateUserSync') {
+        warn(state, 'identify() is asynchronous; flags read before it resolves are evaluated for the previous context', callPath.node);
+      }
+      if (!state.parallel) {
+        const context = contextFor(state, callPath.get('arguments', 0));
+        callPath.replace(clientCall(state, memberPath.node.object, 'identify', [context], fromHook));
+        if (!['ExpressionStatement', 'AwaitExpression'].includes(callPath.parent.node.type)) {
+          warn(state, 'identify() resolves with the flags of the new context instead of Statsig update details; update code that reads them', callPath.node);
+        }
+        continue;
+      }
+
+      const target = ldClientFor(state, memberPath.get('object'));
+      const statement = enclosingStatement(callPath);
+      const awaited = callPath.parent.node.type === 'AwaitExpression';
+      const call = awaited ? callPath.parent.node : callPath.node;
+      if (!target || !statement || statement.node.type !== 'ExpressionStatement' || statement.node.expression !== call) {
+        warn(state, 'Switch the LaunchDarkly context with `identify()` where the Statsig user is updated', callPath.node);
+        continue;
+      }
+      const identify = clientCall(state, target, 'identify', [contextFor(state, callPath.get('arguments', 0))], fromHook);
+      statement.insertAfter(j.expressionStatement(awaited ? j.awaitExpression(identify) : identify));
+      if (fromHook) {
+        addHookDependency(state, callPath, target.name);
+      }
+    }
+  }
+}
+
+/**
+ * `client.shutdown()` → `client.close()`.
+ */
+function migrateShutdown(state) {
+  const { j } = state;
+  for (const { memberPath, callPath, fromHook } of usagesOf(state, 'shutdown')) {
+    if (!state.parallel) {
+      callPath.replace(clientCall(state, memberPath.node.object, 'close', callPath.node.arguments, fromHook));
+      continue;
+    }
+    const target = ldClientFor(state, memberPath.get('object'));
+    const statement = enclosingStatement(callPath);
+    if (!target || !statement || statement.node.type !== 'ExpressionStatement' || statement.node.expression !== callPath.node) {
+      warn(state, 'Close the LaunchDarkly client with `close()` where the Statsig client is shut down', callPath.node);
+      continue;
+    }
+    statement.insertAfter(j.expressionStatement(clientCall(state, target, 'close', [], fromHook)));
+    if (fromHook) {
+      addHookDependency(state, callPath, target.name);
+    }
+  }
+}
+
+function migrateClients(state) {
+  migrateConstruction(state);
+  migrateInitialization(state);
+  migrateUserUpdates(state);
+  migrateShutdown(state);
+}
+
+module.exports = {
+  SDK_KEY_TODO,
+  isClientRef,
+  isStatsigClientConstruction,
+  hookDeclaratorOf,
+  collectClientUsages,
+  usagesOf,
+  ldClientFor,
+  clientCall,
+  addHookDependency,
+  hookClientRead,
+  ldOptionsFor,
+  migrateClients
+};
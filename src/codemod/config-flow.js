@@ -0,0 +1,291 @@
+'use strict';
+
+/**
+ * Follows a config object from the `getConfig()`, `getLayer()` or hook call
+ * that returns it to every `.get(key, default)` read, so one JSON fallback
+ * can be built from all of them. The object is followed through local
+ * variables, into the parameters of functions declared in the same file,
+ * and into functions exported by other modules whose reads were traced
+ * before the file was migrated (see traceReceiver).
+ *
+ * A function parameter is only followed when every call of the function
+ * passes this config, since its reads become plain property reads.
+ */
+
+const { staticValue, staticString, lineOf, findReferences, resolveBinding, declaratorOf } = require('./ast');
+
+const FUNCTION_EXPRESSIONS = ['ArrowFunctionExpression', 'FunctionExpression'];
+const USED_OUTSIDE_GET = 'config object is used outside `.get()` calls';
+
+/**
+ * Key of a function parameter exported by another module, as the consumer
+ * imports it.
+ */
+function receiverKey(source, imported, index) {
+  return `${source}#${imported}#${index}`;
+}
+
+function isRelative(source) {
+  return source.startsWith('./') || source.startsWith('../');
+}
+
+/**
+ * Describes a `.get(key, default)` read of a config object, or returns null
+ * when the config object at `objectPath` is used any other way.
+ */
+function getterUse(objectPath) {
+  const member = objectPath.parent;
+  if (
+    !member || member.node.type !== 'MemberExpression' || member.node.object !== objectPath.node ||
+    member.node.computed || member.node.property.name !== 'get'
+  ) {
+    return null;
+  }
+  const call = member.parent;
+  if (!call || call.node.type !== 'CallExpression' || call.node.callee !== member.node) {
+    return null;
+  }
+  const key = staticString(call.node.arguments[0]);
+  return key === null ? null : { callPath: call, key, fallbackNode: call.node.arguments[1] || null };
+}
+
+/**
+ * The function declared by `bindingPath` (`function f(…)` or
+ * `const f = (…) => …`), or null.
+ */
+function functionOf(bindingPath) {
+  const parent = bindingPath && bindingPath.parent;
+  if (parent && parent.node.type === 'FunctionDeclaration' && parent.node.id === bindingPath.node) {
+    return parent;
+  }
+  const declarator = declaratorOf(bindingPath);
+  const init = declarator && declarator.node.init;
+  return init && FUNCTION_EXPRESSIONS.includes(init.type) ? declarator.get('init') : null;
+}
+
+function isExported(state, fnPath, name) {
+  const { j, root } = state;
+  const statement = fnPath.node.type === 'FunctionDeclaration' ? fnPath.parent : fnPath.parent.parent.parent;
+  return (statement && /^Export/.test(statement.node.type)) ||
+    root.find(j.ExportSpecifier, { local: { name } }).size() > 0;
+}
+
+/**
+ * State of one trace. `trace.escape` is set to the reason when the object
+ * is used in a way the fallback cannot account for.
+ */
+function createTracer(state) {
+  return {
+    state,
+    trace: { uses: [], declarator: null, params: [], external: [], receivers: [], imports: [], escape: null, rewritten: false },
+    visited: new Set(),
+    // function node → { name, binding, index }
+    functions: new Map(),
+    unresolved: []
+  };
+}
+
+function escapeWith(tracer, reason) {
+  if (!tracer.trace.escape) {
+    tracer.trace.escape = reason;
+  }
+}
+
+// Keeps following after an escape, so every function the object reaches is
+// known even when the config stays on Statsig.
+function follow(tracer, valuePath, { root = false, remote = false } = {}) {
+  if (tracer.visited.has(valuePath.node)) {
+    return;
+  }
+  tracer.visited.add(valuePath.node);
+  const parent = valuePath.parent;
+
+  if (parent.node.type === 'MemberExpression') {
+    const use = getterUse(valuePath);
+    if (use) {
+      tracer.trace.uses.push({ ...use, remote });
+    } else {
+      escapeWith(tracer, USED_OUTSIDE_GET);
+    }
+  } else if (root && parent.node.type === 'ExpressionStatement') {
+    // A bare call reads nothing.
+  } else if (parent.node.type === 'VariableDeclarator' && parent.node.init === valuePath.node && parent.node.id.type === 'Identifier') {
+    if (root) {
+      tracer.trace.declarator = parent;
+    } else if (parent.node.id.typeAnnotation) {
+      escapeWith(tracer, USED_OUTSIDE_GET);
+    }
+    findReferences(tracer.state.j, parent.get('id')).forEach((reference) => follow(tracer, reference, { remote }));
+  } else if (parent.node.type === 'CallExpression' && parent.node.callee !== valuePath.node && parent.node.callee.type === 'Identifier') {
+    followArgument(tracer, parent, parent.node.arguments.indexOf(valuePath.node));
+  } else {
+    escapeWith(tracer, USED_OUTSIDE_GET);
+  }
+}
+
+function followParam(tracer, fnPath, index) {
+  const paramPath = fnPath.get('params', index);
+  tracer.trace.params.push(paramPath);
+  findReferences(tracer.state.j, paramPath).forEach((reference) => follow(tracer, reference, { remote: true }));
+}
+
+function followArgument(tracer, callPath, index) {
+  const name = callPath.node.callee.name;
+  const binding = resolveBinding(callPath.get('callee'));
+  const specifier = binding && binding.parent;
+  if (specifier && specifier.node.type === 'ImportSpecifier' && isRelative(specifier.parent.node.source.value)) {
+    followImport(tracer, callPath, specifier, index);
+    return;
+  }
+  const fnPath = functionOf(binding);
+  const param = fnPath && fnPath.node.params[index];
+  if (!param || param.type !== 'Identifier' || isExported(tracer.state, fnPath, name)) {
+    escapeWith(tracer, `config object is passed to ${name}(), which is not a function of this file taking it as a plain parameter`);
+    return;
+  }
+  const followed = tracer.functions.get(fnPath.node);
+  if (followed && followed.index !== index) {
+    escapeWith(tracer, `config object is passed to ${name}() in more than one parameter`);
+  } else if (!followed) {
+    tracer.functions.set(fnPath.node, { name, binding, index });
+    followParam(tracer, fnPath, index);
+  }
+}
+
+function followImport(tracer, callPath, specifier, index) {
+  const name = callPath.node.callee.name;
+  const source = specifier.parent.node.source.value;
+  const imported = specifier.node.imported.name;
+  const receiver = tracer.state.configReceivers.get(receiverKey(source, imported, index));
+  tracer.trace.imports.push({ source, imported, index });
+  if (!receiver) {
+    tracer.unresolved.push(`config object is passed to ${name}() from '${source}', which was not migrated in the same run`);
+  } else if (receiver.escape) {
+    escapeWith(tracer, `config object is passed to ${name}() from '${source}', where ${receiver.escape}`);
+  } else {
+    tracer.trace.receivers.push(receiver);
+    tracer.trace.external.push(...receiver.reads);
+  }
+}
+
+/**
+ * Every call of a followed function must pass a followed config object.
+ */
+function finishTrace(tracer) {
+  for (const { name, binding, index } of tracer.functions.values()) {
+    const onlyConfigs = findReferences(tracer.state.j, binding).every((reference) => {
+      const call = reference.parent.node;
+      return call.type === 'CallExpression' && call.callee === reference.node && tracer.visited.has(call.arguments[index]);
+    });
+    if (!onlyConfigs) {
+      escapeWith(tracer, `${name}() is also called with values that are not this config object`);
+    }
+  }
+  if (tracer.unresolved.length > 0) {
+    escapeWith(tracer, tracer.unresolved[0]);
+  }
+  return tracer.trace;
+}
+
+/**
+ * Traces the config object returned by the call at `callPath`.
+ *
+ * @returns {{uses: object[], declarator: object|null, params: object[], external: object[],
+ *   receivers: object[], imports: object[], escape: string|null}}
+ *   `uses` are `.get()` reads in this file (`remote` when read through a
+ *   parameter), `params` the parameters the object was passed in,
+ *   `external` the reads of other modules' functions it was passed to, and
+ *   `imports` those functions as imported
+ */
+function traceConfig(state, callPath) {
+  const tracer = createTracer(state);
+  follow(tracer, callPath, { root: true });
+  return finishTrace(tracer);
+}
+
+/**
+ * The exported function `imported` of this module, declared as
+ * `export function`, `export const … = (…) =>` or exported by name.
+ */
+function exportedFunction(state, imported) {
+  const { j, root } = state;
+  let result = null;
+  root.find(j.ExportNamedDeclaration).forEach((path) => {
+    const declaration = path.node.declaration;
+    if (declaration && declaration.type === 'FunctionDeclaration' && declaration.id && declaration.id.name === imported) {
+      result = { fnPath: path.get('declaration'), binding: path.get('declaration', 'id') };
+    } else if (declaration && declaration.type === 'VariableDeclaration') {
+      declaration.declarations.forEach((declarator, i) => {
+        if (declarator.id.type === 'Identifier' && declarator.id.name === imported) {
+          const binding = path.get('declaration', 'declarations', i, 'id');
+          const fnPath = functionOf(binding);
+          result = fnPath ? { fnPath, binding } : null;
+        }
+      });
+    } else if (!path.node.source) {
+      path.node.specifiers.forEach((specifier, i) => {
+        if (specifier.exported.name === imported) {
+          const binding = resolveBinding(path.get('specifiers', i, 'local'));
+          const fnPath = functionOf(binding);
+          result = fnPath ? { fnPath, binding } : null;
+        }
+      });
+    }
+  });
+  return result;
+}
+
+function sourceOf(state, node) {
+  return node ? state.source.slice(node.start, node.end) : 'null';
+}
+
+/**
+ * Traces parameter `index` of the exported function `imported`, for a
+ * config object another module passes to it.
+ *
+ * @returns {object} traceConfig result
+ */
+function traceParam(state, imported, index) {
+  const tracer = createTracer(state);
+  const found = exportedFunction(state, imported);
+  const param = found && found.fnPath.node.params[index];
+  if (!param || param.type !== 'Identifier') {
+    escapeWith(tracer, `${imported}() does not take it as a plain parameter`);
+  } else if (findReferences(state.j, found.binding).length > 0) {
+    escapeWith(tracer, `${imported}() is also called in its own module`);
+  } else {
+    followParam(tracer, found.fnPath, index);
+  }
+  return finishTrace(tracer);
+}
+
+/**
+ * What a consumer of the exported function `imported` needs to know about
+ * the reads of its parameter `index`.
+ *
+ * @returns {{file: string, imported: string, index: number, reads: object[], escape: string|null}}
+ *   `reads` carry each read's key, static default (`value`, or NOT_STATIC),
+ *   default source `code`, file and line, in source order
+ */
+function traceReceiver(state, imported, index) {
+  const trace = traceParam(state, imported, index);
+  const reads = [...trace.uses]
+    .sort((a, b) => a.callPath.node.start - b.callPath.node.start)
+    .map((use) => ({
+      key: use.key,
+      value: use.fallbackNode ? staticValue(use.fallbackNode) : null,
+      code: sourceOf(state, use.fallbackNode),
+      file: state.filePath,
+      line: lineOf(use.callPath.node)
+    }));
+  return { file: state.filePath, imported, index, reads: trace.escape ? [] : reads, escape: trace.escape };
+}
+
+module.exports = {
+  receiverKey,
+  getterUse,
+  traceConfig,
+  traceParam,
+  traceReceiver,
+  sourceOf
+};
@@ -0,0 +1,270 @@
+'use strict';
+
+const {
+  NOT_STATIC,
+  staticValue,
+  staticString,
+  propertyKey,
+  memberAccess,
+  valueToNode,
+  cloneNode,
+  lineOf
+} = require('./ast');
+const { warn } = require('./state');
+const { addImport } = require('./imports');
+const { ldSdkFor } = require('./declarations');
+const { usagesOf, ldClientFor, hookClientRead } = require('./clients');
+const { skipsEvaluationEvents, silentRead } = require('./exposures');
+const { configInterface } = require('./types');
+const { traceConfig, traceParam, sourceOf } = require('./config-flow');
+
+/**
+ * Works out how a `getConfig()`/`useConfig()` result is read. The result is
+ * migratable when every read is a `.get('literal', default)` call, chained
+ * directly, through local variables or through the parameters of functions
+ * it is passed to (see config-flow.js).
+ *
+ * @returns {object|null} traceConfig result, or null when the config object
+ *   escapes (is returned, stored or read dynamically)
+ */
+function planConfig(state, callPath) {
+  if (!state.configTraces.has(callPath.node)) {
+    state.configTraces.set(callPath.node, traceConfig(state, callPath));
+  }
+  const trace = state.configTraces.get(callPath.node);
+  return trace.escape ? null : trace;
+}
+
+/**
+ * Plans a config read and records it as failed when it cannot be migrated.
+ */
+function planOrFail(state, callPath, name) {
+  const plan = planConfig(state, callPath);
+  state.configPlans.set(callPath.node, plan);
+  if (!plan) {
+    state.report.failed.push({
+      name,
+      type: 'dynamic_config',
+      reason: `${state.configTraces.get(callPath.node).escape}, so no JSON fallback could be built`,
+      line: lineOf(callPath.node)
+    });
+  }
+  return plan;
+}
+
+/**
+ * Every `.get()` read a fallback is built from: this file's in source
+ * order, then those of other modules' functions the config is passed to.
+ * A default is only moved into the fallback when it is a literal or is
+ * read where the config is created; others become null.
+ */
+function fallbackReads(state, plan) {
+  const { j } = state;
+  const local = [...plan.uses]
+    .sort((a, b) => a.callPath.node.start - b.callPath.node.start)
+    .map((use) => {
+      const value = use.fallbackNode ? staticValue(use.fallbackNode) : null;
+      const movable = use.fallbackNode && (value !== NOT_STATIC || !use.remote);
+      return {
+        key: use.key,
+        value,
+        valueNode: movable ? use.fallbackNode : j.nullLiteral(),
+        code: sourceOf(state, use.fallbackNode),
+        file: state.filePath,
+        line: lineOf(use.callPath.node),
+        node: use.fallbackNode || use.callPath.node
+      };
+    });
+  const external = (plan.external || []).map((read) => ({
+    ...read,
+    valueNode: read.value === NOT_STATIC ? j.nullLiteral() : valueToNode(j, read.value),
+    node: null
+  }));
+  return local.concat(external);
+}
+
+function readLocation(state, read) {
+  return read.file === state.filePath ? `line ${read.line}` : `${read.file}:${read.line}`;
+}
+
+/**
+ * Builds the JSON fallback from every `.get()` default and records the
+ * config or layer in the report. The first default wins for a repeated
+ * key; keys read with different defaults are reported as conflicts.
+ *
+ * @param {'config'|'layer'} [kind]
+ */
+function buildFallback(state, plan, name, callNode, kind = 'config') {
+  const { j } = state;
+  const properties = [];
+  const fallback = {};
+  const readsByKey = new Map();
+
+  for (const read of fallbackReads(state, plan)) {
+    if (readsByKey.has(read.key)) {
+      readsByKey.get(read.key).push(read);
+      continue;
+    }
+    readsByKey.set(read.key, [read]);
+    properties.push(j.objectProperty(propertyKey(j, read.key), read.valueNode));
+    fallback[read.key] = read.value === NOT_STATIC ? null : read.value;
+    if (read.value === NOT_STATIC) {
+      const where = read.node ? '' : ` (${readLocation(state, read)})`;
+      warn(state, `Fallback for '${read.key}' in ${kind} '${name}'${where} is not a literal and is reported as null`, read.node || callNode);
+    }
+  }
+  for (const [key, reads] of readsByKey) {
+    const defaults = reads.map((read) => (read.value === NOT_STATIC ? read.code : JSON.stringify(read.value)));
+    if (new Set(defaults).size > 1) {
+      state.report.fallbackConflicts.push({
+        name,
+        type: kind === 'layer' ? 'layer' : 'dynamic_config',
+        key,
+        defaults: reads.map(({ code, file, line }) => ({ code, file, line })),
+        line: lineOf(callNode)
+      });
+      warn(
+        state,
+        `'${key}' in ${kind} '${name}' is read with different defaults (${reads.map((read) => `${read.code} at ${readLocation(state, read)}`).join(', ')}); the fallback uses ${reads[0].code}`,
+        callNode
+      );
+    }
+  }
+
+  if (plan.uses.length === 0) {
+    warn(state, `${kind === 'layer' ? 'Layer' : 'Config'} '${name}' has no .get() reads; its JSON fallback is an empty object`, callNode);
+  }
+  const key = state.flagKey(name);
+  const line = lineOf(callNode);
+  if (kind === 'layer') {
+    state.report.layers.push({
+      name,
+      api: plan.api,
+      decision: 'migrated',
+      reason: 'No experiments run in this layer; migrated to a JSON flag',
+      experiments: [],
+      key,
+      fallback,
+      line
+    });
+  } else {
+    state.report.configs.push({ name, key, api: plan.api, fallback, line });
+  }
+  return j.objectExpression(properties);
+}
+
+/**
+ * Replaces each `config.get('key', default)` with `config.key`. Must run
+ * after the config call itself has been rewritten so chained reads pick up
+ * the new object expression.
+ */
+function rewriteUses(state, plan) {
+  const { j } = state;
+  for (const use of plan.uses) {
+    use.callPath.replace(memberAccess(j, use.callPath.node.callee.object, use.key));
+  }
+  if (plan.declarator && plan.declarator.node.id.typeAnnotation) {
+    plan.declarator.node.id.typeAnnotation = null;
+  }
+  retypeParams(state, plan.params);
+  plan.rewritten = true;
+}
+
+/**
+ * Parameters typed as a Statsig config now receive the flag value.
+ */
+function retypeParams(state, params) {
+  const { j } = state;
+  for (const param of params) {
+    if (state.typescript && param.node.typeAnnotation) {
+      param.node.typeAnnotation = j.tsTypeAnnotation(
+        j.tsTypeReference(j.identifier(addImport(state, ldSdkFor(state), 'LDFlagValue')))
+      );
+    }
+  }
+}
+
+/**
+ * `client.getConfig('name')` → `client.variation('name', { …fallback })`,
+ * and the same for `client.getLayer('name')` on layers cleared by
+ * classifyLayer. `variation()` serves JSON flags too; the client SDK has no
+ * `jsonVariation()`.
+ */
+function migrateConfigs(state) {
+  migrateJsonReads(state, 'getConfig', 'config');
+  migrateJsonReads(state, 'getLayer', 'layer');
+}
+
+function migrateJsonReads(state, method, kind) {
+  const { j } = state;
+  for (const { memberPath, callPath, fromHook } of usagesOf(state, method)) {
+    const plan = state.configPlans.get(callPath.node);
+    const [keyArg] = callPath.node.arguments;
+    const name = staticString(keyArg);
+    if (!plan || name === null) {
+      continue;
+    }
+    const target = ldClientFor(state, memberPath.get('object'));
+    if (!target) {
+      warn(state, `No LaunchDarkly client is reachable here; ${kind} '${name}' was left on Statsig`, callPath.node);
+      continue;
+    }
+    const silent = skipsEvaluationEvents(state, method, name, callPath);
+
+    const key = state.flagKey(name);
+    const keyNode = key === name ? keyArg : j.stringLiteral(key);
+    const fallback = buildFallback(state, { ...plan, api: method }, name, callPath.node, kind);
+    if (silent) {
+      callPath.replace(silentRead(state, callPath, target, keyNode, fallback, fromHook));
+    } else {
+      // Read into a declared interface, the flag value is cast to it.
+      const typeName = configInterface(state, plan);
+      if (fromHook) {
+        callPath.replace(hookClientRead(state, callPath, target, 'variation', [keyNode, fallback], cloneNode(fallback)));
+      } else {
+        memberPath.node.object = target;
+        memberPath.node.property = j.identifier('variation');
+        callPath.node.arguments = [keyNode, fallback];
+      }
+      if (typeName) {
+        callPath.replace(j.tsAsExpression(callPath.node, j.tsTypeReference(j.identifier(typeName))));
+      }
+    }
+    rewriteUses(state, plan);
+  }
+}
+
+/**
+ * Rewrites the `.get()` reads of exported function parameters that other
+ * migrated modules pass config objects to, as described by
+ * `state.receiverParams`.
+ *
+ * @returns {number} how many parameters were rewritten
+ */
+function migrateReceiverParams(state) {
+  let count = 0;
+  for (const { imported, index } of state.receiverParams) {
+    const trace = traceParam(state, imported, index);
+    if (trace.escape) {
+      continue;
+    }
+    const param = trace.params[0].node;
+    rewriteUses(state, trace);
+    warn(
+      state,
+      `${imported}() parameter '${param.name}' now receives the value of a LaunchDarkly JSON flag; callers outside the migrated files must pass one too`,
+      param
+    );
+    count++;
+  }
+  return count;
+}
+
+module.exports = {
+  planConfig,
+  planOrFail,
+  buildFallback,
+  rewriteUses,
+  migrateReceiverParams,
+  migrateConfigs
+};
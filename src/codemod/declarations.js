@@ -0,0 +1,55 @@
+'use strict';
+
+const { REACT_BINDINGS, LD_JS_SDK, LD_REACT_SDK } = require('./statsig-api');
+const { addImport } = require('./imports');
+const { uniqueName } = require('./state');
+
+/**
+ * LaunchDarkly SDK package to import from, based on which Statsig SDK the file uses.
+ */
+function ldSdkFor(state) {
+  for (const entry of state.statsigImports.values()) {
+    if (entry.source === REACT_BINDINGS) {
+      return LD_REACT_SDK;
+    }
+  }
+  return LD_JS_SDK;
+}
+
+/**
+ * Renames a variable declared with a Statsig-flavoured name (`statsigClient`,
+ * `statsigUser`) to `preferred`. Other names are left alone.
+ *
+ * @returns {string|null} the variable's name after renaming
+ */
+function renameDeclarator(state, declarator, preferred) {
+  const id = declarator.node.id;
+  if (id.type !== 'Identifier') {
+    return null;
+  }
+  if (!/statsig/i.test(id.name)) {
+    return id.name;
+  }
+  const name = uniqueName(state, preferred);
+  state.j(declarator).renameTo(name);
+  return name;
+}
+
+/**
+ * Replaces a `: StatsigX` annotation on a declared identifier with `ldType`.
+ */
+function retypeDeclarator(state, declarator, ldType) {
+  const { j } = state;
+  const id = declarator.node.id;
+  if (state.typescript && id.typeAnnotation) {
+    id.typeAnnotation = j.tsTypeAnnotation(
+      j.tsTypeReference(j.identifier(addImport(state, ldSdkFor(state), ldType)))
+    );
+  }
+}
+
+module.exports = {
+  ldSdkFor,
+  renameDeclarator,
+  retypeDeclarator
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Finds gates and experiments used together in one file: a gate check that
+ * decides whether an experiment is read, or a gate only checked on a branch
+ * an experiment chose. Only control flow within a function is followed; a
+ * gate that decides whether a component using an experiment is rendered is
+ * not detected.
+ */
+
+const { EXPERIMENT_METHODS, EXPERIMENT_HOOKS } = require('./statsig-api');
+const { staticString, lineOf, findReferences } = require('./ast');
+const { hookCalls } = require('./react');
+
+/**
+ * The path holding a check's value plus every read of the local variable it
+ * is stored in, if any.
+ */
+function touchPoints(state, valuePath) {
+  const parent = valuePath.parent;
+  if (
+    parent && parent.node.type === 'VariableDeclarator' && parent.node.init === valuePath.node &&
+    parent.node.id.type === 'Identifier'
+  ) {
+    return [valuePath, ...findReferences(state.j, parent.get('id'))];
+  }
+  return [valuePath];
+}
+
+function exits(statement) {
+  if (statement.type === 'BlockStatement') {
+    return statement.body.length > 0 && exits(statement.body[statement.body.length - 1]);
+  }
+  return statement.type === 'ReturnStatement' || statement.type === 'ThrowStatement';
+}
+
+/**
+ * Source ranges whose execution depends on the value at `path`: the
+ * branches of each `if`, ternary or logical expression it is tested in, and
+ * the rest of the block after an `if` whose branch always returns.
+ */
+function guardedRanges(state, path) {
+  const ranges = [];
+  for (let child = path, current = path.parent; current; child = current, current = current.parent) {
+    const node = current.node;
+    if (state.j.Function.check(node)) {
+      break;
+    }
+    if ((node.type === 'IfStatement' || node.type === 'ConditionalExpression') && node.test === child.node) {
+      ranges.push(node.consequent);
+      if (node.alternate) {
+        ranges.push(node.alternate);
+      }
+      const block = current.parent && current.parent.node;
+      if (node.type === 'IfStatement' && !node.alternate && exits(node.consequent) && block && Array.isArray(block.body)) {
+        ranges.push({ start: node.end, end: block.end });
+      }
+    } else if (node.type === 'LogicalExpression' && node.left === child.node) {
+      ranges.push(node.right);
+    }
+  }
+  return ranges.map(({ start, end }) => ({ start, end }));
+}
+
+function gateChecks(state) {
+  const checks = state.clientUsages
+    .filter(({ method, callPath }) => (method === 'checkGate' || method === 'getFeatureGateWithDetails') && callPath)
+    .map(({ callPath }) => ({ callPath, valuePath: callPath }));
+  for (const path of hookCalls(state, 'useGateValue')) {
+    checks.push({ callPath: path, valuePath: path });
+  }
+  for (const path of hookCalls(state, 'useFeatureGate')) {
+    const member = path.parent.node;
+    const readsValue = member.type === 'MemberExpression' && member.object === path.node &&
+      !member.computed && member.property.name === 'value';
+    checks.push({ callPath: path, valuePath: readsValue ? path.parent : path });
+  }
+  return checks;
+}
+
+function experimentReads(state) {
+  const reads = state.clientUsages
+    .filter(({ method, callPath }) => EXPERIMENT_METHODS.includes(method) && callPath)
+    .map(({ callPath }) => ({ callPath, valuePath: callPath }));
+  for (const hook of EXPERIMENT_HOOKS) {
+    for (const path of hookCalls(state, hook)) {
+      reads.push({ callPath: path, valuePath: path });
+    }
+  }
+  return reads;
+}
+
+/**
+ * Named uses with the nodes that read their value and the ranges that value
+ * guards.
+ */
+function describe(state, uses) {
+  return uses
+    .map(({ callPath, valuePath }) => {
+      const points = touchPoints(state, valuePath);
+      return {
+        name: staticString(callPath.node.arguments[0]),
+        line: lineOf(callPath.node),
+        nodes: points.map((point) => point.node),
+        ranges: points.flatMap((point) => guardedRanges(state, point))
+      };
+    })
+    .filter((use) => use.name !== null);
+}
+
+function guards(outer, inner) {
+  return outer.ranges.some((range) => inner.nodes.some((node) => node.start >= range.start && node.end <= range.end));
+}
+
+/**
+ * Gate → experiment edges found in this file. Must run during analysis,
+ * before any node is rewritten.
+ *
+ * @returns {{gate: string, experiment: string, reason: string, line: number|null}[]}
+ */
+function findExperimentEdges(state) {
+  const gates = describe(state, gateChecks(state));
+  const experiments = describe(state, experimentReads(state));
+  const edges = [];
+  for (const gate of gates) {
+    for (const experiment of experiments) {
+      let reason = null;
+      if (guards(gate, experiment)) {
+        reason = `Gate '${gate.name}' (line ${gate.line}) decides whether experiment '${experiment.name}' (line ${experiment.line}) is read`;
+      } else if (guards(experiment, gate)) {
+        reason = `Gate '${gate.name}' (line ${gate.line}) is only checked on a branch chosen by experiment '${experiment.name}' (line ${experiment.line})`;
+      }
+      if (reason) {
+        edges.push({ gate: gate.name, experiment: experiment.name, reason, line: gate.line });
+      }
+    }
+  }
+  return edges;
+}
+
+module.exports = {
+  findExperimentEdges
+};
@@ -0,0 +1,331 @@
+'use strict';
+
+/**
+ * Evaluation reads with details:
+ * `getFeatureGateWithDetails('name')` → `variationDetail('name', false)` and
+ * `getConfigWithDetails('name')` → `variationDetail('name', { …fallback })`.
+ *
+ * LaunchDarkly returns `{ value, variationIndex, reason }`, where `reason`
+ * is an object whose `kind` says which rule served the value, so reads of
+ * the Statsig result are rewritten:
+ * - `.value` stays, and a config's `.get('key', default)` becomes
+ *   `.value.key` with the default moved into the fallback
+ * - `.reason` / `.details.reason` → `.reason?.kind`; compared with a
+ *   literal, the comparison is translated with translateReason()
+ * - `.ruleID` → `.reason?.ruleId`
+ * - other `.details` fields have no equivalent and read as `undefined`
+ *
+ * `reason` is only filled in when the client is initialized with
+ * `evaluationReasons: true`, which the codemod sets on the clients and
+ * providers it creates in a file that reads reasons. Even then it is null
+ * for bootstrapped values, hence the optional chaining.
+ *
+ * Reasons and fields without an equivalent get a TODO comment. A result used
+ * any other way stays on Statsig.
+ */
+
+const { staticString, memberAccess, cloneNode, lineOf, findReferences } = require('./ast');
+const { warn } = require('./state');
+const { usagesOf, ldClientFor, hookClientRead } = require('./clients');
+const { inlineWarning } = require('./exposures');
+const { retypeDeclarator } = require('./declarations');
+const { getterUse } = require('./config-flow');
+const { buildFallback } = require('./configs');
+
+// Statsig method → kind of flag it reads.
+const DETAIL_METHODS = {
+  getFeatureGateWithDetails: 'gate',
+  getConfigWithDetails: 'config'
+};
+
+const USED_OUTSIDE_READS = 'evaluation details object is used outside reads of its value, reason and `.get()`';
+const EQUALITY_OPERATORS = ['===', '==', '!==', '!='];
+
+// Statsig reasons are `Source:Status` (`Network:Recognized`) in
+// @statsig/js-client and a bare source (`Network`) in statsig-js.
+// LaunchDarkly does not report where values came from, so the source is
+// only kept where it means the client had no values.
+const NOT_READY = { kind: 'ERROR', errorKind: 'CLIENT_NOT_READY' };
+const NOT_FOUND = { kind: 'ERROR', errorKind: 'FLAG_NOT_FOUND' };
+const EVALUATED = { kind: 'ERROR', negate: true };
+const REASON_SOURCES = {
+  Uninitialized: NOT_READY,
+  Loading: NOT_READY,
+  NoValues: NOT_READY,
+  Unrecognized: NOT_FOUND,
+  Error: { kind: 'ERROR' }
+};
+const EVALUATED_SOURCES = ['Network', 'NetworkNotModified', 'Cache', 'Bootstrap', 'Prefetch'];
+const REASON_STATUSES = {
+  Recognized: EVALUATED,
+  Unrecognized: NOT_FOUND
+};
+
+/**
+ * The LaunchDarkly reason a Statsig evaluation reason corresponds to:
+ * `kind` (and `errorKind`) to compare, or with `negate` any other kind.
+ * Null for reasons with no equivalent, such as `LocalOverride`, `Sticky`
+ * and the bootstrap mismatches.
+ *
+ * @param {string} reason
+ * @returns {{kind: string, errorKind?: string, negate?: boolean}|null}
+ */
+function translateReason(reason) {
+  const [source, status, ...rest] = reason.split(':');
+  if (rest.length > 0) {
+    return null;
+  }
+  if (source in REASON_SOURCES) {
+    return REASON_SOURCES[source];
+  }
+  if (!EVALUATED_SOURCES.includes(source)) {
+    return null;
+  }
+  return status === undefined ? EVALUATED : REASON_STATUSES[status] || null;
+}
+
+function propertyOf(member) {
+  return member && member.node.type === 'MemberExpression' && !member.node.computed ? member.node.property.name : null;
+}
+
+/**
+ * The other side of an equality comparison the value at `path` is in, or
+ * undefined when it is not compared.
+ */
+function comparedWith(path) {
+  const parent = path.parent.node;
+  if (parent.type !== 'BinaryExpression' || !EQUALITY_OPERATORS.includes(parent.operator)) {
+    return undefined;
+  }
+  return parent.left === path.node ? parent.right : parent.left;
+}
+
+/**
+ * Classifies one read of a reason string.
+ */
+function reasonRead(objectPath, path) {
+  const other = comparedWith(path);
+  const literal = other === undefined ? null : staticString(other);
+  if (literal !== null) {
+    const condition = translateReason(literal);
+    if (condition && condition.errorKind && objectPath.node.type !== 'Identifier') {
+      return { type: 'escape', reason: `its reason is compared with '${literal}', which needs the evaluation details object in a variable` };
+    }
+    return { type: 'comparison', object: objectPath.node, path, reason: literal, condition };
+  }
+  const operated = other !== undefined || path.parent.node.type === 'MemberExpression' ||
+    (path.parent.node.type === 'SwitchStatement' && path.parent.node.discriminant === path.node);
+  return { type: 'reason', object: objectPath.node, path, operated };
+}
+
+/**
+ * Describes how one reference to the result is read, or returns null.
+ */
+function planRead(kind, objectPath) {
+  const member = objectPath.parent;
+  const property = member.node.object === objectPath.node ? propertyOf(member) : null;
+  if (property === 'value') {
+    return { type: 'value' };
+  }
+  if (property === 'reason') {
+    return reasonRead(objectPath, member);
+  }
+  if (property === 'ruleID') {
+    return { type: 'ruleId', object: objectPath.node, path: member };
+  }
+  if (property === 'details') {
+    const field = member.parent.node.object === member.node ? propertyOf(member.parent) : null;
+    if (field === 'reason') {
+      return reasonRead(objectPath, member.parent);
+    }
+    return field === null ? null : { type: 'missing', object: objectPath.node, path: member.parent, field };
+  }
+  if (property === 'get' && kind === 'config') {
+    const use = getterUse(objectPath);
+    return use && { type: 'get', use };
+  }
+  return null;
+}
+
+/**
+ * Works out how the result of a `*WithDetails()` call is read.
+ *
+ * @returns {{declarator: object|null, reads: object[], uses: object[], escape: string|null}}
+ *   `uses` are a config's `.get()` reads, as planConfig returns them
+ */
+function planDetails(state, callPath, method) {
+  const kind = DETAIL_METHODS[method];
+  const plan = { declarator: null, reads: [], uses: [], escape: null };
+  const parent = callPath.parent;
+  let objectPaths = [callPath];
+  if (parent.node.type === 'VariableDeclarator' && parent.node.init === callPath.node && parent.node.id.type === 'Identifier') {
+    plan.declarator = parent;
+    objectPaths = findReferences(state.j, parent.get('id'));
+  }
+  for (const objectPath of objectPaths) {
+    const read = planRead(kind, objectPath);
+    if (!read || read.type === 'escape') {
+      plan.escape = read ? read.reason : USED_OUTSIDE_READS;
+      return plan;
+    }
+    if (read.type === 'get') {
+      plan.uses.push(read.use);
+    } else if (read.type !== 'value') {
+      plan.reads.push(read);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Plans a `*WithDetails()` call and records it as failed when it cannot be
+ * migrated.
+ *
+ * @returns {object|null} planDetails result, or null
+ */
+function planDetailsOrFail(state, callPath, method) {
+  const plan = planDetails(state, callPath, method);
+  if (plan.escape) {
+    state.report.failed.push({
+      name: staticString(callPath.node.arguments[0]),
+      type: DETAIL_METHODS[method] === 'gate' ? 'feature_gate' : 'dynamic_config',
+      reason: `${plan.escape}, so it stays on Statsig`,
+      line: lineOf(callPath.node)
+    });
+  }
+  state.detailPlans.set(callPath.node, plan.escape ? null : plan);
+  return plan.escape ? null : plan;
+}
+
+/**
+ * `object.reason?.field`: the reason is null when the client does not
+ * report reasons.
+ */
+function reasonField(j, object, field) {
+  return j.optionalMemberExpression(j.memberExpression(object, j.identifier('reason')), j.identifier(field), false, true);
+}
+
+/**
+ * `reason?.kind === 'KIND'`, with `errorKind` when the Statsig reason names
+ * one, inverted for `!==`.
+ */
+function reasonCondition(j, object, condition, negate) {
+  const compare = (field, value) =>
+    j.binaryExpression(negate ? '!==' : '===', reasonField(j, object, field), j.stringLiteral(value));
+  const test = compare('kind', condition.kind);
+  return condition.errorKind
+    ? j.logicalExpression(negate ? '||' : '&&', test, compare('errorKind', condition.errorKind))
+    : test;
+}
+
+function rewriteRead(state, read) {
+  const { j } = state;
+  const kindOf = (object) => reasonField(j, object, 'kind');
+  if (read.type === 'ruleId') {
+    read.path.replace(reasonField(j, read.object, 'ruleId'));
+  } else if (read.type === 'missing') {
+    inlineWarning(state, read.path, `Statsig evaluation detail '${read.field}' has no LaunchDarkly equivalent and reads as undefined`);
+    read.path.replace(j.identifier('undefined'));
+  } else if (read.type === 'comparison' && read.condition) {
+    const comparison = read.path.parent;
+    const negate = comparison.node.operator.startsWith('!') !== Boolean(read.condition.negate);
+    comparison.replace(reasonCondition(j, read.object, read.condition, negate));
+  } else if (read.type === 'comparison') {
+    inlineWarning(state, read.path, `Statsig evaluation reason '${read.reason}' has no LaunchDarkly equivalent; ` +
+      'this comparison now reads the LaunchDarkly reason kind and never matches');
+    read.path.replace(kindOf(read.object));
+  } else {
+    if (read.operated) {
+      inlineWarning(state, read.path, 'this code inspects a Statsig evaluation reason, which now reads the LaunchDarkly reason kind; ' +
+        'update it with the reason translation table');
+    }
+    read.path.replace(kindOf(read.object));
+  }
+}
+
+/**
+ * Whether a details read that analysis planned inspects the reason, in
+ * which case the LaunchDarkly client the codemod creates gets
+ * `evaluationReasons: true`. Runs during analysis.
+ */
+function readsReasons(state) {
+  return [...state.detailPlans.values()].some((plan) => plan && plan.reads.some((read) => read.type !== 'missing'));
+}
+
+/**
+ * The detail `variationDetail()` reports before the client has flags, read
+ * from the `useLDClient()` client until LDProvider has initialized it.
+ */
+function notReadyDetail(j, fallback) {
+  const property = (name, value) => j.objectProperty(j.identifier(name), value);
+  return j.objectExpression([
+    property('value', fallback),
+    property('variationIndex', j.nullLiteral()),
+    property('reason', j.objectExpression([
+      property('kind', j.stringLiteral('ERROR')),
+      property('errorKind', j.stringLiteral('CLIENT_NOT_READY'))
+    ]))
+  ]);
+}
+
+/**
+ * Rewrites the `*WithDetails()` calls planned by analysis.
+ */
+function migrateDetails(state) {
+  const { j } = state;
+  for (const [method, kind] of Object.entries(DETAIL_METHODS)) {
+    for (const { memberPath, callPath, fromHook } of usagesOf(state, method)) {
+      const plan = state.detailPlans.get(callPath.node);
+      const [keyArg, options] = callPath.node.arguments;
+      const name = staticString(keyArg);
+      if (!plan || name === null || state.blockedGates.has(callPath.node)) {
+        continue;
+      }
+      const target = ldClientFor(state, memberPath.get('object'));
+      if (!target) {
+        warn(state, `No LaunchDarkly client is reachable here; ${kind} '${name}' was left on Statsig`, callPath.node);
+        continue;
+      }
+      if (options) {
+        warn(state, `${method} options for '${name}' were dropped`, options);
+      }
+
+      const key = state.flagKey(name);
+      const keyNode = key === name ? keyArg : j.stringLiteral(key);
+      let fallback = j.booleanLiteral(false);
+      if (kind === 'gate') {
+        state.report.gates.push({ name, key, api: method, line: lineOf(callPath.node) });
+      } else {
+        fallback = buildFallback(state, { ...plan, api: method }, name, callPath.node);
+      }
+      if (fromHook) {
+        callPath.replace(hookClientRead(state, callPath, target, 'variationDetail', [keyNode, fallback], notReadyDetail(j, cloneNode(fallback))));
+      } else {
+        memberPath.node.object = target;
+        memberPath.node.property = j.identifier('variationDetail');
+        callPath.node.arguments = [keyNode, fallback];
+      }
+
+      for (const use of plan.uses) {
+        const value = j.memberExpression(use.callPath.node.callee.object, j.identifier('value'));
+        use.callPath.replace(memberAccess(j, value, use.key));
+      }
+      plan.reads.forEach((read) => rewriteRead(state, read));
+      if (!state.reasonsConfigured && plan.reads.some((read) => read.type !== 'missing')) {
+        inlineWarning(state, callPath, 'variationDetail() only reports reasons when the LaunchDarkly client is initialized with ' +
+          `\`evaluationReasons: true\`; set it where the client reading '${name}' is created`);
+      }
+      if (plan.declarator) {
+        retypeDeclarator(state, plan.declarator, 'LDEvaluationDetail');
+      }
+    }
+  }
+}
+
+module.exports = {
+  DETAIL_METHODS,
+  translateReason,
+  planDetailsOrFail,
+  readsReasons,
+  migrateDetails
+};
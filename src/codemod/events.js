@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * `logEvent(name, value, metadata)` → `track(name, data, metricValue)`.
+ *
+ * LaunchDarkly metrics only aggregate numbers, so a numeric value becomes
+ * the metric value and a string value moves into the data payload next to
+ * the metadata. A value known only at runtime goes into both, as the metric
+ * value only when it is a number. In parallel operation Statsig experiments still read their
+ * metrics from Statsig events, so the `logEvent` call stays and `track` is
+ * added after it.
+ */
+
+const {
+  NOT_STATIC,
+  staticValue,
+  staticString,
+  unwrapExpression,
+  propertyName,
+  cloneNode,
+  lineOf,
+  enclosingStatement
+} = require('./ast');
+const { warn } = require('./state');
+const { usagesOf, ldClientFor, clientCall, addHookDependency } = require('./clients');
+
+/**
+ * `[name, value, metadata]` nodes for either call form:
+ * `logEvent(name, value, metadata)` or `logEvent({ eventName, value, metadata })`.
+ * Returns null for a StatsigEvent object that is not a literal.
+ */
+function eventArguments(callNode) {
+  const [first, value, metadata] = callNode.arguments;
+  const event = first && unwrapExpression(first);
+  if (!event || event.type !== 'ObjectExpression') {
+    return first && first.type !== 'SpreadElement' ? [first, value || null, metadata || null] : null;
+  }
+  const fields = {};
+  for (const prop of event.properties) {
+    const name = propertyName(prop);
+    if (name === null || prop.type === 'SpreadElement' || prop.type === 'ObjectMethod') {
+      return null;
+    }
+    fields[name] = prop.value;
+  }
+  return fields.eventName ? [fields.eventName, fields.value || null, fields.metadata || null] : null;
+}
+
+/**
+ * Whether `logEvent` at `callPath` can be rewritten; used during analysis
+ * so the unsupported object form keeps Statsig in the file.
+ */
+function isMigratableEvent(callPath) {
+  return eventArguments(callPath.node) !== null;
+}
+
+function isUndefined(node) {
+  const expr = unwrapExpression(node);
+  return !expr || (expr.type === 'Identifier' && expr.name === 'undefined');
+}
+
+/**
+ * A variable or property read, which can be repeated without side effects.
+ */
+function isPlainReference(node) {
+  const expr = unwrapExpression(node);
+  if (expr.type === 'MemberExpression' && !expr.computed) {
+    return isPlainReference(expr.object);
+  }
+  return expr.type === 'Identifier' || expr.type === 'ThisExpression';
+}
+
+/**
+ * Splits the Statsig value into the `track()` data payload and metric value.
+ */
+function trackArguments(state, name, valueNode, metadataNode, callNode) {
+  const { j } = state;
+  const value = isUndefined(valueNode) ? null : staticValue(valueNode);
+  let data = isUndefined(metadataNode) ? null : metadataNode;
+  let metricValue = null;
+
+  if (typeof value === 'number') {
+    metricValue = valueNode;
+  } else if (value !== null) {
+    if (value === NOT_STATIC) {
+      // Known only at runtime: it is the metric value when it is a number.
+      metricValue = j.conditionalExpression(
+        j.binaryExpression('===', j.unaryExpression('typeof', cloneNode(valueNode)), j.stringLiteral('number')),
+        cloneNode(valueNode),
+        j.identifier('undefined')
+      );
+      if (!isPlainReference(valueNode)) {
+        warn(
+          state,
+          `logEvent value for '${name === null ? 'a computed event' : name}' is now computed three times, for the data payload ` +
+            'and the metric value; store it in a variable first if computing it has side effects',
+          callNode
+        );
+      }
+    }
+    const valueProperty = j.objectProperty(j.identifier('value'), valueNode);
+    valueProperty.shorthand = valueNode.type === 'Identifier' && valueNode.name === 'value';
+    const metadata = data && unwrapExpression(data);
+    if (!metadata) {
+      data = j.objectExpression([valueProperty]);
+    } else if (metadata.type === 'ObjectExpression') {
+      data = j.objectExpression([valueProperty, ...metadata.properties]);
+    } else {
+      data = j.objectExpression([valueProperty, j.spreadElement(data)]);
+    }
+  }
+
+  if (metricValue) {
+    return [data || j.identifier('undefined'), metricValue];
+  }
+  return data ? [data] : [];
+}
+
+function migrateEvents(state) {
+  const { j } = state;
+  for (const { memberPath, callPath, fromHook } of usagesOf(state, 'logEvent')) {
+    const args = eventArguments(callPath.node);
+    if (!args) {
+      continue;
+    }
+    const [nameNode, valueNode, metadataNode] = state.parallel ? args.map(cloneNode) : args;
+    const name = staticString(nameNode);
+    const target = ldClientFor(state, memberPath.get('object'));
+    const statement = state.parallel && enclosingStatement(callPath);
+    if (!target || (state.parallel && (!statement || statement.node.expression !== callPath.node))) {
+      warn(state, `No LaunchDarkly client is reachable here; event '${name}' is only logged to Statsig`, callPath.node);
+      continue;
+    }
+
+    if (name === null) {
+      warn(state, 'logEvent() is called with a computed event name; create a LaunchDarkly metric for every name it can take', callPath.node);
+    }
+    const track = clientCall(state, target, 'track', [nameNode, ...trackArguments(state, name, valueNode, metadataNode, callPath.node)], fromHook);
+    state.report.events.push({
+      name,
+      metricValue: track.arguments.length === 3,
+      line: lineOf(callPath.node)
+    });
+    if (state.parallel) {
+      statement.insertAfter(j.expressionStatement(track));
+      if (fromHook) {
+        addHookDependency(state, callPath, target.name);
+      }
+    } else {
+      callPath.replace(track);
+    }
+  }
+}
+
+module.exports = {
+  eventArguments,
+  isMigratableEvent,
+  migrateEvents
+};
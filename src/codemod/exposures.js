@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Statsig exposure controls under the `preserve` exposure mode.
+ *
+ * LaunchDarkly's exposure is the evaluation event `variation()` sends.
+ * Hooks and inspectors can observe evaluations but cannot cancel their
+ * events, so instead of wrapping the client:
+ * - a read with `disableExposureLog: true` takes its value from
+ *   `allFlags()`, which sends no events once the client is initialized with
+ *   `sendEventsOnlyForVariation: true`
+ * - `manuallyLogGateExposure(name)` / `manuallyLogConfigExposure(name)`
+ *   become a `variation()` call whose result is discarded, which sends the
+ *   evaluation event
+ *
+ * Reads that cannot be made equivalent keep sending events and get a TODO
+ * comment. Under the default `drop` mode evaluation options are dropped
+ * with a warning and manual exposures stay on Statsig.
+ */
+
+const { NOT_STATIC, staticValue, staticString, valueToNode, lineOf, enclosingStatement } = require('./ast');
+const { warn, addTodoAbove } = require('./state');
+const { usagesOf, ldClientFor, clientCall, addHookDependency } = require('./clients');
+
+const EXPOSURE_MODES = ['drop', 'preserve'];
+
+// Client reads that accept Statsig evaluation options.
+const READ_METHODS = ['checkGate', 'getConfig', 'getLayer'];
+
+/**
+ * `disableExposureLog` from Statsig evaluation options: true, false, or
+ * NOT_STATIC when the options are not a literal.
+ */
+function disablesExposureLog(optionsNode) {
+  if (!optionsNode) {
+    return false;
+  }
+  const options = staticValue(optionsNode);
+  if (options === NOT_STATIC || options === null || typeof options !== 'object' || Array.isArray(options)) {
+    return NOT_STATIC;
+  }
+  return options.disableExposureLog === true;
+}
+
+/**
+ * Whether any client read in the file must skip evaluation events, in which
+ * case the LaunchDarkly client the codemod creates gets
+ * `sendEventsOnlyForVariation: true`. Runs during analysis.
+ */
+function hasSilentReads(state) {
+  return state.exposures === 'preserve' && state.clientUsages.some(({ method, callPath }) =>
+    READ_METHODS.includes(method) && callPath && disablesExposureLog(callPath.node.arguments[1]) === true
+  );
+}
+
+/**
+ * Warns about the read at `path` and adds the warning as a TODO comment
+ * above its statement.
+ */
+function inlineWarning(state, path, message) {
+  warn(state, message, path.node);
+  const statement = enclosingStatement(path);
+  if (statement) {
+    addTodoAbove(state, statement, message);
+  }
+}
+
+/**
+ * Handles the Statsig evaluation options of a client read and warns about
+ * anything that changes.
+ *
+ * @returns {boolean} true when the read must skip evaluation events
+ */
+function skipsEvaluationEvents(state, method, name, callPath) {
+  const options = callPath.node.arguments[1];
+  if (!options) {
+    return false;
+  }
+  if (state.exposures !== 'preserve') {
+    warn(state, `${method} options for '${name}' were dropped`, options);
+    return false;
+  }
+  const disabled = disablesExposureLog(options);
+  if (disabled === NOT_STATIC) {
+    inlineWarning(
+      state,
+      callPath,
+      `${method} options for '${name}' are not a literal, so this read always sends an evaluation event; ` +
+        'read the flag from allFlags() if it must not log an exposure'
+    );
+    return false;
+  }
+  if (disabled && !state.silentReadsConfigured) {
+    inlineWarning(
+      state,
+      callPath,
+      `allFlags() only skips evaluation events when the LaunchDarkly client is initialized with ` +
+        `\`sendEventsOnlyForVariation: true\`; set it where the client reading '${name}' is created`
+    );
+  }
+  return disabled;
+}
+
+/**
+ * `useFlags()` reads always send evaluation events, so hook options that
+ * disable exposure logging cannot be kept.
+ */
+function dropHookOptions(state, hook, name, callPath) {
+  const options = callPath.node.arguments[1];
+  if (!options) {
+    return;
+  }
+  if (state.exposures !== 'preserve') {
+    warn(state, `${hook} options for '${name}' were dropped`, options);
+  } else if (disablesExposureLog(options) !== false) {
+    inlineWarning(
+      state,
+      callPath,
+      `${hook} options for '${name}' were dropped: flags read from useFlags() always send an evaluation event; ` +
+        'read this flag with useLDClient().allFlags() if it must not log an exposure'
+    );
+  }
+}
+
+/**
+ * `client.allFlags()[key] ?? fallback`, or `client?.allFlags()[key] ??
+ * fallback` on the `useLDClient()` client.
+ */
+function silentRead(state, path, target, keyNode, fallback, fromHook) {
+  const { j } = state;
+  if (fromHook) {
+    addHookDependency(state, path, target.name);
+    const flags = clientCall(state, target, 'allFlags', [], true);
+    return j.logicalExpression('??', j.optionalMemberExpression(flags, keyNode, true, false), fallback);
+  }
+  const flags = clientCall(state, target, 'allFlags', []);
+  return j.logicalExpression('??', j.memberExpression(flags, keyNode, true), fallback);
+}
+
+/**
+ * `manuallyLogGateExposure(name)` → `variation(name, false)` and
+ * `manuallyLogConfigExposure(name)` → `variation(name, fallback)`, with
+ * the fallback of a read of the same config in this file when there is one.
+ */
+function migrateExposures(state) {
+  const { j } = state;
+  if (state.exposures !== 'preserve') {
+    return;
+  }
+  const kinds = [
+    ['manuallyLogGateExposure', 'gate'],
+    ['manuallyLogConfigExposure', 'config']
+  ];
+  for (const [method, kind] of kinds) {
+    for (const { memberPath, callPath, fromHook } of usagesOf(state, method)) {
+      if (state.blockedGates.has(callPath.node)) {
+        continue;
+      }
+      const [keyArg] = callPath.node.arguments;
+      const name = staticString(keyArg);
+      const target = ldClientFor(state, memberPath.get('object'));
+      if (!keyArg || !target) {
+        warn(state, `No LaunchDarkly client is reachable here; the exposure of ${kind} '${name}' is only logged to Statsig`, callPath.node);
+        continue;
+      }
+
+      let keyNode = keyArg;
+      let fallback = j.booleanLiteral(false);
+      if (kind === 'config') {
+        const read = state.report.configs.find((config) => config.name === name);
+        fallback = valueToNode(j, read ? read.fallback : {});
+      }
+      if (name === null) {
+        warn(state, `${method}() is called with a computed ${kind} name; make sure it matches a LaunchDarkly flag key`, callPath.node);
+      } else {
+        const key = state.flagKey(name);
+        keyNode = key === name ? keyArg : j.stringLiteral(key);
+        const line = lineOf(callPath.node);
+        if (kind === 'gate') {
+          state.report.gates.push({ name, key, api: method, line });
+        } else {
+          state.report.configs.push({ name, key, api: method, fallback: staticValue(fallback), line });
+        }
+      }
+
+      if (fromHook) {
+        addHookDependency(state, callPath, target.name);
+        callPath.replace(clientCall(state, target, 'variation', [keyNode, fallback], true));
+        continue;
+      }
+      memberPath.node.object = target;
+      memberPath.node.property = j.identifier('variation');
+      callPath.node.arguments = [keyNode, fallback];
+    }
+  }
+}
+
+module.exports = {
+  EXPOSURE_MODES,
+  hasSilentReads,
+  inlineWarning,
+  skipsEvaluationEvents,
+  dropHookOptions,
+  silentRead,
+  migrateExposures
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+const { staticString, lineOf } = require('./ast');
+const { warn } = require('./state');
+const { usagesOf, ldClientFor, hookClientRead } = require('./clients');
+const { skipsEvaluationEvents, silentRead } = require('./exposures');
+
+/**
+ * `client.checkGate('name')` → `client.variation('name', false)`.
+ *
+ * The fallback is always `false` to match Statsig's behaviour for unknown
+ * gates. Check options such as `disableExposureLog` have no equivalent on
+ * `variation()`; see exposures.js for how they are handled.
+ */
+function migrateGates(state) {
+  const { j } = state;
+  for (const { memberPath, callPath, fromHook } of usagesOf(state, 'checkGate')) {
+    if (state.blockedGates.has(callPath.node)) {
+      continue;
+    }
+    const [keyArg] = callPath.node.arguments;
+    const name = staticString(keyArg);
+    const target = ldClientFor(state, memberPath.get('object'));
+    if (!target) {
+      warn(state, `No LaunchDarkly client is reachable here; gate '${name}' was left on Statsig`, callPath.node);
+      continue;
+    }
+    const silent = skipsEvaluationEvents(state, 'checkGate', name, callPath);
+
+    let keyNode = keyArg;
+    if (name === null) {
+      warn(state, 'checkGate() is called with a computed gate name; make sure it matches a LaunchDarkly flag key', callPath.node);
+    } else {
+      const key = state.flagKey(name);
+      keyNode = key === name ? keyArg : j.stringLiteral(key);
+      state.report.gates.push({ name, key, api: 'checkGate', line: lineOf(callPath.node) });
+    }
+
+    if (silent) {
+      callPath.replace(silentRead(state, callPath, target, keyNode, j.booleanLiteral(false), fromHook));
+      continue;
+    }
+    if (fromHook) {
+      callPath.replace(hookClientRead(state, callPath, target, 'variation', [keyNode, j.booleanLiteral(false)], j.booleanLiteral(false)));
+      continue;
+    }
+    memberPath.node.object = target;
+    memberPath.node.property = j.identifier('variation');
+    callPath.node.arguments = [keyNode, j.booleanLiteral(false)];
+  }
+}
+
+module.exports = {
+  migrateGates
+};
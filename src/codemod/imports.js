@@ -0,0 +1,269 @@
+'use strict';
+
+const { STATSIG_SOURCES } = require('./statsig-api');
+const { isReference } = require('./ast');
+const { uniqueName } = require('./state');
+
+/**
+ * Records every binding imported from a Statsig package, for both ES module
+ * imports and `const { … } = require('…')`.
+ *
+ * @returns {boolean} whether the file uses Statsig at all
+ */
+function collectStatsigImports(state) {
+  const { j, root } = state;
+
+  root.find(j.ImportDeclaration).forEach((declarationPath) => {
+    const source = declarationPath.node.source.value;
+    if (!STATSIG_SOURCES.includes(source)) {
+      return;
+    }
+    declarationPath.get('specifiers').each((specifierPath) => {
+      const specifier = specifierPath.node;
+      let imported = '*';
+      if (specifier.type === 'ImportSpecifier') {
+        imported = specifier.imported.name || specifier.imported.value;
+      } else if (specifier.type === 'ImportDefaultSpecifier') {
+        imported = 'default';
+      }
+      state.statsigImports.set(specifier.local.name, {
+        source,
+        imported,
+        localNode: specifier.local,
+        specifierPath,
+        declarationPath
+      });
+    });
+    if (declarationPath.node.specifiers.length === 0) {
+      state.statsigImports.set(`<side-effect:${source}>`, { source, imported: null, declarationPath });
+    }
+  });
+
+  root
+    .find(j.VariableDeclarator, {
+      init: { type: 'CallExpression', callee: { type: 'Identifier', name: 'require' } }
+    })
+    .forEach((declaratorPath) => {
+      const [sourceNode] = declaratorPath.node.init.arguments;
+      const source = sourceNode && sourceNode.value;
+      if (!STATSIG_SOURCES.includes(source)) {
+        return;
+      }
+      state.moduleSystem = 'commonjs';
+      const id = declaratorPath.node.id;
+      if (id.type === 'Identifier') {
+        state.statsigImports.set(id.name, { source, imported: '*', localNode: id, declaratorPath });
+        return;
+      }
+      if (id.type !== 'ObjectPattern') {
+        return;
+      }
+      declaratorPath.get('id', 'properties').each((propertyPath) => {
+        const property = propertyPath.node;
+        if (property.type !== 'ObjectProperty' || property.value.type !== 'Identifier') {
+          return;
+        }
+        state.statsigImports.set(property.value.name, {
+          source,
+          imported: property.key.name || property.key.value,
+          localNode: property.value,
+          propertyPath,
+          declaratorPath
+        });
+      });
+    });
+
+  return state.statsigImports.size > 0;
+}
+
+/**
+ * Local name under which `imported` from `source` is bound, or null.
+ */
+function localFor(state, source, imported) {
+  for (const [local, entry] of state.statsigImports) {
+    if (entry.source === source && entry.imported === imported) {
+      return local;
+    }
+  }
+  return null;
+}
+
+/**
+ * Every local bound from `source`, as [local, importedName] pairs.
+ */
+function importsFrom(state, source) {
+  const result = [];
+  for (const [local, entry] of state.statsigImports) {
+    if (entry.source === source && entry.imported) {
+      result.push([local, entry.imported]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Queues a LaunchDarkly import and returns the local name to use for it.
+ * Imports are written out by finalizeImports once all passes have run.
+ *
+ * @param {object} state
+ * @param {string} source - module specifier, e.g. 'launchdarkly-js-client-sdk'
+ * @param {string} name - exported name, or the preferred local for a default import
+ * @param {object} [options]
+ * @param {boolean} [options.isDefault]
+ */
+function addImport(state, source, name, options = {}) {
+  if (!state.ldImports.has(source)) {
+    state.ldImports.set(source, { defaultLocal: null, named: new Map() });
+  }
+  const entry = state.ldImports.get(source);
+  if (options.isDefault) {
+    if (!entry.defaultLocal) {
+      entry.defaultLocal = uniqueName(state, name);
+    }
+    return entry.defaultLocal;
+  }
+  if (!entry.named.has(name)) {
+    entry.named.set(name, uniqueName(state, name));
+  }
+  return entry.named.get(name);
+}
+
+/**
+ * True when `name` is still read anywhere outside its own import.
+ */
+function isReferenced(state, name, ownNode) {
+  const { j, root } = state;
+  const identifiers = root
+    .find(j.Identifier, { name })
+    .filter((path) => path.node !== ownNode && isReference(path));
+  if (identifiers.size() > 0) {
+    return true;
+  }
+  return root.find(j.JSXIdentifier, { name }).filter((path) => {
+    const parent = path.parent.node;
+    return parent.type === 'JSXOpeningElement' || parent.type === 'JSXClosingElement' ||
+      (parent.type === 'JSXMemberExpression' && parent.object === path.node);
+  }).size() > 0;
+}
+
+/**
+ * Writes queued LaunchDarkly imports after the file's last import and drops
+ * Statsig import specifiers that are no longer referenced.
+ */
+function finalizeImports(state) {
+  insertLDImports(state);
+  pruneStatsigImports(state);
+}
+
+function buildImport(state, source, entry) {
+  const { j } = state;
+  const named = [...entry.named].map(([imported, local]) => ({ imported, local }));
+
+  if (state.moduleSystem === 'commonjs') {
+    const requireCall = j.callExpression(j.identifier('require'), [j.stringLiteral(source)]);
+    const declarations = [];
+    if (entry.defaultLocal) {
+      declarations.push(
+        j.variableDeclaration('const', [j.variableDeclarator(j.identifier(entry.defaultLocal), requireCall)])
+      );
+    }
+    if (named.length > 0) {
+      const pattern = j.objectPattern(named.map(({ imported, local }) => {
+        const property = j.objectProperty(j.identifier(imported), j.identifier(local));
+        property.shorthand = imported === local;
+        return property;
+      }));
+      declarations.push(j.variableDeclaration('const', [j.variableDeclarator(pattern, requireCall)]));
+    }
+    return declarations;
+  }
+
+  const specifiers = [];
+  if (entry.defaultLocal) {
+    specifiers.push(j.importDefaultSpecifier(j.identifier(entry.defaultLocal)));
+  }
+  for (const { imported, local } of named) {
+    specifiers.push(j.importSpecifier(j.identifier(imported), j.identifier(local)));
+  }
+  return [j.importDeclaration(specifiers, j.stringLiteral(source))];
+}
+
+function insertLDImports(state) {
+  const { j, root } = state;
+  const declarations = [];
+  for (const [source, entry] of state.ldImports) {
+    declarations.push(...buildImport(state, source, entry));
+  }
+  if (declarations.length === 0) {
+    return;
+  }
+
+  const body = root.find(j.Program).get('body');
+  let anchor = -1;
+  body.value.forEach((statement, index) => {
+    if (statement.type === 'ImportDeclaration' || isRequireDeclaration(statement)) {
+      anchor = index;
+    }
+  });
+  body.value.splice(anchor + 1, 0, ...declarations);
+}
+
+function isRequireDeclaration(statement) {
+  return statement.type === 'VariableDeclaration' && statement.declarations.some((declarator) =>
+    declarator.init && declarator.init.type === 'CallExpression' &&
+    declarator.init.callee.type === 'Identifier' && declarator.init.callee.name === 'require'
+  );
+}
+
+function pruneStatsigImports(state) {
+  const emptied = new Set();
+
+  for (const [local, entry] of state.statsigImports) {
+    if (!entry.localNode || isReferenced(state, local, entry.localNode)) {
+      continue;
+    }
+    if (entry.specifierPath) {
+      const declaration = entry.declarationPath.node;
+      declaration.specifiers = declaration.specifiers.filter((specifier) => specifier !== entry.specifierPath.node);
+      if (declaration.specifiers.length === 0) {
+        emptied.add(entry.declarationPath);
+      }
+    } else if (entry.propertyPath) {
+      const pattern = entry.declaratorPath.node.id;
+      pattern.properties = pattern.properties.filter((property) => property !== entry.propertyPath.node);
+      if (pattern.properties.length === 0) {
+        emptied.add(entry.declaratorPath.parent);
+      }
+    } else if (entry.declaratorPath) {
+      emptied.add(entry.declaratorPath.parent);
+    }
+  }
+
+  for (const path of emptied) {
+    removeKeepingComments(state, path);
+  }
+}
+
+/**
+ * Removes a top-level statement, moving its leading comments (such as a
+ * file header) onto the statement that follows it.
+ */
+function removeKeepingComments(state, path) {
+  const comments = (path.node.comments || []).filter((comment) => comment.leading);
+  const body = state.root.find(state.j.Program).get('body').value;
+  const index = body.indexOf(path.node);
+  const next = body[index + 1];
+  if (comments.length > 0 && next) {
+    next.comments = comments.concat(next.comments || []);
+  }
+  path.prune();
+}
+
+module.exports = {
+  collectStatsigImports,
+  localFor,
+  importsFrom,
+  addImport,
+  isReferenced,
+  finalizeImports
+};
@@ -0,0 +1,259 @@
+'use strict';
+
+const jscodeshift = require('jscodeshift');
+const { createState } = require('./state');
+const { analyze } = require('./analyze');
+const { finalizeImports, collectStatsigImports } = require('./imports');
+const { collectClientUsages } = require('./clients');
+const { findExperimentEdges } = require('./dependencies');
+const { migrateObservability } = require('./observability');
+const { migrateClients } = require('./clients');
+const { migrateReact } = require('./react');
+const { migrateGates } = require('./gates');
+const { migrateConfigs } = require('./configs');
+const { migrateDetails } = require('./details');
+const { migrateEvents } = require('./events');
+const { migrateExposures } = require('./exposures');
+const { migrateOverrides, usesOverrides } = require('./overrides');
+const { migrateToShim } = require('./shim');
+const { flagInitializeResponses } = require('./bootstrap');
+const { flagNames, refuseAccessorConflicts } = require('./accessors');
+const { migrateTypes } = require('./types');
+const { planConfig, migrateReceiverParams } = require('./configs');
+const { traceConfig, traceReceiver } = require('./config-flow');
+const { hookCalls } = require('./react');
+const { EXPERIMENT_METHODS, EXPERIMENT_HOOKS } = require('./statsig-api');
+
+// Order matters: observability collects plugins before clients and providers
+// are created, and client rewrites must exist before call sites are routed
+// to them. Types go last so every Statsig value they describe is gone.
+const PASSES = [
+  migrateObservability,
+  migrateClients,
+  migrateReact,
+  migrateGates,
+  migrateConfigs,
+  migrateDetails,
+  migrateExposures,
+  migrateOverrides,
+  migrateEvents,
+  migrateTypes
+];
+
+// Calls returning an object read with `.get()`, which can be passed to
+// other modules' functions.
+const CONFIG_METHODS = ['getConfig', 'getLayer', ...EXPERIMENT_METHODS];
+const CONFIG_HOOKS = ['useConfig', 'useLayer', ...EXPERIMENT_HOOKS];
+
+/**
+ * `.ts` files are parsed without JSX so `<T>value` assertions still parse;
+ * everything else (`.js`, `.jsx`, `.tsx`, `.mjs`, `.cjs`) uses the TSX parser.
+ */
+function parserFor(filePath) {
+  return /\.[cm]?ts$/.test(filePath) ? 'ts' : 'tsx';
+}
+
+/**
+ * Migrates one file's source from Statsig to LaunchDarkly.
+ *
+ * @param {string} source - file contents
+ * @param {object} [options]
+ * @param {string} [options.filePath] - used to pick the parser and label the report
+ * @param {object} [options.statsigExport] - readStatsigExports result; layers
+ *   only migrate when it shows they have no experiments, and its experiment
+ *   targeting gates stay on Statsig
+ * @param {object} [options.experimentGraph] - buildExperimentGraph result
+ *   covering every file being migrated; defaults to a graph of this file and
+ *   `statsigExport`
+ * @param {'drop'|'preserve'} [options.exposures] - `preserve` keeps
+ *   `disableExposureLog` reads free of evaluation events and rewrites manual
+ *   exposures; `drop` (the default) drops evaluation options with a warning
+ * @param {'flatten'|'multi'} [options.customIDs] - `multi` turns a
+ *   StatsigUser's customIDs into context kinds of a multi-context;
+ *   `flatten` (the default) makes them user attributes
+ * @param {boolean} [options.shim] - only point `@statsig/js-client` imports
+ *   at the StatsigClient shim, leaving call sites unchanged
+ * @param {object} [options.keyMap] - createFlagKeyMap result; flag keys are
+ *   read from it and new names are added to it. Defaults to a fresh map
+ *   with the `preserve` policy
+ * @param {string[]} [options.flagNames] - flags read by the other files
+ *   being migrated, checked with this file's for React accessor collisions
+ * @param {Map} [options.configReceivers] - receiverKey → traceReceiver
+ *   result for the imported functions this file passes configs to, whose
+ *   reads join the configs' fallbacks
+ * @param {{imported: string, index: number}[]} [options.receiverParams] -
+ *   exported function parameters other migrated files pass configs to; their
+ *   `.get()` reads become property reads
+ * @param {string} [options.overridesModule] - import specifier of the local
+ *   override module that Statsig override calls are routed to; defaults to
+ *   `./ld-overrides`. migratePaths writes the module
+ * @returns {{code: string, changed: boolean, report: object, receivers: object[]}}
+ *   `receivers` lists the configReceivers this file passes configs to, with
+ *   `migrated` false when a config passed to one stays on Statsig
+ */
+function migrateSource(source, options = {}) {
+  const filePath = options.filePath || 'input.js';
+  const j = jscodeshift.withParser(parserFor(filePath));
+  const root = j(source);
+  const state = createState(j, root, {
+    filePath,
+    source,
+    statsigExport: options.statsigExport,
+    experimentGraph: options.experimentGraph,
+    exposures: options.exposures,
+    customIDs: options.customIDs,
+    keyMap: options.keyMap,
+    configReceivers: options.configReceivers,
+    receiverParams: options.receiverParams,
+    overridesModule: options.overridesModule
+  });
+  if (state.configReceivers.size > 0 && collectStatsigImports(state)) {
+    // Traced up front so configs that end up staying on Statsig are known too.
+    state.clientUsages = collectClientUsages(state);
+    configCalls(state).forEach((callPath) => planConfig(state, callPath));
+  }
+
+  const changed = migrateState(state, options);
+  const code = changed ? root.toSource({ quote: 'single' }) : source;
+  state.report.migrated = code !== source;
+  return { code, changed: code !== source, report: state.report, receivers: receiverUsage(state) };
+}
+
+/**
+ * Runs the migration on a parsed file.
+ *
+ * @returns {boolean} false when the file is left unchanged
+ */
+function migrateState(state, options) {
+  const otherNames = options.flagNames || [];
+  if (options.shim) {
+    if (!migrateToShim(state, otherNames)) {
+      return false;
+    }
+  } else {
+    const usesStatsig = analyze(state);
+    if (usesStatsig && refuseAccessorConflicts(state, { otherNames })) {
+      return false;
+    }
+    // Server code building Statsig initializeValues usually has no client
+    // import, and modules receiving configs from other files may have none.
+    const initializeResponses = flagInitializeResponses(state);
+    const receiverParams = migrateReceiverParams(state);
+    if (initializeResponses === 0 && receiverParams === 0 && !usesStatsig) {
+      return false;
+    }
+    if (usesStatsig) {
+      for (const pass of PASSES) {
+        pass(state);
+      }
+      if (state.plugins.length > 0 && !state.pluginsConsumed) {
+        state.report.warnings.push({
+          message: 'Observability plugins were found but no LaunchDarkly client is created in this file; pass them to initialize()',
+          line: null
+        });
+      }
+    }
+    if (usesStatsig || receiverParams > 0) {
+      finalizeImports(state);
+    }
+  }
+  state.report.warnings.sort((a, b) => (a.line === null ? Infinity : a.line) - (b.line === null ? Infinity : b.line));
+  return true;
+}
+
+/**
+ * Config, layer and experiment calls in the file. Requires
+ * `state.clientUsages`.
+ */
+function configCalls(state) {
+  return [
+    ...state.clientUsages
+      .filter(({ method, callPath }) => CONFIG_METHODS.includes(method) && callPath)
+      .map(({ callPath }) => callPath),
+    ...CONFIG_HOOKS.flatMap((hook) => hookCalls(state, hook))
+  ];
+}
+
+/**
+ * The other modules' functions this file passes configs to, and whether
+ * every config passed to each was migrated.
+ */
+function receiverUsage(state) {
+  const usage = new Map();
+  for (const trace of state.configTraces.values()) {
+    for (const receiver of trace.receivers) {
+      const key = `${receiver.file}#${receiver.imported}#${receiver.index}`;
+      const { migrated = true } = usage.get(key) || {};
+      usage.set(key, { file: receiver.file, imported: receiver.imported, index: receiver.index, migrated: migrated && trace.rewritten });
+    }
+  }
+  return [...usage.values()];
+}
+
+/**
+ * What the other files need to know about one file's source before any file
+ * is migrated: its gate → experiment edges, for the experiment graph, the
+ * flags it reads, for React accessor collisions, the imported functions it
+ * passes configs to, to trace in their modules, and whether it calls
+ * Statsig override APIs, to place the local override module.
+ *
+ * @param {string} source
+ * @param {object} [options]
+ * @param {string} [options.filePath]
+ * @returns {{dependencies: {gate: string, experiment: string, reason: string, file: string, line: number|null}[],
+ *   flagNames: string[], configImports: {source: string, imported: string, index: number}[],
+ *   overrides: boolean, commonjs: boolean}}
+ */
+function scanSource(source, options = {}) {
+  const filePath = options.filePath || 'input.js';
+  const j = jscodeshift.withParser(parserFor(filePath));
+  const state = createState(j, j(source), { filePath, source });
+  if (!collectStatsigImports(state)) {
+    return { dependencies: [], flagNames: [], configImports: [], overrides: false, commonjs: false };
+  }
+  state.clientUsages = collectClientUsages(state);
+  return {
+    dependencies: findExperimentEdges(state).map((edge) => ({ ...edge, file: filePath })),
+    flagNames: flagNames(state),
+    configImports: configCalls(state).flatMap((callPath) => traceConfig(state, callPath).imports),
+    overrides: usesOverrides(state),
+    commonjs: state.moduleSystem === 'commonjs'
+  };
+}
+
+/**
+ * Traces the parameters of exported functions that other files pass
+ * configs to, without migrating the module.
+ *
+ * @param {string} source
+ * @param {object} options
+ * @param {string} options.filePath
+ * @param {{imported: string, index: number}[]} options.receivers
+ * @returns {object[]} traceReceiver results, in the order of `receivers`
+ */
+function scanConfigReceivers(source, options) {
+  const j = jscodeshift.withParser(parserFor(options.filePath));
+  const state = createState(j, j(source), { filePath: options.filePath, source });
+  return options.receivers.map(({ imported, index }) => traceReceiver(state, imported, index));
+}
+
+/**
+ * Gate → experiment edges found in one file's source, without migrating it.
+ * Used to build an experiment graph across files before any is migrated.
+ *
+ * @param {string} source
+ * @param {object} [options]
+ * @param {string} [options.filePath]
+ * @returns {{gate: string, experiment: string, reason: string, file: string, line: number|null}[]}
+ */
+function findExperimentDependencies(source, options = {}) {
+  return scanSource(source, options).dependencies;
+}
+
+module.exports = {
+  parserFor,
+  migrateSource,
+  scanSource,
+  scanConfigReceivers,
+  findExperimentDependencies
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const { staticString, lineOf } = require('./ast');
+const { planConfig } = require('./configs');
+const { warn } = require('./state');
+
+/**
+ * Decides whether a layer can leave Statsig. A layer is a container of
+ * parameters that experiments allocate users into, so it can only become a
+ * plain JSON flag when a Statsig export shows no experiment runs in it.
+ * Without that evidence the layer is assumed to back experiments.
+ *
+ * @param {object|null} statsigExport - result of readStatsigExports, if given
+ * @param {string} name
+ * @returns {{migrate: boolean, reason: string, experiments: string[]}}
+ */
+function layerPolicy(statsigExport, name) {
+  if (!statsigExport) {
+    return {
+      migrate: false,
+      reason: 'No Statsig export was given to show the layer has no experiments; layers usually back experiments, so it stays on Statsig',
+      experiments: []
+    };
+  }
+  const layer = statsigExport.layers.find((candidate) => candidate.name === name);
+  if (!layer) {
+    return {
+      migrate: false,
+      reason: 'Layer is not in the Statsig export; layers usually back experiments, so it stays on Statsig',
+      experiments: []
+    };
+  }
+  if (layer.experiments.length > 0) {
+    return {
+      migrate: false,
+      reason: `Backs experiment(s) ${layer.experiments.join(', ')}, which stay on Statsig`,
+      experiments: [...layer.experiments]
+    };
+  }
+  return {
+    migrate: true,
+    reason: 'No experiments run in this layer; migrated to a JSON flag',
+    experiments: []
+  };
+}
+
+/**
+ * Classifies a `getLayer()`/`useLayer()` call during analysis. Migratable
+ * layers are planned like configs (every read must be a `.get()` call);
+ * the rest are recorded with their decision.
+ *
+ * @returns {boolean} true when the call will be migrated
+ */
+function classifyLayer(state, callPath, api) {
+  const name = staticString(callPath.node.arguments[0]);
+  const line = lineOf(callPath.node);
+  const policy = name === null
+    ? { migrate: false, reason: 'Layer name is not a string literal', experiments: [] }
+    : layerPolicy(state.statsigExport, name);
+
+  if (policy.migrate) {
+    const plan = planConfig(state, callPath);
+    state.configPlans.set(callPath.node, plan);
+    if (plan) {
+      return true;
+    }
+    state.report.layers.push({
+      name,
+      api,
+      decision: 'failed',
+      reason: `${state.configTraces.get(callPath.node).escape.replace(/^config/, 'layer')}, so no JSON fallback could be built`,
+      experiments: [],
+      line
+    });
+    return false;
+  }
+
+  state.report.layers.push({ name, api, decision: 'blocked', reason: policy.reason, experiments: policy.experiments, line });
+  warn(state, `Layer '${name}' is not migrated and stays on Statsig`, callPath.node);
+  return false;
+}
+
+module.exports = {
+  layerPolicy,
+  classifyLayer
+};
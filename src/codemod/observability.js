@@ -0,0 +1,94 @@
+'use strict';
+
+const {
+  SESSION_REPLAY,
+  WEB_ANALYTICS,
+  LD_OBSERVABILITY,
+  LD_SESSION_REPLAY,
+  OBSERVABILITY_EXPORTS
+} = require('./statsig-api');
+const { propertyName, enclosingStatement } = require('./ast');
+const { importsFrom, addImport } = require('./imports');
+const { warn } = require('./state');
+const { sessionReplayOptions, autoCaptureOptions } = require('./plugin-options');
+
+// LaunchDarkly plugin order in the README examples.
+const PLUGIN_ORDER = ['autoCapture', 'sessionReplay'];
+
+/**
+ * Statsig observability entry points used in the file, as
+ * [local, kind] pairs where kind is 'sessionReplay' or 'autoCapture'.
+ */
+function observabilityLocals(state) {
+  return [...importsFrom(state, SESSION_REPLAY), ...importsFrom(state, WEB_ANALYTICS)]
+    .filter(([, imported]) => OBSERVABILITY_EXPORTS[imported])
+    .map(([local, imported]) => [local, OBSERVABILITY_EXPORTS[imported]]);
+}
+
+function addPlugin(state, kind, optionsPath) {
+  const { j } = state;
+  if (state.plugins.some((plugin) => plugin.kind === kind)) {
+    return;
+  }
+  const args = kind === 'sessionReplay'
+    ? sessionReplayOptions(state, optionsPath)
+    : autoCaptureOptions(state, optionsPath);
+  const [source, preferred] = kind === 'sessionReplay'
+    ? [LD_SESSION_REPLAY, 'SessionReplay']
+    : [LD_OBSERVABILITY, 'Observability'];
+
+  state.plugins.push({
+    kind,
+    build: () => j.newExpression(j.identifier(addImport(state, source, preferred, { isDefault: true })), args)
+  });
+  state.plugins.sort((a, b) => PLUGIN_ORDER.indexOf(a.kind) - PLUGIN_ORDER.indexOf(b.kind));
+}
+
+/**
+ * Removes `plugin` from the array holding it, and the `plugins` property
+ * itself once it is empty.
+ */
+function removeFromPluginArray(path) {
+  const array = path.parent;
+  array.node.elements = array.node.elements.filter((element) => element !== path.node);
+  const property = array.parent;
+  if (array.node.elements.length === 0 && property && propertyName(property.node) === 'plugins') {
+    property.prune();
+  }
+}
+
+/**
+ * Moves Statsig session replay and autocapture onto LaunchDarkly plugins:
+ * `runStatsigSessionReplay(client)` / `new StatsigSessionReplayPlugin()` →
+ * `new SessionReplay()`, and the autocapture equivalents → `new Observability()`.
+ * The plugins are collected on the state and passed to the LaunchDarkly
+ * client or provider when it is created.
+ */
+function migrateObservability(state) {
+  const { j, root } = state;
+  for (const [local, kind] of observabilityLocals(state)) {
+    root.find(j.CallExpression, { callee: { type: 'Identifier', name: local } }).forEach((path) => {
+      const statement = enclosingStatement(path);
+      if (!statement || statement.node.type !== 'ExpressionStatement' || statement.node.expression !== path.node) {
+        warn(state, `${local}() is used as a value and was not migrated`, path.node);
+        return;
+      }
+      addPlugin(state, kind, path.get('arguments', 1));
+      statement.prune();
+    });
+
+    root.find(j.NewExpression, { callee: { type: 'Identifier', name: local } }).forEach((path) => {
+      if (path.parent.node.type !== 'ArrayExpression') {
+        warn(state, `new ${local}() is not in a plugins array and was not migrated`, path.node);
+        return;
+      }
+      addPlugin(state, kind, path.get('arguments', 0));
+      removeFromPluginArray(path);
+    });
+  }
+}
+
+module.exports = {
+  observabilityLocals,
+  migrateObservability
+};
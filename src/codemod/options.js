@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * StatsigOptions → LDOptions. Each option in OPTIONS either carries over
+ * under its LaunchDarkly name, is translated by a function, or is dropped
+ * with a reason. Options the table does not know are dropped too. Dropped
+ * options are listed under `droppedOptions` in the file report.
+ *
+ * Options are only translated from an object literal, written inline or
+ * in a `const`; anything else is dropped as a whole.
+ */
+
+const { NOT_STATIC, unwrapExpression, staticValue, propertyName, resolveObjectLiteral, cloneNode, lineOf } = require('./ast');
+const { warn } = require('./state');
+
+// Hosts of Statsig's own APIs; an endpoint option pointing at one is not
+// carried over, since LaunchDarkly uses its own endpoints by default.
+const STATSIG_HOSTS = /(^|[./])(statsig\.com|statsigapi\.net|featuregates\.org)(\/|:|$)/;
+
+const NO_NETWORK = 'LaunchDarkly client SDKs have no local mode; bootstrap flag values instead of fetching them';
+const NO_PAGE_URL = 'LaunchDarkly events do not carry the current page URL';
+
+/**
+ * `to`: the LaunchDarkly option taking the value as is. `translate`:
+ * returns the LDOptions properties for the value, or a string reason to
+ * drop it. `reason`: the option is always dropped. `nested`: the option is
+ * an object of options.
+ */
+const OPTIONS = {
+  loggingIntervalMs: { to: 'flushInterval' },
+  loggingIntervalMillis: { to: 'flushInterval' },
+  loggingBufferMaxSize: { to: 'eventCapacity' },
+  disableLogging: { translate: negated('sendEvents') },
+  disableAutoMetricsLogging: { to: 'diagnosticOptOut' },
+  eventLoggingAPI: { translate: endpoint('eventsUrl') },
+  eventLoggingApi: { translate: endpoint('eventsUrl') },
+  api: { translate: endpoint('baseUrl') },
+  initTimeoutMs: { translate: initTimeout },
+  disableLocalStorage: { translate: localStorageCache },
+  disableStorage: { translate: localStorageCache },
+  environment: { translate: environment },
+  overrideStableID: { reason: 'LaunchDarkly has no stable ID; put the ID in the context key or a context attribute' },
+  localMode: { reason: NO_NETWORK },
+  disableCurrentPageLogging: { reason: NO_PAGE_URL },
+  includeCurrentPageUrlWithEvents: { reason: NO_PAGE_URL },
+  disableErrorLogging: { reason: 'LaunchDarkly client SDKs do not report their own errors; the Observability plugin records application errors' },
+  ignoreWindowUndefined: { reason: 'the LaunchDarkly JavaScript client SDK always runs in a browser window' },
+  logLevel: { reason: 'pass `logger: basicLogger({ level })` from the LaunchDarkly SDK instead' },
+  networkConfig: {
+    nested: {
+      api: { translate: endpoint('baseUrl') },
+      logEventUrl: { translate: endpoint('eventsUrl') },
+      initializeUrl: { translate: endpoint('baseUrl') },
+      networkTimeoutMs: { reason: 'LaunchDarkly client SDKs have no request timeout; the waitForInitialization() timeout bounds initialization' },
+      preventAllNetworkTraffic: { reason: NO_NETWORK }
+    }
+  }
+};
+
+// Translated elsewhere: plugins by observability.js.
+const HANDLED_ELSEWHERE = ['plugins'];
+
+function property(j, name, value) {
+  return j.objectProperty(j.identifier(name), value);
+}
+
+function negated(ldName) {
+  return (state, valueNode, value) => {
+    if (typeof value !== 'boolean') {
+      return 'the value is not a literal boolean';
+    }
+    return [property(state.j, ldName, state.j.booleanLiteral(!value))];
+  };
+}
+
+function endpoint(ldName) {
+  return (state, valueNode, value, option) => {
+    if (typeof value === 'string' && STATSIG_HOSTS.test(value.replace(/^[a-z]+:\/\//, ''))) {
+      return `it points at Statsig; LaunchDarkly uses its own ${ldName} by default`;
+    }
+    warn(state, `${ldName} is set from StatsigOptions ${option}; the service there must relay LaunchDarkly traffic`, valueNode);
+    return [property(state.j, ldName, cloneNode(valueNode))];
+  };
+}
+
+function initTimeout(state, valueNode, value, option, result) {
+  if (typeof value !== 'number') {
+    return 'the value is not a literal number; pass the timeout in seconds to waitForInitialization()';
+  }
+  result.timeoutSeconds = value / 1000;
+  return [];
+}
+
+// Statsig caches values in local storage unless told not to; LaunchDarkly
+// only does with `bootstrap: 'localStorage'`.
+function localStorageCache(state, valueNode, value) {
+  if (typeof value !== 'boolean') {
+    return 'the value is not a literal boolean';
+  }
+  return value ? [] : [property(state.j, 'bootstrap', state.j.stringLiteral('localStorage'))];
+}
+
+function environment(state, valueNode, value) {
+  const tier = value !== NOT_STATIC && value && typeof value.tier === 'string' ? value.tier : null;
+  return 'LaunchDarkly selects the environment by client-side ID' +
+    (tier ? `; use the ID of your '${tier}' environment` : '');
+}
+
+function drop(state, result, option, reason, node) {
+  result.dropped.push(option);
+  state.report.droppedOptions.push({ option, api: result.api, reason, line: lineOf(node) });
+}
+
+function translateObject(state, object, table, prefix, result) {
+  for (const prop of object.properties) {
+    const name = propertyName(prop);
+    if (name === null) {
+      drop(state, result, prefix ? `${prefix}.…` : '…', 'spread and computed options cannot be translated', prop);
+      continue;
+    }
+    if (!prefix && HANDLED_ELSEWHERE.includes(name)) {
+      continue;
+    }
+    const option = prefix ? `${prefix}.${name}` : name;
+    const entry = table[name];
+    if (!entry) {
+      drop(state, result, option, 'no LaunchDarkly counterpart', prop);
+    } else if (entry.reason) {
+      drop(state, result, option, entry.reason, prop);
+    } else if (entry.nested) {
+      const value = unwrapExpression(prop.value);
+      if (value.type === 'ObjectExpression') {
+        translateObject(state, value, entry.nested, option, result);
+      } else {
+        drop(state, result, option, 'the value is not an object literal', prop);
+      }
+    } else if (entry.to) {
+      result.properties.push(property(state.j, entry.to, cloneNode(prop.value)));
+    } else {
+      const translated = entry.translate(state, prop.value, staticValue(prop.value), option, result);
+      if (typeof translated === 'string') {
+        drop(state, result, option, translated, prop);
+      } else {
+        result.properties.push(...translated);
+      }
+    }
+  }
+}
+
+/**
+ * Translates the StatsigOptions at `optionsPath` and records the options
+ * that were dropped.
+ *
+ * @param {string} api - Statsig API the options are passed to, for the report
+ * @returns {{properties: object[], timeoutSeconds: number|null, dropped: string[]}}
+ *   LDOptions properties, the `initTimeoutMs` in seconds, and the names of
+ *   the dropped options
+ */
+function translateOptions(state, optionsPath, api) {
+  const result = { api, properties: [], timeoutSeconds: null, dropped: [] };
+  const object = resolveObjectLiteral(optionsPath);
+  if (!object) {
+    drop(state, result, state.source.slice(optionsPath.node.start, optionsPath.node.end) || 'options',
+      'the options are not an object literal; translate them to LDOptions by hand', optionsPath.node);
+  } else {
+    translateObject(state, object, OPTIONS, '', result);
+  }
+  if (result.dropped.length > 0) {
+    warn(state, `${api} options without an LDOptions counterpart were dropped (${result.dropped.join(', ')}); see dropped_options`, optionsPath.node);
+  }
+  return result;
+}
+
+module.exports = {
+  translateOptions
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Statsig override APIs → the local override module (src/local-overrides.js):
+ * - `client.overrideGate(name, value)`, `overrideConfig()` and
+ *   `overrideLayer()` → `overrideFlag(ldClient, key, value)`
+ * - `client.removeGateOverride(name)` and the config and layer equivalents
+ *   → `removeOverride(ldClient, key)`, or `removeAllOverrides(ldClient)`
+ *   without a name
+ *
+ * Overrides of gates and layers that stay on Statsig stay with them.
+ */
+
+const { staticString, lineOf } = require('./ast');
+const { warn } = require('./state');
+const { ldClientFor } = require('./clients');
+const { addImport } = require('./imports');
+const { layerPolicy } = require('./layers');
+const { edgesForGate } = require('../experiment-graph');
+
+// Statsig client method → kind of flag it overrides.
+const OVERRIDE_METHODS = {
+  overrideGate: 'gate',
+  overrideConfig: 'config',
+  overrideLayer: 'layer',
+  removeGateOverride: 'gate',
+  removeConfigOverride: 'config',
+  removeLayerOverride: 'layer'
+};
+
+function overrideCalls(state) {
+  return state.clientUsages.filter(({ method, callPath }) => method in OVERRIDE_METHODS && callPath);
+}
+
+function isRemoval(method) {
+  return method.startsWith('remove');
+}
+
+/**
+ * Decides during analysis whether an override call can move to the local
+ * override module. Overrides of gates experiments depend on and of layers
+ * that are not migrated are recorded as blocked.
+ *
+ * @param {object} graph - buildExperimentGraph result
+ * @returns {boolean} true when the call will be migrated
+ */
+function planOverride(state, graph, callPath, method) {
+  const kind = OVERRIDE_METHODS[method];
+  const [keyArg, value] = callPath.node.arguments;
+  if (!isRemoval(method) && (!keyArg || !value)) {
+    return false;
+  }
+  const name = keyArg ? staticString(keyArg) : null;
+  const stays = name !== null && (
+    (kind === 'gate' && edgesForGate(graph, name).length > 0) ||
+    (kind === 'layer' && !layerPolicy(state.statsigExport, name).migrate)
+  );
+  if (stays) {
+    state.keptOverrides.add(callPath.node);
+    state.report.blocked.push({
+      name: `${method}()`,
+      type: 'unsupported_api',
+      reason: `${kind === 'gate' ? 'Gate' : 'Layer'} '${name}' stays on Statsig, so its override does too`,
+      line: lineOf(callPath.node)
+    });
+  }
+  return !stays;
+}
+
+/**
+ * Rewrites the override calls planned by analysis.
+ */
+function migrateOverrides(state) {
+  const { j } = state;
+  for (const { method, memberPath, callPath } of overrideCalls(state)) {
+    const kind = OVERRIDE_METHODS[method];
+    if (state.keptOverrides.has(callPath.node)) {
+      continue;
+    }
+    const [keyArg, ...rest] = callPath.node.arguments;
+    const name = keyArg ? staticString(keyArg) : null;
+    const target = ldClientFor(state, memberPath.get('object'));
+    if (!target) {
+      warn(state, `No LaunchDarkly client is reachable here; the ${kind} override stays on Statsig`, callPath.node);
+      continue;
+    }
+    const ignored = isRemoval(method) ? rest : rest.slice(1);
+    if (ignored.length > 0) {
+      warn(state, `${method}() applies to every context in LaunchDarkly; its user ID argument was dropped`, ignored[0]);
+    }
+
+    const key = name === null ? null : state.flagKey(name);
+    let fn = isRemoval(method) ? 'removeOverride' : 'overrideFlag';
+    const args = [target];
+    if (!keyArg) {
+      fn = 'removeAllOverrides';
+      warn(state, `${method}() without a name now removes every override, not only ${kind} overrides`, callPath.node);
+    } else if (name === null) {
+      warn(state, `${method}() is called with a computed ${kind} name; make sure it matches a LaunchDarkly flag key`, callPath.node);
+      args.push(keyArg);
+    } else {
+      args.push(key === name ? keyArg : j.stringLiteral(key));
+    }
+    if (!isRemoval(method)) {
+      args.push(rest[0]);
+    }
+    state.report.overrides.push({ name, type: kind, key, line: lineOf(callPath.node) });
+    callPath.replace(j.callExpression(j.identifier(addImport(state, state.overridesModule, fn)), args));
+  }
+}
+
+/**
+ * True when the file calls a Statsig override API. Requires
+ * `state.clientUsages`.
+ */
+function usesOverrides(state) {
+  return overrideCalls(state).length > 0;
+}
+
+module.exports = {
+  OVERRIDE_METHODS,
+  planOverride,
+  migrateOverrides,
+  usesOverrides
+};
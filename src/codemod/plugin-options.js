@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * Statsig session replay and autocapture options → options of the
+ * LaunchDarkly SessionReplay and Observability plugins. Every option is
+ * recorded under `pluginOptions` in the file report as one of:
+ * - mapped: the plugin does the same under the option in `to`
+ * - approximated: the plugin does something close, explained in `note`
+ * - dropped: the plugin has no counterpart, explained in `note`
+ *
+ * Options are only translated from an object literal, written inline or in
+ * a `const`.
+ */
+
+const { propertyName, staticValue, cloneNode, lineOf, resolveObjectLiteral, propertyKey, unwrapExpression } = require('./ast');
+const { warn } = require('./state');
+
+// LaunchDarkly privacy settings, least to most masked.
+const PRIVACY_LEVELS = ['none', 'default', 'strict'];
+
+// The OpenTelemetry instrumentation the Observability plugin traces DOM
+// events with, and the events each Statsig capture option turns on.
+const USER_INTERACTION = '@opentelemetry/instrumentation-user-interaction';
+const CAPTURE_EVENTS = {
+  captureClicks: 'click',
+  captureScrolls: 'scroll',
+  captureFormSubmits: 'submit'
+};
+
+const SESSION_REPLAY_OPTIONS = {
+  privacyMask: { privacy: (value) => (value ? 'strict' : 'none'), status: 'mapped' },
+  maskAllInputs: {
+    privacy: (value) => (value ? 'default' : 'none'),
+    status: 'approximated',
+    note: "LaunchDarkly masks by privacySetting level: 'default' masks inputs, 'strict' also masks text"
+  },
+  maskTextContent: {
+    privacy: (value) => (value ? 'strict' : 'none'),
+    status: 'approximated',
+    note: "LaunchDarkly masks by privacySetting level: only 'strict' masks text, and it masks inputs too"
+  },
+  inlineStylesheet: { to: 'inlineStylesheet' },
+  sampling: { note: 'SessionReplay has no sampling rate; pass `manualStart: true` and call `LDRecord.start()` in the sessions to record' },
+  maxSessionDurationMs: { note: 'LaunchDarkly ends recordings on its own session length limit' },
+  recordConsoleErrors: { note: 'console errors are recorded by the Observability plugin (`reportConsoleErrors`)' },
+  rrwebConfig: { note: 'SessionReplay does not take recorder options; use privacySetting for masking' }
+};
+
+const AUTO_CAPTURE_OPTIONS = {
+  capturePerformance: { to: 'enablePerformanceRecording' },
+  captureErrors: { always: 'the Observability plugin always records uncaught errors' },
+  capturePageViews: {
+    always: 'the Observability plugin always traces page loads',
+    note: 'page loads are traced as document loads; route changes of a single-page app are not recorded'
+  }
+};
+for (const option of Object.keys(CAPTURE_EVENTS)) {
+  AUTO_CAPTURE_OPTIONS[option] = {
+    events: true,
+    note: `enabled events are traced as OpenTelemetry user-interaction spans (${USER_INTERACTION} eventNames), not sent as analytics events`
+  };
+}
+
+function record(state, result, option, status, node, details = {}) {
+  result[status].push(option);
+  state.report.pluginOptions.push({ plugin: result.plugin, option, status, ...details, line: lineOf(node) });
+}
+
+/**
+ * Warns about the approximated and dropped options, which change what is
+ * recorded.
+ */
+function warnLossy(state, result, label, node) {
+  const parts = [];
+  if (result.approximated.length > 0) {
+    parts.push(`approximated (${result.approximated.join(', ')})`);
+  }
+  if (result.dropped.length > 0) {
+    parts.push(`dropped (${result.dropped.join(', ')})`);
+  }
+  if (parts.length > 0) {
+    warn(state, `${label} options were ${parts.join(' or ')} on the ${result.plugin} plugin; see plugin_options`, node);
+  }
+}
+
+/**
+ * The object literal of the options at `optionsPath`, recording them as
+ * dropped when they are not one. Null when there are no options to translate.
+ */
+function optionsObject(state, optionsPath, result) {
+  // `.node` of a missing argument is the call it is missing from.
+  if (!optionsPath.value) {
+    return null;
+  }
+  const object = resolveObjectLiteral(optionsPath);
+  if (!object) {
+    record(state, result, state.source.slice(optionsPath.node.start, optionsPath.node.end) || 'options', 'dropped', optionsPath.node,
+      { note: 'the options are not an object literal; translate them by hand' });
+  }
+  return object;
+}
+
+/**
+ * Translates Statsig session replay options to SessionReplay plugin
+ * options. The masking options are combined into the privacySetting that
+ * masks at least everything any of them did.
+ *
+ * @returns {object[]} arguments for `new SessionReplay()`
+ */
+function sessionReplayOptions(state, optionsPath) {
+  const { j } = state;
+  const result = { plugin: 'SessionReplay', mapped: [], approximated: [], dropped: [] };
+  const object = optionsObject(state, optionsPath, result);
+  const properties = [];
+  let privacy = -1;
+  for (const prop of object ? object.properties : []) {
+    const name = propertyName(prop);
+    const entry = name === null ? null : SESSION_REPLAY_OPTIONS[name];
+    const value = staticValue(prop.value);
+    if (entry && entry.privacy && typeof value === 'boolean') {
+      privacy = Math.max(privacy, PRIVACY_LEVELS.indexOf(entry.privacy(value)));
+      record(state, result, name, entry.status, prop, { to: 'privacySetting', ...(entry.note && { note: entry.note }) });
+    } else if (entry && entry.to) {
+      properties.push(j.objectProperty(j.identifier(entry.to), cloneNode(prop.value)));
+      record(state, result, name, 'mapped', prop, { to: entry.to });
+    } else {
+      const note = entry ? (entry.privacy ? 'the value is not a literal boolean' : entry.note)
+        : name === null ? 'spread and computed options cannot be translated' : 'no SessionReplay counterpart';
+      record(state, result, name || '…', 'dropped', prop, { note });
+    }
+  }
+  if (privacy >= 0) {
+    properties.unshift(j.objectProperty(j.identifier('privacySetting'), j.stringLiteral(PRIVACY_LEVELS[privacy])));
+  }
+  warnLossy(state, result, 'Session replay', optionsPath.node);
+  return properties.length > 0 ? [j.objectExpression(properties)] : [];
+}
+
+/**
+ * `shouldPreventSpanCreation` for the user-interaction instrumentation,
+ * calling the Statsig `eventFilterFunc` with the DOM event type as the event
+ * name and skipping the events it filters out.
+ */
+function eventFilterAdapter(state, filter) {
+  const { j } = state;
+  const call = (callee) => j.unaryExpression('!', j.callExpression(callee, [j.objectExpression([
+    j.objectProperty(j.identifier('eventName'), j.identifier('eventType')),
+    j.objectProperty.from({ key: j.identifier('element'), value: j.identifier('element'), shorthand: true })
+  ])]));
+  const params = [j.identifier('eventType'), j.identifier('element')];
+  if (state.typescript) {
+    params[0].typeAnnotation = j.tsTypeAnnotation(j.tsStringKeyword());
+    params[1].typeAnnotation = j.tsTypeAnnotation(j.tsTypeReference(j.identifier('HTMLElement')));
+  }
+  if (unwrapExpression(filter).type === 'Identifier') {
+    return j.arrowFunctionExpression(params, call(cloneNode(filter)));
+  }
+  return j.arrowFunctionExpression(params, j.blockStatement([
+    j.variableDeclaration('const', [j.variableDeclarator(j.identifier('eventFilterFunc'), cloneNode(filter))]),
+    j.returnStatement(call(j.identifier('eventFilterFunc')))
+  ]));
+}
+
+/**
+ * Translates Statsig autocapture options to Observability plugin options.
+ * The click, scroll and form submit options choose the DOM events the
+ * user-interaction instrumentation traces, and `eventFilterFunc` decides
+ * which of them make a span.
+ *
+ * @returns {object[]} arguments for `new Observability()`
+ */
+function autoCaptureOptions(state, optionsPath) {
+  const { j } = state;
+  const result = { plugin: 'Observability', mapped: [], approximated: [], dropped: [] };
+  const object = optionsObject(state, optionsPath, result);
+  const properties = [];
+  const events = new Set(Object.values(CAPTURE_EVENTS));
+  const interaction = [];
+  for (const prop of object ? object.properties : []) {
+    const name = propertyName(prop);
+    const entry = name === null ? null : AUTO_CAPTURE_OPTIONS[name];
+    const value = staticValue(prop.value);
+    if (name === 'eventFilterFunc') {
+      interaction.push(j.objectProperty(j.identifier('shouldPreventSpanCreation'), eventFilterAdapter(state, prop.value)));
+      record(state, result, name, 'approximated', prop, {
+        to: `otel.instrumentations['${USER_INTERACTION}'].shouldPreventSpanCreation`,
+        note: 'the filter now receives `{ eventName, element }` for DOM events (click, scroll, submit) instead of Statsig autocapture events; check what it tests'
+      });
+    } else if (entry && entry.to) {
+      properties.push(j.objectProperty(j.identifier(entry.to), cloneNode(prop.value)));
+      record(state, result, name, 'mapped', prop, { to: entry.to });
+    } else if (entry && entry.events && typeof value === 'boolean') {
+      if (!value) {
+        events.delete(CAPTURE_EVENTS[name]);
+      }
+      result.capture = true;
+      record(state, result, name, 'approximated', prop, { to: `otel.instrumentations['${USER_INTERACTION}'].eventNames`, note: entry.note });
+    } else if (entry && entry.always && value === true) {
+      record(state, result, name, entry.note ? 'approximated' : 'mapped', prop, entry.note ? { note: entry.note } : {});
+    } else if (entry && entry.always && value === false) {
+      record(state, result, name, 'dropped', prop, { note: entry.always });
+    } else {
+      const note = entry ? 'the value is not a literal boolean'
+        : name === null ? 'spread and computed options cannot be translated' : 'no Observability counterpart';
+      record(state, result, name || '…', 'dropped', prop, { note });
+    }
+  }
+  if (result.capture) {
+    interaction.unshift(j.objectProperty(j.identifier('eventNames'),
+      j.arrayExpression([...events].map((event) => j.stringLiteral(event)))));
+  }
+  if (interaction.length > 0) {
+    properties.push(j.objectProperty(j.identifier('otel'), j.objectExpression([
+      j.objectProperty(j.identifier('instrumentations'), j.objectExpression([
+        j.objectProperty(propertyKey(j, USER_INTERACTION), j.objectExpression(interaction))
+      ]))
+    ])));
+  }
+  warnLossy(state, result, 'Autocapture', optionsPath.node);
+  return properties.length > 0 ? [j.objectExpression(properties)] : [];
+}
+
+module.exports = {
+  sessionReplayOptions,
+  autoCaptureOptions
+};
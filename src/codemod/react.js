@@ -0,0 +1,253 @@
+'use strict';
+
+const { REACT_BINDINGS, LD_REACT_SDK } = require('./statsig-api');
+const { staticString, cloneNode, memberAccess, valueToNode, lineOf, enclosingFunction } = require('./ast');
+const { localFor, addImport } = require('./imports');
+const { localName, warn } = require('./state');
+const { ldOptionsFor, SDK_KEY_TODO } = require('./clients');
+const { translateOptions } = require('./options');
+const { contextFor } = require('./user-context');
+const { buildFallback, rewriteUses } = require('./configs');
+const { dropHookOptions } = require('./exposures');
+const { removeUnusedValues } = require('./bootstrap');
+
+/**
+ * Expression for the component's `useFlags()` result. Declares
+ * `const flags = useFlags();` at the top of the enclosing function once.
+ */
+function flagsFor(state, path) {
+  const { j } = state;
+  const useFlags = addImport(state, LD_REACT_SDK, 'useFlags');
+  const fn = enclosingFunction(path);
+  if (!fn || fn.node.body.type !== 'BlockStatement') {
+    return j.callExpression(j.identifier(useFlags), []);
+  }
+  if (!state.flagsDeclarations.has(fn.node)) {
+    const name = localName(state, 'flags');
+    fn.get('body', 'body').unshift(j.variableDeclaration('const', [
+      j.variableDeclarator(j.identifier(name), j.callExpression(j.identifier(useFlags), []))
+    ]));
+    state.flagsDeclarations.set(fn.node, name);
+  }
+  return j.identifier(state.flagsDeclarations.get(fn.node));
+}
+
+function hookCalls(state, imported) {
+  const { j, root } = state;
+  const local = localFor(state, REACT_BINDINGS, imported);
+  if (!local) {
+    return [];
+  }
+  return root.find(j.CallExpression, { callee: { type: 'Identifier', name: local } }).paths();
+}
+
+/**
+ * `useGateValue('name')` and `useFeatureGate('name').value` →
+ * `flags.camelName ?? false`.
+ */
+function migrateGateHooks(state) {
+  const { j } = state;
+  const gateReads = [
+    ...hookCalls(state, 'useGateValue').map((path) => ({ hook: 'useGateValue', path, target: path })),
+    ...hookCalls(state, 'useFeatureGate')
+      .filter((path) => path.parent.node.type === 'MemberExpression' && path.parent.node.property.name === 'value')
+      .map((path) => ({ hook: 'useFeatureGate', path, target: path.parent }))
+  ]
+    .filter(({ path }) => !state.blockedGates.has(path.node))
+    .sort((a, b) => a.path.node.start - b.path.node.start);
+
+  for (const { hook, path, target } of gateReads) {
+    const name = staticString(path.node.arguments[0]);
+    if (name === null) {
+      warn(state, 'Gate hook called with a computed gate name was not migrated', path.node);
+      continue;
+    }
+    dropHookOptions(state, hook, name, path);
+    const key = state.flagKey(name);
+    state.report.gates.push({ name, key, api: hook, line: lineOf(path.node) });
+    target.replace(j.logicalExpression(
+      '??',
+      memberAccess(j, flagsFor(state, path), state.flagAccessor(name)),
+      j.booleanLiteral(false)
+    ));
+  }
+}
+
+/**
+ * `useConfig('name')` → `flags.camelName ?? { …fallback }`, with
+ * `.get('key', default)` reads rewritten to property access. `useLayer()`
+ * calls cleared by classifyLayer are rewritten the same way.
+ */
+function migrateConfigHooks(state) {
+  const { j } = state;
+  for (const [hook, kind] of [['useConfig', 'config'], ['useLayer', 'layer']]) {
+    for (const path of hookCalls(state, hook)) {
+      const plan = state.configPlans.get(path.node);
+      const name = staticString(path.node.arguments[0]);
+      if (!plan || name === null) {
+        continue;
+      }
+      dropHookOptions(state, hook, name, path);
+      const fallback = buildFallback(state, { ...plan, api: hook }, name, path.node, kind);
+      path.replace(j.logicalExpression('??', memberAccess(j, flagsFor(state, path), state.flagAccessor(name)), fallback));
+      rewriteUses(state, plan);
+    }
+  }
+}
+
+/**
+ * `const { client } = useStatsigClient()` → `const client = useLDClient()`.
+ * Only used without parallel operation; otherwise Statsig keeps its client
+ * and an LD client is declared next to it where needed.
+ */
+function migrateClientHook(state) {
+  const { j } = state;
+  if (state.parallel) {
+    return;
+  }
+  for (const path of hookCalls(state, 'useStatsigClient')) {
+    const declarator = path.parent.node;
+    if (declarator.type !== 'VariableDeclarator' || declarator.id.type !== 'ObjectPattern') {
+      continue;
+    }
+    const [property] = declarator.id.properties;
+    declarator.id = j.identifier(property.value.name);
+    declarator.init = j.callExpression(j.identifier(addImport(state, LD_REACT_SDK, 'useLDClient')), []);
+  }
+}
+
+/**
+ * Copies a JSX attribute value, keeping string values double-quoted as JSX
+ * convention expects regardless of the print quote style.
+ */
+function copyAttributeValue(j, value) {
+  if (value.type === 'StringLiteral') {
+    const literal = j.literal(value.value);
+    literal.extra = { raw: JSON.stringify(value.value), rawValue: value.value };
+    return literal;
+  }
+  return cloneNode(value);
+}
+
+/**
+ * `<StatsigProvider sdkKey user options>` → `<LDProvider clientSideID context options>`.
+ * `<StatsigSynchronousProvider>` is rewritten the same way, with its planned
+ * `initializeValues` passed as `options.bootstrap`; providers without a plan
+ * stay on Statsig. In parallel mode the Statsig provider stays (experiment
+ * hooks still need it) and is wrapped in an LDProvider.
+ */
+function migrateProvider(state) {
+  const { root } = state;
+  for (const imported of ['StatsigProvider', 'StatsigSynchronousProvider']) {
+    const providerLocal = localFor(state, REACT_BINDINGS, imported);
+    if (!providerLocal) {
+      continue;
+    }
+    root.findJSXElements(providerLocal).forEach((path) => {
+      if (imported === 'StatsigProvider') {
+        migrateProviderElement(state, path, imported, null);
+        return;
+      }
+      const plan = state.bootstrapPlans.get(path.node);
+      if (plan) {
+        migrateProviderElement(state, path, imported, plan);
+        if (!state.parallel) {
+          removeUnusedValues(state, plan);
+        }
+      }
+    });
+  }
+}
+
+function migrateProviderElement(state, path, imported, bootstrapPlan) {
+  const { j } = state;
+  const opening = path.node.openingElement;
+  const attributes = [];
+  let translated = null;
+  const hasUser = opening.attributes.some((attribute) => attribute.type === 'JSXAttribute' && attribute.name.name === 'user');
+  opening.attributes.forEach((attribute, index) => {
+    if (attribute.type !== 'JSXAttribute') {
+      return;
+    }
+    switch (attribute.name.name) {
+      case 'sdkKey':
+        warn(state, SDK_KEY_TODO, attribute);
+        attributes.push(j.jsxAttribute(
+          j.jsxIdentifier('clientSideID'),
+          state.parallel ? copyAttributeValue(j, attribute.value) : attribute.value
+        ));
+        break;
+      case 'user': {
+        const valuePath = attribute.value.type === 'JSXExpressionContainer'
+          ? path.get('openingElement', 'attributes', index, 'value', 'expression')
+          : null;
+        if (valuePath) {
+          attributes.push(j.jsxAttribute(j.jsxIdentifier('context'), j.jsxExpressionContainer(contextFor(state, valuePath))));
+        }
+        break;
+      }
+      case 'initializeValues':
+        // The user the server evaluated for, unless the provider names one.
+        if (bootstrapPlan && bootstrapPlan.userPath && !hasUser) {
+          attributes.push(j.jsxAttribute(
+            j.jsxIdentifier('context'),
+            j.jsxExpressionContainer(contextFor(state, bootstrapPlan.userPath))
+          ));
+        }
+        break;
+      case 'options':
+        if (attribute.value.type === 'JSXExpressionContainer') {
+          translated = translateOptions(state, path.get('openingElement', 'attributes', index, 'value', 'expression'), imported);
+        }
+        break;
+      default:
+        if (!state.parallel) {
+          warn(state, `${imported} prop \`${attribute.name.name}\` has no LDProvider equivalent and was dropped`, attribute);
+        }
+    }
+  });
+  let ldOptions = ldOptionsFor(state, translated ? translated.properties : []);
+  if (bootstrapPlan) {
+    ldOptions = ldOptions || j.objectExpression([]);
+    // initializeValues replace the local storage cache as the bootstrap.
+    ldOptions.properties = ldOptions.properties.filter((property) => property.key.name !== 'bootstrap');
+    ldOptions.properties.push(j.objectProperty(j.identifier('bootstrap'), valueToNode(j, bootstrapPlan.bootstrap)));
+  }
+  if (ldOptions) {
+    attributes.push(j.jsxAttribute(j.jsxIdentifier('options'), j.jsxExpressionContainer(ldOptions)));
+  }
+  if (translated && translated.timeoutSeconds !== null) {
+    attributes.push(j.jsxAttribute(j.jsxIdentifier('timeout'), j.jsxExpressionContainer(j.numericLiteral(translated.timeoutSeconds))));
+  }
+
+  const provider = addImport(state, LD_REACT_SDK, 'LDProvider');
+  if (state.parallel) {
+    if (path.node.extra) {
+      path.node.extra.parenthesized = false;
+    }
+    path.replace(j.jsxElement(
+      j.jsxOpeningElement(j.jsxIdentifier(provider), attributes),
+      j.jsxClosingElement(j.jsxIdentifier(provider)),
+      [j.jsxText('\n'), path.node, j.jsxText('\n')]
+    ));
+    return;
+  }
+  opening.name = j.jsxIdentifier(provider);
+  opening.attributes = attributes;
+  if (path.node.closingElement) {
+    path.node.closingElement.name = j.jsxIdentifier(provider);
+  }
+}
+
+function migrateReact(state) {
+  migrateProvider(state);
+  migrateClientHook(state);
+  migrateGateHooks(state);
+  migrateConfigHooks(state);
+}
+
+module.exports = {
+  hookCalls,
+  migrateProvider,
+  migrateReact
+};
@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * Shim mode: instead of rewriting call sites, `@statsig/js-client` imports
+ * are pointed at the StatsigClient shim (src/shim), which runs the same
+ * calls on a LaunchDarkly client, and `@statsig/react-bindings` hook
+ * imports at the React hooks adapter (src/shim/react). `<StatsigProvider>`
+ * becomes an `<LDProvider>` so the adapter has a client to read. A file is
+ * only switched when the shim implements every Statsig API it uses;
+ * otherwise it is left unchanged and each API the shim lacks is reported as
+ * blocked. Imports only used as types do not block: they stay on their
+ * Statsig package as `import type`, which compiles away.
+ */
+
+const {
+  JS_CLIENT,
+  REACT_BINDINGS,
+  SHIM_SOURCE,
+  SHIM_EXPORTS,
+  SHIM_CLIENT_MEMBERS,
+  REACT_ADAPTER_SOURCE,
+  REACT_ADAPTER_EXPORTS
+} = require('./statsig-api');
+const { NOT_STATIC, staticValue, staticString, lineOf, enclosingStatement, isReference } = require('./ast');
+const { collectStatsigImports, localFor, finalizeImports } = require('./imports');
+const { collectClientUsages, usagesOf, SDK_KEY_TODO } = require('./clients');
+const { planConfig, buildFallback } = require('./configs');
+const { eventArguments } = require('./events');
+const { hookCalls, migrateProvider } = require('./react');
+const { refuseAccessorConflicts } = require('./accessors');
+const { warn, addTodo } = require('./state');
+
+const SHIM_SOURCES = {
+  [JS_CLIENT]: SHIM_SOURCE,
+  [REACT_BINDINGS]: REACT_ADAPTER_SOURCE
+};
+
+// StatsigProvider props the LDProvider rewrite carries over or reports.
+const PROVIDER_PROPS = ['sdkKey', 'user', 'options', 'children'];
+
+function isShimmedExport(entry) {
+  if (entry.source === JS_CLIENT) {
+    return SHIM_EXPORTS.includes(entry.imported);
+  }
+  return entry.source === REACT_BINDINGS &&
+    (REACT_ADAPTER_EXPORTS.includes(entry.imported) || entry.imported === 'StatsigProvider');
+}
+
+// Parents of an identifier that is read as a type rather than a value.
+const TYPE_POSITIONS = ['TSTypeReference', 'TSQualifiedName', 'TSTypeQuery', 'TSExpressionWithTypeArguments', 'TSInterfaceHeritage', 'TSClassImplements'];
+
+/**
+ * Whether an import the shim does not provide is only used as a type, so
+ * it can stay on its Statsig package.
+ */
+function isTypeOnly(state, local, entry) {
+  if (!entry.specifierPath) {
+    return false;
+  }
+  if (entry.declarationPath.node.importKind === 'type' || entry.specifierPath.node.importKind === 'type') {
+    return true;
+  }
+  const { j, root } = state;
+  return root.find(j.Identifier, { name: local })
+    .filter((path) => path.node !== entry.localNode && isReference(path))
+    .every((path) => TYPE_POSITIONS.includes(path.parent.node.type));
+}
+
+/**
+ * `StatsigProvider` uses the LDProvider rewrite cannot carry over: props
+ * without an LDProvider equivalent, and references outside JSX.
+ */
+function unsupportedProviderUses(state) {
+  const { j, root } = state;
+  const provider = localFor(state, REACT_BINDINGS, 'StatsigProvider');
+  if (!provider) {
+    return [];
+  }
+  const uses = [];
+  root.findJSXElements(provider).forEach((path) => {
+    for (const attribute of path.node.openingElement.attributes) {
+      if (attribute.type !== 'JSXAttribute') {
+        uses.push({ api: 'StatsigProvider {...props}', node: attribute });
+      } else if (!PROVIDER_PROPS.includes(attribute.name.name)) {
+        uses.push({ api: `StatsigProvider ${attribute.name.name}`, node: attribute });
+      }
+    }
+  });
+  // JSXIdentifier is a subtype of Identifier, so JSX names are filtered out here.
+  root.find(j.Identifier, { name: provider })
+    .filter((path) => path.node.type === 'Identifier' && path.node !== state.statsigImports.get(provider).localNode && isReference(path))
+    .forEach((path) => uses.push({ api: 'StatsigProvider', node: path.node }));
+  return uses;
+}
+
+/**
+ * Statsig APIs used in the file that the shim does not provide.
+ *
+ * @returns {{api: string, node: object}[]}
+ */
+function unsupportedUses(state) {
+  const { j, root } = state;
+  const uses = [];
+  for (const [local, entry] of state.statsigImports) {
+    if (entry.imported && !isShimmedExport(entry) && isTypeOnly(state, local, entry)) {
+      continue;
+    }
+    if (!entry.imported) {
+      uses.push({ api: `import '${entry.source}'`, node: null });
+    } else if (!SHIM_SOURCES[entry.source]) {
+      uses.push({ api: `${local} (${entry.source})`, node: entry.localNode });
+    } else if (!isShimmedExport(entry)) {
+      uses.push({ api: entry.imported === '*' || entry.imported === 'default' ? local : entry.imported, node: entry.localNode });
+    }
+  }
+  uses.push(...unsupportedProviderUses(state));
+  const clientClass = localFor(state, JS_CLIENT, 'StatsigClient');
+  if (clientClass) {
+    root.find(j.MemberExpression, { object: { type: 'Identifier', name: clientClass } }).forEach((path) => {
+      uses.push({ api: `StatsigClient.${path.node.property.name || '[computed]'}`, node: path.node });
+    });
+  }
+  for (const { method, memberPath, callPath } of state.clientUsages) {
+    if (!SHIM_CLIENT_MEMBERS.includes(method)) {
+      uses.push({ api: callPath ? `${method}()` : method, node: memberPath.node });
+    }
+  }
+  return uses;
+}
+
+/**
+ * Points every `@statsig/js-client` import or require at the shim and every
+ * `@statsig/react-bindings` one at the hooks adapter. `StatsigProvider` is
+ * pruned from the adapter import once the provider has been rewritten.
+ * Type-only imports the shim does not provide move to an `import type` of
+ * their Statsig package.
+ */
+function swapImports(state) {
+  const { j } = state;
+  const typeOnly = new Map();
+  for (const entry of state.statsigImports.values()) {
+    if (entry.imported && !isShimmedExport(entry)) {
+      const declaration = entry.declarationPath;
+      typeOnly.set(declaration, [...(typeOnly.get(declaration) || []), entry.specifierPath.node]);
+    }
+  }
+  const kept = new Set();
+  for (const [declaration, specifiers] of typeOnly) {
+    const { node } = declaration;
+    if (specifiers.length === node.specifiers.length) {
+      node.importKind = 'type';
+      kept.add(node);
+      continue;
+    }
+    node.specifiers = node.specifiers.filter((specifier) => !specifiers.includes(specifier));
+    declaration.insertAfter(j.importDeclaration(
+      specifiers.map((specifier) => j.importSpecifier(specifier.imported, specifier.local)),
+      j.stringLiteral(node.source.value),
+      'type'
+    ));
+  }
+  for (const entry of state.statsigImports.values()) {
+    const source = SHIM_SOURCES[entry.source];
+    if (entry.declarationPath && !kept.has(entry.declarationPath.node)) {
+      entry.declarationPath.node.source = j.stringLiteral(source);
+    } else if (entry.declaratorPath) {
+      entry.declaratorPath.node.init.arguments[0] = j.stringLiteral(source);
+    }
+  }
+}
+
+/**
+ * Gate and config reads the shim will serve, as call paths with the
+ * Statsig name they read and the API that reads it.
+ *
+ * @returns {{kind: 'gate'|'config', name: string, api: string, callPath: object}[]}
+ */
+function flagReads(state) {
+  const reads = [];
+  const add = (kind, api, callPath) => {
+    const name = staticString(callPath.node.arguments[0]);
+    if (name !== null) {
+      reads.push({ kind, name, api, callPath });
+    }
+  };
+  usagesOf(state, 'checkGate').forEach(({ callPath }) => add('gate', 'checkGate', callPath));
+  usagesOf(state, 'getConfig').forEach(({ callPath }) => add('config', 'getConfig', callPath));
+  for (const [hook, kind] of [['useGateValue', 'gate'], ['useFeatureGate', 'gate'], ['useConfig', 'config']]) {
+    hookCalls(state, hook).forEach((path) => add(kind, hook, path));
+  }
+  return reads;
+}
+
+/**
+ * Flags the key map gives a key other than their Statsig name. The shim
+ * reads flags by Statsig name, so it would miss them.
+ */
+function renamedFlags(state) {
+  return flagReads(state)
+    .filter(({ name }) => state.flagKey(name) !== name)
+    .map(({ name, callPath }) => ({ api: name, node: callPath.node, key: state.flagKey(name) }));
+}
+
+/**
+ * Records the flags and events the shim will read, so the summary lists
+ * what to create in LaunchDarkly.
+ */
+function recordUsage(state) {
+  const { j, root } = state;
+  for (const { kind, name, api, callPath } of flagReads(state)) {
+    if (kind === 'gate') {
+      state.report.gates.push({ name, key: state.flagKey(name), api, line: lineOf(callPath.node) });
+    } else {
+      // The shim reads configs the code also uses outside `.get()` calls,
+      // so only the fallback is missing their parameters.
+      buildFallback(state, { uses: [], ...planConfig(state, callPath), api }, name, callPath.node);
+    }
+  }
+  for (const { callPath } of usagesOf(state, 'logEvent')) {
+    const args = eventArguments(callPath.node);
+    const name = args && staticString(args[0]);
+    if (name !== null) {
+      const value = args[1] ? staticValue(args[1]) : null;
+      state.report.events.push({ name, metricValue: typeof value === 'number' || value === NOT_STATIC, line: lineOf(callPath.node) });
+    }
+  }
+
+  const clientClass = localFor(state, JS_CLIENT, 'StatsigClient');
+  if (clientClass) {
+    root.find(j.NewExpression, { callee: { type: 'Identifier', name: clientClass } }).forEach((path) => {
+      const [sdkKey] = path.node.arguments;
+      const statement = enclosingStatement(path);
+      warn(state, SDK_KEY_TODO, sdkKey || path.node);
+      if (statement) {
+        addTodo(state, statement.node, SDK_KEY_TODO);
+      }
+    });
+  }
+}
+
+/**
+ * Switches a file to the StatsigClient shim when the shim covers it.
+ * The hooks adapter reads camelCased keys too, so colliding accessors keep
+ * a file unchanged; ambiguous ones are read correctly.
+ *
+ * @param {object} state
+ * @param {string[]} [otherNames] - flags read by the other files being migrated
+ * @returns {boolean} false when the file does not use Statsig
+ */
+function migrateToShim(state, otherNames = []) {
+  if (!collectStatsigImports(state)) {
+    return false;
+  }
+  state.clientUsages = collectClientUsages(state);
+  const unsupported = unsupportedUses(state);
+  const renamed = renamedFlags(state);
+  if (unsupported.length > 0 || renamed.length > 0) {
+    state.report.statsigPreserved = true;
+    for (const { api, node } of unsupported) {
+      state.report.blocked.push({
+        name: api,
+        type: 'unsupported_api',
+        reason: 'Not implemented by the StatsigClient shim; the file keeps the Statsig SDK',
+        line: lineOf(node)
+      });
+    }
+    for (const { api, node, key } of renamed) {
+      state.report.blocked.push({
+        name: api,
+        type: 'unsupported_api',
+        reason: `The shim reads flags by their Statsig name, but the flag key map gives it the key '${key}'; the file keeps the Statsig SDK`,
+        line: lineOf(node)
+      });
+    }
+    return true;
+  }
+  if (refuseAccessorConflicts(state, { otherNames, types: ['collision'] })) {
+    return true;
+  }
+
+  recordUsage(state);
+  swapImports(state);
+  migrateProvider(state);
+  if (state.ldImports.size > 0) {
+    finalizeImports(state);
+  }
+  state.report.shimmed = true;
+  return true;
+}
+
+module.exports = {
+  migrateToShim
+};
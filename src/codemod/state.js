@@ -0,0 +1,178 @@
+'use strict';
+
+const { lineOf, isReference } = require('./ast');
+const { createFlagKeyMap, flagKeyEntry } = require('../flag-keys');
+const { LOCAL_OVERRIDES_NAME } = require('../local-overrides');
+
+/**
+ * Per-file migration state threaded through every pass.
+ *
+ * @param {object} j - jscodeshift API bound to the file's parser
+ * @param {object} root - jscodeshift collection for the parsed file
+ * @param {object} options
+ * @param {string} options.filePath - path used for parser selection and reporting
+ * @param {string} [options.source] - original file contents, for type-aware rewrites
+ * @param {object} [options.statsigExport] - readStatsigExports result used to classify layers
+ * @param {object} [options.experimentGraph] - buildExperimentGraph result deciding which gates stay on Statsig
+ * @param {'drop'|'preserve'} [options.exposures] - how evaluation options and manual exposures are migrated
+ * @param {object} [options.keyMap] - createFlagKeyMap result every flag key is read from
+ * @param {'flatten'|'multi'} [options.customIDs] - whether StatsigUser customIDs become user attributes or context kinds
+ * @param {Map} [options.configReceivers] - receiverKey → traceReceiver result for other modules' functions configs are passed to
+ * @param {{imported: string, index: number}[]} [options.receiverParams] - exported function parameters other modules pass configs to
+ * @param {string} [options.overridesModule] - import specifier of the local override module
+ */
+function createState(j, root, options) {
+  const filePath = options.filePath;
+  const keyMap = options.keyMap || createFlagKeyMap();
+  const names = new Set();
+  root.find(j.Identifier).filter(isReference).forEach((path) => names.add(path.node.name));
+  root.find(j.JSXIdentifier).forEach((path) => names.add(path.node.name));
+
+  return {
+    j,
+    root,
+    filePath,
+    source: options.source || '',
+    statsigExport: options.statsigExport || null,
+    experimentGraph: options.experimentGraph || null,
+    exposures: options.exposures || 'drop',
+    customIDs: options.customIDs || 'flatten',
+    typescript: /\.[cm]?tsx?$/.test(filePath),
+    // TypeScript program for type-aware rewrites, created on first use (types.js).
+    typeInfo: null,
+    // Identifier names present in the original source, plus every name the
+    // codemod has introduced so far.
+    names,
+    originalNames: new Set(names),
+    // local name → { source, imported, specifierPath, declarationPath }
+    statsigImports: new Map(),
+    moduleSystem: 'esm',
+    // source → { defaultLocal, named: Map(imported → local) }, in insertion order
+    ldImports: new Map(),
+    // When true the Statsig SDK stays in the file and LaunchDarkly runs next to it.
+    parallel: false,
+    clientUsages: [],
+    configPlans: new Map(),
+    // getFeatureGateWithDetails()/getConfigWithDetails() call → planDetails result
+    detailPlans: new Map(),
+    // Config, layer and experiment call → traceConfig result
+    configTraces: new Map(),
+    configReceivers: options.configReceivers || new Map(),
+    receiverParams: options.receiverParams || [],
+    // <StatsigSynchronousProvider> element → planBootstrap result
+    bootstrapPlans: new Map(),
+    // Gate check nodes that stay on Statsig because an experiment depends on them.
+    blockedGates: new Set(),
+    // Override calls that stay on Statsig with their gate or layer.
+    keptOverrides: new Set(),
+    // Import specifier of the local override module (src/local-overrides.js).
+    overridesModule: options.overridesModule || `./${LOCAL_OVERRIDES_NAME}`,
+    // StatsigOptions `initTimeoutMs` of the client, in seconds.
+    initTimeoutSeconds: null,
+    // Name of the module-level LaunchDarkly client, once one exists.
+    ldClient: null,
+    hookClients: new Map(),
+    flagsDeclarations: new Map(),
+    contexts: new Map(),
+    // Names of the LDContext declarations that are multi-contexts.
+    multiContexts: new Set(),
+    plugins: [],
+    // Set during analysis when a read must skip evaluation events.
+    silentReads: false,
+    silentReadsConfigured: false,
+    // Set during analysis when a details read inspects the evaluation reason.
+    readsReasons: false,
+    reasonsConfigured: false,
+    keyMap,
+    flagKey: (name) => flagKeyEntry(keyMap, name).ld_key,
+    // Property read from useFlags() for the flag behind a Statsig name.
+    flagAccessor: (name) => flagKeyEntry(keyMap, name).react_accessor,
+    report: createFileReport(filePath)
+  };
+}
+
+function createFileReport(filePath) {
+  return {
+    file: filePath,
+    migrated: false,
+    statsigPreserved: false,
+    shimmed: false,
+    gates: [],
+    configs: [],
+    experiments: [],
+    layers: [],
+    dependencies: [],
+    events: [],
+    blocked: [],
+    failed: [],
+    keyConflicts: [],
+    contextKinds: [],
+    fallbackConflicts: [],
+    droppedOptions: [],
+    pluginOptions: [],
+    overrides: [],
+    warnings: []
+  };
+}
+
+/**
+ * Returns `base` if no identifier in the file uses it yet, else `base2`, `base3`, ….
+ */
+function uniqueName(state, base) {
+  let name = base;
+  for (let i = 2; state.names.has(name); i++) {
+    name = `${base}${i}`;
+  }
+  state.names.add(name);
+  return name;
+}
+
+/**
+ * Like uniqueName, but only avoids names from the original source. Used for
+ * per-function declarations (`flags`, hook clients) that may legitimately
+ * repeat in sibling components.
+ */
+function localName(state, base) {
+  let name = base;
+  for (let i = 2; state.originalNames.has(name); i++) {
+    name = `${base}${i}`;
+  }
+  state.names.add(name);
+  return name;
+}
+
+function warn(state, message, node) {
+  state.report.warnings.push({ message, line: lineOf(node) });
+}
+
+/**
+ * Attaches a `// TODO(statsig-to-ld): …` comment above a statement.
+ */
+function addTodo(state, statement, message) {
+  const comment = state.j.commentLine(` TODO(statsig-to-ld): ${message}`, true, false);
+  statement.comments = (statement.comments || []).concat(comment);
+}
+
+/**
+ * Like addTodo, for a statement the codemod otherwise only patches inside.
+ * recast reprints a statement whose comments change, which reflows `if`
+ * and `switch` statements, so the comment trails an empty statement
+ * inserted above it instead. The empty statement prints as nothing.
+ *
+ * @param {object} statementPath - path of a statement in a statement list
+ */
+function addTodoAbove(state, statementPath, message) {
+  const holder = state.j.emptyStatement();
+  holder.comments = [state.j.commentLine(` TODO(statsig-to-ld): ${message}`, false, true)];
+  statementPath.insertBefore(holder);
+}
+
+module.exports = {
+  createState,
+  createFileReport,
+  uniqueName,
+  localName,
+  warn,
+  addTodo,
+  addTodoAbove
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Package names and API surface the codemod knows about. Anything on a
+ * Statsig client or imported from a Statsig package that is not listed here
+ * is left untouched and reported, which keeps the Statsig SDK in place.
+ */
+
+const JS_CLIENT = '@statsig/js-client';
+const REACT_BINDINGS = '@statsig/react-bindings';
+const SESSION_REPLAY = '@statsig/session-replay';
+const WEB_ANALYTICS = '@statsig/web-analytics';
+const LEGACY_SDK = 'statsig-js';
+
+const STATSIG_SOURCES = [JS_CLIENT, REACT_BINDINGS, SESSION_REPLAY, WEB_ANALYTICS, LEGACY_SDK];
+
+const LD_JS_SDK = 'launchdarkly-js-client-sdk';
+const LD_REACT_SDK = 'launchdarkly-react-client-sdk';
+const LD_OBSERVABILITY = '@launchdarkly/observability';
+const LD_SESSION_REPLAY = '@launchdarkly/session-replay';
+
+// Statsig server SDK method that produces client `initializeValues`.
+const INITIALIZE_RESPONSE_METHOD = 'getClientInitializeResponse';
+
+// The StatsigClient shim in src/shim, as imported by migrated code.
+const SHIM_SOURCE = 'statsig-to-launchdarkly-migrator/shim';
+
+// @statsig/js-client exports the shim provides.
+const SHIM_EXPORTS = [
+  'StatsigClient',
+  'StatsigUser',
+  'StatsigOptions',
+  'StatsigEvent',
+  'DynamicConfig',
+  'InitializationDetails',
+  'LoadingStatus'
+];
+
+// StatsigClient members the shim implements.
+const SHIM_CLIENT_MEMBERS = [
+  'initializeAsync',
+  'initializeSync',
+  'checkGate',
+  'getConfig',
+  'updateUserAsync',
+  'logEvent',
+  'getStableID',
+  'shutdown',
+  'loadingStatus'
+];
+
+// The React hooks adapter in src/shim/react, as imported by migrated code.
+const REACT_ADAPTER_SOURCE = 'statsig-to-launchdarkly-migrator/shim/react';
+
+// @statsig/react-bindings hooks the adapter provides.
+const REACT_ADAPTER_EXPORTS = [
+  'useGateValue',
+  'useFeatureGate',
+  'useConfig',
+  'useStatsigClient',
+  'useStatsigUser'
+];
+
+// StatsigClient methods that have a LaunchDarkly rewrite.
+const MIGRATED_CLIENT_METHODS = ['checkGate', 'getConfig', 'logEvent', 'initializeAsync', 'updateUserAsync', 'updateUserSync', 'shutdown'];
+
+// StatsigClient methods that have a LaunchDarkly rewrite under the `preserve`
+// exposure mode.
+const EXPOSURE_METHODS = ['manuallyLogGateExposure', 'manuallyLogConfigExposure'];
+
+// StatsigClient methods that evaluate experiments and always stay on Statsig.
+const EXPERIMENT_METHODS = ['getExperiment', 'getExperimentWithDetails'];
+
+// @statsig/react-bindings exports that have a LaunchDarkly rewrite.
+const MIGRATED_REACT_EXPORTS = [
+  'StatsigProvider',
+  'StatsigSynchronousProvider',
+  'useGateValue',
+  'useFeatureGate',
+  'useConfig',
+  'useStatsigClient'
+];
+
+const EXPERIMENT_HOOKS = ['useExperiment'];
+
+// Observability entry points, keyed by the Statsig export name.
+const OBSERVABILITY_EXPORTS = {
+  runStatsigSessionReplay: 'sessionReplay',
+  StatsigSessionReplayPlugin: 'sessionReplay',
+  runStatsigAutoCapture: 'autoCapture',
+  StatsigAutoCapturePlugin: 'autoCapture'
+};
+
+module.exports = {
+  JS_CLIENT,
+  REACT_BINDINGS,
+  SESSION_REPLAY,
+  WEB_ANALYTICS,
+  LEGACY_SDK,
+  STATSIG_SOURCES,
+  LD_JS_SDK,
+  LD_REACT_SDK,
+  LD_OBSERVABILITY,
+  LD_SESSION_REPLAY,
+  INITIALIZE_RESPONSE_METHOD,
+  SHIM_SOURCE,
+  SHIM_EXPORTS,
+  SHIM_CLIENT_MEMBERS,
+  REACT_ADAPTER_SOURCE,
+  REACT_ADAPTER_EXPORTS,
+  MIGRATED_CLIENT_METHODS,
+  EXPOSURE_METHODS,
+  EXPERIMENT_METHODS,
+  MIGRATED_REACT_EXPORTS,
+  EXPERIMENT_HOOKS,
+  OBSERVABILITY_EXPORTS
+};
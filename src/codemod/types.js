@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Type-aware rewrites for TypeScript files, using the TypeScript compiler
+ * API. The file is checked on its own, without the standard library or
+ * module resolution, which is enough to tell which type references name a
+ * Statsig import (following renamed and namespace imports, and skipping
+ * local types that shadow them) and which declared interface an object
+ * literal is typed as. jscodeshift and TypeScript nodes are matched by
+ * their source range in the original file.
+ *
+ * Without parallel operation every Statsig type becomes its LaunchDarkly
+ * counterpart, so the Statsig import can be removed. With it, Statsig
+ * values stay in the file and keep their types.
+ */
+
+const ts = require('typescript');
+const { JS_CLIENT, REACT_BINDINGS, LEGACY_SDK } = require('./statsig-api');
+const { addImport } = require('./imports');
+const { ldSdkFor } = require('./declarations');
+const { warn } = require('./state');
+
+const STATSIG_TYPE_SOURCES = [JS_CLIENT, REACT_BINDINGS, LEGACY_SDK];
+
+// Statsig type → LaunchDarkly type. `null` is `void`: waitForInitialization()
+// resolves without initialization details.
+const LD_TYPES = {
+  StatsigClient: 'LDClient',
+  StatsigUser: 'LDContext',
+  StatsigOptions: 'LDOptions',
+  EvaluationDetails: 'LDEvaluationDetail',
+  InitializationDetails: null
+};
+
+// Retyped where the config flows (see config-flow.js); one left over types a
+// value no migrated config reaches, which is still a Statsig object.
+const CONFIG_TYPES = ['DynamicConfig', 'Layer'];
+
+/**
+ * The file's TypeScript program, created on first use.
+ */
+function typeInfo(state) {
+  if (!state.typeInfo) {
+    const fileName = state.filePath.replace(/\.[cm]?[jt]sx?$/, '') + (/\.[cm]?ts$/.test(state.filePath) ? '.ts' : '.tsx');
+    const sourceFile = ts.createSourceFile(fileName, state.source, ts.ScriptTarget.Latest, true);
+    const host = {
+      getSourceFile: (name) => (name === fileName ? sourceFile : undefined),
+      getDefaultLibFileName: () => 'lib.d.ts',
+      writeFile: () => {},
+      getCurrentDirectory: () => '',
+      getCanonicalFileName: (name) => name,
+      useCaseSensitiveFileNames: () => true,
+      getNewLine: () => '\n',
+      fileExists: (name) => name === fileName,
+      readFile: () => undefined
+    };
+    const program = ts.createProgram([fileName], { noLib: true, noResolve: true, types: [], jsx: ts.JsxEmit.Preserve }, host);
+    state.typeInfo = { sourceFile, checker: program.getTypeChecker(), nodes: null };
+  }
+  return state.typeInfo;
+}
+
+/**
+ * The TypeScript node of `kind` covering the same source range as the
+ * jscodeshift `node`, or null for nodes the codemod created.
+ */
+function tsNodeFor(state, node, kind) {
+  if (typeof node.start !== 'number') {
+    return null;
+  }
+  const info = typeInfo(state);
+  if (!info.nodes) {
+    info.nodes = new Map();
+    const visit = (tsNode) => {
+      info.nodes.set(`${tsNode.getStart(info.sourceFile)}:${tsNode.end}:${tsNode.kind}`, tsNode);
+      ts.forEachChild(tsNode, visit);
+    };
+    visit(info.sourceFile);
+  }
+  return info.nodes.get(`${node.start}:${node.end}:${kind}`) || null;
+}
+
+function statsigImportOf(declaration) {
+  const importDeclaration = ts.isImportSpecifier(declaration)
+    ? declaration.parent.parent.parent
+    : ts.isNamespaceImport(declaration) ? declaration.parent.parent : null;
+  return importDeclaration && STATSIG_TYPE_SOURCES.includes(importDeclaration.moduleSpecifier.text)
+    ? importDeclaration
+    : null;
+}
+
+/**
+ * Statsig export a type reference names (`StatsigUser`, `Statsig.StatsigUser`,
+ * a renamed import), or null.
+ */
+function statsigTypeName(state, typeReference) {
+  const tsNode = tsNodeFor(state, typeReference, ts.SyntaxKind.TypeReference);
+  if (!tsNode) {
+    return null;
+  }
+  const { checker } = typeInfo(state);
+  const typeName = tsNode.typeName;
+  const head = ts.isQualifiedName(typeName) ? typeName.left : typeName;
+  const symbol = ts.isIdentifier(head) && checker.getSymbolAtLocation(head);
+  const declaration = symbol && symbol.flags & ts.SymbolFlags.Alias && symbol.declarations && symbol.declarations[0];
+  if (!declaration || !statsigImportOf(declaration)) {
+    return null;
+  }
+  if (ts.isQualifiedName(typeName)) {
+    return ts.isNamespaceImport(declaration) ? typeName.right.text : null;
+  }
+  return ts.isImportSpecifier(declaration) ? (declaration.propertyName || declaration.name).text : null;
+}
+
+/**
+ * Name of the interface or type alias declared at the top level of the file
+ * that an object literal is typed as, with its property names.
+ *
+ * @returns {{name: string, properties: string[]}|null}
+ */
+function declaredTypeOf(state, objectExpression) {
+  const tsNode = tsNodeFor(state, objectExpression, ts.SyntaxKind.ObjectLiteralExpression);
+  if (!tsNode) {
+    return null;
+  }
+  const { checker, sourceFile } = typeInfo(state);
+  const type = checker.getContextualType(tsNode);
+  const symbol = type && (type.aliasSymbol || type.symbol);
+  const declarations = (symbol && symbol.declarations) || [];
+  const isDeclared = declarations.length > 0 && declarations.every((declaration) =>
+    (ts.isInterfaceDeclaration(declaration) || ts.isTypeAliasDeclaration(declaration)) && declaration.parent === sourceFile
+  );
+  if (!isDeclared || (type.aliasTypeArguments || []).length > 0 || declarations.some((declaration) => declaration.typeParameters)) {
+    return null;
+  }
+  return { name: symbol.name, properties: checker.getPropertiesOfType(type).map((property) => property.name) };
+}
+
+/**
+ * The interface a migrated config is read into: every `.get('key', …)`
+ * read is the value of property `key` in object literals typed as the same
+ * declared interface, as in
+ * `const home: HomepageConfig = { title: config.get('title', '') }`.
+ *
+ * @param {object} plan - planConfig result
+ * @returns {string|null}
+ */
+function configInterface(state, plan) {
+  if (!state.typescript || plan.uses.length === 0) {
+    return null;
+  }
+  let name = null;
+  for (const use of plan.uses) {
+    const property = use.callPath.parent;
+    const object = property && property.parent;
+    if (!property || property.node.type !== 'ObjectProperty' || property.node.value !== use.callPath.node ||
+      property.node.computed || !object || object.node.type !== 'ObjectExpression') {
+      return null;
+    }
+    const declared = declaredTypeOf(state, object.node);
+    const key = property.node.key.type === 'Identifier' ? property.node.key.name : property.node.key.value;
+    if (!declared || key !== use.key || !declared.properties.includes(key) || (name && declared.name !== name)) {
+      return null;
+    }
+    name = declared.name;
+  }
+  return name;
+}
+
+/**
+ * Replaces every Statsig type reference with its LaunchDarkly counterpart.
+ * Skipped under parallel operation, where the Statsig values keep their
+ * types.
+ */
+function migrateTypes(state) {
+  const { j, root } = state;
+  if (!state.typescript || state.parallel) {
+    return;
+  }
+  root.find(j.TSTypeReference).forEach((path) => {
+    const name = statsigTypeName(state, path.node);
+    if (name === null || CONFIG_TYPES.includes(name)) {
+      return;
+    }
+    if (!(name in LD_TYPES)) {
+      warn(state, `Statsig type ${name} has no LaunchDarkly counterpart; replace it before removing the Statsig SDK`, path.node);
+      return;
+    }
+    const ldType = LD_TYPES[name];
+    path.replace(ldType === null
+      ? j.tsVoidKeyword()
+      : j.tsTypeReference(j.identifier(addImport(state, ldSdkFor(state), ldType))));
+  });
+}
+
+module.exports = {
+  configInterface,
+  migrateTypes
+};
@@ -0,0 +1,268 @@
+'use strict';
+
+const {
+  unwrapExpression,
+  propertyName,
+  propertyKey,
+  lineOf,
+  cloneNode,
+  memberAccess,
+  enclosingStatement,
+  resolveBinding,
+  declaratorOf
+} = require('./ast');
+const { addImport } = require('./imports');
+const { uniqueName, warn } = require('./state');
+const { ldSdkFor, renameDeclarator, retypeDeclarator } = require('./declarations');
+const { KEY_FIELD, FLATTENED_FIELDS, contextKindFor } = require('../context-attributes');
+
+/**
+ * `customIDs` that can become context kinds: an object literal of named
+ * IDs with distinct kinds. Returns null for anything else, which is
+ * flattened instead.
+ *
+ * @returns {{id: string, kind: string, value: object}[]|null}
+ */
+function customIDKinds(value) {
+  if (value.type !== 'ObjectExpression' || value.properties.length === 0 ||
+    value.properties.some((prop) => prop.type === 'SpreadElement' || propertyName(prop) === null)) {
+    return null;
+  }
+  const kinds = value.properties.map((prop) => ({ id: propertyName(prop), kind: contextKindFor(propertyName(prop)), value: prop.value }));
+  return new Set(kinds.map(({ kind }) => kind)).size === kinds.length ? kinds : null;
+}
+
+/**
+ * Builds an LDContext object from a StatsigUser object literal:
+ * - `userID` → `key`, with `kind: 'user'` added in front
+ * - `custom` and `customIDs` → flattened to top-level attributes
+ * - `privateAttributes` → flattened, names listed in `_meta.privateAttributes`
+ *
+ * With `state.customIDs === 'multi'`, a literal `customIDs` object instead
+ * makes a multi-context: the user context under `user`, and each customID
+ * as the key of its own context kind (`organizationID: id` →
+ * `organization: { key: id }`).
+ *
+ * Non-literal `custom`/`privateAttributes` values are spread so the flattening
+ * still happens at runtime. Another StatsigUser spread into the literal
+ * (`{ ...user, custom: … }`) becomes its LDContext, see spreadBase().
+ *
+ * Property nodes are reused unless `clone` is set, which keeps the
+ * StatsigUser intact.
+ */
+function toContextObject(state, userPath, clone = false) {
+  const { j } = state;
+  const original = userPath.node;
+  const user = clone ? cloneNode(original) : original;
+  const bases = [];
+  const attributes = [];
+  const privateNames = [];
+  let key = null;
+  let kinds = null;
+
+  user.properties.forEach((prop, index) => {
+    const name = propertyName(prop);
+    if (prop.type === 'SpreadElement') {
+      const base = spreadBase(state, userPath.get('properties', index, 'argument'));
+      if (base.type === 'Identifier') {
+        bases.push(j.spreadElement(base));
+      } else {
+        key = key || base;
+      }
+      return;
+    }
+    if (name === KEY_FIELD) {
+      key = prop.value;
+      return;
+    }
+    if (!FLATTENED_FIELDS.includes(name)) {
+      attributes.push(prop);
+      return;
+    }
+
+    const value = unwrapExpression(prop.value);
+    if (name === 'customIDs' && state.customIDs === 'multi') {
+      kinds = customIDKinds(value);
+      if (kinds) {
+        for (const { id, kind } of kinds) {
+          state.report.contextKinds.push({ customID: id, kind, line: lineOf(original.properties[index]) });
+        }
+        return;
+      }
+    }
+    const isPrivate = name === 'privateAttributes';
+    if (value.type === 'ObjectExpression') {
+      attributes.push(...value.properties);
+      for (const inner of value.properties) {
+        if (isPrivate && inner.type === 'SpreadElement') {
+          privateNames.push(j.spreadElement(keysOf(j, cloneNode(inner.argument))));
+        } else if (isPrivate && propertyName(inner) !== null) {
+          privateNames.push(j.stringLiteral(propertyName(inner)));
+        }
+      }
+    } else {
+      attributes.push(j.spreadElement(value));
+      if (isPrivate) {
+        privateNames.push(j.spreadElement(keysOf(j, cloneNode(value))));
+      }
+    }
+
+    if (name === 'customIDs') {
+      const ids = value.type === 'ObjectExpression'
+        ? value.properties.map(propertyName).filter(Boolean)
+        : [];
+      warn(
+        state,
+        `customIDs${ids.length > 0 ? ` (${ids.join(', ')})` : ''} were flattened into user attributes; ` +
+          'percentage rollouts that bucketed by these IDs now bucket by the context key' +
+          (state.customIDs === 'multi' ? '. They are not an object literal of IDs with distinct context kinds, so no context kinds were made' : ''),
+        original.properties[index]
+      );
+    }
+  });
+
+  // A spread context brings its kind and key, and comes first so the
+  // properties of the literal override it. A spread multi-context keeps its
+  // other kinds, and the literal updates its `user` context.
+  const multiBases = bases.filter((base) => state.multiContexts.has(base.argument.name));
+  const userBases = bases.map((base) => (multiBases.includes(base) ? j.spreadElement(memberAccess(j, cloneNode(base.argument), 'user')) : base));
+  const properties = kinds || bases.length > 0 ? userBases : [j.objectProperty(j.identifier('kind'), j.stringLiteral('user'))];
+  if (key) {
+    properties.push(j.objectProperty(j.identifier('key'), key));
+  } else if (bases.length === 0) {
+    warn(state, 'StatsigUser has no userID; the LaunchDarkly context is marked anonymous', original);
+    properties.push(j.objectProperty(j.identifier('anonymous'), j.booleanLiteral(true)));
+  }
+  properties.push(...attributes);
+  if (privateNames.length > 0) {
+    properties.push(j.objectProperty(
+      j.identifier('_meta'),
+      j.objectExpression([
+        j.objectProperty(j.identifier('privateAttributes'), j.arrayExpression(privateNames))
+      ])
+    ));
+  }
+  if (!kinds && multiBases.length === 0) {
+    return j.objectExpression(properties);
+  }
+  return j.objectExpression([
+    ...(multiBases.length > 0 ? multiBases : [j.objectProperty(j.identifier('kind'), j.stringLiteral('multi'))]),
+    j.objectProperty(j.identifier('user'), j.objectExpression(properties)),
+    ...(kinds || []).map(({ kind, value }) => j.objectProperty(
+      propertyKey(j, kind),
+      j.objectExpression([j.objectProperty(j.identifier('key'), value)])
+    ))
+  ]);
+}
+
+/**
+ * What a StatsigUser spread into another contributes to its context: the
+ * LDContext identifier of a user declared as an object literal, or else the
+ * user's `userID` as the key.
+ */
+function spreadBase(state, argumentPath) {
+  const { j } = state;
+  const node = argumentPath.node;
+  if (node.type === 'Identifier') {
+    const declarator = declaratorOf(resolveBinding(argumentPath));
+    const initPath = declarator && unwrappedPath(declarator.get('init'));
+    if (initPath && initPath.node && initPath.node.type === 'ObjectExpression' && enclosingStatement(declarator)) {
+      return contextFromDeclarator(state, declarator, initPath);
+    }
+  }
+  warn(state, 'The StatsigUser spread here could not be resolved statically; its userID is the context key, copy its other attributes into the LaunchDarkly context by hand', node);
+  return memberAccess(j, cloneNode(node), KEY_FIELD);
+}
+
+/**
+ * The path of the expression inside TypeScript casts and parentheses.
+ */
+function unwrappedPath(path) {
+  let current = path;
+  while (current.node && current.node !== unwrapExpression(current.node)) {
+    current = current.get('expression');
+  }
+  return current;
+}
+
+function keysOf(j, expression) {
+  return j.callExpression(j.memberExpression(j.identifier('Object'), j.identifier('keys')), [expression]);
+}
+
+/**
+ * Converts a `const user = { … }` declaration. Without parallel operation
+ * the declaration is rewritten in place (and `statsigUser` renamed to
+ * `ldContext`); otherwise a separate `ldContext` is declared after it.
+ */
+function contextFromDeclarator(state, declarator, userPath) {
+  const { j } = state;
+  if (state.contexts.has(declarator.node)) {
+    return j.identifier(state.contexts.get(declarator.node));
+  }
+
+  let name;
+  const context = toContextObject(state, userPath, state.parallel);
+  if (state.parallel) {
+    name = uniqueName(state, 'ldContext');
+    const id = j.identifier(name);
+    if (state.typescript) {
+      id.typeAnnotation = j.tsTypeAnnotation(
+        j.tsTypeReference(j.identifier(addImport(state, ldSdkFor(state), 'LDContext')))
+      );
+    }
+    enclosingStatement(declarator).insertAfter(
+      j.variableDeclaration('const', [j.variableDeclarator(id, context)])
+    );
+  } else {
+    declarator.node.init = context;
+    retypeDeclarator(state, declarator, 'LDContext');
+    name = renameDeclarator(state, declarator, 'ldContext');
+  }
+
+  state.contexts.set(declarator.node, name);
+  if (isMultiContext(state, context)) {
+    state.multiContexts.add(name);
+  }
+  return j.identifier(name);
+}
+
+/**
+ * Whether a context built by toContextObject() is a multi-context.
+ */
+function isMultiContext(state, context) {
+  const [first] = context.properties;
+  return first.type === 'SpreadElement'
+    ? state.multiContexts.has(first.argument.name)
+    : propertyName(first) === 'kind' && first.value.value === 'multi';
+}
+
+/**
+ * Returns the expression to pass as an LDContext wherever the StatsigUser at
+ * `userPath` was passed to Statsig.
+ */
+function contextFor(state, userPath) {
+  const { j } = state;
+  const node = unwrapExpression(userPath.node);
+
+  if (node.type === 'ObjectExpression') {
+    return toContextObject(state, unwrappedPath(userPath), state.parallel);
+  }
+  if (node.type === 'Identifier' && userPath.node.type === 'Identifier') {
+    const declarator = declaratorOf(resolveBinding(userPath));
+    const initPath = declarator && unwrappedPath(declarator.get('init'));
+    if (initPath && initPath.node && initPath.node.type === 'ObjectExpression' && enclosingStatement(declarator)) {
+      return contextFromDeclarator(state, declarator, initPath);
+    }
+  }
+
+  warn(state, 'The StatsigUser could not be resolved statically; copy its attributes into the LaunchDarkly context by hand', node);
+  return j.objectExpression([
+    j.objectProperty(j.identifier('kind'), j.stringLiteral('user')),
+    j.objectProperty(j.identifier('key'), memberAccess(j, cloneNode(node), 'userID'))
+  ]);
+}
+
+module.exports = {
+  toContextObject,
+  contextFor
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * How StatsigUser fields map onto LaunchDarkly user context attributes.
+ * The codemod's context transformer and the targeting-rule translator both
+ * use this mapping, so a rule written against a Statsig field targets the
+ * attribute that field ends up in.
+ *
+ * `customIDs` either become attributes of the user context (`flatten`) or
+ * each become the key of their own context kind in a multi-context
+ * (`multi`): `organizationID` → `organization`, keyed by the ID, so a
+ * rollout that bucketed by the customID still buckets by the same unit.
+ */
+
+// The StatsigUser field that becomes the context key.
+const KEY_FIELD = 'userID';
+
+// StatsigUser fields whose contents are lifted to the top level of the context.
+const FLATTENED_FIELDS = ['custom', 'customIDs', 'privateAttributes'];
+
+const CUSTOM_ID_MODES = ['flatten', 'multi'];
+
+// Context kinds LaunchDarkly reserves or that the user context already uses.
+const RESERVED_KINDS = ['kind', 'multi', 'user'];
+
+/**
+ * Context attribute for a StatsigUser field path: `userID` → `key`,
+ * `email` → `email`, `custom.plan` → `plan`, `customIDs.companyID` →
+ * `companyID`. Returns null for paths that cannot be mapped.
+ *
+ * @param {string} field - top-level field, or `<flattened field>.<name>`
+ * @returns {string|null}
+ */
+function contextAttributeFor(field) {
+  if (field === KEY_FIELD) {
+    return 'key';
+  }
+  const [head, ...rest] = field.split('.');
+  if (rest.length === 0) {
+    return FLATTENED_FIELDS.includes(head) ? null : head;
+  }
+  return FLATTENED_FIELDS.includes(head) && rest.length === 1 && rest[0] !== '' ? rest[0] : null;
+}
+
+/**
+ * Context kind a customID becomes in `multi` mode: the name without its
+ * `ID` suffix, kebab-cased (`organizationID` → `organization`,
+ * `billing_account_id` → `billing-account`). Names that would clash with a
+ * reserved kind keep their full name.
+ *
+ * @param {string} customID
+ * @returns {string}
+ */
+function contextKindFor(customID) {
+  const kebab = (name) => name
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^A-Za-z0-9.-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase();
+  const kind = kebab(customID.replace(/[_-]?id$/i, ''));
+  return kind === '' || RESERVED_KINDS.includes(kind) ? kebab(customID) : kind;
+}
+
+/**
+ * Context kind and attribute a StatsigUser field path targets. In `multi`
+ * mode `customIDs.<id>` is the key of the customID's own context kind;
+ * every other field is an attribute of the user context.
+ *
+ * @param {string} field - as for contextAttributeFor
+ * @param {'flatten'|'multi'} [customIDs]
+ * @returns {{contextKind: string, attribute: string}|null}
+ */
+function contextReferenceFor(field, customIDs = 'flatten') {
+  const [head, id, ...rest] = field.split('.');
+  if (customIDs === 'multi' && head === 'customIDs' && id && rest.length === 0) {
+    return { contextKind: contextKindFor(id), attribute: 'key' };
+  }
+  const attribute = contextAttributeFor(field);
+  return attribute ? { contextKind: 'user', attribute } : null;
+}
+
+/**
+ * A LaunchDarkly context kind, in the shape the REST API takes for creating
+ * one, for the customID it replaces.
+ */
+function contextKindDefinition(customID) {
+  const key = contextKindFor(customID);
+  return {
+    key,
+    name: key.split(/[.-]/).filter(Boolean).map((word) => word[0].toUpperCase() + word.slice(1)).join(' '),
+    description: `Statsig customID ${customID}`
+  };
+}
+
+module.exports = {
+  KEY_FIELD,
+  FLATTENED_FIELDS,
+  CUSTOM_ID_MODES,
+  contextAttributeFor,
+  contextKindFor,
+  contextReferenceFor,
+  contextKindDefinition
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Fallback rules for reads of migrated flags, matching what the codemod
+ * writes:
+ * - `statsig-to-ld/gate-fallback`: a migrated gate falls back to `false`,
+ *   as Statsig returns for gates it cannot evaluate.
+ * - `statsig-to-ld/config-fallback`: a migrated config or layer falls back
+ *   to an object with every key of its fallback in the migration summary,
+ *   built from all the reads of the config.
+ *
+ * Reads are `variation()` and `variationDetail()` calls on any object, with a
+ * literal flag key; the flag key says which rule applies.
+ */
+
+const jscodeshift = require('jscodeshift');
+const { staticString, propertyName, propertyKey, valueToNode } = require('../codemod/ast');
+const { migrationOf } = require('./migration');
+
+const READ_METHODS = ['variation', 'variationDetail'];
+
+/**
+ * The flag key and fallback argument of a flag read, or null when `node`
+ * is not a read with a literal key.
+ */
+function flagRead(node) {
+  const { callee } = node;
+  if (callee.type !== 'MemberExpression' || callee.computed || !READ_METHODS.includes(callee.property.name)) {
+    return null;
+  }
+  const [keyArg, fallback] = node.arguments;
+  const key = keyArg ? staticString(keyArg) : null;
+  return key === null ? null : { key, keyArg, fallback };
+}
+
+// Fixes print new nodes on their own, where recast cannot reuse the file's
+// indentation as the codemod does, so they get the 2 spaces of its output.
+const PRINT_OPTIONS = { quote: 'single', tabWidth: 2 };
+
+/**
+ * Source of a fallback value, printed as the codemod prints it.
+ */
+function printValue(value) {
+  const j = jscodeshift;
+  return j(valueToNode(j, value)).toSource(PRINT_OPTIONS);
+}
+
+function printProperty(name, value) {
+  const j = jscodeshift;
+  return `${j(propertyKey(j, name)).toSource(PRINT_OPTIONS)}: ${printValue(value)}`;
+}
+
+const gateFallback = {
+  meta: {
+    type: 'problem',
+    docs: { description: 'Require migrated gates to fall back to false' },
+    fixable: 'code',
+    schema: [],
+    messages: {
+      gateFallback: "Gate '{{key}}' was migrated from Statsig, which returns false for gates it cannot evaluate; fall back to false"
+    }
+  },
+
+  create(context) {
+    const migration = migrationOf(context);
+    if (!migration) {
+      return {};
+    }
+    return {
+      CallExpression(node) {
+        const read = flagRead(node);
+        if (!read || !migration.gates.has(read.key)) {
+          return;
+        }
+        const { keyArg, fallback } = read;
+        if (fallback && fallback.type === 'Literal' && fallback.value === false) {
+          return;
+        }
+        context.report({
+          node: fallback || node,
+          messageId: 'gateFallback',
+          data: { key: read.key },
+          fix: (fixer) => (fallback ? fixer.replaceText(fallback, 'false') : fixer.insertTextAfter(keyArg, ', false'))
+        });
+      }
+    };
+  }
+};
+
+const configFallback = {
+  meta: {
+    type: 'problem',
+    docs: { description: 'Require migrated configs and layers to fall back to their complete JSON default' },
+    fixable: 'code',
+    schema: [],
+    messages: {
+      missingFallback: "Flag '{{key}}' was migrated from a Statsig config; pass its complete fallback",
+      incompleteFallback: "The fallback of flag '{{key}}' is missing keys the migrated code reads: {{missing}}"
+    }
+  },
+
+  create(context) {
+    const migration = migrationOf(context);
+    if (!migration) {
+      return {};
+    }
+    return {
+      CallExpression(node) {
+        const read = flagRead(node);
+        const expected = read && migration.fallbacks.get(read.key);
+        if (!expected) {
+          return;
+        }
+        const { key, keyArg, fallback } = read;
+        if (!fallback) {
+          context.report({
+            node,
+            messageId: 'missingFallback',
+            data: { key },
+            fix: (fixer) => fixer.insertTextAfter(keyArg, `, ${printValue(expected)}`)
+          });
+          return;
+        }
+        // Fallbacks held in variables or spread from other objects cannot be checked.
+        if (fallback.type !== 'ObjectExpression' || fallback.properties.some((prop) => propertyName(prop) === null)) {
+          return;
+        }
+        const present = new Set(fallback.properties.map(propertyName));
+        const missing = Object.keys(expected).filter((name) => !present.has(name));
+        if (missing.length === 0) {
+          return;
+        }
+        const properties = missing.map((name) => printProperty(name, expected[name])).join(', ');
+        const last = fallback.properties[fallback.properties.length - 1];
+        context.report({
+          node: fallback,
+          messageId: 'incompleteFallback',
+          data: { key, missing: missing.join(', ') },
+          fix: (fixer) => (last
+            ? fixer.insertTextAfter(last, `, ${properties}`)
+            : fixer.replaceText(fallback, printValue(Object.fromEntries(missing.map((name) => [name, expected[name]])))))
+        });
+      }
+    };
+  }
+};
+
+module.exports = {
+  gateFallback,
+  configFallback
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * ESLint plugin that keeps a migrated codebase migrated: no Statsig outside
+ * the holdouts in `migration-summary.json`, and the fallbacks the codemod
+ * chose for migrated flags. Use it from a flat config:
+ *
+ *   const statsigToLd = require('statsig-to-launchdarkly-migrator/eslint');
+ *   module.exports = [statsigToLd.configs.recommended];
+ *
+ * See migration.js for the settings that locate the summary and key map.
+ */
+
+const { version } = require('../../package.json');
+const noLeftoverStatsig = require('./no-leftover-statsig');
+const { gateFallback, configFallback } = require('./fallbacks');
+
+const plugin = {
+  meta: { name: 'statsig-to-launchdarkly-migrator/eslint', version },
+  rules: {
+    'no-leftover-statsig': noLeftoverStatsig,
+    'gate-fallback': gateFallback,
+    'config-fallback': configFallback
+  },
+  configs: {}
+};
+
+plugin.configs.recommended = {
+  name: 'statsig-to-ld/recommended',
+  plugins: { 'statsig-to-ld': plugin },
+  rules: {
+    'statsig-to-ld/no-leftover-statsig': 'error',
+    'statsig-to-ld/gate-fallback': 'error',
+    'statsig-to-ld/config-fallback': 'error'
+  }
+};
+
+module.exports = plugin;
@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * The migration summary and flag key map the rules read. Their paths come
+ * from the `statsig-to-ld` shared setting and default to the files
+ * `statsig-to-ld migrate` writes:
+ *
+ *   settings: { 'statsig-to-ld': { summary: 'migration-summary.json', keyMap: 'flag-key-map.json' } }
+ *
+ * Paths are resolved from the directory ESLint runs in. Run it where
+ * `migrate` ran, since the summary lists files relative to that directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { assertValidSummary } = require('../summary-schema');
+const { createFlagKeyMap } = require('../flag-keys');
+
+const SETTINGS_KEY = 'statsig-to-ld';
+
+// Parsed files by path, reread when they change.
+const cache = new Map();
+
+function readJsonFile(file, parse) {
+  const stat = fs.statSync(file, { throwIfNoEntry: false });
+  if (!stat) {
+    return null;
+  }
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.value;
+  }
+  const value = parse(JSON.parse(fs.readFileSync(file, 'utf8')));
+  cache.set(file, { mtimeMs: stat.mtimeMs, value });
+  return value;
+}
+
+function settingPath(context, name, fallback) {
+  const settings = context.settings[SETTINGS_KEY] || {};
+  return path.resolve(context.cwd, settings[name] || fallback);
+}
+
+/**
+ * What the rules need from the migration summary, or null when there is no
+ * summary:
+ * - `holdouts`: absolute paths of the files that keep Statsig
+ *   (`statsig_preserved`)
+ * - `gates`: flag keys of the migrated gates
+ * - `fallbacks`: flag key → fallback of the migrated configs and layers
+ * - `experimentGraph`: the gate → experiment dependencies, in the shape
+ *   buildExperimentGraph returns
+ *
+ * @throws {SummaryValidationError} when the summary does not match the schema
+ */
+function migrationOf(context) {
+  const file = settingPath(context, 'summary', 'migration-summary.json');
+  return readJsonFile(file, (json) => {
+    const summary = assertValidSummary(json);
+    const jsonFlags = summary.migrated.dynamic_configs.concat((summary.layers || []).filter((layer) => layer.decision === 'migrated'));
+    return {
+      holdouts: new Set(summary.statsig_preserved.map((holdout) => path.resolve(context.cwd, holdout))),
+      gates: new Set(summary.migrated.feature_gates.map((gate) => gate.key)),
+      fallbacks: new Map(jsonFlags.map((flag) => [flag.key, flag.fallback])),
+      experimentGraph: { edges: summary.experiment_dependencies || [] }
+    };
+  });
+}
+
+/**
+ * A fresh flag key map read from the key map file, or undefined when there
+ * is none, so fixes give flags the keys `migrate` gave them.
+ */
+function keyMapOf(context) {
+  const file = settingPath(context, 'keyMap', 'flag-key-map.json');
+  const json = readJsonFile(file, (value) => value);
+  return json ? createFlagKeyMap({ json, file }) : undefined;
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  migrationOf,
+  keyMapOf
+};
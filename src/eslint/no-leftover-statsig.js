@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * `statsig-to-ld/no-leftover-statsig`: Statsig imports and client calls in
+ * files the migration summary does not list as holdouts (files that keep
+ * Statsig for experiments or APIs without a rewrite, `statsig_preserved`).
+ *
+ * The fix runs the codemod on the file, keeping the gates the summary's
+ * experiment_dependencies block on Statsig, and is only offered when the
+ * codemod removes Statsig from it. Files with flag overrides get no fix:
+ * `migrate` writes the local override module they would import.
+ */
+
+const path = require('path');
+const { migrateSource } = require('../codemod');
+const { staticString } = require('../codemod/ast');
+const { STATSIG_SOURCES } = require('../codemod/statsig-api');
+const { migrationOf, keyMapOf } = require('./migration');
+
+// StatsigClient methods no LaunchDarkly client has. `getConfig()` and
+// `logEvent()` are left out as too common; their file still imports Statsig.
+const STATSIG_METHODS = [
+  'checkGate',
+  'getFeatureGate',
+  'getFeatureGateWithDetails',
+  'getDynamicConfig',
+  'getConfigWithDetails',
+  'getExperiment',
+  'getExperimentWithDetails',
+  'getLayer',
+  'manuallyLogGateExposure',
+  'manuallyLogConfigExposure',
+  'manuallyLogExperimentExposure',
+  'overrideGate',
+  'overrideConfig',
+  'overrideLayer'
+];
+
+function migrationFix(context, migration) {
+  const text = context.sourceCode.text;
+  let result;
+  try {
+    result = migrateSource(text, {
+      filePath: context.filename,
+      keyMap: keyMapOf(context),
+      experimentGraph: migration ? migration.experimentGraph : undefined
+    });
+  } catch (error) {
+    // The codemod's parser rejects the file; leave it to be fixed by hand.
+    return null;
+  }
+  if (!result.changed || result.report.statsigPreserved || result.report.overrides.length > 0) {
+    return null;
+  }
+  return (fixer) => fixer.replaceTextRange([0, text.length], result.code);
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: { description: 'Disallow Statsig imports and calls outside the Statsig holdouts of the migration summary' },
+    fixable: 'code',
+    schema: [],
+    messages: {
+      import: "'{{source}}' is a Statsig SDK, and this file is not a Statsig holdout in the migration summary; use LaunchDarkly",
+      call: '{{method}}() is a Statsig call, and this file is not a Statsig holdout in the migration summary; use LaunchDarkly'
+    }
+  },
+
+  create(context) {
+    const migration = migrationOf(context);
+    if (migration && migration.holdouts.has(path.resolve(context.cwd, context.filename))) {
+      return {};
+    }
+    const found = [];
+    const checkSource = (node, sourceNode) => {
+      const source = staticString(sourceNode);
+      if (source !== null && STATSIG_SOURCES.includes(source)) {
+        found.push({ node, messageId: 'import', data: { source } });
+      }
+    };
+    return {
+      ImportDeclaration(node) {
+        // Type-only imports, which shim mode leaves, compile away.
+        if (node.importKind !== 'type') {
+          checkSource(node, node.source);
+        }
+      },
+      CallExpression(node) {
+        const { callee } = node;
+        if (callee.type === 'Identifier' && callee.name === 'require' && node.arguments.length === 1) {
+          checkSource(node, node.arguments[0]);
+        } else if (callee.type === 'MemberExpression' && !callee.computed && STATSIG_METHODS.includes(callee.property.name)) {
+          found.push({ node, messageId: 'call', data: { method: callee.property.name } });
+        }
+      },
+      'Program:exit'() {
+        // One fix rewrites the whole file, so only the first report carries it.
+        const fix = found.length > 0 ? migrationFix(context, migration) : null;
+        found.forEach((report, i) => context.report(i === 0 && fix ? { ...report, fix } : report));
+      }
+    };
+  }
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Gate → experiment dependency graph. An edge means the gate cannot move to
+ * LaunchDarkly on its own: evaluating it there while the experiment stays
+ * on Statsig would change who enters the experiment, or which of the
+ * experiment's users see the gate.
+ *
+ * Edges come from two places:
+ * - `code`: the codemod found the gate and the experiment used together in
+ *   one file (see codemod/dependencies.js)
+ * - `statsig_export`: the Statsig export names the gate as the experiment's
+ *   targeting gate
+ *
+ * Every edge carries the reason it exists, so a blocked gate can always be
+ * explained.
+ */
+
+/**
+ * @param {object} [sources]
+ * @param {{gate: string, experiment: string, reason: string, file: string, line: number|null}[]} [sources.codeEdges]
+ * @param {object|null} [sources.statsigExport] - readStatsigExports result
+ * @returns {{edges: {gate: string, experiment: string, source: string, reason: string, file: string|null, line: number|null}[]}}
+ */
+function buildExperimentGraph({ codeEdges = [], statsigExport = null } = {}) {
+  const edges = [];
+  const seen = new Set();
+  const add = (edge) => {
+    const id = JSON.stringify([edge.gate, edge.experiment, edge.source, edge.file]);
+    if (!seen.has(id)) {
+      seen.add(id);
+      edges.push(edge);
+    }
+  };
+
+  for (const edge of codeEdges) {
+    add({ gate: edge.gate, experiment: edge.experiment, source: 'code', reason: edge.reason, file: edge.file, line: edge.line });
+  }
+  for (const experiment of statsigExport ? statsigExport.experiments : []) {
+    if (experiment.targetingGate) {
+      add({
+        gate: experiment.targetingGate,
+        experiment: experiment.name,
+        source: 'statsig_export',
+        reason: `Statsig export lists '${experiment.targetingGate}' as the targeting gate of experiment '${experiment.name}'`,
+        file: null,
+        line: null
+      });
+    }
+  }
+  return { edges };
+}
+
+/**
+ * Edges that keep `gate` on Statsig; empty when the gate is free to migrate.
+ */
+function edgesForGate(graph, gate) {
+  return graph.edges.filter((edge) => edge.gate === gate);
+}
+
+/**
+ * Names of the gates that depend on `experiment`, in first-seen order.
+ */
+function affectedGates(graph, experiment) {
+  return [...new Set(graph.edges.filter((edge) => edge.experiment === experiment).map((edge) => edge.gate))];
+}
+
+module.exports = {
+  buildExperimentGraph,
+  edgesForGate,
+  affectedGates
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { STATSIG_SOURCES, INITIALIZE_RESPONSE_METHOD } = require('./codemod/statsig-api');
+
+const SOURCE_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts']);
+
+// Directories that hold dependencies or build output rather than source.
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'dist', 'build', 'coverage']);
+
+function isSourceFile(filePath) {
+  return SOURCE_EXTENSIONS.has(path.extname(filePath));
+}
+
+/**
+ * Cheap text check run before parsing: true when the source mentions a
+ * Statsig package in a string, as every import or require of one must, or
+ * builds Statsig `initializeValues` with a server SDK.
+ */
+function mentionsStatsig(source) {
+  return STATSIG_SOURCES.some((name) => source.includes(`'${name}'`) || source.includes(`"${name}"`)) ||
+    source.includes(`.${INITIALIZE_RESPONSE_METHOD}(`);
+}
+
+function walk(dir, files) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name)) {
+        walk(entryPath, files);
+      }
+    } else if (entry.isFile() && isSourceFile(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+}
+
+/**
+ * Expands files and directories into the sorted list of source files that
+ * import a Statsig package. Files named explicitly are kept even when their
+ * extension is unusual; directories are searched recursively.
+ *
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+function findStatsigFiles(paths) {
+  const candidates = [];
+  for (const target of paths) {
+    if (fs.statSync(target).isDirectory()) {
+      walk(target, candidates);
+    } else {
+      candidates.push(target);
+    }
+  }
+  return [...new Set(candidates)].filter((file) => mentionsStatsig(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * The source file a relative import in `fromFile` loads, trying the
+ * extensions a bundler would (and `.ts` for a `.js` specifier), or null.
+ *
+ * @param {string} fromFile
+ * @param {string} specifier - e.g. './hero' or '../config/hero.js'
+ * @returns {string|null}
+ */
+function resolveImport(fromFile, specifier) {
+  const target = path.join(path.dirname(fromFile), specifier);
+  const candidates = [
+    target,
+    ...[...SOURCE_EXTENSIONS].map((extension) => target + extension),
+    ...(/\.js$/.test(target) ? ['.ts', '.tsx'].map((extension) => target.replace(/\.js$/, extension)) : []),
+    ...[...SOURCE_EXTENSIONS].map((extension) => path.join(target, `index${extension}`))
+  ];
+  return candidates.find((file) => isSourceFile(file) && fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+/**
+ * The closest directory containing every file in `files`, relative to the
+ * working directory unless the files are given as absolute paths.
+ *
+ * @param {string[]} files
+ * @returns {string}
+ */
+function commonDirectory(files) {
+  const [first, ...rest] = files.map((file) => path.dirname(path.resolve(file)).split(path.sep));
+  let length = first.length;
+  for (const parts of rest) {
+    length = Math.min(length, parts.length);
+    while (parts.slice(0, length).join(path.sep) !== first.slice(0, length).join(path.sep)) {
+      length--;
+    }
+  }
+  const common = first.slice(0, length).join(path.sep) || path.sep;
+  return path.isAbsolute(files[0]) ? common : path.relative(process.cwd(), common) || '.';
+}
+
+/**
+ * The relative import specifier `fromFile` loads `toFile` with, without the
+ * extension, e.g. '../ld-overrides'.
+ *
+ * @param {string} fromFile
+ * @param {string} toFile
+ * @returns {string}
+ */
+function importSpecifier(fromFile, toFile) {
+  const target = toFile.slice(0, toFile.length - path.extname(toFile).length);
+  const specifier = path.relative(path.dirname(path.resolve(fromFile)), path.resolve(target)).split(path.sep).join('/');
+  return specifier.startsWith('../') ? specifier : `./${specifier}`;
+}
+
+module.exports = {
+  SOURCE_EXTENSIONS,
+  isSourceFile,
+  mentionsStatsig,
+  findStatsigFiles,
+  resolveImport,
+  commonDirectory,
+  importSpecifier
+};
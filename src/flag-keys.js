@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Statsig name → LaunchDarkly flag key. One policy decides how new names
+ * are turned into keys, and every decision is recorded in a flag key map
+ * (`flag-key-map.json`) that is committed with the code. Names already in
+ * the map keep their key, so rewrites, reports and flag definitions agree
+ * across files and runs even if the policy changes.
+ *
+ * Policies:
+ * - `preserve`: the key is the Statsig name
+ * - `kebab`: underscores become hyphens (`snake_case_flag` → `snake-case-flag`)
+ * - `camel`: the key is camelCased (`snake_case_flag` → `snakeCaseFlag`)
+ *
+ * Each entry also records the React accessor: the LaunchDarkly React SDK
+ * camelCases keys on `useFlags()`, so that is the property components read.
+ * Accessors can collide (`beta-flag` and `beta_flag` are both `betaFlag`)
+ * or differ from what a reader would guess (`feature_2fa` is `feature2Fa`);
+ * accessorConflicts finds both.
+ */
+
+const camelCase = require('lodash.camelcase');
+
+const KEY_POLICIES = ['preserve', 'kebab', 'camel'];
+
+const DEFAULT_KEY_POLICY = 'preserve';
+
+class FlagKeyMapError extends Error {
+  constructor(message, file) {
+    super(file ? `${file}: ${message}` : message);
+    this.name = 'FlagKeyMapError';
+    this.file = file || null;
+  }
+}
+
+/**
+ * @param {string} name - Statsig gate, config or layer name
+ * @param {'preserve'|'kebab'|'camel'} policy
+ * @returns {string} LaunchDarkly flag key
+ */
+function normalizeKey(name, policy) {
+  switch (policy) {
+    case 'kebab':
+      return name.replace(/_/g, '-');
+    case 'camel':
+      return camelCase(name);
+    default:
+      return name;
+  }
+}
+
+/**
+ * Property the LaunchDarkly React SDK's `useFlags()` exposes for `key`.
+ */
+function reactAccessor(key) {
+  return camelCase(key);
+}
+
+/**
+ * The accessor a reader would guess for `key`: separators removed and the
+ * character after each one upper-cased, everything else unchanged.
+ */
+function expectedAccessor(key) {
+  return key
+    .replace(/^[^A-Za-z0-9]+/, '')
+    .replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''));
+}
+
+/**
+ * Flags whose React accessor is unsafe to rewrite to, among the map's
+ * entries and `names` (read under the map's policy without being added):
+ * - `collision`: another flag key has the same accessor, so `useFlags()`
+ *   exposes only one of the flags under it
+ * - `ambiguous`: camelCasing changed more than the separators, for example
+ *   the case of a letter after a digit or within an upper-case run
+ *
+ * @param {object} keyMap
+ * @param {Iterable<string>} [names] - Statsig names that may not be in the map yet
+ * @returns {Map<string, {type: 'collision'|'ambiguous', reason: string}>} keyed by Statsig name
+ */
+function accessorConflicts(keyMap, names = []) {
+  const entries = new Map(keyMap.flags);
+  for (const name of names) {
+    if (!entries.has(name)) {
+      entries.set(name, newEntry(keyMap, name));
+    }
+  }
+
+  const byAccessor = new Map();
+  for (const entry of entries.values()) {
+    if (!byAccessor.has(entry.react_accessor)) {
+      byAccessor.set(entry.react_accessor, new Set());
+    }
+    byAccessor.get(entry.react_accessor).add(entry.ld_key);
+  }
+
+  const conflicts = new Map();
+  for (const entry of entries.values()) {
+    const keys = [...byAccessor.get(entry.react_accessor)];
+    const expected = expectedAccessor(entry.ld_key);
+    if (keys.length > 1) {
+      conflicts.set(entry.statsig_name, {
+        type: 'collision',
+        reason: `flag keys ${keys.map((key) => `'${key}'`).join(' and ')} are ${keys.length === 2 ? 'both' : 'all'} read as flags.${entry.react_accessor} from useFlags()`
+      });
+    } else if (expected !== entry.react_accessor) {
+      conflicts.set(entry.statsig_name, {
+        type: 'ambiguous',
+        reason: `flag key '${entry.ld_key}' is read as flags.${entry.react_accessor} from useFlags(), not flags.${expected}`
+      });
+    }
+  }
+  return conflicts;
+}
+
+function newEntry(keyMap, name) {
+  const key = normalizeKey(name, keyMap.policy);
+  return { statsig_name: name, ld_key: key, react_accessor: reactAccessor(key) };
+}
+
+/**
+ * Creates a flag key map, starting from the entries of a parsed
+ * `flag-key-map.json` when one is given.
+ *
+ * @param {object} [options]
+ * @param {'preserve'|'kebab'|'camel'} [options.policy] - defaults to the
+ *   file's policy, then `preserve`
+ * @param {object} [options.json] - parsed flag-key-map.json
+ * @param {string} [options.file] - used in error messages
+ * @returns {{policy: string, flags: Map<string, {statsig_name: string, ld_key: string, react_accessor: string}>}}
+ * @throws {FlagKeyMapError} when the file is malformed or was written with a different policy
+ */
+function createFlagKeyMap({ policy, json, file } = {}) {
+  const keyMap = { policy: policy || DEFAULT_KEY_POLICY, flags: new Map() };
+  if (!json) {
+    return keyMap;
+  }
+  if (typeof json !== 'object' || Array.isArray(json) || !Array.isArray(json.flags)) {
+    throw new FlagKeyMapError('expected an object with a `flags` array', file);
+  }
+  if (!KEY_POLICIES.includes(json.policy)) {
+    throw new FlagKeyMapError(`\`policy\` must be one of: ${KEY_POLICIES.join(', ')}`, file);
+  }
+  if (policy && policy !== json.policy) {
+    throw new FlagKeyMapError(
+      `the map was written with the '${json.policy}' key policy; remove it or use --key-policy ${json.policy} to keep existing keys`,
+      file
+    );
+  }
+  keyMap.policy = json.policy;
+  for (const entry of json.flags) {
+    if (!entry || typeof entry.statsig_name !== 'string' || typeof entry.ld_key !== 'string') {
+      throw new FlagKeyMapError('every flag needs a string `statsig_name` and `ld_key`', file);
+    }
+    keyMap.flags.set(entry.statsig_name, {
+      statsig_name: entry.statsig_name,
+      ld_key: entry.ld_key,
+      react_accessor: reactAccessor(entry.ld_key)
+    });
+  }
+  return keyMap;
+}
+
+/**
+ * The map's entry for a Statsig name, adding one under the map's policy
+ * the first time the name is seen.
+ */
+function flagKeyEntry(keyMap, name) {
+  if (!keyMap.flags.has(name)) {
+    keyMap.flags.set(name, newEntry(keyMap, name));
+  }
+  return keyMap.flags.get(name);
+}
+
+/**
+ * The map as written to flag-key-map.json, sorted by Statsig name so
+ * reruns produce the same file.
+ */
+function flagKeyMapJson(keyMap) {
+  return {
+    policy: keyMap.policy,
+    flags: [...keyMap.flags.values()].sort((a, b) => (a.statsig_name < b.statsig_name ? -1 : a.statsig_name > b.statsig_name ? 1 : 0))
+  };
+}
+
+module.exports = {
+  KEY_POLICIES,
+  DEFAULT_KEY_POLICY,
+  FlagKeyMapError,
+  normalizeKey,
+  reactAccessor,
+  accessorConflicts,
+  createFlagKeyMap,
+  flagKeyEntry,
+  flagKeyMapJson
+};
@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Builds LaunchDarkly flag definitions, in the shape the LaunchDarkly REST
+ * API accepts for creating a flag, from a Statsig export and the fallbacks
+ * the codemod found in code. Targeting is returned separately, keyed by
+ * flag, since LaunchDarkly sets it per environment.
+ */
+
+const { translateTargeting } = require('./targeting');
+const { contextKindDefinition } = require('../context-attributes');
+
+const MIGRATION_TAG = 'migrated-from-statsig';
+
+// Client-side SDKs only see flags made available to the client-side ID.
+const CLIENT_SIDE_AVAILABILITY = { usingEnvironmentId: true, usingMobileKey: false };
+
+// Statsig gates fail closed, so both the fallthrough and the off variation
+// serve `false` until targeting rules say otherwise.
+const GATE_VARIATIONS = [
+  { value: true, name: 'Pass' },
+  { value: false, name: 'Fail' }
+];
+const GATE_PASS = 0;
+const GATE_FAIL = 1;
+
+/**
+ * JSON.stringify with object keys sorted, so equal values compare equal
+ * regardless of key order.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function flagTags(tags) {
+  const sanitized = tags.map((tag) => tag.replace(/[^\w.-]+/g, '-')).filter(Boolean);
+  return [MIGRATION_TAG, ...new Set(sanitized)];
+}
+
+/**
+ * Collects distinct JSON values in the order their sources were added. A
+ * value seen again only adds its source to the existing variation.
+ */
+function variationSet() {
+  const variations = [];
+  const byValue = new Map();
+  return {
+    variations,
+    add(value, source) {
+      const id = canonicalJson(value);
+      if (!byValue.has(id)) {
+        byValue.set(id, { value, sources: [] });
+        variations.push(byValue.get(id));
+      }
+      byValue.get(id).sources.push(source);
+      return variations.indexOf(byValue.get(id));
+    }
+  };
+}
+
+function codeFallbacksByName(summary) {
+  const fallbacks = new Map();
+  const configs = summary
+    ? summary.migrated.dynamic_configs.concat((summary.layers || []).filter((layer) => layer.decision === 'migrated'))
+    : [];
+  for (const config of configs) {
+    if (!fallbacks.has(config.name)) {
+      fallbacks.set(config.name, []);
+    }
+    fallbacks.get(config.name).push(config);
+  }
+  return fallbacks;
+}
+
+function codeGateNames(summary) {
+  return summary ? [...new Set(summary.migrated.feature_gates.map((gate) => gate.name))] : [];
+}
+
+function gateDefinition(gate, exported, flagKey, warn, customIDs) {
+  if (!exported) {
+    warn(gate.name, 'is used in code but missing from the Statsig export; created with no targeting');
+  }
+  return withTargeting(gate, gateFlag(gate, flagKey), { passVariation: () => GATE_PASS, failVariation: GATE_FAIL }, warn, customIDs);
+}
+
+function withTargeting(entry, flag, variations, warn, customIDs) {
+  const translated = translateTargeting(entry, variations, { customIDs });
+  for (const message of translated.warnings) {
+    warn(entry.name, message);
+  }
+  return {
+    flag,
+    targeting: translated.targeting,
+    blocked: translated.blocked.map((item) => ({ flag: entry.name, ...item })),
+    customIDs: translated.customIDs
+  };
+}
+
+function gateFlag(gate, flagKey) {
+  return {
+    key: flagKey(gate.name),
+    name: gate.name,
+    description: gate.description,
+    kind: 'boolean',
+    variations: GATE_VARIATIONS.map((variation) => ({ ...variation })),
+    defaults: { onVariation: GATE_FAIL, offVariation: GATE_FAIL },
+    temporary: gate.temporary,
+    tags: flagTags(gate.tags),
+    clientSideAvailability: { ...CLIENT_SIDE_AVAILABILITY }
+  };
+}
+
+/**
+ * JSON flag seeded with the config's default value, every rule's return
+ * value and every fallback found in code. The default value is served both
+ * as the fallthrough and when the flag is off, as Statsig does.
+ */
+function configDefinition(config, exported, fallbacks, flagKey, warn, customIDs) {
+  const set = variationSet();
+  const ruleVariations = new Map();
+  let defaultIndex = 0;
+  if (exported) {
+    defaultIndex = set.add(config.defaultValue, 'Statsig default value');
+    for (const rule of config.rules) {
+      ruleVariations.set(rule, set.add(rule.returnValue, `Statsig rule: ${rule.name}`));
+    }
+  } else {
+    warn(config.name, 'is used in code but missing from the Statsig export; variations come from code fallbacks only');
+  }
+  for (const fallback of fallbacks) {
+    const index = set.add(fallback.fallback, `Code fallback in ${fallback.file}:${fallback.line}`);
+    if (exported && index !== defaultIndex) {
+      warn(config.name, `code fallback in ${fallback.file}:${fallback.line} differs from the Statsig default value`);
+    }
+  }
+
+  const flag = {
+    key: flagKey(config.name),
+    name: config.name,
+    description: config.description,
+    kind: 'multivariate',
+    variations: set.variations.map((variation) => ({
+      value: variation.value,
+      name: variation.sources[0],
+      description: `Seeded from ${variation.sources.join('; ')}`
+    })),
+    defaults: { onVariation: defaultIndex, offVariation: defaultIndex },
+    temporary: config.temporary,
+    tags: flagTags(config.tags),
+    clientSideAvailability: { ...CLIENT_SIDE_AVAILABILITY }
+  };
+  return withTargeting(config, flag, {
+    passVariation: (rule) => ruleVariations.get(rule),
+    failVariation: defaultIndex
+  }, warn, customIDs);
+}
+
+/**
+ * Layers without experiments become JSON flags like configs, seeded with
+ * their parameter defaults. Layers that back experiments stay on Statsig.
+ */
+function layerConfigs(layers, warn) {
+  const configs = [];
+  for (const layer of layers) {
+    if (layer.experiments.length > 0) {
+      warn(layer.name, `backs experiment(s) ${layer.experiments.join(', ')}; it stays on Statsig and no flag was created`);
+    } else {
+      configs.push({ ...layer, defaultValue: layer.parameters });
+    }
+  }
+  return configs;
+}
+
+/**
+ * @param {{gates: object[], configs: object[], layers?: object[]}} statsigExport - from readStatsigExports
+ * @param {object} [options]
+ * @param {object} [options.summary] - migration summary whose config and layer fallbacks seed JSON variations
+ * @param {function(string): string} [options.flagKey] - maps a Statsig name to a flag key
+ * @param {'flatten'|'multi'} [options.customIDs] - how the codemod converted
+ *   customIDs; with `multi`, customID targeting and rollouts use the
+ *   customID's context kind
+ * @returns {{
+ *   flags: object[],
+ *   targeting: Object<string, object>,
+ *   contextKinds: {key: string, name: string, description: string}[],
+ *   blocked: {flag: string, rule: string, reason: string}[],
+ *   warnings: {flag: string, message: string}[]
+ * }} `targeting` maps each flag key to the rules, fallthrough and off
+ *   variation to apply in every LaunchDarkly environment; `contextKinds`
+ *   are the context kinds that targeting uses, to create first
+ */
+function buildFlagDefinitions(statsigExport, options = {}) {
+  const flagKey = options.flagKey || ((name) => name);
+  const customIDs = options.customIDs || 'flatten';
+  const warnings = [];
+  const warn = (flag, message) => warnings.push({ flag, message: `${flag} ${message}` });
+  const fallbacks = codeFallbacksByName(options.summary);
+  const exportedGates = new Set(statsigExport.gates.map((gate) => gate.name));
+  const configs = statsigExport.configs.concat(layerConfigs(statsigExport.layers || [], warn));
+  const exportedConfigs = new Set(configs.map((config) => config.name));
+
+  const codeOnlyGates = codeGateNames(options.summary)
+    .filter((name) => !exportedGates.has(name))
+    .map((name) => ({ name, description: '', enabled: true, temporary: true, tags: [], idType: 'userID', rules: [] }));
+  const codeOnlyConfigs = [...fallbacks.keys()]
+    .filter((name) => !exportedConfigs.has(name))
+    .map((name) => ({ name, description: '', enabled: true, temporary: true, tags: [], idType: 'userID', rules: [] }));
+
+  const definitions = [
+    ...statsigExport.gates.concat(codeOnlyGates)
+      .map((gate) => gateDefinition(gate, exportedGates.has(gate.name), flagKey, warn, customIDs)),
+    ...configs.concat(codeOnlyConfigs)
+      .map((config) => configDefinition(config, exportedConfigs.has(config.name), fallbacks.get(config.name) || [], flagKey, warn, customIDs))
+  ];
+
+  const targeting = {};
+  for (const definition of definitions) {
+    targeting[definition.flag.key] = definition.targeting;
+  }
+  const contextKinds = new Map();
+  for (const id of definitions.flatMap((definition) => definition.customIDs)) {
+    const kind = contextKindDefinition(id);
+    if (!contextKinds.has(kind.key)) {
+      contextKinds.set(kind.key, kind);
+    }
+  }
+  return {
+    flags: definitions.map((definition) => definition.flag),
+    targeting,
+    contextKinds: [...contextKinds.values()],
+    blocked: definitions.flatMap((definition) => definition.blocked),
+    warnings
+  };
+}
+
+module.exports = {
+  canonicalJson,
+  buildFlagDefinitions
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Reads Statsig gate, dynamic config, layer and experiment exports. Accepts
+ * the Console API list responses (`{ "data": [...] }`), plain arrays, and
+ * combined files with `feature_gates`/`gates`, `dynamic_configs`/`configs`,
+ * `layers` and `experiments` arrays. In `data` and plain arrays an entry
+ * with `groups` is an experiment, one with `parameters` or `experiments` is
+ * a layer, one with a `defaultValue` is a config, and anything else a gate.
+ */
+
+class StatsigExportError extends Error {
+  constructor(message, file) {
+    super(file ? `${file}: ${message}` : message);
+    this.name = 'StatsigExportError';
+    this.file = file || null;
+  }
+}
+
+function has(entry, field) {
+  return Object.prototype.hasOwnProperty.call(entry, field);
+}
+
+function kindOf(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return 'gate';
+  }
+  if (has(entry, 'groups')) {
+    return 'experiment';
+  }
+  if (has(entry, 'parameters') || has(entry, 'experiments')) {
+    return 'layer';
+  }
+  return has(entry, 'defaultValue') ? 'config' : 'gate';
+}
+
+/**
+ * Layer parameter defaults, from either `{ name: value }` or
+ * `[{ name, defaultValue }]`.
+ */
+function layerParameters(parameters) {
+  if (Array.isArray(parameters)) {
+    const values = {};
+    for (const parameter of parameters) {
+      if (parameter && typeof parameter.name === 'string') {
+        values[parameter.name] = parameter.defaultValue === undefined ? null : parameter.defaultValue;
+      }
+    }
+    return values;
+  }
+  return parameters && typeof parameters === 'object' ? { ...parameters } : {};
+}
+
+function normalizeRule(rule, index) {
+  return {
+    id: rule.id || null,
+    name: rule.name || `Rule ${index + 1}`,
+    passPercentage: typeof rule.passPercentage === 'number' ? rule.passPercentage : 100,
+    conditions: Array.isArray(rule.conditions) ? rule.conditions : [],
+    environments: Array.isArray(rule.environments) ? rule.environments : null,
+    returnValue: rule.returnValue === undefined ? null : rule.returnValue
+  };
+}
+
+function normalizeEntry(entry, kind, file) {
+  if (!entry || typeof entry !== 'object' || (typeof entry.name !== 'string' && typeof entry.id !== 'string')) {
+    throw new StatsigExportError(`every ${kind} needs a string \`name\` or \`id\``, file);
+  }
+  const normalized = {
+    name: entry.name || entry.id,
+    description: typeof entry.description === 'string' ? entry.description : '',
+    enabled: entry.isEnabled !== false,
+    temporary: entry.type !== 'PERMANENT',
+    tags: Array.isArray(entry.tags) ? entry.tags.filter((tag) => typeof tag === 'string') : [],
+    idType: entry.idType || 'userID',
+    rules: (Array.isArray(entry.rules) ? entry.rules : []).map(normalizeRule)
+  };
+  if (kind === 'config') {
+    normalized.defaultValue = entry.defaultValue === undefined ? null : entry.defaultValue;
+  }
+  if (kind === 'layer') {
+    normalized.parameters = layerParameters(entry.parameters);
+    normalized.experiments = Array.isArray(entry.experiments)
+      ? entry.experiments.map((experiment) => (typeof experiment === 'string' ? experiment : experiment.name || experiment.id))
+      : [];
+  }
+  if (kind === 'experiment') {
+    normalized.status = entry.status || null;
+    normalized.layer = entry.layerID || null;
+    normalized.targetingGate = entry.targetingGateID || null;
+  }
+  return normalized;
+}
+
+function entriesOf(json, file) {
+  if (Array.isArray(json)) {
+    return { mixed: json };
+  }
+  if (!json || typeof json !== 'object') {
+    throw new StatsigExportError('expected a JSON object or array', file);
+  }
+  const gates = json.feature_gates || json.gates;
+  const configs = json.dynamic_configs || json.configs;
+  const { layers, experiments } = json;
+  if (!gates && !configs && !layers && !experiments && !Array.isArray(json.data)) {
+    throw new StatsigExportError('no `data`, `feature_gates`, `dynamic_configs`, `layers` or `experiments` array found', file);
+  }
+  return {
+    gate: gates || [],
+    config: configs || [],
+    layer: layers || [],
+    experiment: experiments || [],
+    mixed: Array.isArray(json.data) ? json.data : []
+  };
+}
+
+/**
+ * Experiments attach to a layer either from the layer's `experiments` list
+ * or from the experiment's `layerID`; merge both into the layer.
+ */
+function linkLayers(layers, experiments) {
+  for (const experiment of experiments.values()) {
+    if (!experiment.layer) {
+      continue;
+    }
+    if (!layers.has(experiment.layer)) {
+      layers.set(experiment.layer, normalizeEntry({ name: experiment.layer, parameters: {} }, 'layer'));
+    }
+    const layer = layers.get(experiment.layer);
+    if (!layer.experiments.includes(experiment.name)) {
+      layer.experiments.push(experiment.name);
+    }
+  }
+}
+
+/**
+ * Merges one or more parsed export files. A later file replaces an earlier
+ * entry of the same kind and name.
+ *
+ * @param {{file?: string, json: *}[]} exports
+ * @returns {{gates: object[], configs: object[], layers: object[], experiments: object[]}}
+ */
+function readStatsigExports(exports) {
+  const entries = { gate: new Map(), config: new Map(), layer: new Map(), experiment: new Map() };
+  for (const { file, json } of exports) {
+    const { mixed, ...byKind } = entriesOf(json, file);
+    const typed = Object.entries(byKind).flatMap(([kind, list]) => list.map((entry) => [kind, entry]));
+    for (const [kind, entry] of typed.concat(mixed.map((entry) => [kindOf(entry), entry]))) {
+      const normalized = normalizeEntry(entry, kind, file);
+      entries[kind].set(normalized.name, normalized);
+    }
+  }
+  linkLayers(entries.layer, entries.experiment);
+  return {
+    gates: [...entries.gate.values()],
+    configs: [...entries.config.values()],
+    layers: [...entries.layer.values()],
+    experiments: [...entries.experiment.values()]
+  };
+}
+
+module.exports = {
+  StatsigExportError,
+  readStatsigExports
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Translates Statsig gate and dynamic config rules into LaunchDarkly
+ * targeting: rules with clauses, percentage rollouts and a fallthrough, in
+ * the shape of a flag's per-environment configuration.
+ *
+ * Statsig conditions are written against StatsigUser fields; clauses target
+ * the context kind and attribute each field ends up in after the codemod's
+ * context transformation (see context-attributes.js). A rule with any
+ * condition that has no LaunchDarkly equivalent is left out and reported as
+ * blocked, since dropping only that condition would widen who the rule
+ * matches. Translation stops there: Statsig evaluates rules in order, so
+ * translating the later rules would hand them the users the blocked rule
+ * decided. Those users get the fail variation until the rules are added by
+ * hand.
+ */
+
+const { contextReferenceFor } = require('../context-attributes');
+
+// Statsig condition type → StatsigUser field it reads.
+const CONDITION_FIELDS = {
+  user_id: 'userID',
+  email: 'email',
+  country: 'country',
+  ip_address: 'ip',
+  app_version: 'appVersion',
+  locale: 'locale'
+};
+
+// Statsig operator → LaunchDarkly clause operator, negation, and whether
+// Statsig compares strings case-insensitively.
+const OPERATORS = {
+  any: { op: 'in', negate: false, caseInsensitive: true },
+  none: { op: 'in', negate: true, caseInsensitive: true },
+  any_case_sensitive: { op: 'in', negate: false },
+  none_case_sensitive: { op: 'in', negate: true },
+  eq: { op: 'in', negate: false },
+  neq: { op: 'in', negate: true },
+  str_contains_any: { op: 'contains', negate: false, caseInsensitive: true },
+  str_contains_none: { op: 'contains', negate: true, caseInsensitive: true },
+  str_starts_with_any: { op: 'startsWith', negate: false, caseInsensitive: true },
+  str_ends_with_any: { op: 'endsWith', negate: false, caseInsensitive: true },
+  str_matches: { op: 'matches', negate: false },
+  gt: { op: 'greaterThan', negate: false },
+  gte: { op: 'greaterThanOrEqual', negate: false },
+  lt: { op: 'lessThan', negate: false },
+  lte: { op: 'lessThanOrEqual', negate: false },
+  version_gt: { op: 'semVerGreaterThan', negate: false },
+  version_lt: { op: 'semVerLessThan', negate: false },
+  version_eq: { op: 'semVerEqual', negate: false },
+  version_neq: { op: 'semVerEqual', negate: true },
+  version_gte: { op: 'semVerLessThan', negate: true },
+  version_lte: { op: 'semVerGreaterThan', negate: true },
+  before: { op: 'before', negate: false },
+  after: { op: 'after', negate: false }
+};
+
+// LaunchDarkly rollout weights are in thousandths of a percent.
+const WEIGHT_SCALE = 1000;
+
+class UntranslatableCondition extends Error {}
+
+function statsigField(condition) {
+  if (condition.type === 'custom_field') {
+    return condition.field ? `custom.${condition.field}` : null;
+  }
+  if (condition.type === 'unit_id') {
+    const id = condition.customID || condition.field;
+    return id ? `customIDs.${id}` : null;
+  }
+  return CONDITION_FIELDS[condition.type] || null;
+}
+
+function targetValues(condition) {
+  const value = condition.targetValue;
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Clause for one Statsig condition. Throws UntranslatableCondition with the
+ * reason when LaunchDarkly cannot express it.
+ */
+function clauseFor(condition, notes, customIDs) {
+  const field = statsigField(condition);
+  const reference = field && contextReferenceFor(field, customIDs);
+  if (!reference) {
+    throw new UntranslatableCondition(`condition type \`${condition.type}\` has no LaunchDarkly context attribute`);
+  }
+  const operator = OPERATORS[condition.operator];
+  if (!operator) {
+    throw new UntranslatableCondition(`operator \`${condition.operator}\` on \`${condition.type}\` has no LaunchDarkly equivalent`);
+  }
+  const values = targetValues(condition);
+  if (values.length === 0) {
+    throw new UntranslatableCondition(`\`${condition.type}\` condition has no target values`);
+  }
+
+  if (operator.caseInsensitive && values.some((value) => typeof value === 'string' && /[a-z]/i.test(value))) {
+    notes.add(`Statsig compares \`${field}\` case-insensitively; LaunchDarkly \`${operator.op}\` is case-sensitive`);
+  }
+  if (condition.type === 'country') {
+    notes.add('Statsig derives `country` from the IP address when the user has none; LaunchDarkly only matches the attribute');
+  }
+  return { contextKind: reference.contextKind, attribute: reference.attribute, op: operator.op, values, negate: operator.negate };
+}
+
+function isEveryone(condition) {
+  return condition.type === 'public';
+}
+
+/**
+ * `{ variation }` when the rule always passes or always fails, otherwise a
+ * percentage rollout between the pass and fail variations, bucketed by
+ * `unit`.
+ */
+function serve(passPercentage, passVariation, failVariation, unit) {
+  if (passPercentage >= 100 || passVariation === failVariation) {
+    return { variation: passVariation };
+  }
+  if (passPercentage <= 0) {
+    return { variation: failVariation };
+  }
+  const passWeight = Math.round(passPercentage * WEIGHT_SCALE);
+  const rollout = {
+    contextKind: unit.contextKind,
+    variations: [
+      { variation: passVariation, weight: passWeight },
+      { variation: failVariation, weight: 100 * WEIGHT_SCALE - passWeight }
+    ]
+  };
+  if (unit.attribute !== 'key') {
+    rollout.bucketBy = unit.attribute;
+  }
+  return { rollout };
+}
+
+/**
+ * Blocks the rules after one that could not be translated. Statsig only
+ * reaches them for users the blocked rule did not match, which LaunchDarkly
+ * cannot tell apart without it.
+ */
+function blockLaterRules(laterRules, blockedRule, blocked) {
+  for (const later of laterRules) {
+    blocked.push({
+      rule: later.name,
+      reason: `comes after rule "${blockedRule.name}", which could not be translated; add both by hand, in order`
+    });
+  }
+}
+
+/**
+ * @param {object} entry - normalized gate or config from readStatsigExports
+ * @param {object} variations
+ * @param {function(object): number} variations.passVariation - variation a passing rule serves
+ * @param {number} variations.failVariation - variation served when no rule passes
+ * @param {object} [options]
+ * @param {'flatten'|'multi'} [options.customIDs] - how the codemod converted customIDs
+ * @returns {{targeting: object, blocked: object[], warnings: string[], customIDs: string[]}}
+ *   `customIDs` lists the customIDs the targeting reads as context kinds
+ */
+function translateTargeting(entry, { passVariation, failVariation }, { customIDs = 'flatten' } = {}) {
+  const rules = [];
+  const blocked = [];
+  const warnings = [];
+  // Rollouts bucket by the unit the gate or config was bucketed by in Statsig.
+  const unit = entry.idType && entry.idType !== 'userID'
+    ? contextReferenceFor(`customIDs.${entry.idType}`, customIDs)
+    : { contextKind: 'user', attribute: 'key' };
+  let fallthrough = { variation: failVariation };
+  const kindIDs = new Set();
+  const readKind = (field) => {
+    if (contextReferenceFor(field, customIDs).contextKind !== 'user') {
+      kindIDs.add(field.slice('customIDs.'.length));
+    }
+  };
+
+  for (let index = 0; index < entry.rules.length; index++) {
+    const rule = entry.rules[index];
+    if (rule.environments) {
+      blocked.push({
+        rule: rule.name,
+        reason: `rule only applies in Statsig environments ${rule.environments.join(', ')}; add it to the matching LaunchDarkly environments by hand`
+      });
+      blockLaterRules(entry.rules.slice(index + 1), rule, blocked);
+      break;
+    }
+
+    const notes = new Set();
+    let clauses;
+    try {
+      clauses = rule.conditions.filter((condition) => !isEveryone(condition)).map((condition) => clauseFor(condition, notes, customIDs));
+    } catch (error) {
+      if (!(error instanceof UntranslatableCondition)) {
+        throw error;
+      }
+      blocked.push({ rule: rule.name, reason: error.message });
+      blockLaterRules(entry.rules.slice(index + 1), rule, blocked);
+      break;
+    }
+    for (const note of notes) {
+      warnings.push(`rule "${rule.name}": ${note}`);
+    }
+    rule.conditions.filter((condition) => !isEveryone(condition)).forEach((condition) => readKind(statsigField(condition)));
+
+    const served = serve(rule.passPercentage, passVariation(rule), failVariation, unit);
+    if (served.rollout) {
+      if (unit.contextKind !== 'user') {
+        kindIDs.add(entry.idType);
+      }
+      // Same percentage, different users: LaunchDarkly hashes the unit with
+      // its own salt, so it does not pick the users Statsig passed.
+      warnings.push(`rule "${rule.name}": the ${rule.passPercentage}% rollout passes a different set of users in LaunchDarkly than it did in Statsig, even with the same unit`);
+    }
+    if (clauses.length === 0) {
+      // An everyone rule ends evaluation, so it becomes the fallthrough.
+      fallthrough = served;
+      const unreachable = entry.rules.slice(index + 1).map((later) => `"${later.name}"`);
+      if (unreachable.length > 0) {
+        warnings.push(`rule(s) ${unreachable.join(', ')} come after an everyone rule and never match in Statsig; they were left out`);
+      }
+      break;
+    }
+    rules.push({ description: rule.name, clauses, ...served });
+  }
+
+  return {
+    targeting: { on: entry.enabled, rules, fallthrough, offVariation: failVariation },
+    blocked,
+    warnings,
+    customIDs: [...kindIDs]
+  };
+}
+
+module.exports = {
+  translateTargeting
+};
@@ -0,0 +1,283 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { migrateSource, scanSource, scanConfigReceivers, findExperimentDependencies } = require('./codemod');
+const { receiverKey } = require('./codemod/config-flow');
+const { createFileReport } = require('./codemod/state');
+const { buildSummary } = require('./summary');
+const { SCHEMA_VERSION, SummaryValidationError, validateSummary, assertValidSummary } = require('./summary-schema');
+const { findStatsigFiles, resolveImport, commonDirectory, importSpecifier } = require('./files');
+const { LOCAL_OVERRIDES_NAME, localOverridesSource } = require('./local-overrides');
+const { StatsigExportError, readStatsigExports } = require('./flags/statsig-export');
+const { buildFlagDefinitions } = require('./flags/definitions');
+const { parityFlags, uncomparedFlags, paritySource } = require('./parity');
+const { buildExperimentGraph } = require('./experiment-graph');
+const { EXPOSURE_MODES } = require('./codemod/exposures');
+const { CUSTOM_ID_MODES } = require('./context-attributes');
+const { KEY_POLICIES, FlagKeyMapError, createFlagKeyMap, flagKeyEntry, flagKeyMapJson, accessorConflicts } = require('./flag-keys');
+
+/**
+ * Migrates a file on disk. The file is only rewritten when `write` is set.
+ *
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {boolean} [options.write]
+ * @param {object} [options.statsigExport] - readStatsigExports result used to classify layers
+ * @param {object} [options.experimentGraph] - buildExperimentGraph result deciding which gates stay on Statsig
+ * @param {'drop'|'preserve'} [options.exposures] - see migrateSource
+ * @param {'flatten'|'multi'} [options.customIDs] - see migrateSource
+ * @param {boolean} [options.shim] - see migrateSource
+ * @param {object} [options.keyMap] - see migrateSource
+ * @param {string[]} [options.flagNames] - see migrateSource
+ * @param {Map} [options.configReceivers] - see migrateSource
+ * @param {object[]} [options.receiverParams] - see migrateSource
+ * @param {string} [options.overridesModule] - see migrateSource
+ * @returns {{code: string, changed: boolean, report: object, receivers: object[]}}
+ */
+function migrateFile(filePath, options = {}) {
+  const source = fs.readFileSync(filePath, 'utf8');
+  const result = migrateSource(source, {
+    filePath,
+    statsigExport: options.statsigExport,
+    experimentGraph: options.experimentGraph,
+    exposures: options.exposures,
+    customIDs: options.customIDs,
+    shim: options.shim,
+    keyMap: options.keyMap,
+    flagNames: options.flagNames,
+    configReceivers: options.configReceivers,
+    receiverParams: options.receiverParams,
+    overridesModule: options.overridesModule
+  });
+  if (options.write && result.changed) {
+    fs.writeFileSync(filePath, result.code);
+  }
+  return result;
+}
+
+function receiverId({ file, imported, index }) {
+  return `${file}#${imported}#${index}`;
+}
+
+/**
+ * Traces, in their modules, the imported functions each file passes
+ * configs to.
+ *
+ * @returns {Map<string, Map<string, object>>} file → receiverKey → traceReceiver result
+ */
+function traceConfigReceivers(files, scans) {
+  const imports = files.map((file, i) => scans[i].configImports
+    .map((item) => ({ ...item, file: resolveImport(file, item.source) }))
+    .filter((item) => item.file !== null));
+  const wanted = new Map();
+  for (const item of imports.flat()) {
+    if (!wanted.has(item.file)) {
+      wanted.set(item.file, new Map());
+    }
+    wanted.get(item.file).set(receiverId(item), { imported: item.imported, index: item.index });
+  }
+
+  const traced = new Map();
+  for (const [file, receivers] of wanted) {
+    let results;
+    try {
+      results = scanConfigReceivers(fs.readFileSync(file, 'utf8'), { filePath: file, receivers: [...receivers.values()] });
+    } catch (error) {
+      results = [...receivers.values()].map(({ imported, index }) => ({
+        file, imported, index, reads: [], escape: `${file} could not be parsed`
+      }));
+    }
+    results.forEach((receiver) => traced.set(receiverId(receiver), receiver));
+  }
+  return new Map(files.map((file, i) => [
+    file,
+    new Map(imports[i].map((item) => [receiverKey(item.source, item.imported, item.index), traced.get(receiverId(item))]))
+  ]));
+}
+
+/**
+ * Works out which traced receivers can take the migrated value: those that
+ * every config passed to them was migrated for. Files are migrated in
+ * memory until no receiver is left that a config staying on Statsig is
+ * passed to; configs passed to such a receiver fail, which can take more
+ * receivers out.
+ *
+ * @returns {{configReceivers: Map<string, Map<string, object>>, receiverParams: Map<string, object[]>}}
+ */
+function settleConfigReceivers(files, sources, traced, options) {
+  const kept = new Set();
+  const configReceivers = new Map();
+  for (;;) {
+    for (const [file, receivers] of traced) {
+      configReceivers.set(file, new Map([...receivers].map(([key, receiver]) => [
+        key,
+        kept.has(receiverId(receiver)) && !receiver.escape
+          ? { ...receiver, reads: [], escape: 'it also receives configs that stay on Statsig' }
+          : receiver
+      ])));
+    }
+    const usage = files.flatMap((file) => {
+      try {
+        return migrateSource(sources.get(file), { ...options, filePath: file, configReceivers: configReceivers.get(file) }).receivers;
+      } catch (error) {
+        return [];
+      }
+    });
+    const newlyKept = usage.filter((item) => !item.migrated && !kept.has(receiverId(item)));
+    if (newlyKept.length === 0) {
+      const receiverParams = new Map();
+      for (const item of new Map(usage.map((item) => [receiverId(item), item])).values()) {
+        receiverParams.set(item.file, (receiverParams.get(item.file) || []).concat({ imported: item.imported, index: item.index }));
+      }
+      return { configReceivers, receiverParams };
+    }
+    newlyKept.forEach((item) => kept.add(receiverId(item)));
+  }
+}
+
+/**
+ * Where the local override module goes and in which form: `file` when
+ * given, otherwise in the closest directory containing every file that
+ * calls a Statsig override API. It is TypeScript or CommonJS when all of
+ * those files are.
+ *
+ * @returns {{file: string, typescript: boolean, commonjs: boolean}|null}
+ *   null when no file calls an override API
+ */
+function planLocalOverrides(files, scans, file) {
+  const users = files.filter((_, i) => scans[i].overrides);
+  if (users.length === 0) {
+    return null;
+  }
+  const typescript = file ? /\.[cm]?tsx?$/.test(file) : users.every((user) => /\.[cm]?tsx?$/.test(user));
+  return {
+    file: file || path.join(commonDirectory(users), LOCAL_OVERRIDES_NAME + (typescript ? '.ts' : '.js')),
+    typescript,
+    commonjs: files.every((_, i) => !scans[i].overrides || scans[i].commonjs)
+  };
+}
+
+/**
+ * The migration result for the local override module. An existing module is
+ * left as it is, since it may have been edited.
+ */
+function localOverridesResult(plan, write) {
+  const report = createFileReport(plan.file);
+  if (fs.existsSync(plan.file)) {
+    const source = fs.readFileSync(plan.file, 'utf8');
+    return { file: plan.file, source, code: source, changed: false, report, generated: true };
+  }
+  const code = localOverridesSource(plan);
+  if (write) {
+    fs.mkdirSync(path.dirname(plan.file), { recursive: true });
+    fs.writeFileSync(plan.file, code);
+  }
+  return { file: plan.file, source: '', code, changed: true, report, generated: true };
+}
+
+/**
+ * Migrates every Statsig-using file under `paths`. A file that fails to
+ * parse is reported as failed instead of stopping the run.
+ *
+ * Every file is scanned for gate/experiment co-usage first, so a gate that
+ * an experiment depends on in one file stays on Statsig in all of them, for
+ * the flags it reads, so React accessor collisions are found across files,
+ * and for the imported functions it passes configs to. Those functions'
+ * reads join the configs' fallbacks, and their modules are migrated too.
+ *
+ * When a file calls a Statsig override API, the local override module the
+ * calls are routed to is generated and returned after the migrated files.
+ *
+ * @param {string[]} paths - files and directories
+ * @param {object} [options]
+ * @param {boolean} [options.write]
+ * @param {object} [options.statsigExport] - readStatsigExports result used to classify layers
+ * @param {'drop'|'preserve'} [options.exposures] - see migrateSource
+ * @param {'flatten'|'multi'} [options.customIDs] - see migrateSource
+ * @param {boolean} [options.shim] - see migrateSource
+ * @param {object} [options.keyMap] - see migrateSource; share one map so
+ *   every file gets the same keys
+ * @param {string} [options.overridesModule] - where to write the local
+ *   override module
+ * @returns {{file: string, source: string, code: string, changed: boolean, report: object, generated?: boolean}[]}
+ *   `generated` is set on the local override module
+ */
+function migratePaths(paths, options = {}) {
+  const files = findStatsigFiles(paths);
+  const sources = new Map(files.map((file) => [file, fs.readFileSync(file, 'utf8')]));
+  const scans = files.map((file) => {
+    try {
+      return scanSource(sources.get(file), { filePath: file });
+    } catch (error) {
+      // Reported as a failed file by the migration below.
+      return { dependencies: [], flagNames: [], configImports: [], overrides: false, commonjs: false };
+    }
+  });
+  const codeEdges = scans.flatMap((scan) => scan.dependencies);
+  const experimentGraph = buildExperimentGraph({ codeEdges, statsigExport: options.statsigExport });
+  const flagNames = [...new Set(scans.flatMap((scan) => scan.flagNames))];
+  const overrides = planLocalOverrides(files, scans, options.overridesModule);
+  const fileOptions = { ...options, experimentGraph, flagNames, overridesModule: undefined };
+
+  const traced = traceConfigReceivers(files, scans);
+  const { configReceivers, receiverParams } = [...traced.values()].some((receivers) => receivers.size > 0)
+    ? settleConfigReceivers(files, sources, traced, { ...fileOptions, write: false })
+    : { configReceivers: new Map(), receiverParams: new Map() };
+  const receiverModules = [...receiverParams.keys()].filter((file) => !sources.has(file));
+  for (const file of receiverModules) {
+    sources.set(file, fs.readFileSync(file, 'utf8'));
+  }
+
+  const results = files.concat(receiverModules).map((file) => {
+    const source = sources.get(file);
+    try {
+      return {
+        file,
+        source,
+        ...migrateFile(file, {
+          ...fileOptions,
+          configReceivers: configReceivers.get(file),
+          receiverParams: receiverParams.get(file),
+          overridesModule: overrides ? importSpecifier(file, overrides.file) : undefined
+        })
+      };
+    } catch (error) {
+      const report = createFileReport(file);
+      report.failed.push({ name: file, type: 'file', reason: `Could not migrate: ${error.message}`, line: null });
+      return { file, source, code: source, changed: false, report };
+    }
+  });
+  if (overrides && results.some((result) => result.report.overrides.length > 0)) {
+    results.push(localOverridesResult(overrides, options.write));
+  }
+  return results;
+}
+
+module.exports = {
+  migrateSource,
+  migrateFile,
+  migratePaths,
+  EXPOSURE_MODES,
+  CUSTOM_ID_MODES,
+  KEY_POLICIES,
+  FlagKeyMapError,
+  createFlagKeyMap,
+  flagKeyEntry,
+  flagKeyMapJson,
+  accessorConflicts,
+  findExperimentDependencies,
+  buildExperimentGraph,
+  findStatsigFiles,
+  buildSummary,
+  SCHEMA_VERSION,
+  SummaryValidationError,
+  validateSummary,
+  assertValidSummary,
+  StatsigExportError,
+  readStatsigExports,
+  buildFlagDefinitions,
+  parityFlags,
+  uncomparedFlags,
+  paritySource
+};
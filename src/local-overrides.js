@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * The local override module migrated code imports in place of the Statsig
+ * override APIs. LaunchDarkly client SDKs cannot force a flag value, so the
+ * module wraps the reads of the client an override is set on.
+ *
+ * migratePaths writes the module next to the files that use it, unless it
+ * already exists; the source is plain so it can be edited.
+ */
+
+const LOCAL_OVERRIDES_NAME = 'ld-overrides';
+
+/**
+ * Source of the local override module.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.typescript] - emit TypeScript instead of JavaScript
+ * @param {boolean} [options.commonjs] - export with `module.exports` instead of `export`
+ * @returns {string}
+ */
+function localOverridesSource({ typescript = false, commonjs = false } = {}) {
+  const t = (annotation) => (typescript ? annotation : '');
+  const exported = commonjs ? '' : 'export ';
+  return `// Local flag overrides for tests and development, generated by statsig-to-ld
+// from the Statsig overrideGate(), overrideConfig() and overrideLayer() calls.
+// statsig-to-ld only writes this file when it is missing, so it can be edited.
+//
+// overrideFlag() makes one LaunchDarkly client return a value for a flag key
+// until the override is removed: variation() and allFlags() return it without
+// evaluating the flag, and variationDetail() returns it in place of the
+// evaluated value.
+${commonjs ? "\n'use strict';\n" : ''}${t("\nimport type { LDClient, LDFlagValue } from 'launchdarkly-js-client-sdk';\n\ntype Read = (...args: any[]) => any;\n")}
+const overridesByClient = new WeakMap${t('<LDClient, Map<string, LDFlagValue>>')}();
+
+function wrapReads(client${t(': LDClient')}, overrides${t(': Map<string, LDFlagValue>')}) {
+  const methods = client${t(' as unknown as Record<string, Read>')};
+  const { variation, variationDetail, allFlags } = methods;
+  methods.variation = (key${t(': string')}, ...rest${t(': unknown[]')}) => (overrides.has(key) ? overrides.get(key) : variation.call(client, key, ...rest));
+  methods.variationDetail = (key${t(': string')}, ...rest${t(': unknown[]')}) => {
+    const detail = variationDetail.call(client, key, ...rest);
+    return overrides.has(key) ? { ...detail, value: overrides.get(key) } : detail;
+  };
+  methods.allFlags = () => ({ ...allFlags.call(client), ...Object.fromEntries(overrides) });
+}
+
+function overridesOf(client${t(': LDClient')})${t(': Map<string, LDFlagValue>')} {
+  let overrides = overridesByClient.get(client);
+  if (!overrides) {
+    overrides = new Map();
+    overridesByClient.set(client, overrides);
+    wrapReads(client, overrides);
+  }
+  return overrides;
+}
+
+${exported}function overrideFlag(client${t(': LDClient')}, key${t(': string')}, value${t(': LDFlagValue')})${t(': void')} {
+  overridesOf(client).set(key, value);
+}
+
+${exported}function removeOverride(client${t(': LDClient')}, key${t(': string')})${t(': void')} {
+  overridesOf(client).delete(key);
+}
+
+${exported}function removeAllOverrides(client${t(': LDClient')})${t(': void')} {
+  overridesOf(client).clear();
+}
+${commonjs ? '\nmodule.exports = {\n  overrideFlag,\n  removeOverride,\n  removeAllOverrides\n};\n' : ''}`;
+}
+
+module.exports = {
+  LOCAL_OVERRIDES_NAME,
+  localOverridesSource
+};
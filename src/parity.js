@@ -0,0 +1,222 @@
+'use strict';
+
+/**
+ * The parity module `statsig-to-ld parity` generates from a migration
+ * summary. It lists every migrated gate, config and layer and wraps the
+ * reads of a LaunchDarkly client so each of them is evaluated in Statsig
+ * too, serving one SDK's value and passing every difference to a sink.
+ */
+
+/**
+ * Flags the parity module compares, by LaunchDarkly flag key: migrated
+ * gates, configs and layers, with the fallback of configs and layers. The
+ * fallback lists the keys the migrated code reads.
+ *
+ * @param {object} summary - migration summary
+ * @returns {object}
+ */
+function parityFlags(summary) {
+  const flags = new Map();
+  const add = (key, flag) => {
+    if (!flags.has(key)) {
+      flags.set(key, flag);
+    }
+  };
+  for (const gate of summary.migrated.feature_gates) {
+    add(gate.key, { name: gate.name, type: 'gate' });
+  }
+  for (const config of summary.migrated.dynamic_configs) {
+    add(config.key, { name: config.name, type: 'config', fallback: config.fallback });
+  }
+  for (const layer of (summary.layers || []).filter((item) => item.decision === 'migrated')) {
+    add(layer.key, { name: layer.name, type: 'layer', fallback: layer.fallback });
+  }
+  return Object.fromEntries(flags);
+}
+
+// Statsig React hooks whose reads migrate to `useFlags()`, which reads the
+// flags LDProvider keeps rather than calling the client.
+const USE_FLAGS_APIS = ['useGateValue', 'useFeatureGate', 'useConfig', 'useLayer'];
+
+/**
+ * Keys of the migrated flags that are read with `useFlags()` somewhere.
+ * The parity module only wraps client reads, so those reads are not
+ * compared. Summaries older than 1.12.0 do not record which API reads a
+ * gate or config, so only their `useLayer()` reads are found.
+ *
+ * @param {object} summary - migration summary
+ * @returns {string[]}
+ */
+function uncomparedFlags(summary) {
+  const reads = [
+    ...summary.migrated.feature_gates,
+    ...summary.migrated.dynamic_configs,
+    ...(summary.layers || []).filter((layer) => layer.decision === 'migrated')
+  ];
+  return [...new Set(reads.filter((read) => USE_FLAGS_APIS.includes(read.api)).map((read) => read.key))];
+}
+
+/**
+ * Source of the parity module for the flags migrated in `summary`.
+ *
+ * @param {object} summary - migration summary
+ * @param {object} [options]
+ * @param {boolean} [options.typescript] - emit TypeScript instead of JavaScript
+ * @param {boolean} [options.commonjs] - export with `module.exports` instead of `export`
+ * @returns {string}
+ */
+function paritySource(summary, { typescript = false, commonjs = false } = {}) {
+  const t = (annotation) => (typescript ? annotation : '');
+  const exported = commonjs ? '' : 'export ';
+  const flags = JSON.stringify(parityFlags(summary), null, 2);
+  const uncompared = uncomparedFlags(summary);
+  return `// Statsig/LaunchDarkly parity checks, generated by statsig-to-ld parity from the
+// migration summary. Do not edit: run statsig-to-ld parity again after
+// migrating more flags.
+//
+// enableParity() makes every read of a migrated flag on one LaunchDarkly client
+// evaluate the flag in Statsig too. variation() and variationDetail() return
+// the value of the SDK chosen with \`serve\`, and every difference is passed to
+// \`sink\`. Gates compare the boolean; configs and layers compare the keys the
+// migrated code reads, which are the keys of their fallback. Statsig logs
+// exposures only when it serves; LaunchDarkly always sends its evaluation
+// events.${uncompared.length > 0 ? `
+//
+// Reads with useFlags() are not compared. These flags have some: ${uncompared.join(', ')}` : ''}
+${commonjs ? "\n'use strict';\n" : ''}${t(`
+import type { LDClient, LDContext } from 'launchdarkly-js-client-sdk';
+
+type Read = (...args: any[]) => any;
+type Fallback = Record<string, unknown>;
+
+interface ParityFlag {
+  name: string;
+  type: 'gate' | 'config' | 'layer';
+  fallback?: Fallback;
+}
+
+interface StatsigReadOptions {
+  disableExposureLog?: boolean;
+}
+
+// The members of the Statsig client the parity checks read.
+export interface StatsigReads {
+  checkGate(name: string, options?: StatsigReadOptions): boolean;
+  getConfig(name: string, options?: StatsigReadOptions): { value: unknown; get(key: string, fallback: unknown): unknown };
+  getLayer(name: string, options?: StatsigReadOptions): { get(key: string, fallback: unknown): unknown };
+}
+
+export interface ParityMismatch {
+  key: string;
+  name: string;
+  type: ParityFlag['type'];
+  context: LDContext;
+  statsig: unknown;
+  launchdarkly: unknown;
+  served: 'statsig' | 'launchdarkly';
+}
+
+export type ParitySink = (mismatch: ParityMismatch) => void | Promise<void>;
+
+export interface ParityOptions {
+  serve?: 'statsig' | 'launchdarkly';
+  sink?: ParitySink;
+}
+`)}
+const FLAGS${t(': Record<string, ParityFlag>')} = ${flags};
+const enabled = new WeakSet${t('<LDClient>')}();
+
+${exported}function consoleSink(mismatch${t(': ParityMismatch')})${t(': void')} {
+  console.warn(
+    \`statsig-to-ld parity: \${mismatch.type} '\${mismatch.name}' is \${JSON.stringify(mismatch.statsig)} in Statsig \` +
+      \`and \${JSON.stringify(mismatch.launchdarkly)} in LaunchDarkly (flag \${mismatch.key})\`,
+    mismatch.context
+  );
+}
+
+function sameValue(a${t(': unknown')}, b${t(': unknown')})${t(': boolean')} {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && sameValue((a${t(' as Fallback')})[key], (b${t(' as Fallback')})[key]));
+}
+
+// The keys of the flag's fallback read with \`read\`, or \`whole\` when the
+// fallback has none.
+function readKeys(flag${t(': ParityFlag')}, read${t(': (key: string) => unknown')}, whole${t(': unknown')})${t(': unknown')} {
+  const keys = Object.keys(flag.fallback || {});
+  return keys.length > 0 ? Object.fromEntries(keys.map((key) => [key, read(key)])) : whole;
+}
+
+function statsigValue(statsigClient${t(': StatsigReads')}, flag${t(': ParityFlag')}, served${t(': boolean')})${t(': unknown')} {
+  const options = served ? undefined : { disableExposureLog: true };
+  const fallback = flag.fallback || {};
+  if (flag.type === 'gate') {
+    return statsigClient.checkGate(flag.name, options);
+  }
+  if (flag.type === 'config') {
+    const config = statsigClient.getConfig(flag.name, options);
+    return readKeys(flag, (key) => config.get(key, fallback[key]), config.value);
+  }
+  const layer = statsigClient.getLayer(flag.name, options);
+  return readKeys(flag, (key) => layer.get(key, fallback[key]), {});
+}
+
+function launchDarklyValue(flag${t(': ParityFlag')}, value${t(': unknown')})${t(': unknown')} {
+  if (flag.type === 'gate') {
+    return value;
+  }
+  const object = value !== null && typeof value === 'object' ? value${t(' as Fallback')} : {};
+  return readKeys(flag, (key) => object[key], value);
+}
+
+function reportSinkError(error${t(': unknown')})${t(': void')} {
+  console.error('statsig-to-ld parity: the mismatch sink failed', error);
+}
+
+function report(sink${t(': ParitySink')}, mismatch${t(': ParityMismatch')})${t(': void')} {
+  try {
+    Promise.resolve(sink(mismatch)).catch(reportSinkError);
+  } catch (error) {
+    reportSinkError(error);
+  }
+}
+
+${exported}function enableParity(ldClient${t(': LDClient')}, statsigClient${t(': StatsigReads')}, { serve = 'statsig', sink = consoleSink }${t(': ParityOptions')} = {})${t(': void')} {
+  if (enabled.has(ldClient)) {
+    return;
+  }
+  enabled.add(ldClient);
+  const compare = (key${t(': string')}, value${t(': unknown')}) => {
+    const flag = FLAGS[key];
+    const statsig = statsigValue(statsigClient, flag, serve === 'statsig');
+    const launchdarkly = launchDarklyValue(flag, value);
+    if (!sameValue(statsig, launchdarkly)) {
+      report(sink, { key, name: flag.name, type: flag.type, context: ldClient.getContext(), statsig, launchdarkly, served: serve });
+    }
+    return serve === 'statsig' ? statsig : value;
+  };
+  const methods = ldClient${t(' as unknown as Record<string, Read>')};
+  const { variation, variationDetail } = methods;
+  methods.variation = (key${t(': string')}, ...rest${t(': unknown[]')}) => {
+    const value = variation.call(ldClient, key, ...rest);
+    return Object.prototype.hasOwnProperty.call(FLAGS, key) ? compare(key, value) : value;
+  };
+  methods.variationDetail = (key${t(': string')}, ...rest${t(': unknown[]')}) => {
+    const detail = variationDetail.call(ldClient, key, ...rest);
+    return Object.prototype.hasOwnProperty.call(FLAGS, key) ? { ...detail, value: compare(key, detail.value) } : detail;
+  };
+}
+${commonjs ? '\nmodule.exports = {\n  consoleSink,\n  enableParity\n};\n' : ''}`;
+}
+
+module.exports = {
+  parityFlags,
+  uncomparedFlags,
+  paritySource
+};
@@ -0,0 +1,83 @@
+/**
+ * Types for the StatsigClient shim. Only the members the shim implements
+ * are declared, so code that still needs the rest of the Statsig API fails
+ * to compile instead of failing at runtime.
+ */
+
+export type LoadingStatus = 'Uninitialized' | 'Loading' | 'Ready';
+
+export interface StatsigUser {
+  userID?: string | number;
+  email?: string;
+  ip?: string;
+  userAgent?: string;
+  country?: string;
+  locale?: string;
+  appVersion?: string;
+  custom?: Record<string, unknown>;
+  customIDs?: Record<string, string>;
+  privateAttributes?: Record<string, unknown>;
+  [field: string]: unknown;
+}
+
+export interface StatsigOptions {
+  overrideStableID?: string;
+  initTimeoutMs?: number;
+  /** An initialized LaunchDarkly client to use instead of creating one. */
+  ldClient?: unknown;
+  /** LDOptions for the LaunchDarkly client the shim creates. */
+  ldOptions?: Record<string, unknown>;
+  /** Other StatsigOptions are accepted and ignored. */
+  [option: string]: unknown;
+}
+
+export interface StatsigEvent {
+  eventName: string;
+  value?: string | number | null;
+  metadata?: Record<string, string> | null;
+}
+
+export interface EvaluationOptions {
+  disableExposureLog?: boolean;
+}
+
+export interface InitializationDetails {
+  duration: number;
+  success: boolean;
+  source: string;
+  error?: unknown;
+}
+
+export interface UpdateDetails {
+  duration: number;
+  success: boolean;
+  error?: unknown;
+}
+
+export declare class DynamicConfig {
+  readonly name: string;
+  readonly value: Record<string, unknown>;
+  get<T>(key: string, fallback?: T): T;
+}
+
+export declare class StatsigClient {
+  constructor(sdkKey: string, user?: StatsigUser | null, options?: StatsigOptions | null);
+  readonly loadingStatus: LoadingStatus;
+  initializeAsync(): Promise<InitializationDetails>;
+  initializeSync(): InitializationDetails;
+  checkGate(name: string, options?: EvaluationOptions): boolean;
+  getConfig(name: string, options?: EvaluationOptions): DynamicConfig;
+  updateUserAsync(user: StatsigUser): Promise<UpdateDetails>;
+  logEvent(event: StatsigEvent): void;
+  logEvent(eventName: string, value?: string | number | null, metadata?: Record<string, string> | null): void;
+  getStableID(): string;
+  shutdown(): Promise<void>;
+  /** The LaunchDarkly client behind the shim, once initialization started. */
+  getLDClient(): unknown;
+}
+
+export declare function contextToUser(context: Record<string, unknown>): StatsigUser;
+
+export declare function readFlag(flags: Record<string, unknown>, key: string): unknown;
+
+export declare function userToContext(user: StatsigUser | null | undefined, stableID: string): Record<string, unknown>;
@@ -0,0 +1,326 @@
+'use strict';
+
+/**
+ * `StatsigClient` implemented on top of a LaunchDarkly client, so a large
+ * codebase can cut over one import at a time and refactor call sites later.
+ * `statsig-to-ld migrate --shim` points `@statsig/js-client` imports here in
+ * files that only use the members implemented below.
+ *
+ * Gates are read as boolean flags and dynamic configs as JSON flags with
+ * the same key. The `sdkKey` passed to the constructor must be replaced
+ * with the LaunchDarkly client-side ID, unless an initialized LaunchDarkly
+ * client is passed as `options.ldClient`.
+ */
+
+const camelCase = require('lodash.camelcase');
+const { KEY_FIELD, FLATTENED_FIELDS } = require('../context-attributes');
+
+const LD_JS_SDK = 'launchdarkly-js-client-sdk';
+
+// Matches the timeout the codemod uses for waitForInitialization().
+const DEFAULT_INIT_TIMEOUT_MS = 5000;
+
+const STABLE_ID_STORAGE_KEY = 'statsig-to-ld.stable_id';
+
+function randomID() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === 'x' ? random : (random % 4) + 8).toString(16);
+  });
+}
+
+/**
+ * The device's stable ID, persisted in localStorage where it is available
+ * so anonymous users keep the same context key across page loads.
+ */
+function loadStableID() {
+  let storage = null;
+  try {
+    storage = globalThis.localStorage || null;
+  } catch (error) {
+    // Access to localStorage throws when storage is disabled.
+  }
+  const stored = storage && storage.getItem(STABLE_ID_STORAGE_KEY);
+  if (stored) {
+    return stored;
+  }
+  const id = randomID();
+  if (storage) {
+    storage.setItem(STABLE_ID_STORAGE_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * StatsigUser → LDContext with the same mapping the codemod applies to
+ * user objects in code. Users without a `userID` become anonymous contexts
+ * keyed by the stable ID.
+ *
+ * @param {object} user - StatsigUser
+ * @param {string} stableID
+ * @returns {object} LDContext
+ */
+function userToContext(user, stableID) {
+  const context = { kind: 'user', key: stableID };
+  const privateAttributes = [];
+  for (const [field, value] of Object.entries(user || {})) {
+    if (field === KEY_FIELD || value === undefined) {
+      continue;
+    }
+    if (!FLATTENED_FIELDS.includes(field)) {
+      context[field] = value;
+      continue;
+    }
+    Object.assign(context, value);
+    if (field === 'privateAttributes') {
+      privateAttributes.push(...Object.keys(value || {}));
+    }
+  }
+  if (user && user.userID) {
+    context.key = String(user.userID);
+  } else {
+    context.anonymous = true;
+  }
+  if (privateAttributes.length > 0) {
+    context._meta = { privateAttributes };
+  }
+  return context;
+}
+
+// Top-level StatsigUser fields; other context attributes came from `custom`.
+const USER_FIELDS = ['email', 'ip', 'userAgent', 'country', 'locale', 'appVersion'];
+
+/**
+ * LDContext → StatsigUser, the reverse of userToContext. Attributes that are
+ * not StatsigUser fields go back into `custom`, or `privateAttributes` when
+ * the context marks them private; `customIDs` cannot be told apart from
+ * custom attributes and end up in `custom` too.
+ *
+ * @param {object} context - LDContext; the `user` kind of a multi-context is used
+ * @returns {object} StatsigUser
+ */
+function contextToUser(context) {
+  const source = context && context.kind === 'multi' ? context.user || {} : context || {};
+  const privateNames = (source._meta && source._meta.privateAttributes) || [];
+  const user = {};
+  const custom = {};
+  const privateAttributes = {};
+  for (const [name, value] of Object.entries(source)) {
+    if (name === 'kind' || name === '_meta' || name === 'anonymous') {
+      continue;
+    }
+    if (name === 'key') {
+      if (!source.anonymous) {
+        user[KEY_FIELD] = value;
+      }
+    } else if (privateNames.includes(name)) {
+      privateAttributes[name] = value;
+    } else if (USER_FIELDS.includes(name)) {
+      user[name] = value;
+    } else {
+      custom[name] = value;
+    }
+  }
+  if (Object.keys(custom).length > 0) {
+    user.custom = custom;
+  }
+  if (Object.keys(privateAttributes).length > 0) {
+    user.privateAttributes = privateAttributes;
+  }
+  return user;
+}
+
+/**
+ * A flag's value from a flag set returned by the LaunchDarkly React SDK's
+ * `useFlags()`, which camelCases flag keys unless the provider turned
+ * `useCamelCaseFlagKeys` off.
+ */
+function readFlag(flags, key) {
+  const camelKey = camelCase(key);
+  return camelKey in flags ? flags[camelKey] : flags[key];
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeOf(value) === 'object';
+}
+
+/**
+ * The object `getConfig()` returns, backed by a JSON flag's value.
+ */
+class DynamicConfig {
+  constructor(name, value) {
+    this.name = name;
+    this.value = isPlainObject(value) ? value : {};
+  }
+
+  /**
+   * Like Statsig's `get()`: the fallback is returned when the parameter is
+   * missing or has a different type than the fallback.
+   */
+  get(key, fallback) {
+    const value = Object.prototype.hasOwnProperty.call(this.value, key) ? this.value[key] : undefined;
+    if (value === undefined || value === null) {
+      return fallback === undefined ? null : fallback;
+    }
+    if (fallback !== undefined && fallback !== null && typeOf(value) !== typeOf(fallback)) {
+      return fallback;
+    }
+    return value;
+  }
+}
+
+/**
+ * `logEvent()` arguments → `track()` arguments, with the same mapping as
+ * the codemod: a numeric value is the metric value and any other value is
+ * sent as `value` in the data payload.
+ */
+function trackArguments(eventOrName, value, metadata) {
+  const event = typeof eventOrName === 'string' ? { eventName: eventOrName, value, metadata } : eventOrName;
+  const data = event.metadata ? { ...event.metadata } : undefined;
+  if (typeof event.value === 'number') {
+    return [event.eventName, data, event.value];
+  }
+  if (event.value === undefined || event.value === null) {
+    return data ? [event.eventName, data] : [event.eventName];
+  }
+  return [event.eventName, { value: event.value, ...data }];
+}
+
+class StatsigClient {
+  /**
+   * @param {string} sdkKey - LaunchDarkly client-side ID
+   * @param {object} [user] - StatsigUser
+   * @param {object} [options] - StatsigOptions; `overrideStableID` and
+   *   `initTimeoutMs` are honoured, plus `ldClient` (an existing
+   *   LaunchDarkly client to use) and `ldOptions` (LDOptions for the one
+   *   the shim creates)
+   */
+  constructor(sdkKey, user, options = {}) {
+    this._sdkKey = sdkKey;
+    this._user = user || {};
+    this._options = options;
+    this._stableID = options.overrideStableID || loadStableID();
+    this._ldClient = options.ldClient || null;
+    this._ready = null;
+    this.loadingStatus = 'Uninitialized';
+  }
+
+  /**
+   * The LaunchDarkly client behind the shim, once initialization started.
+   */
+  getLDClient() {
+    return this._ldClient;
+  }
+
+  _start() {
+    if (!this._ready) {
+      this.loadingStatus = 'Loading';
+      if (!this._ldClient) {
+        // Loaded here so the codemod can be installed without the LaunchDarkly SDK.
+        const { initialize } = require(LD_JS_SDK);
+        this._ldClient = initialize(this._sdkKey, userToContext(this._user, this._stableID), {
+          ...this._options.ldOptions,
+          // Keeps the allFlags() reads behind disableExposureLog out of analytics.
+          sendEventsOnlyForVariation: true
+        });
+      }
+      const timeout = (this._options.initTimeoutMs || DEFAULT_INIT_TIMEOUT_MS) / 1000;
+      const started = Date.now();
+      this._ready = this._ldClient.waitForInitialization(timeout).then(
+        () => {
+          this.loadingStatus = 'Ready';
+          return { duration: Date.now() - started, success: true, source: 'Network' };
+        },
+        (error) => {
+          // Like Statsig, an initialization failure leaves fallbacks in place instead of throwing.
+          this.loadingStatus = 'Ready';
+          return { duration: Date.now() - started, success: false, source: 'NoValues', error };
+        }
+      );
+    }
+    return this._ready;
+  }
+
+  /**
+   * Starts initialization and resolves once LaunchDarkly has flag values or
+   * gave up; never rejects.
+   */
+  initializeAsync() {
+    return this._start();
+  }
+
+  /**
+   * Starts initialization without waiting; reads return fallbacks until the
+   * LaunchDarkly client is ready.
+   */
+  initializeSync() {
+    this._start();
+    return { duration: 0, success: true, source: this._ldClient ? 'Loading' : 'NoValues' };
+  }
+
+  checkGate(name, options) {
+    if (!this._ldClient) {
+      return false;
+    }
+    if (options && options.disableExposureLog) {
+      return this._ldClient.allFlags()[name] === true;
+    }
+    return this._ldClient.variation(name, false) === true;
+  }
+
+  getConfig(name, options) {
+    let value = {};
+    if (this._ldClient) {
+      value = options && options.disableExposureLog
+        ? this._ldClient.allFlags()[name]
+        : this._ldClient.variation(name, {});
+    }
+    return new DynamicConfig(name, value);
+  }
+
+  async updateUserAsync(user) {
+    this._user = user || {};
+    const started = Date.now();
+    if (!this._ldClient) {
+      return { duration: 0, success: true };
+    }
+    try {
+      await this._ldClient.identify(userToContext(this._user, this._stableID));
+      return { duration: Date.now() - started, success: true };
+    } catch (error) {
+      return { duration: Date.now() - started, success: false, error };
+    }
+  }
+
+  logEvent(eventOrName, value, metadata) {
+    if (this._ldClient) {
+      this._ldClient.track(...trackArguments(eventOrName, value, metadata));
+    }
+  }
+
+  getStableID() {
+    return this._stableID;
+  }
+
+  async shutdown() {
+    if (this._ldClient) {
+      await this._ldClient.close();
+    }
+    this.loadingStatus = 'Uninitialized';
+  }
+}
+
+module.exports = {
+  StatsigClient,
+  DynamicConfig,
+  userToContext,
+  contextToUser,
+  readFlag
+};
@@ -0,0 +1,28 @@
+/**
+ * Types for the React hooks adapter. Only the hooks the adapter implements
+ * are declared.
+ */
+
+import type { DynamicConfig, StatsigClient, StatsigUser, UpdateDetails } from './index';
+
+export interface FeatureGate {
+  readonly name: string;
+  readonly value: boolean;
+  readonly ruleID: string;
+  readonly idType: string | null;
+  readonly details: { reason: string };
+}
+
+export declare function useGateValue(name: string): boolean;
+
+export declare function useFeatureGate(name: string): FeatureGate;
+
+export declare function useConfig(name: string): DynamicConfig;
+
+export declare function useStatsigClient(): { client: StatsigClient; isLoading: boolean };
+
+export declare function useStatsigUser(): {
+  user: StatsigUser;
+  updateUserSync: (user: StatsigUser) => void;
+  updateUserAsync: (user: StatsigUser) => Promise<UpdateDetails>;
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * `@statsig/react-bindings` hooks implemented over the LaunchDarkly React
+ * SDK, so components keep their Statsig hook calls while the app is
+ * wrapped in an `LDProvider`. `statsig-to-ld migrate --shim` points hook
+ * imports here and turns `<StatsigProvider>` into `<LDProvider>`.
+ *
+ * Flags are read from `useFlags()`, which camelCases flag keys, so the hooks
+ * take the Statsig gate or config name and look up both spellings.
+ * Evaluation options such as `disableExposureLog` are ignored.
+ */
+
+const { useMemo } = require('react');
+const { useFlags, useLDClient } = require('launchdarkly-react-client-sdk');
+const { StatsigClient, DynamicConfig, contextToUser, readFlag } = require('./index');
+
+function useGateValue(name) {
+  return readFlag(useFlags(), name) === true;
+}
+
+/**
+ * Statsig's FeatureGate object. Rule IDs and evaluation details are not
+ * available from `useFlags()`.
+ */
+function useFeatureGate(name) {
+  const value = useGateValue(name);
+  return useMemo(() => ({ name, value, ruleID: '', idType: null, details: { reason: 'LaunchDarkly' } }), [name, value]);
+}
+
+function useConfig(name) {
+  const value = readFlag(useFlags(), name);
+  return useMemo(() => new DynamicConfig(name, value), [name, value]);
+}
+
+/**
+ * A StatsigClient shim over the provider's LaunchDarkly client. Until the
+ * provider has a client, `isLoading` is true and reads return fallbacks.
+ */
+function useStatsigClient() {
+  const ldClient = useLDClient();
+  const client = useMemo(() => {
+    const shim = new StatsigClient('', null, { ldClient });
+    if (ldClient) {
+      shim.initializeSync();
+    }
+    return shim;
+  }, [ldClient]);
+  return { client, isLoading: !ldClient };
+}
+
+/**
+ * The current LaunchDarkly context as a StatsigUser. Both update functions
+ * call `identify()`; `updateUserSync` does not wait for it.
+ */
+function useStatsigUser() {
+  const { client } = useStatsigClient();
+  // Subscribes the component to flag changes, which follow every identify().
+  useFlags();
+  const ldClient = client.getLDClient();
+  const context = ldClient ? ldClient.getContext() : null;
+  const user = useMemo(() => contextToUser(context), [context]);
+  return {
+    user,
+    updateUserSync: (next) => {
+      client.updateUserAsync(next);
+    },
+    updateUserAsync: (next) => client.updateUserAsync(next)
+  };
+}
+
+module.exports = {
+  useGateValue,
+  useFeatureGate,
+  useConfig,
+  useStatsigClient,
+  useStatsigUser
+};
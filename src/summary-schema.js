@@ -0,0 +1,80 @@
+'use strict';
+
+const Ajv = require('ajv');
+const schema = require('./schema/migration-summary.schema.json');
+
+// The version in the schema's `$id`, which new reports are written with.
+// Bump the minor version for additive changes, keeping new sections
+// optional so that older 1.x reports still validate; bump the major version,
+// and the `schema_version` pattern, for anything that can break an existing
+// consumer.
+const SCHEMA_VERSION = schema.$id.slice(schema.$id.lastIndexOf('/') + 1);
+
+class SummaryValidationError extends Error {
+  constructor(errors) {
+    super(`migration summary does not match schema ${SCHEMA_VERSION}:\n${errors.map((error) => `  ${error}`).join('\n')}`);
+    this.name = 'SummaryValidationError';
+    this.errors = errors;
+  }
+}
+
+// The schema reports written by this version match: every section is
+// required, and `schema_version` is SCHEMA_VERSION.
+const currentSchema = {
+  ...schema,
+  $id: `${schema.$id}/current`,
+  required: Object.keys(schema.properties),
+  properties: {
+    ...schema.properties,
+    schema_version: { ...schema.properties.schema_version, const: SCHEMA_VERSION }
+  }
+};
+
+const validators = new Map();
+
+function compiled(current) {
+  if (!validators.has(current)) {
+    validators.set(current, new Ajv({ allErrors: true }).compile(current ? currentSchema : schema));
+  }
+  return validators.get(current);
+}
+
+/**
+ * Checks a summary against the migration-summary JSON Schema. Any 1.x
+ * summary is valid, unless `options.current` is set: then the summary must
+ * be one this version writes, with SCHEMA_VERSION and every section.
+ *
+ * @param {object} summary
+ * @param {{current?: boolean}} [options]
+ * @returns {{valid: boolean, errors: string[]}} errors as `<json pointer> <message>`
+ */
+function validateSummary(summary, options = {}) {
+  const validate = compiled(Boolean(options.current));
+  if (validate(summary)) {
+    return { valid: true, errors: [] };
+  }
+  return {
+    valid: false,
+    errors: validate.errors.map((error) => `${error.instancePath || '/'} ${error.message}`)
+  };
+}
+
+/**
+ * Throws a SummaryValidationError unless `summary` matches the schema; see
+ * validateSummary() for `options`.
+ */
+function assertValidSummary(summary, options) {
+  const { valid, errors } = validateSummary(summary, options);
+  if (!valid) {
+    throw new SummaryValidationError(errors);
+  }
+  return summary;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  schema,
+  SummaryValidationError,
+  validateSummary,
+  assertValidSummary
+};
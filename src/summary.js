@@ -0,0 +1,237 @@
+'use strict';
+
+const { SCHEMA_VERSION } = require('./summary-schema');
+const { buildExperimentGraph, affectedGates } = require('./experiment-graph');
+const { contextKindDefinition } = require('./context-attributes');
+
+/**
+ * Aggregates per-file codemod reports into the `migration-summary.json`
+ * structure documented in the README.
+ *
+ * The gate → experiment graph is rebuilt from the reports' dependencies
+ * and the Statsig export, so it matches the one the codemod used when the
+ * same export was passed to migratePaths.
+ *
+ * @param {object[]} reports - reports returned by migrateSource/migrateFile
+ * @param {object} [options]
+ * @param {object} [options.statsigExport] - readStatsigExports result passed to the codemod
+ * @returns {object}
+ */
+function buildSummary(reports, options = {}) {
+  const gates = [];
+  const configs = [];
+  const experiments = [];
+  const blocked = [];
+  const failed = [];
+  const layers = [];
+  const codeEdges = [];
+  const metrics = new Map();
+  const warnings = [];
+  const statsigPreserved = [];
+  const shimmed = [];
+  const keyConflicts = [];
+  const fallbackConflicts = [];
+  const droppedOptions = [];
+  const pluginOptions = [];
+  const overrides = [];
+  const contextKinds = new Map();
+
+  for (const report of reports) {
+    const file = report.file;
+    for (const gate of report.gates) {
+      gates.push({ name: gate.name, key: gate.key, ...(gate.api && { api: gate.api }), file, line: gate.line });
+    }
+    for (const config of report.configs) {
+      configs.push({ name: config.name, key: config.key, ...(config.api && { api: config.api }), fallback: config.fallback, file, line: config.line });
+    }
+    for (const experiment of report.experiments) {
+      experiments.push({ name: experiment.name, api: experiment.api, file, line: experiment.line });
+    }
+    for (const event of report.events.filter((item) => item.name !== null)) {
+      if (!metrics.has(event.name)) {
+        metrics.set(event.name, metricFor(event.name));
+      }
+      const metric = metrics.get(event.name);
+      metric.isNumeric = metric.isNumeric || event.metricValue;
+      metric.usages.push({ file, line: event.line });
+    }
+    for (const edge of report.dependencies) {
+      codeEdges.push({ ...edge, file });
+    }
+    for (const layer of report.layers) {
+      const { line, ...rest } = layer;
+      layers.push({ ...rest, file, line });
+    }
+    for (const item of report.blocked) {
+      blocked.push({ name: item.name, type: item.type, reason: item.reason, file, line: item.line });
+    }
+    for (const item of report.failed) {
+      failed.push({ name: item.name, type: item.type, reason: item.reason, file, line: item.line });
+    }
+    for (const usage of report.contextKinds) {
+      if (!contextKinds.has(usage.kind)) {
+        contextKinds.set(usage.kind, { ...contextKindDefinition(usage.customID), customIDs: [], usages: [] });
+      }
+      const kind = contextKinds.get(usage.kind);
+      if (!kind.customIDs.includes(usage.customID)) {
+        kind.customIDs.push(usage.customID);
+      }
+      kind.usages.push({ file, line: usage.line });
+    }
+    for (const conflict of report.keyConflicts) {
+      const { line, ...rest } = conflict;
+      keyConflicts.push({ ...rest, file, line });
+    }
+    for (const conflict of report.fallbackConflicts) {
+      const { line, ...rest } = conflict;
+      fallbackConflicts.push({ ...rest, file, line });
+    }
+    for (const dropped of report.droppedOptions) {
+      const { line, ...rest } = dropped;
+      droppedOptions.push({ ...rest, file, line });
+    }
+    for (const option of report.pluginOptions) {
+      const { line, ...rest } = option;
+      pluginOptions.push({ ...rest, file, line });
+    }
+    for (const override of report.overrides) {
+      const { line, ...rest } = override;
+      overrides.push({ ...rest, file, line });
+    }
+    for (const warning of report.warnings) {
+      warnings.push({ file, line: warning.line, message: warning.message });
+    }
+    if (report.statsigPreserved) {
+      statsigPreserved.push(file);
+    }
+    if (report.shimmed) {
+      shimmed.push(file);
+    }
+  }
+
+  const migratedLayers = layers.filter((layer) => layer.decision === 'migrated');
+  const blockedGates = blocked.filter((item) => item.type === 'feature_gate');
+  const graph = buildExperimentGraph({ codeEdges, statsigExport: options.statsigExport });
+  return {
+    schema_version: SCHEMA_VERSION,
+    summary: {
+      total_items: gates.length + configs.length + experiments.length + blockedGates.length + failed.length + layers.length,
+      successfully_migrated: gates.length + configs.length + migratedLayers.length,
+      // Gates stay on Statsig because experiments depend on them, and layers
+      // because they back, or may back, experiments.
+      blocked_by_experiments: experiments.length + blockedGates.length + countDecision(layers, 'blocked'),
+      failed: failed.length + countDecision(layers, 'failed')
+    },
+    migrated: {
+      feature_gates: gates,
+      dynamic_configs: configs
+    },
+    not_migrated: {
+      experiments: experiments.map((experiment) => ({
+        ...experiment,
+        affected_gates: experiment.name === null ? [] : affectedGates(graph, experiment.name)
+      })),
+      blocked,
+      failed
+    },
+    layers,
+    experiment_dependencies: graph.edges,
+    metrics: [...metrics.values()],
+    context_kinds: [...contextKinds.values()],
+    statsig_preserved: statsigPreserved,
+    shimmed,
+    key_conflicts: keyConflicts,
+    fallback_conflicts: fallbackConflicts,
+    dropped_options: droppedOptions,
+    plugin_options: pluginOptions,
+    overrides,
+    warnings,
+    next_steps: nextSteps({
+      gates, configs, experiments, layers, metrics, contextKinds, blocked, failed, statsigPreserved, shimmed, keyConflicts, fallbackConflicts,
+      droppedOptions, pluginOptions, overrides
+    })
+  };
+}
+
+/**
+ * A LaunchDarkly custom metric, in the shape the REST API takes for
+ * creating one, for the events `track()` sends under `eventName`. The
+ * metric is numeric when any call site sends a metric value.
+ */
+function metricFor(eventName) {
+  return { key: eventName, name: eventName, kind: 'custom', eventKey: eventName, isNumeric: false, usages: [] };
+}
+
+function countDecision(layers, decision) {
+  return layers.filter((layer) => layer.decision === decision).length;
+}
+
+function uniqueKeys(items) {
+  return [...new Set(items.map((item) => item.key))];
+}
+
+function nextSteps({
+  gates, configs, experiments, layers, metrics, contextKinds, blocked, failed, statsigPreserved, shimmed, keyConflicts, fallbackConflicts,
+  droppedOptions, pluginOptions, overrides
+}) {
+  const steps = [];
+  if (keyConflicts.length > 0) {
+    steps.push(`Resolve the React flag accessor conflicts under key_conflicts by changing each flag's ld_key in the flag key map, then rerun migrate: ${[...new Set(keyConflicts.map((item) => item.name))].join(', ')}`);
+  }
+  const jsonFlags = configs.concat(layers.filter((layer) => layer.decision === 'migrated'));
+  if (contextKinds.size > 0) {
+    steps.push(`Create context kinds in LaunchDarkly before targeting them: ${[...contextKinds.keys()].join(', ')}`);
+  }
+  if (gates.length > 0) {
+    steps.push(`Create boolean flags in LaunchDarkly: ${uniqueKeys(gates).join(', ')}`);
+  }
+  if (jsonFlags.length > 0) {
+    steps.push(`Create JSON flags in LaunchDarkly: ${uniqueKeys(jsonFlags).join(', ')}`);
+  }
+  if (fallbackConflicts.length > 0) {
+    steps.push(`Check the JSON fallbacks of configs read with different defaults, listed under fallback_conflicts; each keeps its first default: ${[...new Set(fallbackConflicts.map((item) => item.name))].join(', ')}`);
+  }
+  if (gates.length > 0 || jsonFlags.length > 0) {
+    steps.push('Replace Statsig SDK keys with your LaunchDarkly client-side ID (see TODO(statsig-to-ld) comments)');
+  }
+  if (droppedOptions.length > 0) {
+    steps.push(`Review the Statsig options listed under dropped_options, which have no LDOptions counterpart: ${[...new Set(droppedOptions.map((item) => item.option))].join(', ')}`);
+  }
+  const lossyPluginOptions = pluginOptions.filter((item) => item.status !== 'mapped');
+  if (lossyPluginOptions.length > 0) {
+    steps.push(`Check that session replay and autocapture still record what you need; these options were approximated or dropped on the LaunchDarkly plugins (see plugin_options): ${[...new Set(lossyPluginOptions.map((item) => item.option))].join(', ')}`);
+  }
+  if (overrides.length > 0) {
+    const keys = [...new Set(overrides.filter((item) => item.key !== null).map((item) => item.key))];
+    steps.push(`Check the test setups that override flags; the overrides now go through the generated local override module and only change reads of the LaunchDarkly client they are set on (see overrides)${keys.length > 0 ? `: ${keys.join(', ')}` : ''}`);
+  }
+  if (metrics.size > 0) {
+    steps.push(`Create custom metrics in LaunchDarkly for the tracked events: ${[...metrics.keys()].join(', ')}`);
+  }
+  if (experiments.length > 0) {
+    steps.push('Recreate the experiments listed under not_migrated in LaunchDarkly');
+  }
+  if (blocked.some((item) => item.type === 'feature_gate')) {
+    steps.push('Keep the blocked feature gates on Statsig until the experiments they depend on are recreated in LaunchDarkly; experiment_dependencies explains each one');
+  }
+  if (layers.some((layer) => layer.decision === 'blocked')) {
+    steps.push('Keep the blocked layers on Statsig until their experiments end, or pass a Statsig export with --export to show they have none');
+  }
+  if (blocked.some((item) => item.type === 'unsupported_api')) {
+    steps.push('Migrate the blocked Statsig APIs by hand or keep them on Statsig; each lists the reason it was blocked');
+  }
+  if (failed.length > 0) {
+    steps.push('Migrate the failed items by hand; each lists the reason the codemod skipped it');
+  }
+  if (statsigPreserved.length > 0) {
+    steps.push('Remove the Statsig SDK from the files listed under statsig_preserved once nothing there uses it');
+  }
+  if (shimmed.length > 0) {
+    steps.push('Rewrite the call sites in the files listed under shimmed to the LaunchDarkly SDK (run migrate without --shim), then drop the shim import');
+  }
+  return steps;
+}
+
+module.exports = {
+  buildSummary
+};
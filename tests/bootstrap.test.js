@@ -0,0 +1,41 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource } = require('../src');
+
+const IMPORT = "import { StatsigSynchronousProvider } from '@statsig/react-bindings';\n";
+
+test('static initializeValues become the LDProvider bootstrap', () => {
+  const { code, report } = migrateSource(
+    IMPORT + 'export function App() {\n' +
+      "  const initializeValues = { feature_gates: { new_nav: true, 'beta-ui': { name: 'beta-ui', value: true, rule_id: 'r1' } }, " +
+      "dynamic_configs: { copy: { title: 'Hi' } }, layer_configs: {}, user: { userID: 'a' } };\n" +
+      '  return <StatsigSynchronousProvider sdkKey="key" initializeValues={initializeValues}><Page /></StatsigSynchronousProvider>;\n}\n',
+    { filePath: 'app.jsx' }
+  );
+  assert.match(code, /context=\{\{\n {8}kind: 'user',\n {8}key: 'a'\n {6}\}\}/);
+  assert.match(code, /options=\{\{\n {8}bootstrap: \{\n {10}new_nav: true,\n {10}'beta-ui': true,\n\n {10}copy: \{\n {12}title: 'Hi'\n {10}\}\n {8}\}\n {6}\}\}><Page \/><\/LDProvider>/);
+  assert.doesNotMatch(code, /initializeValues|StatsigSynchronousProvider/);
+  assert.strictEqual(report.statsigPreserved, false);
+});
+
+test('initializeValues computed at runtime keep the Statsig provider', () => {
+  const source = IMPORT +
+    'export const App = ({ values }) => <StatsigSynchronousProvider sdkKey="key" initializeValues={values}><Page /></StatsigSynchronousProvider>;\n';
+  const { code, report } = migrateSource(source, { filePath: 'app.jsx' });
+  assert.strictEqual(code, source);
+  assert.deepStrictEqual(report.blocked.map((item) => [item.name, item.line]), [['<StatsigSynchronousProvider>', 2]]);
+  assert.match(report.blocked[0].reason, /initializeValues is computed at runtime/);
+});
+
+test('server code building initialize responses is flagged', () => {
+  const { code, report } = migrateSource(
+    "const Statsig = require('statsig-node');\n" +
+      "app.get('/', (req, res) => res.render('page', { values: Statsig.getClientInitializeResponse(req.user) }));\n",
+    { filePath: 'server.js' }
+  );
+  assert.match(code, /^\/\/ TODO\(statsig-to-ld\): send LaunchDarkly flag state .*allFlagsState.*\napp\.get/m);
+  assert.deepStrictEqual(report.blocked.map((item) => item.name), ['getClientInitializeResponse()']);
+  assert.strictEqual(report.statsigPreserved, true);
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { makeProject: makeEmptyProject } = require('./helpers/projects');
+
+const BIN = path.join(__dirname, '..', 'bin', 'statsig-to-ld.js');
+
+function makeProject() {
+  const dir = makeEmptyProject();
+  fs.mkdirSync(path.join(dir, 'src', 'nested'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'node_modules', 'dep'), { recursive: true });
+  const gate = "import { StatsigClient } from '@statsig/js-client';\n" +
+    "const client = new StatsigClient('key', { userID: 'a' });\n" +
+    "client.checkGate('my_gate');\n";
+  fs.writeFileSync(path.join(dir, 'src', 'app.js'), gate);
+  fs.writeFileSync(path.join(dir, 'src', 'nested', 'view.ts'), gate);
+  fs.writeFileSync(path.join(dir, 'src', 'plain.js'), "export const x = 1;\n");
+  fs.writeFileSync(path.join(dir, 'node_modules', 'dep', 'index.js'), gate);
+  return dir;
+}
+
+test('--dry-run prints diffs, leaves files alone and writes the summary', () => {
+  const dir = makeProject();
+  const before = fs.readFileSync(path.join(dir, 'src', 'app.js'), 'utf8');
+  const output = execFileSync(process.execPath, [BIN, 'migrate', 'src', '--dry-run'], { cwd: dir, encoding: 'utf8' });
+
+  assert.match(output, /^--- a\/src\/app\.js/m);
+  assert.match(output, /^\+client\.variation\('my_gate', false\);$/m);
+  assert.match(output, /^--- a\/src\/nested\/view\.ts/m);
+  assert.doesNotMatch(output, /plain\.js|node_modules/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'src', 'app.js'), 'utf8'), before);
+
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, 'migration-summary.json'), 'utf8'));
+  assert.strictEqual(summary.summary.successfully_migrated, 2);
+  assert.deepStrictEqual(summary.migrated.feature_gates.map((gate) => gate.file), ['src/app.js', 'src/nested/view.ts']);
+});
+
+test('--write applies the migration', () => {
+  const dir = makeProject();
+  execFileSync(process.execPath, [BIN, 'migrate', 'src', '--write', '--summary', 'out.json'], { cwd: dir, stdio: 'pipe' });
+
+  assert.match(fs.readFileSync(path.join(dir, 'src', 'app.js'), 'utf8'), /client\.variation\('my_gate', false\)/);
+  assert.ok(fs.existsSync(path.join(dir, 'out.json')));
+});
+
+test('a file that fails to parse is reported and sets the exit code', () => {
+  const dir = makeProject();
+  fs.writeFileSync(path.join(dir, 'src', 'broken.js'), "import { StatsigClient } from '@statsig/js-client';\nconst = ;\n");
+  const result = spawnSync(process.execPath, [BIN, 'migrate', 'src'], { cwd: dir, encoding: 'utf8' });
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /src\/broken\.js: Could not migrate/);
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, 'migration-summary.json'), 'utf8'));
+  assert.strictEqual(summary.not_migrated.failed[0].file, 'src/broken.js');
+});
+
+test('--export lets layers without experiments migrate', () => {
+  const dir = makeProject();
+  fs.writeFileSync(path.join(dir, 'src', 'layer.js'), "import { StatsigClient } from '@statsig/js-client';\n" +
+    "const client = new StatsigClient('key', { userID: 'a' });\n" +
+    "const discount = client.getLayer('promo_layer').get('discount', 0);\n");
+  fs.writeFileSync(path.join(dir, 'layers.json'), JSON.stringify({ layers: [{ name: 'promo_layer', parameters: {} }] }));
+  const output = execFileSync(process.execPath, [BIN, 'migrate', 'src/layer.js', '--export', 'layers.json'], { cwd: dir, encoding: 'utf8' });
+
+  assert.match(output, /^\+const discount = client\.variation\('promo_layer', \{$/m);
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, 'migration-summary.json'), 'utf8'));
+  assert.strictEqual(summary.layers[0].decision, 'migrated');
+});
+
+test('--exposures preserve keeps silent checks silent and rejects unknown modes', () => {
+  const dir = makeProject();
+  fs.writeFileSync(path.join(dir, 'src', 'quiet.js'), "import { StatsigClient } from '@statsig/js-client';\n" +
+    "const client = new StatsigClient('key', { userID: 'a' });\n" +
+    "client.checkGate('quiet', { disableExposureLog: true });\n");
+  const output = execFileSync(process.execPath, [BIN, 'migrate', 'src/quiet.js', '--exposures', 'preserve'], { cwd: dir, encoding: 'utf8' });
+  assert.match(output, /^\+client\.allFlags\(\)\['quiet'\] \?\? false;$/m);
+
+  const result = spawnSync(process.execPath, [BIN, 'migrate', 'src', '--exposures', 'silent'], { cwd: dir, encoding: 'utf8' });
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stderr, /--exposures must be one of: drop, preserve/);
+});
+
+test('missing paths are reported with the usage before anything runs', () => {
+  const dir = makeProject();
+  const result = spawnSync(process.execPath, [BIN, 'migrate', 'src', 'nope'], { cwd: dir, encoding: 'utf8' });
+
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stderr, /^nope: no such file or directory$/m);
+  assert.match(result.stderr, /^Usage: statsig-to-ld migrate/m);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'migration-summary.json')), false);
+});
+
+test('malformed JSON inputs are reported by file name', () => {
+  const dir = makeProject();
+  fs.writeFileSync(path.join(dir, 'bad.json'), '{ "gates": [');
+  for (const args of [['validate', 'bad.json'], ['migrate', 'src', '--export', 'bad.json'], ['flags', 'bad.json'], ['parity', 'bad.json']]) {
+    const result = spawnSync(process.execPath, [BIN, ...args], { cwd: dir, encoding: 'utf8' });
+    assert.strictEqual(result.status, 1, args.join(' '));
+    assert.match(result.stderr, /^bad\.json: .*JSON/m);
+    assert.doesNotMatch(result.stderr, /^\s+at /m);
+  }
+});
+
+test('missing and unreadable JSON inputs are reported by file name', () => {
+  const dir = makeProject();
+  const runs = [
+    [['validate', 'nope.json'], /^nope\.json: no such file or directory$/m],
+    [['flags', 'nope.json'], /^nope\.json: no such file or directory$/m],
+    [['parity', 'nope.json'], /^nope\.json: no such file or directory$/m],
+    [['migrate', 'src/app.js', '--export', 'nope.json'], /^nope\.json: no such file or directory$/m],
+    [['migrate', 'src/app.js', '--key-map', 'src'], /^src: is a directory$/m]
+  ];
+  for (const [args, message] of runs) {
+    const result = spawnSync(process.execPath, [BIN, ...args], { cwd: dir, encoding: 'utf8' });
+    assert.strictEqual(result.status, 1, args.join(' '));
+    assert.match(result.stderr, message);
+    assert.doesNotMatch(result.stderr, /^\s+at /m);
+  }
+});
+
+test('--shim points imports at the shim and lists the file', () => {
+  const dir = makeProject();
+  const output = execFileSync(process.execPath, [BIN, 'migrate', 'src/app.js', '--shim'], { cwd: dir, encoding: 'utf8' });
+
+  assert.match(output, /^\+import \{ StatsigClient \} from 'statsig-to-launchdarkly-migrator\/shim';$/m);
+  assert.match(output, /^ client\.checkGate\('my_gate'\);$/m);
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, 'migration-summary.json'), 'utf8'));
+  assert.deepStrictEqual(summary.shimmed, ['src/app.js']);
+});
+
+test('the flag key map is written by --write and reused by later runs', () => {
+  const dir = makeProject();
+  const output = execFileSync(process.execPath, [BIN, 'migrate', 'src/app.js', '--key-policy', 'kebab'], { cwd: dir, encoding: 'utf8' });
+  assert.match(output, /^\+client\.variation\('my-gate', false\);$/m);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'flag-key-map.json')), false);
+
+  execFileSync(process.execPath, [BIN, 'migrate', 'src/app.js', '--key-policy', 'kebab', '--write'], { cwd: dir, encoding: 'utf8' });
+  assert.match(fs.readFileSync(path.join(dir, 'src', 'app.js'), 'utf8'), /client\.variation\('my-gate', false\)/);
+  const keyMap = JSON.parse(fs.readFileSync(path.join(dir, 'flag-key-map.json'), 'utf8'));
+  assert.deepStrictEqual(keyMap, { policy: 'kebab', flags: [{ statsig_name: 'my_gate', ld_key: 'my-gate', react_accessor: 'myGate' }] });
+
+  const rerun = execFileSync(process.execPath, [BIN, 'migrate', 'src/nested/view.ts'], { cwd: dir, encoding: 'utf8' });
+  assert.match(rerun, /^\+client\.variation\('my-gate', false\);$/m);
+
+  const conflict = spawnSync(process.execPath, [BIN, 'migrate', 'src', '--key-policy', 'camel'], { cwd: dir, encoding: 'utf8' });
+  assert.strictEqual(conflict.status, 1);
+  assert.match(conflict.stderr, /flag-key-map\.json: the map was written with the 'kebab' key policy/);
+});
+
+test('parity writes the parity module for the migrated flags', () => {
+  const dir = makeProject();
+  execFileSync(process.execPath, [BIN, 'migrate', 'src/app.js'], { cwd: dir, encoding: 'utf8' });
+  const result = spawnSync(process.execPath, [BIN, 'parity', 'migration-summary.json', '--out', 'src/ld-parity.ts'], { cwd: dir, encoding: 'utf8' });
+
+  assert.strictEqual(result.status, 0);
+  assert.match(result.stderr, /Wrote the parity module to src\/ld-parity\.ts/);
+  const parity = fs.readFileSync(path.join(dir, 'src', 'ld-parity.ts'), 'utf8');
+  assert.match(parity, /^const FLAGS: Record<string, ParityFlag> = \{\n {2}"my_gate": \{\n {4}"name": "my_gate",\n {4}"type": "gate"\n {2}\}\n\};$/m);
+  assert.match(parity, /^export function enableParity\(ldClient: LDClient, statsigClient: StatsigReads/m);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource, buildSummary, readStatsigExports, buildFlagDefinitions } = require('../src');
+const { runFixture } = require('./helpers/harness');
+const { loadLaunchDarklySdk } = require('./helpers/launchdarkly-sdk');
+
+const IMPORT = "import { StatsigClient } from '@statsig/js-client';\n";
+
+test('customIDs become context kinds of a multi-context', () => {
+  const { code, report } = migrateSource(
+    IMPORT + 'const user = {\n  userID: userId,\n  email,\n' +
+      '  customIDs: { organizationID: org.id, workspaceID: \'ws-1\', billing_account_id: account },\n' +
+      "  privateAttributes: { ssn }\n};\nconst client = new StatsigClient('key', user);\n",
+    { filePath: 'app.js', customIDs: 'multi' }
+  );
+  assert.match(code, /const user = \{\n {2}kind: 'multi',\n\n {2}user: \{\n {4}key: userId,\n {4}email,\n {4}ssn,/);
+  assert.match(code, /_meta: \{\n {6}privateAttributes: \['ssn'\]\n {4}\}\n {2}\},/);
+  assert.match(code, /organization: \{\n {4}key: org\.id\n {2}\},\n\n {2}workspace: \{\n {4}key: 'ws-1'\n {2}\},\n\n {2}'billing-account': \{\n {4}key: account\n {2}\}\n\};/);
+  assert.ok(!report.warnings.some((warning) => /customIDs/.test(warning.message)));
+
+  const summary = buildSummary([report]);
+  assert.deepStrictEqual(summary.context_kinds.map(({ key, name, customIDs }) => [key, name, customIDs]), [
+    ['organization', 'Organization', ['organizationID']],
+    ['workspace', 'Workspace', ['workspaceID']],
+    ['billing-account', 'Billing Account', ['billing_account_id']]
+  ]);
+  assert.strictEqual(summary.next_steps[0], 'Create context kinds in LaunchDarkly before targeting them: organization, workspace, billing-account');
+});
+
+test('customIDs that are not a literal of IDs are still flattened', () => {
+  const { code, report } = migrateSource(
+    IMPORT + "const client = new StatsigClient('key', { userID: 'a', customIDs: ids });\n",
+    { filePath: 'app.js', customIDs: 'multi' }
+  );
+  assert.match(code, /kind: 'user',\n {2}key: 'a',\n {2}\.\.\.ids/);
+  assert.deepStrictEqual(report.contextKinds, []);
+  assert.match(report.warnings.find((warning) => /customIDs/.test(warning.message)).message, /no context kinds were made/);
+});
+
+test('user updates spreading a multi-context update its user context', async () => {
+  const { code } = migrateSource(
+    IMPORT + "const user = { userID: 'u', customIDs: { organizationID: 'o' } };\n" +
+      "const client = new StatsigClient('key', user);\n" +
+      "async function upgrade() {\n  await client.updateUserAsync({ ...user, custom: { plan: 'pro' } });\n" +
+      "  await client.updateUserAsync({ ...user, customIDs: { teamID: 't' } });\n}\nupgrade();\n",
+    { filePath: 'app.js', customIDs: 'multi' }
+  );
+  assert.match(code, /await client\.identify\(\{\n {4}\.\.\.user,\n\n {4}user: \{\n {6}\.\.\.user\.user,\n {6}plan: 'pro'\n {4}\}\n {2}\}\);/);
+  assert.match(code, /user: \{\n {6}\.\.\.user\.user\n {4}\},\n\n {4}team: \{\n {6}key: 't'\n {4}\}/);
+
+  // The SDK would request the flags of each context, so only validate them.
+  const sdk = loadLaunchDarklySdk();
+  const identified = [];
+  const initialize = (id, context) => Object.assign(sdk.initialize(context, {}), {
+    identify: async (next) => {
+      // Copied out of the fixture's window, whose Object differs.
+      identified.push(JSON.parse(JSON.stringify(next)));
+    }
+  });
+  try {
+    await runFixture(code, { flags: {}, modules: { 'launchdarkly-js-client-sdk': { initialize } } });
+    assert.deepStrictEqual(identified, [
+      { kind: 'multi', user: { key: 'u', plan: 'pro' }, organization: { key: 'o' } },
+      { kind: 'multi', user: { key: 'u' }, organization: { key: 'o' }, team: { key: 't' } }
+    ]);
+    for (const context of identified) {
+      await sdk.initialize(context, {}).waitForInitialization(1);
+    }
+  } finally {
+    sdk.close();
+  }
+});
+
+test('customID targeting and rollouts use the customID context kind', () => {
+  const statsigExport = readStatsigExports([{ json: { gates: [{
+    name: 'org_rollout',
+    idType: 'organizationID',
+    rules: [
+      { name: 'Acme', passPercentage: 100, conditions: [{ type: 'unit_id', customID: 'teamID', operator: 'any_case_sensitive', targetValue: ['t1'] }] },
+      { name: 'Everyone', passPercentage: 25, conditions: [{ type: 'public' }] }
+    ]
+  }] } }]);
+  const { targeting, contextKinds } = buildFlagDefinitions(statsigExport, { customIDs: 'multi' });
+  assert.deepStrictEqual(targeting.org_rollout.rules[0].clauses[0], {
+    contextKind: 'team', attribute: 'key', op: 'in', values: ['t1'], negate: false
+  });
+  assert.deepStrictEqual(targeting.org_rollout.fallthrough.rollout, {
+    contextKind: 'organization',
+    variations: [{ variation: 0, weight: 25000 }, { variation: 1, weight: 75000 }]
+  });
+  assert.deepStrictEqual(contextKinds.map((kind) => kind.key), ['team', 'organization']);
+
+  const flattened = buildFlagDefinitions(statsigExport);
+  assert.strictEqual(flattened.targeting.org_rollout.fallthrough.rollout.bucketBy, 'organizationID');
+  assert.deepStrictEqual(flattened.contextKinds, []);
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource } = require('../src');
+const { runFixture } = require('./helpers/harness');
+const { loadLaunchDarklySdk } = require('./helpers/launchdarkly-sdk');
+
+const IMPORT = "import { StatsigClient } from '@statsig/js-client';\n" +
+  "const client = new StatsigClient('key', { userID: 'a' });\n";
+
+test('reason comparisons are translated to LaunchDarkly reason kinds', () => {
+  const { code, report } = migrateSource(
+    IMPORT +
+      "const gate = client.getFeatureGateWithDetails('new_checkout');\n" +
+      "if (gate.reason === 'Network:Unrecognized') {\n  report('missing');\n}\n" +
+      "const fresh = gate.details.reason !== 'Cache:Recognized';\n" +
+      "const notReady = 'Uninitialized' == gate.reason;\n" +
+      "const overridden = gate.reason === 'LocalOverride:Recognized';\n" +
+      "const logged = [gate.value, gate.reason, gate.ruleID, gate.reason.startsWith('Network')];\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /const gate = client\.variationDetail\('new_checkout', false\);/);
+  assert.match(code, /if \(gate\.reason\?\.kind === 'ERROR' && gate\.reason\?\.errorKind === 'FLAG_NOT_FOUND'\)/);
+  assert.match(code, /const fresh = gate\.reason\?\.kind === 'ERROR';/);
+  assert.match(code, /const notReady = gate\.reason\?\.kind === 'ERROR' && gate\.reason\?\.errorKind === 'CLIENT_NOT_READY';/);
+  assert.match(code, /\/\/ TODO\(statsig-to-ld\): Statsig evaluation reason 'LocalOverride:Recognized' has no LaunchDarkly equivalent.*\nconst overridden = gate\.reason\?\.kind === 'LocalOverride:Recognized';/);
+  assert.match(code, /\/\/ TODO\(statsig-to-ld\): this code inspects a Statsig evaluation reason.*\nconst logged = \[gate\.value, gate\.reason\?\.kind, gate\.reason\?\.ruleId, gate\.reason\?\.kind\.startsWith\('Network'\)\];/);
+  assert.deepStrictEqual(report.gates.map(({ name }) => name), ['new_checkout']);
+  assert.strictEqual(report.statsigPreserved, false);
+});
+
+test('TODO comments leave the layout of if and switch statements alone', () => {
+  const body = "  if (gate.reason === 'Sticky') { stick(); }\n" +
+    '  switch (gate.reason) {\n' +
+    "    case 'Network:Recognized':\n" +
+    '      fresh();\n' +
+    '      break;\n' +
+    '    default:\n' +
+    '      stale();\n' +
+    '  }\n';
+  const { code } = migrateSource(
+    IMPORT + "function render() {\n  const gate = client.getFeatureGateWithDetails('new_checkout');\n" + body + '}\n',
+    { filePath: 'app.js' }
+  );
+  assert.ok(code.includes(
+    "  // TODO(statsig-to-ld): Statsig evaluation reason 'Sticky' has no LaunchDarkly equivalent; this comparison now reads the LaunchDarkly reason kind and never matches\n" +
+    "  if (gate.reason?.kind === 'Sticky') { stick(); }\n" +
+    '  // TODO(statsig-to-ld): this code inspects a Statsig evaluation reason, which now reads the LaunchDarkly reason kind; update it with the reason translation table\n' +
+    body.split('\n').slice(1).join('\n').replace('switch (gate.reason)', 'switch (gate.reason?.kind)')
+  ), code);
+});
+
+test('config reads with details build a fallback and read the flag value', () => {
+  const { code, report } = migrateSource(
+    IMPORT +
+      "const config = client.getConfigWithDetails('homepage');\n" +
+      "render(config.get('title', 'Welcome'), config.details.reason, config.details.lcut);\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /const config = client\.variationDetail\('homepage', \{\n {2}title: 'Welcome'\n\}\);/);
+  assert.match(code, /render\(config\.value\.title, config\.reason\?\.kind, undefined\);/);
+  assert.deepStrictEqual(report.configs, [{ name: 'homepage', key: 'homepage', api: 'getConfigWithDetails', fallback: { title: 'Welcome' }, line: 3 }]);
+  assert.ok(report.warnings.some((warning) => /'lcut' has no LaunchDarkly equivalent/.test(warning.message)));
+});
+
+test('details results used any other way stay on Statsig', () => {
+  const { code, report } = migrateSource(
+    IMPORT + "const gate = client.getFeatureGateWithDetails('new_checkout');\nsend(gate);\n" +
+      "const status = client.getFeatureGateWithDetails('other').reason === 'Uninitialized';\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /client\.getFeatureGateWithDetails\('new_checkout'\)/);
+  assert.match(code, /client\.getFeatureGateWithDetails\('other'\)/);
+  assert.deepStrictEqual(report.failed.map(({ name, type, reason }) => [name, type, reason]), [
+    ['new_checkout', 'feature_gate', 'evaluation details object is used outside reads of its value, reason and `.get()`, so it stays on Statsig'],
+    ['other', 'feature_gate', "its reason is compared with 'Uninitialized', which needs the evaluation details object in a variable, so it stays on Statsig"]
+  ]);
+  assert.strictEqual(report.statsigPreserved, true);
+});
+
+test('reason reads run on the LaunchDarkly SDK, which may report no reason', async () => {
+  const { code } = migrateSource(
+    IMPORT +
+      "const gate = client.getFeatureGateWithDetails('detailed_gate');\n" +
+      "console.log(gate.value, gate.reason === 'Network:Recognized', gate.reason === 'Network:Unrecognized', gate.reason, gate.ruleID);\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /initialize\('key', \{\n {2}kind: 'user',\n {2}key: 'a'\n\}, \{\n {2}evaluationReasons: true\n\}\);/);
+
+  // Bootstrapped values come without a reason even with evaluationReasons.
+  const sdk = loadLaunchDarklySdk();
+  const options = [];
+  try {
+    const initialize = (sdkKey, context, ldOptions) => {
+      options.push(ldOptions);
+      return sdk.initialize(context, { detailed_gate: true }, ldOptions);
+    };
+    const { logs } = await runFixture(code, { flags: {}, modules: { 'launchdarkly-js-client-sdk': { initialize } } });
+    assert.deepStrictEqual(logs, ['log: true true false undefined undefined']);
+  } finally {
+    sdk.close();
+  }
+  assert.strictEqual(options[0].evaluationReasons, true);
+});
+
+test('reason reads on a client created elsewhere get a TODO to report reasons', () => {
+  const { code } = migrateSource(
+    "import { useStatsigClient } from '@statsig/react-bindings';\n" +
+      "export function Banner() {\n  const { client } = useStatsigClient();\n" +
+      "  const gate = client.getFeatureGateWithDetails('banner');\n  return gate.reason === 'Network:Recognized' ? 'fresh' : 'stale';\n}\n",
+    { filePath: 'Banner.jsx' }
+  );
+  assert.match(code, /\/\/ TODO\(statsig-to-ld\): variationDetail\(\) only reports reasons when the LaunchDarkly client is initialized with `evaluationReasons: true`; set it where the client reading 'banner' is created\n {2}const gate = /);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Linter } = require('eslint');
+const { migrateSource, buildSummary } = require('../src');
+const plugin = require('../src/eslint');
+const { makeProject } = require('./helpers/projects');
+
+const IMPORT = "import { StatsigClient } from '@statsig/js-client';\n";
+const CLIENT = "const client = new StatsigClient('key', { userID: 'a' });\n";
+const dir = makeProject();
+
+// A summary where src/holdout.js keeps Statsig for an experiment and the
+// gate deciding who reads it, and the gate new_nav and the config homepage
+// were migrated.
+const reports = [
+  migrateSource(
+    IMPORT + CLIENT + "if (client.checkGate('checkout_beta')) {\n  client.getExperiment('checkout').get('layout', 'single');\n}\n",
+    { filePath: 'src/holdout.js' }
+  ).report,
+  migrateSource(
+    IMPORT + CLIENT +
+      "const enabled = client.checkGate('new_nav');\n" +
+      "const homepage = client.getConfig('homepage');\n" +
+      "const title = homepage.get('title', 'Welcome');\n" +
+      "const banner = homepage.get('show_banner', false);\n",
+    { filePath: 'src/app.js' }
+  ).report
+];
+fs.writeFileSync(path.join(dir, 'migration-summary.json'), JSON.stringify(buildSummary(reports)));
+
+const linter = new Linter({ cwd: dir });
+const CONFIG = [{ files: ['**/*.js'], ...plugin.configs.recommended }];
+
+function lint(code, file = 'src/app.js') {
+  return linter.verify(code, CONFIG, { filename: path.join(dir, file) })
+    .map(({ ruleId, message, line }) => ({ ruleId, message, line }));
+}
+
+function fix(code, file = 'src/app.js') {
+  return linter.verifyAndFix(code, CONFIG, { filename: path.join(dir, file) }).output;
+}
+
+test('Statsig imports and calls are only allowed in the holdouts of the summary', () => {
+  const code = IMPORT + CLIENT + "if (client.checkGate('new_nav')) {\n  render();\n}\n";
+  assert.deepStrictEqual(lint(code), [
+    { ruleId: 'statsig-to-ld/no-leftover-statsig', message: "'@statsig/js-client' is a Statsig SDK, and this file is not a Statsig holdout in the migration summary; use LaunchDarkly", line: 1 },
+    { ruleId: 'statsig-to-ld/no-leftover-statsig', message: 'checkGate() is a Statsig call, and this file is not a Statsig holdout in the migration summary; use LaunchDarkly', line: 3 }
+  ]);
+  assert.deepStrictEqual(lint(code, 'src/holdout.js'), []);
+  assert.deepStrictEqual(lint("const { StatsigClient } = require('@statsig/js-client');\n").map(({ line }) => line), [1]);
+
+  const fixed = fix(code);
+  assert.match(fixed, /^import \{ initialize \} from 'launchdarkly-js-client-sdk';$/m);
+  assert.match(fixed, /^if \(client\.variation\('new_nav', false\)\) \{$/m);
+  assert.ok(!fixed.includes('@statsig/'));
+});
+
+test('files reading a gate an experiment depends on or overriding flags get no fix', () => {
+  const blocked = IMPORT + CLIENT + "if (client.checkGate('checkout_beta')) {\n  render();\n}\n";
+  assert.strictEqual(lint(blocked).length, 2);
+  assert.strictEqual(fix(blocked), blocked);
+
+  const overridden = IMPORT + CLIENT + "client.overrideGate('new_nav', true);\n";
+  assert.strictEqual(lint(overridden).length, 2);
+  assert.strictEqual(fix(overridden), overridden);
+});
+
+test('migrated gates must fall back to false', () => {
+  assert.deepStrictEqual(lint("ldClient.variation('new_nav', true);\nldClient.variation('new_nav');\nldClient.variation('other_flag', true);\n"), [
+    { ruleId: 'statsig-to-ld/gate-fallback', message: "Gate 'new_nav' was migrated from Statsig, which returns false for gates it cannot evaluate; fall back to false", line: 1 },
+    { ruleId: 'statsig-to-ld/gate-fallback', message: "Gate 'new_nav' was migrated from Statsig, which returns false for gates it cannot evaluate; fall back to false", line: 2 }
+  ]);
+  assert.strictEqual(fix("ldClient.variation('new_nav', true);\nldClient.variationDetail('new_nav');\n"),
+    "ldClient.variation('new_nav', false);\nldClient.variationDetail('new_nav', false);\n");
+});
+
+test('migrated configs must fall back to every key the code reads', () => {
+  assert.deepStrictEqual(lint("ldClient.variation('homepage', { title: 'Hi' });\nldClient.variationDetail('homepage', defaults);\n"), [
+    { ruleId: 'statsig-to-ld/config-fallback', message: "The fallback of flag 'homepage' is missing keys the migrated code reads: show_banner", line: 1 }
+  ]);
+  assert.strictEqual(fix("ldClient.variation('homepage', { title: 'Hi' });\n"),
+    "ldClient.variation('homepage', { title: 'Hi', show_banner: false });\n");
+  assert.strictEqual(fix("ldClient.variation('homepage', {});\n"),
+    "ldClient.variation('homepage', {\n  title: 'Welcome',\n  show_banner: false\n});\n");
+  assert.strictEqual(fix("ldClient.variation('homepage');\n"),
+    "ldClient.variation('homepage', {\n  title: 'Welcome',\n  show_banner: false\n});\n");
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource, buildSummary, validateSummary } = require('../src');
+
+const HEADER = "import { StatsigClient } from '@statsig/js-client';\n" +
+  "const client = new StatsigClient('key', { userID: 'a' });\n";
+
+function migrate(body) {
+  return migrateSource(HEADER + body, { filePath: 'app.js' });
+}
+
+test('numeric values become the metric value', () => {
+  const { code } = migrate("client.logEvent('purchase', 9.99, { sku: 'a' });\n");
+  assert.match(code, /client\.track\('purchase', \{ sku: 'a' \}, 9\.99\);/);
+});
+
+test('string values move into the data payload', () => {
+  assert.match(migrate("client.logEvent('page_view', 'home');\n").code, /client\.track\('page_view', \{\n {2}value: 'home'\n\}\);/);
+  assert.match(
+    migrate("client.logEvent('page_view', 'home', meta);\n").code,
+    /client\.track\('page_view', \{\n {2}value: 'home',\n {2}\.\.\.meta\n\}\);/
+  );
+});
+
+test('null values and missing metadata are dropped', () => {
+  assert.match(migrate("client.logEvent('clicked', null, meta);\n").code, /client\.track\('clicked', meta\);/);
+  assert.match(migrate("client.logEvent('clicked');\n").code, /client\.track\('clicked'\);/);
+  assert.match(migrate("client.logEvent('timed', 12);\n").code, /client\.track\('timed', undefined, 12\);/);
+});
+
+test('StatsigEvent objects are unpacked', () => {
+  const { code } = migrate("client.logEvent({ eventName: 'purchase', value: 5, metadata: { sku: 'a' } });\n");
+  assert.match(code, /client\.track\('purchase', \{ sku: 'a' \}, 5\);/);
+});
+
+test('non-literal values go into the data payload, and are the metric value when they are numbers', () => {
+  const { code, report } = migrate("client.logEvent(name, amount, meta);\nclient.logEvent('cart', cart.total());\n");
+  assert.match(code, /client\.track\(name, \{\n {2}value: amount,\n {2}\.\.\.meta\n\}, typeof amount === 'number' \? amount : undefined\);/);
+  assert.match(code, /client\.track\('cart', \{\n {2}value: cart\.total\(\)\n\}, typeof cart\.total\(\) === 'number' \? cart\.total\(\) : undefined\);/);
+  assert.deepStrictEqual(report.warnings.map((warning) => warning.message).filter((message) => /logEvent/.test(message)), [
+    'logEvent() is called with a computed event name; create a LaunchDarkly metric for every name it can take',
+    "logEvent value for 'cart' is now computed three times, for the data payload and the metric value; " +
+      'store it in a variable first if computing it has side effects'
+  ]);
+});
+
+test('in parallel operation events are sent to both SDKs', () => {
+  const { code } = migrate("client.getExperiment('exp');\nclient.logEvent('purchase', 9.99);\n");
+  assert.match(code, /client\.logEvent\('purchase', 9\.99\);\nldClient\.track\('purchase', undefined, 9\.99\);/);
+});
+
+test('the summary lists one metric per event name', () => {
+  const { report } = migrate("client.logEvent('purchase', 9.99);\nclient.logEvent('purchase', null);\nclient.logEvent('view');\n");
+  const summary = buildSummary([report]);
+  assert.deepStrictEqual(summary.metrics, [
+    {
+      key: 'purchase',
+      name: 'purchase',
+      kind: 'custom',
+      eventKey: 'purchase',
+      isNumeric: true,
+      usages: [{ file: 'app.js', line: 3 }, { file: 'app.js', line: 4 }]
+    },
+    { key: 'view', name: 'view', kind: 'custom', eventKey: 'view', isNumeric: false, usages: [{ file: 'app.js', line: 5 }] }
+  ]);
+  assert.strictEqual(validateSummary(summary).valid, true);
+});
+
+test('calls on the useLDClient() client wait for LDProvider to initialize it', () => {
+  const component = (body) => "import { useEffect } from 'react';\n" +
+    "import { useStatsigClient, useExperiment } from '@statsig/react-bindings';\n" +
+    'export function Page() {\n' +
+    '  const { client } = useStatsigClient();\n' + body +
+    "  useEffect(() => {\n    client.logEvent('page_loaded');\n    return () => {\n      client.shutdown();\n    };\n  }, [client]);\n" +
+    '  return null;\n}\n';
+
+  const { code } = migrateSource(component(''), { filePath: 'page.jsx' });
+  assert.match(code, /const client = useLDClient\(\);/);
+  assert.match(code, /client\?\.track\('page_loaded'\);/);
+  assert.match(code, /client\?\.close\(\);\n {4}\};\n {2}\}, \[client\]\);/);
+
+  const parallel = migrateSource(component("  const experiment = useExperiment('checkout');\n"), { filePath: 'page.jsx' }).code;
+  assert.match(parallel, /client\.logEvent\('page_loaded'\);\n {4}ldClient\?\.track\('page_loaded'\);/);
+  assert.match(parallel, /client\.shutdown\(\);\n {6}ldClient\?\.close\(\);\n {4}\};\n {2}\}, \[client, ldClient\]\);/);
+});
@@ -0,0 +1,723 @@
+/**
+ * Statsig React Implementation Test File
+ * 
+ * This file demonstrates ALL Statsig React SDK features for testing the migration agent:
+ * - StatsigProvider with plugins
+ * - React hooks (useGateValue, useConfig, useExperiment, etc.)
+ * - Session Replay and Autocapture in React
+ * - Complex component patterns
+ * - Loading states and error handling
+ */
+
+import React, { useState, useEffect, Suspense } from 'react';
+import { createRoot } from 'react-dom/client';
+import {
+  StatsigProvider,
+  useGateValue,
+  useExperiment,
+  useLayer,
+  useStatsigClient,
+  useStatsigUser,
+  StatsigSynchronousProvider,
+} from '@statsig/react-bindings';
+import { useLDClient, LDProvider, useFlags } from 'launchdarkly-react-client-sdk';
+import Observability from '@launchdarkly/observability';
+import SessionReplay from '@launchdarkly/session-replay';
+
+// ============================================
+// 1. USER CONTEXT
+// ============================================
+const statsigUser = {
+  userID: 'react-user-456',
+  email: 'jane.smith@example.com',
+  custom: {
+    accountType: 'business',
+    company: 'TechCorp',
+    role: 'manager',
+    department: 'engineering',
+    teamSize: 25,
+    subscriptionLevel: 'professional',
+    onboardingCompleted: true,
+    preferredLanguage: 'en',
+    timezone: 'America/New_York'
+  },
+  customIDs: {
+    organizationID: 'org-react-789',
+    tenantID: 'tenant-321',
+    sessionID: 'session-654'
+  },
+  privateAttributes: {
+    socialSecurityNumber: '***-**-1234',
+    salary: 150000,
+    performanceRating: 4.5
+  }
+};
+
+const ldContext = {
+  kind: 'user',
+  key: 'react-user-456',
+  email: 'jane.smith@example.com',
+  accountType: 'business',
+  company: 'TechCorp',
+  role: 'manager',
+  department: 'engineering',
+  teamSize: 25,
+  subscriptionLevel: 'professional',
+  onboardingCompleted: true,
+  preferredLanguage: 'en',
+  timezone: 'America/New_York',
+  organizationID: 'org-react-789',
+  tenantID: 'tenant-321',
+  sessionID: 'session-654',
+  socialSecurityNumber: '***-**-1234',
+  salary: 150000,
+  performanceRating: 4.5,
+
+  _meta: {
+    privateAttributes: ['socialSecurityNumber', 'salary', 'performanceRating']
+  }
+};
+
+// ============================================
+// 2. MAIN APP COMPONENT WITH PROVIDER
+// ============================================
+function App() {
+  return (
+    <LDProvider
+      clientSideID="client-react-sdk-key"
+      context={ldContext}
+      options={{
+        plugins: [new Observability({
+          otel: {
+            instrumentations: {
+              '@opentelemetry/instrumentation-user-interaction': {
+                shouldPreventSpanCreation: (eventType, element) => {
+                  const eventFilterFunc = event => {
+                    return !event.eventName.includes('debug');
+                  };
+
+                  return !eventFilterFunc({
+                    eventName: eventType,
+                    element
+                  });
+                }
+              }
+            }
+          }
+        }), new SessionReplay({
+          privacySetting: 'strict'
+        })]
+      }}>
+      <StatsigProvider
+        sdkKey="client-react-sdk-key"
+        user={statsigUser}
+        options={{
+          environment: { tier: 'production' }
+        }}
+        loadingComponent={<LoadingSpinner />}
+      >
+        <Suspense fallback={<LoadingSpinner />}>
+          <MainApplication />
+        </Suspense>
+      </StatsigProvider>
+    </LDProvider>
+  );
+}
+
+// ============================================
+// 3. LOADING COMPONENT
+// ============================================
+function LoadingSpinner() {
+  return (
+    <div className="loading-container">
+      <div className="spinner">Loading Statsig...</div>
+    </div>
+  );
+}
+
+// ============================================
+// 4. MAIN APPLICATION WITH ALL FEATURES
+// ============================================
+function MainApplication() {
+  const { client } = useStatsigClient();
+  const ldClient = useLDClient();
+  const user = useStatsigUser();
+
+  // Log custom event on mount
+  useEffect(() => {
+    client.logEvent('app_loaded', null, {
+      component: 'MainApplication',
+      user_type: user.custom?.accountType
+    });
+
+    ldClient?.track('app_loaded', {
+      component: 'MainApplication',
+      user_type: user.custom?.accountType
+    });
+  }, [client, user, ldClient]);
+
+  return (
+    <div className="app">
+      <NavigationComponent />
+      <DashboardComponent />
+      <FeatureGatesComponent />
+      <DynamicConfigComponent />
+      <ExperimentComponent />
+      <SettingsComponent />
+      <FooterComponent />
+    </div>
+  );
+}
+
+// ============================================
+// 5. NAVIGATION COMPONENT WITH FEATURE GATES
+// ============================================
+function NavigationComponent() {
+  const flags = useFlags();
+  // Multiple feature gates with different hooks
+  const showNewNav = flags.newNavigationMenu ?? false;
+  const showAdminPanel = flags.adminPanelAccess ?? false;
+  const betaFeaturesEnabled = flags.betaFeaturesEnabled ?? false;
+  const darkModeAvailable = flags.darkModeToggle ?? false;
+
+  const { client } = useStatsigClient();
+
+  const ldClient = useLDClient();
+
+  const handleNavClick = (item) => {
+    client.logEvent('nav_item_clicked', null, {
+      item_name: item,
+      has_beta_access: betaFeaturesEnabled
+    });
+
+    ldClient?.track('nav_item_clicked', {
+      item_name: item,
+      has_beta_access: betaFeaturesEnabled
+    });
+  };
+
+  return (
+    <nav className="navigation">
+      <ul>
+        <li onClick={() => handleNavClick('home')}>Home</li>
+        <li onClick={() => handleNavClick('dashboard')}>Dashboard</li>
+        
+        {showNewNav && (
+          <li onClick={() => handleNavClick('analytics')}>Analytics (New)</li>
+        )}
+        
+        {showAdminPanel && (
+          <li onClick={() => handleNavClick('admin')}>Admin Panel</li>
+        )}
+        
+        {betaFeaturesEnabled && (
+          <li onClick={() => handleNavClick('beta')}>Beta Features</li>
+        )}
+        
+        {darkModeAvailable && (
+          <li onClick={() => handleNavClick('theme')}>
+            <DarkModeToggle />
+          </li>
+        )}
+      </ul>
+    </nav>
+  );
+}
+
+// ============================================
+// 6. DASHBOARD WITH DYNAMIC CONFIGS
+// ============================================
+function DashboardComponent() {
+  const flags = useFlags();
+  const dashboardConfig = flags.dashboardSettings ?? {
+    refresh_interval_seconds: 30,
+    max_widgets: 6,
+    default_view: 'grid',
+    show_tutorial: true
+  };
+  const analyticsConfig = flags.analyticsConfiguration ?? {
+    default_chart_type: 'line',
+    default_date_range: 'last_7_days',
+    visible_metrics: ['views', 'clicks']
+  };
+  const widgetConfig = flags.widgetLayout ?? {
+    widget_order: ['stats', 'chart', 'table'],
+    widget_sizes: { stats: 'small', chart: 'large' }
+  };
+
+  // Extract config values
+  const refreshInterval = dashboardConfig.refresh_interval_seconds;
+  const maxWidgets = dashboardConfig.max_widgets;
+  const defaultView = dashboardConfig.default_view;
+  const showTutorial = dashboardConfig.show_tutorial;
+
+  // Analytics config
+  const chartType = analyticsConfig.default_chart_type;
+  const dateRange = analyticsConfig.default_date_range;
+  const metrics = analyticsConfig.visible_metrics;
+
+  // Widget configuration
+  const widgetOrder = widgetConfig.widget_order;
+  const widgetSizes = widgetConfig.widget_sizes;
+
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      // Simulate data refresh
+      fetchDashboardData();
+    }, refreshInterval * 1000);
+
+    return () => clearInterval(interval);
+  }, [refreshInterval]);
+
+  const fetchDashboardData = async () => {
+    // Simulate API call
+    const response = await fetch('/api/dashboard');
+    setData(await response.json());
+  };
+
+  return (
+    <div className={`dashboard view-${defaultView}`}>
+      {showTutorial && <TutorialOverlay />}
+      
+      <div className="widgets">
+        {widgetOrder.slice(0, maxWidgets).map(widgetType => (
+          <Widget
+            key={widgetType}
+            type={widgetType}
+            size={widgetSizes[widgetType]}
+            chartType={chartType}
+            metrics={metrics}
+          />
+        ))}
+      </div>
+      
+      <DateRangePicker defaultRange={dateRange} />
+    </div>
+  );
+}
+
+// ============================================
+// 7. EXPERIMENTS COMPONENT
+// ============================================
+function ExperimentComponent() {
+  const flags = useFlags();
+  // Multiple experiments
+  const checkoutExperiment = useExperiment('checkout_flow_v2');
+  const searchExperiment = useExperiment('search_algorithm_improvement');
+  const pricingExperiment = useExperiment('pricing_page_redesign');
+  const onboardingExperiment = useExperiment('onboarding_flow_optimization');
+
+  // Layer experiments
+  const uiLayer = useLayer('ui_experiments_layer');
+  const performanceLayer = flags.performanceOptimizationsLayer ?? {
+    lazy_loading: true
+  };
+
+  // Checkout experiment parameters
+  const checkoutSteps = checkoutExperiment.get('num_steps', 3);
+  const showProgressBar = checkoutExperiment.get('show_progress', true);
+  const autoSaveEnabled = checkoutExperiment.get('auto_save', false);
+
+  // Search experiment parameters
+  const searchAlgorithm = searchExperiment.get('algorithm', 'default');
+  const instantSearchEnabled = searchExperiment.get('instant_search', false);
+  const searchSuggestions = searchExperiment.get('show_suggestions', true);
+
+  // Pricing experiment parameters
+  const pricingLayout = pricingExperiment.get('layout', 'cards');
+  const showTestimonials = pricingExperiment.get('show_testimonials', false);
+  const highlightedPlan = pricingExperiment.get('highlighted_plan', 'professional');
+
+  // Layer parameters
+  const buttonStyle = uiLayer.get('button_style', 'rounded');
+  const animationsEnabled = uiLayer.get('animations_enabled', true);
+  const lazyLoadingEnabled = performanceLayer.lazy_loading;
+
+  const { client } = useStatsigClient();
+
+  const ldClient = useLDClient();
+
+  const trackExperimentInteraction = (experimentName, action) => {
+    client.logEvent('experiment_interaction', null, {
+      experiment: experimentName,
+      action: action,
+      timestamp: Date.now()
+    });
+
+    ldClient?.track('experiment_interaction', {
+      experiment: experimentName,
+      action: action,
+      timestamp: Date.now()
+    });
+  };
+
+  return (
+    <div className="experiments-container">
+      <CheckoutFlow
+        steps={checkoutSteps}
+        showProgress={showProgressBar}
+        autoSave={autoSaveEnabled}
+        onInteraction={(action) => trackExperimentInteraction('checkout_flow_v2', action)}
+      />
+      
+      <SearchBar
+        algorithm={searchAlgorithm}
+        instantSearch={instantSearchEnabled}
+        suggestions={searchSuggestions}
+        onSearch={(query) => trackExperimentInteraction('search_algorithm', 'search')}
+      />
+      
+      <PricingSection
+        layout={pricingLayout}
+        testimonials={showTestimonials}
+        highlighted={highlightedPlan}
+        buttonStyle={buttonStyle}
+        animated={animationsEnabled}
+      />
+      
+      {lazyLoadingEnabled && <LazyLoadedContent />}
+    </div>
+  );
+}
+
+// ============================================
+// 8. FEATURE GATES COMPONENT
+// ============================================
+function FeatureGatesComponent() {
+  const flags = useFlags();
+  // Various gate checking patterns
+  const premiumFeatures = useGateValue('premium_features_enabled');
+  const exportEnabled = flags.dataExportEnabled ?? false;
+  const apiV2Enabled = flags.apiV2Enabled ?? false;
+  const bulkOperations = flags.bulkOperationsEnabled ?? false;
+  const advancedFilters = flags.advancedFiltersEnabled ?? false;
+  const customReports = flags.customReportsEnabled ?? false;
+
+  // Gates with special characters
+  const betaFeature = flags.betaFeatureFlag ?? false;
+  const alphaFeature = flags.alphaTestingEnabled ?? false;
+
+  const { client } = useStatsigClient();
+
+  const ldClient = useLDClient();
+
+  // Manual gate exposure
+  const checkSilentGate = () => {
+    const value = ldClient?.variation('silent_gate', false) ?? false;
+    // Later expose manually
+    if (value) {
+      client.manuallyLogGateExposure('silent_gate');
+    }
+    return value;
+  };
+
+  return (
+    <div className="features">
+      {premiumFeatures && <PremiumFeatureSet />}
+      {exportEnabled && <ExportButton />}
+      {apiV2Enabled && <APIV2Indicator />}
+      {bulkOperations && <BulkActionToolbar />}
+      {advancedFilters && <AdvancedFilterPanel />}
+      {customReports && <CustomReportBuilder />}
+      {betaFeature && <BetaFeatureBadge />}
+      {alphaFeature && <AlphaTestingPanel />}
+      {checkSilentGate() && <SilentFeature />}
+    </div>
+  );
+}
+
+// ============================================
+// 9. SETTINGS COMPONENT WITH USER UPDATES
+// ============================================
+function SettingsComponent() {
+  const { client } = useStatsigClient();
+  const ldClient = useLDClient();
+  const user = useStatsigUser();
+  const [settings, setSettings] = useState({});
+
+  const updateUserProfile = async (newSettings) => {
+    // Update local state
+    setSettings(newSettings);
+
+    // Update Statsig user
+    await client.updateUserAsync({
+      ...user,
+      custom: {
+        ...user.custom,
+        ...newSettings,
+        lastUpdated: new Date().toISOString()
+      }
+    });
+
+    await ldClient?.identify({
+      kind: 'user',
+      key: user.userID,
+      ...user.custom,
+      ...newSettings,
+      lastUpdated: new Date().toISOString()
+    });
+
+    // Log the update
+    client.logEvent('user_settings_updated', null, {
+      changed_fields: Object.keys(newSettings),
+      timestamp: Date.now()
+    });
+
+    ldClient?.track('user_settings_updated', {
+      changed_fields: Object.keys(newSettings),
+      timestamp: Date.now()
+    });
+  };
+
+  return (
+    <div className="settings">
+      <h2>User Settings</h2>
+      <form onSubmit={(e) => {
+        e.preventDefault();
+        updateUserProfile(settings);
+      }}>
+        <input
+          type="text"
+          placeholder="Company"
+          onChange={(e) => setSettings({ ...settings, company: e.target.value })}
+        />
+        <select onChange={(e) => setSettings({ ...settings, role: e.target.value })}>
+          <option value="admin">Admin</option>
+          <option value="manager">Manager</option>
+          <option value="user">User</option>
+        </select>
+        <button type="submit">Update Profile</button>
+      </form>
+    </div>
+  );
+}
+
+// ============================================
+// 10. HELPER COMPONENTS
+// ============================================
+function DarkModeToggle() {
+  const [isDark, setIsDark] = useState(false);
+  const { client } = useStatsigClient();
+
+  const ldClient = useLDClient();
+
+  const toggleDarkMode = () => {
+    setIsDark(!isDark);
+    client.logEvent('dark_mode_toggled', null, { enabled: !isDark });
+
+    ldClient?.track('dark_mode_toggled', {
+      enabled: !isDark
+    });
+  };
+
+  return (
+    <button onClick={toggleDarkMode}>
+      {isDark ? '🌙' : '☀️'}
+    </button>
+  );
+}
+
+function TutorialOverlay() {
+  return <div className="tutorial">Welcome! Here's how to use the dashboard...</div>;
+}
+
+function Widget({ type, size, chartType, metrics }) {
+  return (
+    <div className={`widget widget-${type} size-${size}`}>
+      <h3>{type}</h3>
+      {type === 'chart' && <Chart type={chartType} metrics={metrics} />}
+    </div>
+  );
+}
+
+function Chart({ type, metrics }) {
+  return <div>Chart: {type} showing {metrics.join(', ')}</div>;
+}
+
+function DateRangePicker({ defaultRange }) {
+  return <div>Date Range: {defaultRange}</div>;
+}
+
+function CheckoutFlow({ steps, showProgress, autoSave, onInteraction }) {
+  return (
+    <div onClick={() => onInteraction('checkout_clicked')}>
+      Checkout: {steps} steps {showProgress && 'with progress'}
+    </div>
+  );
+}
+
+function SearchBar({ algorithm, instantSearch, suggestions, onSearch }) {
+  return (
+    <input 
+      type="search" 
+      placeholder={`Search (${algorithm})`}
+      onChange={(e) => instantSearch && onSearch(e.target.value)}
+    />
+  );
+}
+
+function PricingSection({ layout, testimonials, highlighted, buttonStyle, animated }) {
+  return (
+    <div className={`pricing layout-${layout} ${animated ? 'animated' : ''}`}>
+      Pricing with {highlighted} highlighted
+    </div>
+  );
+}
+
+function LazyLoadedContent() {
+  return <div>Lazy loaded content</div>;
+}
+
+function PremiumFeatureSet() {
+  return <div>Premium Features Enabled</div>;
+}
+
+function ExportButton() {
+  const { client } = useStatsigClient();
+
+  const ldClient = useLDClient();
+
+  const handleExport = () => {
+    client.logEvent('data_exported', null, {
+      format: 'csv',
+      timestamp: Date.now()
+    });
+
+    ldClient?.track('data_exported', {
+      format: 'csv',
+      timestamp: Date.now()
+    });
+  };
+
+  return <button onClick={handleExport}>Export Data</button>;
+}
+
+function APIV2Indicator() {
+  return <span className="badge">API v2</span>;
+}
+
+function BulkActionToolbar() {
+  return <div className="toolbar">Bulk Actions</div>;
+}
+
+function AdvancedFilterPanel() {
+  return <div className="filters">Advanced Filters</div>;
+}
+
+function CustomReportBuilder() {
+  return <div className="reports">Custom Reports</div>;
+}
+
+function BetaFeatureBadge() {
+  return <span className="beta">BETA</span>;
+}
+
+function AlphaTestingPanel() {
+  return <div className="alpha">Alpha Testing Features</div>;
+}
+
+function SilentFeature() {
+  return <div>Silent Feature (manually exposed)</div>;
+}
+
+function FooterComponent() {
+  const { client } = useStatsigClient();
+
+  const ldClient = useLDClient();
+
+  useEffect(() => {
+    // Log page unload
+    const handleUnload = () => {
+      client.logEvent('page_unload', null, {
+        session_duration: Date.now() - window.sessionStart
+      });
+
+      ldClient?.track('page_unload', {
+        session_duration: Date.now() - window.sessionStart
+      });
+
+      client.shutdown();
+      ldClient?.close();
+    };
+
+    window.addEventListener('beforeunload', handleUnload);
+    return () => window.removeEventListener('beforeunload', handleUnload);
+  }, [client, ldClient]);
+
+  return <footer>© 2024 Test App</footer>;
+}
+
+// ============================================
+// 11. ALTERNATIVE PROVIDER PATTERN
+// ============================================
+function AlternativeApp() {
+  // Synchronous provider for SSR or pre-initialized scenarios
+  const initializeValues = {
+    feature_gates: {
+      new_feature: true,
+      beta_access: false
+    },
+    dynamic_configs: {
+      homepage_config: {
+        title: 'Welcome'
+      }
+    },
+    layer_configs: {},
+    user: statsigUser
+  };
+
+  return (
+    <LDProvider
+      clientSideID="client-sync-sdk-key"
+      context={ldContext}
+      options={{
+        plugins: [new Observability({
+          otel: {
+            instrumentations: {
+              '@opentelemetry/instrumentation-user-interaction': {
+                shouldPreventSpanCreation: (eventType, element) => {
+                  const eventFilterFunc = event => {
+                    return !event.eventName.includes('debug');
+                  };
+
+                  return !eventFilterFunc({
+                    eventName: eventType,
+                    element
+                  });
+                }
+              }
+            }
+          }
+        }), new SessionReplay({
+          privacySetting: 'strict'
+        })],
+
+        bootstrap: {
+          new_feature: true,
+          beta_access: false,
+
+          homepage_config: {
+            title: 'Welcome'
+          }
+        }
+      }}>
+      <StatsigSynchronousProvider
+        sdkKey="client-sync-sdk-key"
+        initializeValues={initializeValues}
+      >
+        <MainApplication />
+      </StatsigSynchronousProvider>
+    </LDProvider>
+  );
+}
+
+// ============================================
+// 12. RENDER THE APP
+// ============================================
+window.sessionStart = Date.now();
+
+const container = document.getElementById('root');
+const root = createRoot(container);
+root.render(<App />);
\ No newline at end of file
@@ -0,0 +1,405 @@
+/**
+ * Statsig JavaScript Implementation Test File
+ * 
+ * This file demonstrates ALL Statsig features for testing the migration agent:
+ * - Feature Gates
+ * - Dynamic Configs
+ * - Experiments
+ * - Session Replay
+ * - Autocapture/Web Analytics
+ * - Custom Events
+ * - Complex User Context
+ */
+
+import { StatsigClient } from '@statsig/js-client';
+import { initialize } from 'launchdarkly-js-client-sdk';
+import Observability from '@launchdarkly/observability';
+import SessionReplay from '@launchdarkly/session-replay';
+import { overrideFlag } from './ld-overrides';
+
+// ============================================
+// 1. USER CONTEXT SETUP
+// ============================================
+const statsigUser = {
+  userID: 'user-abc-123',
+  email: 'john.doe@example.com',
+  ip: '192.168.1.1',
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)',
+  country: 'US',
+  locale: 'en-US',
+  appVersion: '3.2.1',
+  custom: {
+    accountType: 'premium',
+    company: 'Acme Corp',
+    role: 'admin',
+    teamSize: 50,
+    subscriptionTier: 'enterprise',
+    betaTester: true
+  },
+  customIDs: {
+    organizationID: 'org-456',
+    workspaceID: 'ws-789',
+    teamID: 'team-101'
+  },
+  privateAttributes: {
+    creditCardLast4: '1234',
+    phoneNumber: '+1-555-0123',
+    internalEmployeeID: 'emp-567'
+  }
+};
+
+const ldContext = {
+  kind: 'user',
+  key: 'user-abc-123',
+  email: 'john.doe@example.com',
+  ip: '192.168.1.1',
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)',
+  country: 'US',
+  locale: 'en-US',
+  appVersion: '3.2.1',
+  accountType: 'premium',
+  company: 'Acme Corp',
+  role: 'admin',
+  teamSize: 50,
+  subscriptionTier: 'enterprise',
+  betaTester: true,
+  organizationID: 'org-456',
+  workspaceID: 'ws-789',
+  teamID: 'team-101',
+  creditCardLast4: '1234',
+  phoneNumber: '+1-555-0123',
+  internalEmployeeID: 'emp-567',
+
+  _meta: {
+    privateAttributes: ['creditCardLast4', 'phoneNumber', 'internalEmployeeID']
+  }
+};
+
+// ============================================
+// 2. INITIALIZE STATSIG CLIENT
+// ============================================
+const statsigClient = new StatsigClient(
+  'client-sdk-key-here',
+  statsigUser,
+  {
+    environment: {
+      tier: 'production'
+    },
+    loggingIntervalMs: 10000,
+    disableCurrentPageLogging: false
+  }
+);
+
+// TODO(statsig-to-ld): replace the Statsig client SDK key with your LaunchDarkly client-side ID
+const ldClient = initialize('client-sdk-key-here', ldContext, {
+  flushInterval: 10000,
+  plugins: [new Observability(), new SessionReplay()]
+});
+
+// Initialize the client
+async function initializeStatsig() {
+  try {
+    await statsigClient.initializeAsync();
+    await ldClient.waitForInitialization(5);
+    console.log('Statsig initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize Statsig:', error);
+  }
+}
+
+// ============================================
+// 3. FEATURE GATES
+// ============================================
+function checkFeatureGates() {
+  // Simple feature gate
+  if (ldClient.variation('new_dashboard_experience', false)) {
+    console.log('New dashboard enabled');
+    renderNewDashboard();
+  } else {
+    console.log('Using legacy dashboard');
+    renderLegacyDashboard();
+  }
+
+  // Feature gate with underscore naming
+  const hasPremiumFeatures = statsigClient.checkGate('premium_features_enabled');
+  if (hasPremiumFeatures) {
+    enablePremiumUI();
+  }
+
+  // Feature gate with hyphen naming (will need conversion)
+  const betaAccess = ldClient.variation('beta-features-access', false);
+  
+  // Feature gate without exposure logging
+  const silentCheck = ldClient.variation('silent_feature_check', false);
+
+  // Multiple related gates
+  const canExportData = ldClient.variation('export_data_enabled', false);
+  const canBulkEdit = ldClient.variation('bulk_edit_enabled', false);
+  const canUseAPI = ldClient.variation('api_access_enabled', false);
+}
+
+// ============================================
+// 4. DYNAMIC CONFIGS
+// ============================================
+function getDynamicConfigs() {
+  // Homepage configuration
+  const homepageConfig = ldClient.variation('homepage_configuration', {
+    hero_title: 'Welcome to Our Platform',
+    hero_subtitle: 'Get started today',
+    show_promotion_banner: false,
+    promotion_discount: 0.1,
+    featured_products: []
+  });
+  const heroTitle = homepageConfig.hero_title;
+  const heroSubtitle = homepageConfig.hero_subtitle;
+  const showPromotion = homepageConfig.show_promotion_banner;
+  const promotionDiscount = homepageConfig.promotion_discount;
+  const featuredProducts = homepageConfig.featured_products;
+
+  // Pricing tiers configuration
+  const pricingConfig = ldClient.variation('pricing_tiers', {
+    tiers: {
+      basic: { price: 9.99, features: ['feature1'] },
+      pro: { price: 29.99, features: ['feature1', 'feature2'] },
+      enterprise: { price: 99.99, features: ['feature1', 'feature2', 'feature3'] }
+    },
+
+    currency: 'USD',
+    discount_code: null
+  });
+  const tiers = pricingConfig.tiers;
+  const currency = pricingConfig.currency;
+  const discountCode = pricingConfig.discount_code;
+
+  // UI theme configuration
+  const themeConfig = ldClient.variation('ui_theme_config', {
+    primary_color: '#007bff',
+    dark_mode_default: false,
+    font_family: 'Inter, sans-serif'
+  });
+  const primaryColor = themeConfig.primary_color;
+  const darkModeDefault = themeConfig.dark_mode_default;
+  const fontFamily = themeConfig.font_family;
+
+  // Feature limits configuration
+  const limitsConfig = ldClient.variation('feature_limits', {
+    max_uploads_per_day: 10,
+    max_file_size_mb: 50,
+    max_team_members: 5
+  });
+  const maxUploads = limitsConfig.max_uploads_per_day;
+  const maxFileSize = limitsConfig.max_file_size_mb;
+  const maxTeamMembers = limitsConfig.max_team_members;
+
+  // Config without exposure
+  const silentConfig = ldClient.variation('silent_config', {});
+}
+
+// ============================================
+// 5. EXPERIMENTS
+// ============================================
+function runExperiments() {
+  // Checkout flow experiment
+  const checkoutExperiment = statsigClient.getExperiment('checkout_flow_optimization');
+  const checkoutLayout = checkoutExperiment.get('layout', 'single_page');
+  const showProgressBar = checkoutExperiment.get('show_progress_bar', true);
+  const expressCheckoutEnabled = checkoutExperiment.get('express_checkout', false);
+  const paymentMethods = checkoutExperiment.get('payment_methods', ['card', 'paypal']);
+
+  // Onboarding experiment
+  const onboardingExperiment = statsigClient.getExperiment('onboarding_flow_test');
+  const onboardingSteps = onboardingExperiment.get('num_steps', 3);
+  const showTutorial = onboardingExperiment.get('show_tutorial', true);
+  const tutorialType = onboardingExperiment.get('tutorial_type', 'interactive');
+  const skipOption = onboardingExperiment.get('allow_skip', false);
+
+  // Search algorithm experiment
+  const searchExperiment = statsigClient.getExperiment('search_algorithm_test');
+  const searchAlgorithm = searchExperiment.get('algorithm', 'elasticsearch');
+  const fuzzyMatchEnabled = searchExperiment.get('fuzzy_matching', true);
+  const maxResults = searchExperiment.get('max_results', 20);
+
+  // Pricing experiment
+  const pricingExperiment = statsigClient.getExperiment('pricing_model_experiment');
+  const pricingModel = pricingExperiment.get('model', 'tiered');
+  const showComparison = pricingExperiment.get('show_comparison_table', true);
+  const trialDays = pricingExperiment.get('trial_days', 14);
+
+  // Layer-based experiment
+  const promoLayer = ldClient.variation('promotional_campaigns_layer', {
+    campaign_type: 'seasonal',
+    discount_percentage: 0.15,
+    end_date: '2024-12-31'
+  });
+  const promoType = promoLayer.campaign_type;
+  const promoDiscount = promoLayer.discount_percentage;
+  const promoEndDate = promoLayer.end_date;
+}
+
+// ============================================
+// 6. CUSTOM EVENT LOGGING
+// ============================================
+function logCustomEvents() {
+  // Simple event
+  statsigClient.logEvent('page_view', 'homepage');
+
+  ldClient.track('page_view', {
+    value: 'homepage'
+  });
+
+  // Event with value
+  statsigClient.logEvent('purchase_completed', 159.99, {
+    product_id: 'prod-123',
+    product_name: 'Premium Subscription',
+    currency: 'USD',
+    payment_method: 'credit_card'
+  });
+
+  ldClient.track('purchase_completed', {
+    product_id: 'prod-123',
+    product_name: 'Premium Subscription',
+    currency: 'USD',
+    payment_method: 'credit_card'
+  }, 159.99);
+
+  // User action events
+  statsigClient.logEvent('button_clicked', null, {
+    button_id: 'cta-hero',
+    button_text: 'Get Started',
+    page: 'landing'
+  });
+
+  ldClient.track('button_clicked', {
+    button_id: 'cta-hero',
+    button_text: 'Get Started',
+    page: 'landing'
+  });
+
+  // Error event
+  statsigClient.logEvent('error_occurred', null, {
+    error_type: 'validation',
+    error_message: 'Email format invalid',
+    form_id: 'signup-form'
+  });
+
+  ldClient.track('error_occurred', {
+    error_type: 'validation',
+    error_message: 'Email format invalid',
+    form_id: 'signup-form'
+  });
+
+  // Performance event
+  statsigClient.logEvent('api_call_performance', null, {
+    endpoint: '/api/users',
+    duration_ms: 234,
+    status_code: 200,
+    cache_hit: false
+  });
+
+  ldClient.track('api_call_performance', {
+    endpoint: '/api/users',
+    duration_ms: 234,
+    status_code: 200,
+    cache_hit: false
+  });
+
+  // Feature usage event
+  statsigClient.logEvent('feature_used', null, {
+    feature_name: 'bulk_export',
+    items_count: 150,
+    format: 'csv'
+  });
+
+  ldClient.track('feature_used', {
+    feature_name: 'bulk_export',
+    items_count: 150,
+    format: 'csv'
+  });
+}
+
+// ============================================
+// 7. UTILITY FUNCTIONS (Referenced Above)
+// ============================================
+function renderNewDashboard() {
+  document.getElementById('dashboard-container').innerHTML = '<div>New Dashboard UI</div>';
+}
+
+function renderLegacyDashboard() {
+  document.getElementById('dashboard-container').innerHTML = '<div>Legacy Dashboard UI</div>';
+}
+
+function enablePremiumUI() {
+  document.body.classList.add('premium-user');
+}
+
+// ============================================
+// 8. MAIN EXECUTION
+// ============================================
+async function main() {
+  // Initialize Statsig
+  await initializeStatsig();
+
+  // Check all feature gates
+  checkFeatureGates();
+
+  // Get all dynamic configs
+  getDynamicConfigs();
+
+  // Run experiments
+  runExperiments();
+
+  // Log some events
+  logCustomEvents();
+
+  // Update user properties
+  await statsigClient.updateUserAsync({
+    ...statsigUser,
+    custom: {
+      ...statsigUser.custom,
+      lastActivity: new Date().toISOString()
+    }
+  });
+
+  await ldClient.identify({
+    ...ldContext,
+    ...statsigUser.custom,
+    lastActivity: new Date().toISOString()
+  });
+
+  // Manual exposure logging
+  statsigClient.manuallyLogGateExposure('manually_exposed_gate');
+  statsigClient.manuallyLogConfigExposure('manually_exposed_config');
+  statsigClient.manuallyLogExperimentExposure('manually_exposed_experiment');
+
+  // Shutdown (cleanup)
+  window.addEventListener('beforeunload', () => {
+    statsigClient.shutdown();
+    ldClient.close();
+  });
+}
+
+// Run the application
+main().catch(console.error);
+
+// ============================================
+// 9. ADDITIONAL EDGE CASES
+// ============================================
+
+// Check if Statsig is ready
+if (statsigClient.loadingStatus === 'Ready') {
+  console.log('Client is ready');
+}
+
+// Get all evaluated values
+const allValues = statsigClient.getEvaluatedValues();
+console.log('All evaluated values:', allValues);
+
+// Override gate value locally (for testing)
+overrideFlag(ldClient, 'test_gate', true);
+
+// Override config value locally (for testing)
+overrideFlag(ldClient, 'test_config', { key: 'value' });
+
+// Get stable ID (device identifier)
+const stableID = statsigClient.getStableID();
+console.log('Stable ID:', stableID);
\ No newline at end of file
@@ -0,0 +1,103 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  migrateSource,
+  findExperimentDependencies,
+  buildExperimentGraph,
+  buildSummary,
+  readStatsigExports,
+  validateSummary
+} = require('../src');
+
+const HEADER = "import { StatsigClient } from '@statsig/js-client';\n" +
+  "const client = new StatsigClient('key', { userID: 'a' });\n";
+
+function edgesOf(body, filePath = 'app.js') {
+  return findExperimentDependencies(HEADER + body, { filePath }).map((edge) => [edge.gate, edge.experiment]);
+}
+
+test('a gate guarding an experiment branch is an edge', () => {
+  assert.deepStrictEqual(edgesOf(
+    "if (client.checkGate('new_checkout')) {\n  client.getExperiment('checkout_test').get('layout', 'a');\n}\n"
+  ), [['new_checkout', 'checkout_test']]);
+});
+
+test('gate values stored in variables and early returns are followed', () => {
+  assert.deepStrictEqual(edgesOf(
+    "function run() {\n  const enabled = client.checkGate('new_checkout');\n  if (!enabled) {\n    return;\n  }\n" +
+      "  const exp = client.getExperiment('checkout_test');\n}\n"
+  ), [['new_checkout', 'checkout_test']]);
+});
+
+test('a gate only checked on an experiment branch is an edge', () => {
+  assert.deepStrictEqual(edgesOf(
+    "const exp = client.getExperiment('checkout_test');\nconst express = exp.get('express', false) && client.checkGate('express_pay');\n"
+  ), [['express_pay', 'checkout_test']]);
+});
+
+test('hooks in JSX conditions are followed', () => {
+  const source = "import { useGateValue, useExperiment } from '@statsig/react-bindings';\n" +
+    "function View() {\n  const show = useGateValue('promo');\n" +
+    "  return show ? <Banner text={useExperiment('banner_test').get('text', '')} /> : null;\n}\n";
+  assert.deepStrictEqual(
+    findExperimentDependencies(source, { filePath: 'view.jsx' }).map((edge) => [edge.gate, edge.experiment]),
+    [['promo', 'banner_test']]
+  );
+});
+
+test('unrelated gates and experiments in the same file are not edges', () => {
+  assert.deepStrictEqual(edgesOf(
+    "const on = client.checkGate('new_nav');\nconst exp = client.getExperiment('checkout_test');\n" +
+      "function later() {\n  if (on) {\n    render();\n  }\n}\n"
+  ), []);
+});
+
+test('gates with edges stay on Statsig with the edge as the reason', () => {
+  const source = HEADER + "if (client.checkGate('new_checkout')) {\n  client.getExperiment('checkout_test');\n}\n" +
+    "client.checkGate('new_nav');\n";
+  const { code, report } = migrateSource(source);
+  assert.match(code, /if \(client\.checkGate\('new_checkout'\)\)/);
+  assert.match(code, /ldClient\.variation\('new_nav', false\)/);
+  assert.deepStrictEqual(report.blocked, [{
+    name: 'new_checkout',
+    type: 'feature_gate',
+    reason: "Gate 'new_checkout' (line 3) decides whether experiment 'checkout_test' (line 4) is read",
+    line: 3
+  }]);
+});
+
+test('export targeting gates and edges from other files block a gate everywhere', () => {
+  const statsigExport = readStatsigExports([{
+    json: { experiments: [{ name: 'pricing_test', targetingGateID: 'paid_plans', groups: [] }] }
+  }]);
+  const other = findExperimentDependencies(
+    HEADER + "if (client.checkGate('new_checkout')) {\n  client.getExperiment('checkout_test');\n}\n",
+    { filePath: 'checkout.js' }
+  );
+  const experimentGraph = buildExperimentGraph({ codeEdges: other, statsigExport });
+  const source = HEADER + "client.checkGate('paid_plans');\nclient.checkGate('new_checkout');\nclient.checkGate('new_nav');\n";
+  const { code, report } = migrateSource(source, { filePath: 'app.js', statsigExport, experimentGraph });
+
+  assert.deepStrictEqual(report.blocked.map((item) => item.name), ['paid_plans', 'new_checkout']);
+  assert.match(code, /ldClient\.variation\('new_nav', false\)/);
+  assert.strictEqual(report.statsigPreserved, true);
+});
+
+test('the summary lists affected gates and every edge', () => {
+  const source = HEADER + "if (client.checkGate('new_checkout')) {\n  client.getExperiment('checkout_test');\n}\n";
+  const summary = buildSummary([migrateSource(source, { filePath: 'app.js' }).report]);
+
+  assert.deepStrictEqual(summary.not_migrated.experiments[0].affected_gates, ['new_checkout']);
+  assert.deepStrictEqual(summary.experiment_dependencies, [{
+    gate: 'new_checkout',
+    experiment: 'checkout_test',
+    source: 'code',
+    reason: "Gate 'new_checkout' (line 3) decides whether experiment 'checkout_test' (line 4) is read",
+    file: 'app.js',
+    line: 3
+  }]);
+  assert.strictEqual(summary.summary.blocked_by_experiments, 2);
+  assert.strictEqual(validateSummary(summary).valid, true);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource } = require('../src');
+
+const HEADER = "import { StatsigClient } from '@statsig/js-client';\n" +
+  "const client = new StatsigClient('key', { userID: 'a' });\n";
+
+function preserve(source, filePath = 'app.js') {
+  return migrateSource(source, { filePath, exposures: 'preserve' });
+}
+
+function messages(report) {
+  return report.warnings.map((warning) => warning.message);
+}
+
+test('silent checks are dropped with a warning by default', () => {
+  const { code, report } = migrateSource(HEADER + "client.checkGate('quiet', { disableExposureLog: true });\n");
+  assert.match(code, /client\.variation\('quiet', false\);/);
+  assert.ok(messages(report).includes("checkGate options for 'quiet' were dropped"));
+});
+
+test('silent checks read allFlags() from a client that sends events only for variation()', () => {
+  const { code, report } = preserve(
+    HEADER + "const on = client.checkGate('quiet', { disableExposureLog: true });\n" +
+      "const title = client.getConfig('copy', { disableExposureLog: true }).get('title', 'Hi');\n"
+  );
+  assert.match(code, /initialize\('key', \{\n {2}kind: 'user',\n {2}key: 'a'\n\}, \{\n {2}sendEventsOnlyForVariation: true\n\}\);/);
+  assert.match(code, /const on = client\.allFlags\(\)\['quiet'\] \?\? false;/);
+  assert.match(code, /const title = \(client\.allFlags\(\)\['copy'\] \?\? \{\n {2}title: 'Hi'\n\}\)\.title;/);
+  assert.deepStrictEqual(report.gates.map((gate) => gate.name), ['quiet']);
+  assert.deepStrictEqual(report.configs[0].fallback, { title: 'Hi' });
+  assert.doesNotMatch(code, /TODO\(statsig-to-ld\): allFlags/);
+});
+
+test('manual exposures become evaluations', () => {
+  const { code, report } = preserve(
+    HEADER + "const title = client.getConfig('copy').get('title', 'Hi');\n" +
+      "client.manuallyLogGateExposure('quiet');\nclient.manuallyLogConfigExposure('copy');\n"
+  );
+  assert.match(code, /^client\.variation\('quiet', false\);$/m);
+  assert.match(code, /^client\.variation\('copy', \{\n {2}title: 'Hi'\n\}\);$/m);
+  assert.strictEqual(report.statsigPreserved, false);
+  assert.deepStrictEqual(report.gates.map((gate) => gate.name), ['quiet']);
+});
+
+test('experiment exposures and exposures of blocked gates stay on Statsig', () => {
+  const { code, report } = preserve(
+    HEADER + "if (client.checkGate('entry')) {\n  client.getExperiment('exp');\n}\n" +
+      "client.manuallyLogGateExposure('entry');\nclient.manuallyLogExperimentExposure('exp');\n"
+  );
+  assert.match(code, /^client\.manuallyLogGateExposure\('entry'\);$/m);
+  assert.match(code, /^client\.manuallyLogExperimentExposure\('exp'\);$/m);
+  assert.deepStrictEqual(report.blocked.map((item) => [item.name, item.type]), [
+    ['entry', 'feature_gate'],
+    ['entry', 'feature_gate'],
+    ['manuallyLogExperimentExposure()', 'unsupported_api']
+  ]);
+});
+
+test('reads that cannot skip evaluation events get an inline warning', () => {
+  const computed = preserve(HEADER + "client.checkGate('quiet', options);\n");
+  assert.match(computed.code, /\/\/ TODO\(statsig-to-ld\): checkGate options for 'quiet' are not a literal.*\nclient\.variation\('quiet', false\);/);
+
+  const external = preserve(
+    "import { StatsigClient } from '@statsig/js-client';\n" +
+      "export function isOn(client: StatsigClient) {\n  return client.checkGate('quiet', { disableExposureLog: true });\n}\n",
+    'app.ts'
+  );
+  assert.match(external.code, /\/\/ TODO\(statsig-to-ld\): allFlags\(\) only skips evaluation events when .*\n {2}return client\.allFlags\(\)\['quiet'\] \?\? false;/);
+
+  const hook = preserve(
+    "import { useGateValue } from '@statsig/react-bindings';\n" +
+      "function View() {\n  const on = useGateValue('quiet', { disableExposureLog: true });\n  return on;\n}\n",
+    'view.jsx'
+  );
+  assert.match(hook.code, /\/\/ TODO\(statsig-to-ld\): useGateValue options for 'quiet' were dropped: .*\n {2}const on = flags\.quiet \?\? false;/);
+  assert.strictEqual(messages(hook.report).length, 1);
+});
+
+test('reads on the useLDClient() client fall back until LDProvider initializes it', () => {
+  const { code } = preserve(
+    "import { useCallback } from 'react';\n" +
+      "import { useStatsigClient } from '@statsig/react-bindings';\n" +
+      'export function Page() {\n' +
+      '  const { client } = useStatsigClient();\n' +
+      "  const copy = client.getConfig('copy').get('title', 'Hi');\n" +
+      "  const quiet = useCallback(() => client.checkGate('quiet', { disableExposureLog: true }), []);\n" +
+      "  const expose = useCallback(() => client.manuallyLogGateExposure('quiet'), []);\n" +
+      "  return client.checkGate('on') ? copy : null;\n" +
+      '}\n',
+    'page.jsx'
+  );
+  assert.match(code, /const copy = \(client\?\.variation\('copy', \{\n {4}title: 'Hi'\n {2}\}\) \?\? \{\n {4}title: 'Hi'\n {2}\}\)\.title;/);
+  assert.match(code, /useCallback\(\(\) => client\?\.allFlags\(\)\['quiet'\] \?\? false, \[client\]\);/);
+  assert.match(code, /useCallback\(\(\) => client\?\.variation\('quiet', false\), \[client\]\);/);
+  assert.match(code, /return client\?\.variation\('on', false\) \?\? false \? copy : null;/);
+});
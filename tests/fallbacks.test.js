@@ -0,0 +1,77 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { migrateSource, migratePaths, buildSummary, assertValidSummary } = require('../src');
+const { makeProject } = require('./helpers/projects');
+
+const IMPORT = "import { StatsigClient } from '@statsig/js-client';\n" +
+  "const client = new StatsigClient('key', { userID: 'a' });\n";
+
+test('reads in functions the config is passed to join its fallback', () => {
+  const { code, report } = migrateSource(
+    IMPORT +
+      "function banner(config) {\n  return config.get('show_banner', false) ? config.get('title', 'Sale') : '';\n}\n" +
+      "export function homepage() {\n  const homepage = client.getConfig('homepage');\n" +
+      "  return [homepage.get('title', 'Welcome'), banner(homepage)];\n}\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /client\.variation\('homepage', \{\n {4}show_banner: false,\n {4}title: 'Sale'\n {2}\}\)/);
+  assert.match(code, /return config\.show_banner \? config\.title : '';/);
+  assert.match(code, /return \[homepage\.title, banner\(homepage\)\];/);
+  assert.deepStrictEqual(report.configs[0].fallback, { show_banner: false, title: 'Sale' });
+  assert.deepStrictEqual(report.fallbackConflicts, [{
+    name: 'homepage',
+    type: 'dynamic_config',
+    key: 'title',
+    defaults: [{ code: "'Sale'", file: 'app.js', line: 4 }, { code: "'Welcome'", file: 'app.js', line: 8 }],
+    line: 7
+  }]);
+
+  const summary = assertValidSummary(buildSummary([report]));
+  assert.strictEqual(summary.fallback_conflicts[0].file, 'app.js');
+  assert.ok(summary.next_steps.some((step) => /fallback_conflicts.*: homepage$/.test(step)));
+});
+
+test('a function also called with other values keeps the config on Statsig', () => {
+  const { report } = migrateSource(
+    IMPORT +
+      "function title(config) {\n  return config.get('title', '');\n}\n" +
+      "title(client.getConfig('homepage'));\ntitle(otherConfig);\n",
+    { filePath: 'app.js' }
+  );
+  assert.deepStrictEqual(report.configs, []);
+  assert.strictEqual(
+    report.failed[0].reason,
+    'title() is also called with values that are not this config object, so no JSON fallback could be built'
+  );
+});
+
+test('configs passed to other modules are followed when they are migrated together', () => {
+  const dir = makeProject();
+  fs.mkdirSync(path.join(dir, 'components'));
+  fs.writeFileSync(path.join(dir, 'app.js'), IMPORT +
+    "import { renderHero } from './components/hero';\n" +
+    "const homepage = client.getConfig('homepage');\nrenderHero(homepage);\n");
+  fs.writeFileSync(path.join(dir, 'checkout.js'), IMPORT +
+    "import { renderSummary } from './components/hero';\n" +
+    "renderSummary(client.getConfig('checkout'));\nrenderSummary(client.getExperiment('checkout_test'));\n");
+  fs.writeFileSync(path.join(dir, 'components', 'hero.js'),
+    "export function renderHero(config) {\n  return config.get('hero_title', 'Hello') + config.get('subtitle', null);\n}\n" +
+    "export const renderSummary = (config) => config.get('total', 0);\n");
+
+  const results = migratePaths([dir]);
+  const byName = Object.fromEntries(results.map((result) => [path.relative(dir, result.file), result]));
+  assert.deepStrictEqual(Object.keys(byName).sort(), ['app.js', 'checkout.js', path.join('components', 'hero.js')]);
+
+  assert.deepStrictEqual(byName['app.js'].report.configs[0].fallback, { hero_title: 'Hello', subtitle: null });
+  const hero = byName[path.join('components', 'hero.js')];
+  assert.match(hero.code, /return config\.hero_title \+ config\.subtitle;/);
+  // The experiment passed to renderSummary() stays on Statsig, so it keeps
+  // reading `.get()` and the config passed with it is not migrated.
+  assert.match(hero.code, /config\.get\('total', 0\)/);
+  assert.match(byName['checkout.js'].report.failed[0].reason, /renderSummary\(\) from '\.\/components\/hero', where it also receives configs that stay on Statsig/);
+  assert.match(hero.report.warnings[0].message, /^renderHero\(\) parameter 'config' now receives the value of a LaunchDarkly JSON flag/);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { localOverridesSource } = require('../src/local-overrides');
+const { runFixture } = require('./helpers/harness');
+const { createLaunchDarklyModule } = require('./helpers/fake-launchdarkly');
+const { loadLaunchDarklySdk, methodsOf } = require('./helpers/launchdarkly-sdk');
+
+const FLAGS = JSON.parse(fs.readFileSync(path.join(__dirname, 'flag-data', 'vanilla-js-app.json'), 'utf8'));
+const ORIGINAL = fs.readFileSync(path.join(__dirname, 'vanilla-js-app.js'), 'utf8');
+const MIGRATED = fs.readFileSync(path.join(__dirname, 'expected', 'vanilla-js-app.js'), 'utf8');
+const MODULES = { './ld-overrides': localOverridesSource() };
+
+function runBoth(flags, options = {}) {
+  return Promise.all([
+    runFixture(ORIGINAL, { flags, fileName: 'vanilla-js-app.js' }),
+    runFixture(MIGRATED, { flags, fileName: 'vanilla-js-app.js', modules: MODULES, ...options })
+  ]);
+}
+
+test('the migrated vanilla app takes the same branches as the original for the same user and flags', async () => {
+  const [original, migrated] = await runBoth(FLAGS);
+  assert.strictEqual(original.body, '<body class="premium-user"><div id="dashboard-container"><div>New Dashboard UI</div></div></body>');
+  assert.strictEqual(migrated.body, original.body);
+  assert.deepStrictEqual(migrated.logs, original.logs);
+  assert.ok(!migrated.logs.some((line) => /^(error|jsdomError):/.test(line)), migrated.logs.join('\n'));
+
+  const ldReads = migrated.evaluations.filter((item) => item.sdk === 'launchdarkly');
+  assert.deepStrictEqual(ldReads.slice(0, 2), [
+    { sdk: 'launchdarkly', method: 'variation', name: 'new_dashboard_experience', value: true },
+    { sdk: 'launchdarkly', method: 'variation', name: 'beta-features-access', value: true }
+  ]);
+  assert.ok(ldReads.some((item) => item.method === 'variation' && item.name === 'promotional_campaigns_layer'));
+});
+
+test('both apps fall back to the legacy dashboard without the user\'s targeting', async () => {
+  const [original, migrated] = await runBoth({ ...FLAGS, users: {} });
+  assert.match(original.body, /Legacy Dashboard UI/);
+  assert.strictEqual(migrated.body, original.body);
+  assert.deepStrictEqual(migrated.logs, original.logs);
+});
+
+test('a flag served under another key makes the runs diverge', async () => {
+  const [original, migrated] = await runBoth(FLAGS, { flagKey: (name) => name.replace(/_/g, '-') });
+  assert.match(migrated.body, /Legacy Dashboard UI/);
+  assert.notStrictEqual(migrated.body, original.body);
+});
+
+test('the fake LaunchDarkly client has no method the SDK client lacks', async () => {
+  const sdk = loadLaunchDarklySdk();
+  try {
+    const context = { kind: 'user', key: 'a' };
+    const real = sdk.initialize(context, {});
+    const fake = createLaunchDarklyModule({}, []).initialize('client-side-id', context);
+    const realMethods = methodsOf(real);
+    assert.deepStrictEqual(methodsOf(fake).filter((name) => !realMethods.includes(name)), []);
+    await real.close();
+  } finally {
+    sdk.close();
+  }
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource, createFlagKeyMap, flagKeyEntry, flagKeyMapJson, FlagKeyMapError } = require('../src');
+const { normalizeKey, accessorConflicts } = require('../src/flag-keys');
+
+test('each policy turns Statsig names into flag keys', () => {
+  const names = ['snake_case_flag', 'kebab-case-flag', 'camelCaseFlag'];
+  assert.deepStrictEqual(names.map((name) => normalizeKey(name, 'preserve')), names);
+  assert.deepStrictEqual(names.map((name) => normalizeKey(name, 'kebab')), ['snake-case-flag', 'kebab-case-flag', 'camelCaseFlag']);
+  assert.deepStrictEqual(names.map((name) => normalizeKey(name, 'camel')), ['snakeCaseFlag', 'kebabCaseFlag', 'camelCaseFlag']);
+});
+
+test('keys already in the map win over the policy', () => {
+  const keyMap = createFlagKeyMap({
+    json: { policy: 'kebab', flags: [{ statsig_name: 'new_nav', ld_key: 'navigation-v2', react_accessor: 'navigationV2' }] }
+  });
+  assert.strictEqual(flagKeyEntry(keyMap, 'new_nav').ld_key, 'navigation-v2');
+  assert.deepStrictEqual(flagKeyEntry(keyMap, 'beta_ui'), { statsig_name: 'beta_ui', ld_key: 'beta-ui', react_accessor: 'betaUi' });
+  assert.deepStrictEqual(flagKeyMapJson(keyMap).flags.map((entry) => entry.statsig_name), ['beta_ui', 'new_nav']);
+
+  assert.throws(() => createFlagKeyMap({ policy: 'camel', json: flagKeyMapJson(keyMap), file: 'flag-key-map.json' }), FlagKeyMapError);
+  assert.throws(() => createFlagKeyMap({ json: { policy: 'snake', flags: [] } }), /`policy` must be one of: preserve, kebab, camel/);
+});
+
+test('rewrites and report entries read keys from the map', () => {
+  const keyMap = createFlagKeyMap({ policy: 'kebab' });
+  const js = migrateSource(
+    "import { StatsigClient } from '@statsig/js-client';\nconst client = new StatsigClient('key', { userID: 'a' });\n" +
+      "client.checkGate('new_nav');\nclient.getConfig('home_copy').get('title', 'Hi');\n",
+    { filePath: 'app.js', keyMap }
+  );
+  assert.match(js.code, /client\.variation\('new-nav', false\);/);
+  assert.match(js.code, /client\.variation\('home-copy', \{/);
+  assert.deepStrictEqual([js.report.gates[0].key, js.report.configs[0].key], ['new-nav', 'home-copy']);
+
+  const react = migrateSource(
+    "import { useGateValue } from '@statsig/react-bindings';\nfunction View() {\n  return useGateValue('new_nav');\n}\n",
+    { filePath: 'view.jsx', keyMap }
+  );
+  assert.match(react.code, /return flags\.newNav \?\? false;/);
+  assert.deepStrictEqual(flagKeyMapJson(keyMap).flags.map((entry) => entry.ld_key), ['home-copy', 'new-nav']);
+});
+
+test('colliding and ambiguous React accessors are found', () => {
+  const keyMap = createFlagKeyMap({ json: { policy: 'preserve', flags: [{ statsig_name: 'beta-feature-flag', ld_key: 'beta-feature-flag' }] } });
+  const conflicts = accessorConflicts(keyMap, ['beta_feature_flag', 'api_v2_enabled', 'feature_2fa', 'enable_userID_sync']);
+  assert.deepStrictEqual([...conflicts].map(([name, { type }]) => [name, type]), [
+    ['beta-feature-flag', 'collision'],
+    ['beta_feature_flag', 'collision'],
+    ['feature_2fa', 'ambiguous'],
+    ['enable_userID_sync', 'ambiguous']
+  ]);
+  assert.match(conflicts.get('feature_2fa').reason, /read as flags\.feature2Fa from useFlags\(\), not flags\.feature2fa/);
+  assert.deepStrictEqual([...keyMap.flags.keys()], ['beta-feature-flag']);
+});
+
+test('files reading conflicting flags through hooks are left unchanged', () => {
+  const source = "import { useGateValue } from '@statsig/react-bindings';\n" +
+    "function View() {\n  return useGateValue('beta-feature-flag') && useGateValue('new_nav');\n}\n";
+  const alone = migrateSource(source, { filePath: 'view.jsx' });
+  assert.match(alone.code, /return \(flags\.betaFeatureFlag \?\? false\) && \(flags\.newNav \?\? false\);/);
+
+  const { code, report } = migrateSource(source, { filePath: 'view.jsx', flagNames: ['beta_feature_flag'] });
+  assert.strictEqual(code, source);
+  assert.deepStrictEqual(report.keyConflicts.map(({ name, key, accessor, type, line }) => ({ name, key, accessor, type, line })), [
+    { name: 'beta-feature-flag', key: 'beta-feature-flag', accessor: 'betaFeatureFlag', type: 'collision', line: 3 }
+  ]);
+  assert.strictEqual(report.statsigPreserved, true);
+
+  const client = migrateSource(
+    "import { StatsigClient } from '@statsig/js-client';\nconst client = new StatsigClient('key', { userID: 'a' });\n" +
+      "client.checkGate('beta-feature-flag');\n",
+    { filePath: 'app.js', flagNames: ['beta_feature_flag'] }
+  );
+  assert.match(client.code, /client\.variation\('beta-feature-flag', false\);/);
+  assert.deepStrictEqual(client.report.keyConflicts, []);
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { readStatsigExports, buildFlagDefinitions, StatsigExportError } = require('../src');
+const { checkExpected, readExpectedJson } = require('./helpers/expected');
+
+const EXPORT_FILES = ['gates.json', 'dynamic-configs.json', 'layers.json', 'experiments.json'];
+
+function readExports() {
+  return readStatsigExports(EXPORT_FILES.map((name) => ({
+    file: name,
+    json: JSON.parse(fs.readFileSync(path.join(__dirname, 'exports', name), 'utf8'))
+  })));
+}
+
+test('fixture exports convert to the expected LaunchDarkly flag definitions', () => {
+  const definitions = buildFlagDefinitions(readExports(), { summary: readExpectedJson('migration-summary.json') });
+  checkExpected('launchdarkly-flags.json', `${JSON.stringify(definitions, null, 2)}\n`);
+});
+
+test('gates become boolean flags that fail closed', () => {
+  const { flags } = buildFlagDefinitions({ gates: readExports().gates, configs: [] });
+  const flag = flags.find((candidate) => candidate.key === 'premium_features_enabled');
+  assert.strictEqual(flag.kind, 'boolean');
+  assert.deepStrictEqual(flag.variations.map((variation) => variation.value), [true, false]);
+  assert.deepStrictEqual(flag.defaults, { onVariation: 1, offVariation: 1 });
+  assert.strictEqual(flag.temporary, false);
+  assert.strictEqual(flag.clientSideAvailability.usingEnvironmentId, true);
+});
+
+test('config variations are deduplicated regardless of key order', () => {
+  const statsigExport = readStatsigExports([{
+    json: [{ name: 'theme', defaultValue: { a: 1, b: 2 }, rules: [{ name: 'Same', returnValue: { b: 2, a: 1 } }] }]
+  }]);
+  const summary = {
+    migrated: {
+      feature_gates: [],
+      dynamic_configs: [
+        { name: 'theme', key: 'theme', fallback: { b: 2, a: 1 }, file: 'a.js', line: 3 },
+        { name: 'theme', key: 'theme', fallback: { a: 0 }, file: 'b.js', line: 9 }
+      ]
+    }
+  };
+  const { flags, warnings } = buildFlagDefinitions(statsigExport, { summary });
+  assert.deepStrictEqual(flags[0].variations.map((variation) => variation.description), [
+    'Seeded from Statsig default value; Statsig rule: Same; Code fallback in a.js:3',
+    'Seeded from Code fallback in b.js:9'
+  ]);
+  assert.deepStrictEqual(warnings.map((warning) => warning.message), [
+    'theme code fallback in b.js:9 differs from the Statsig default value'
+  ]);
+});
+
+test('flags used in code but missing from the export are still defined', () => {
+  const summary = {
+    migrated: {
+      feature_gates: [{ name: 'only_in_code', key: 'only_in_code', file: 'a.js', line: 1 }],
+      dynamic_configs: [{ name: 'config_in_code', key: 'config_in_code', fallback: { on: false }, file: 'a.js', line: 2 }]
+    }
+  };
+  const { flags, warnings } = buildFlagDefinitions({ gates: [], configs: [] }, { summary });
+  assert.deepStrictEqual(flags.map((flag) => [flag.key, flag.kind]), [
+    ['only_in_code', 'boolean'],
+    ['config_in_code', 'multivariate']
+  ]);
+  assert.deepStrictEqual(flags[1].variations[0].value, { on: false });
+  assert.strictEqual(warnings.length, 2);
+});
+
+test('malformed exports are rejected', () => {
+  assert.throws(() => readStatsigExports([{ file: 'x.json', json: { gates: [{ rules: [] }] } }]), StatsigExportError);
+  assert.throws(() => readStatsigExports([{ file: 'x.json', json: { nothing: true } }]), /x\.json: no `data`/);
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Set UPDATE_EXPECTED=1 to rewrite the files in tests/expected/ from the
+// current output. Review the resulting diff before committing it.
+const UPDATE = process.env.UPDATE_EXPECTED === '1';
+
+const EXPECTED_DIR = path.join(__dirname, '..', 'expected');
+
+/**
+ * Asserts that `actual` equals tests/expected/<name>, or rewrites that file
+ * when UPDATE_EXPECTED=1.
+ */
+function checkExpected(name, actual) {
+  const expectedPath = path.join(EXPECTED_DIR, name);
+  if (UPDATE) {
+    fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+    fs.writeFileSync(expectedPath, actual);
+    return;
+  }
+  assert.strictEqual(actual, fs.readFileSync(expectedPath, 'utf8'), `${name} differs from tests/expected/${name}`);
+}
+
+function readExpectedJson(name) {
+  return JSON.parse(fs.readFileSync(path.join(EXPECTED_DIR, name), 'utf8'));
+}
+
+module.exports = {
+  checkExpected,
+  readExpectedJson
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * In-memory stand-in for `launchdarkly-js-client-sdk`, serving the gates,
+ * configs and layers of flag data as flags keyed by LaunchDarkly key. See
+ * flag-data.js for the format.
+ *
+ * The client only has methods the SDK's 3.x client has, so migrated code
+ * calling anything else fails here as it would in a browser.
+ */
+
+const { flagsFor } = require('./flag-data');
+
+/**
+ * The `launchdarkly-js-client-sdk` module, reading `data` and recording
+ * every evaluation in `evaluations`.
+ *
+ * @param {object} data - flag data
+ * @param {object[]} evaluations - receives `{ sdk, method, name, value }`
+ *   where `name` is the flag key
+ * @param {object} [options]
+ * @param {function(string): string} [options.flagKey] - Statsig name → flag key
+ * @returns {object} the module exports
+ */
+function createLaunchDarklyModule(data, evaluations, { flagKey = (name) => name } = {}) {
+  function initialize(clientSideID, context, options = {}) {
+    let current = context;
+    const events = [];
+
+    const allFlags = () => {
+      const { gates, configs, layers } = flagsFor(data, current && current.key);
+      const flags = {};
+      for (const values of [layers, configs, gates]) {
+        for (const [name, value] of Object.entries(values)) {
+          flags[flagKey(name)] = value;
+        }
+      }
+      return flags;
+    };
+    const evaluate = (method, key, fallback) => {
+      const flags = allFlags();
+      const value = key in flags ? flags[key] : fallback;
+      evaluations.push({ sdk: 'launchdarkly', method, name: key, value });
+      return value;
+    };
+    const detail = (method, key, fallback) => {
+      const found = key in allFlags();
+      return {
+        value: evaluate(method, key, fallback),
+        variationIndex: found ? 0 : null,
+        reason: found ? { kind: 'FALLTHROUGH' } : { kind: 'ERROR', errorKind: 'FLAG_NOT_FOUND' }
+      };
+    };
+
+    return {
+      clientSideID,
+      options,
+      events,
+      waitForInitialization: async () => {},
+      waitUntilReady: async () => {},
+      variation: (key, fallback) => evaluate('variation', key, fallback),
+      variationDetail: (key, fallback) => detail('variationDetail', key, fallback),
+      allFlags,
+      getContext: () => current,
+      identify: async (next) => {
+        current = next;
+      },
+      track: (key, eventData, metricValue) => events.push({ key, data: eventData, metricValue }),
+      on: () => {},
+      off: () => {},
+      flush: async () => {},
+      close: async () => {}
+    };
+  }
+
+  return { initialize };
+}
+
+module.exports = {
+  createLaunchDarklyModule
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * In-memory stand-in for `@statsig/js-client`, serving gates, configs,
+ * experiments and layers from flag data instead of the network. See
+ * harness.js for the flag data format.
+ */
+
+const { flagsFor } = require('./flag-data');
+
+/**
+ * A Statsig DynamicConfig, Experiment or Layer result.
+ */
+function result(name, value) {
+  return {
+    name,
+    value,
+    get: (key, fallback) => {
+      const found = value[key];
+      return found === undefined || (fallback !== undefined && fallback !== null && typeof found !== typeof fallback) ? fallback : found;
+    }
+  };
+}
+
+/**
+ * The `@statsig/js-client` module, reading `data` and recording every
+ * evaluation in `evaluations`.
+ *
+ * @param {object} data - flag data
+ * @param {object[]} evaluations - receives `{ sdk, method, name, value }`
+ * @returns {object} the module exports
+ */
+function createStatsigModule(data, evaluations) {
+  class StatsigClient {
+    constructor(sdkKey, user, options = {}) {
+      this.sdkKey = sdkKey;
+      this.user = user;
+      this.options = options;
+      this.loadingStatus = 'Uninitialized';
+      this.events = [];
+      this.gateOverrides = new Map();
+      this.configOverrides = new Map();
+    }
+
+    async initializeAsync() {
+      this.loadingStatus = 'Ready';
+    }
+
+    async updateUserAsync(user) {
+      this.user = user;
+    }
+
+    async shutdown() {
+      this.loadingStatus = 'Uninitialized';
+    }
+
+    flags() {
+      return flagsFor(data, this.user && this.user.userID);
+    }
+
+    evaluate(method, name, value) {
+      evaluations.push({ sdk: 'statsig', method, name, value });
+      return value;
+    }
+
+    checkGate(name) {
+      const value = this.gateOverrides.has(name) ? this.gateOverrides.get(name) : Boolean(this.flags().gates[name]);
+      return this.evaluate('checkGate', name, value);
+    }
+
+    getFeatureGate(name) {
+      return { name, value: this.checkGate(name) };
+    }
+
+    getConfig(name) {
+      const value = this.configOverrides.has(name) ? this.configOverrides.get(name) : this.flags().configs[name] || {};
+      return result(name, this.evaluate('getConfig', name, value));
+    }
+
+    getExperiment(name) {
+      return result(name, this.evaluate('getExperiment', name, this.flags().experiments[name] || {}));
+    }
+
+    getLayer(name) {
+      return result(name, this.evaluate('getLayer', name, this.flags().layers[name] || {}));
+    }
+
+    logEvent(eventName, value, metadata) {
+      this.events.push({ eventName, value, metadata });
+    }
+
+    manuallyLogGateExposure() {}
+
+    manuallyLogConfigExposure() {}
+
+    manuallyLogExperimentExposure() {}
+
+    overrideGate(name, value) {
+      this.gateOverrides.set(name, value);
+    }
+
+    overrideConfig(name, value) {
+      this.configOverrides.set(name, value);
+    }
+
+    getEvaluatedValues() {
+      const { gates, configs } = this.flags();
+      return { gates: { ...gates }, configs: { ...configs } };
+    }
+
+    getStableID() {
+      return 'stable-id';
+    }
+  }
+
+  return { StatsigClient };
+}
+
+module.exports = {
+  createStatsigModule
+};
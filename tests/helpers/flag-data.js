@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Flag data the fake SDKs serve, keyed by Statsig name:
+ *
+ *   {
+ *     "gates": { "new_dashboard_experience": true },
+ *     "configs": { "homepage_configuration": { "hero_title": "Hi" } },
+ *     "experiments": { "checkout_flow_optimization": { "layout": "multi_page" } },
+ *     "layers": { "promotional_campaigns_layer": { "campaign_type": "flash" } },
+ *     "users": { "user-abc-123": { "gates": { "new_dashboard_experience": false } } }
+ *   }
+ *
+ * `users` overrides values for one Statsig userID, which is the key of the
+ * LaunchDarkly context the user migrates to.
+ */
+
+const SECTIONS = ['gates', 'configs', 'experiments', 'layers'];
+
+/**
+ * The values served to the user with `userID`.
+ *
+ * @param {object} data - flag data
+ * @param {string} [userID]
+ * @returns {{gates: object, configs: object, experiments: object, layers: object}}
+ */
+function flagsFor(data, userID) {
+  const user = (data.users && userID !== undefined && data.users[userID]) || {};
+  return Object.fromEntries(SECTIONS.map((section) => [section, { ...data[section], ...user[section] }]));
+}
+
+module.exports = {
+  flagsFor
+};
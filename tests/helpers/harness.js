@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Runs a fixture in a jsdom window against the fake Statsig and
+ * LaunchDarkly SDKs, so original and migrated code can both be executed
+ * without a network and what they did compared: the page they left, what
+ * they logged and the flags they evaluated.
+ *
+ * Modules are compiled to CommonJS with TypeScript and run in the window's
+ * context. Imports resolve to the fakes, to no-op session replay and
+ * autocapture packages, and to the entries of `options.modules`.
+ */
+
+const util = require('util');
+const vm = require('vm');
+const ts = require('typescript');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createStatsigModule } = require('./fake-statsig');
+const { createLaunchDarklyModule } = require('./fake-launchdarkly');
+
+const PAGE = '<!DOCTYPE html><html><body><div id="dashboard-container"></div></body></html>';
+
+// Turns of the event loop to wait for, so promise chains started by the
+// fixture finish. The fakes never wait on timers.
+const SETTLE_TURNS = 10;
+
+function plugin(name) {
+  return {
+    __esModule: true,
+    default: class {
+      constructor(options) {
+        this.name = name;
+        this.options = options;
+      }
+    }
+  };
+}
+
+function packages(flags, evaluations, flagKey) {
+  return {
+    '@statsig/js-client': createStatsigModule(flags, evaluations),
+    '@statsig/session-replay': { runStatsigSessionReplay() {}, StatsigSessionReplayPlugin: class {} },
+    '@statsig/web-analytics': { runStatsigAutoCapture() {}, StatsigAutoCapturePlugin: class {} },
+    'launchdarkly-js-client-sdk': createLaunchDarklyModule(flags, evaluations, { flagKey }),
+    '@launchdarkly/observability': plugin('Observability'),
+    '@launchdarkly/session-replay': plugin('SessionReplay')
+  };
+}
+
+/**
+ * Runs `source` as the entry module of a page.
+ *
+ * @param {string} source - JavaScript or TypeScript module source
+ * @param {object} options
+ * @param {object} options.flags - flag data the fakes serve (see flag-data.js)
+ * @param {string} [options.fileName] - decides how the source is compiled
+ * @param {object} [options.modules] - more importable modules by specifier:
+ *   exports objects, or module sources compiled like the entry module
+ * @param {function(string): string} [options.flagKey] - Statsig name → flag key
+ * @param {string} [options.html] - the page; by default it holds the
+ *   fixtures' `#dashboard-container`
+ * @returns {Promise<{body: string, logs: string[], evaluations: object[]}>}
+ */
+async function runFixture(source, { flags, fileName = 'app.js', modules = {}, flagKey, html = PAGE }) {
+  const evaluations = [];
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    virtualConsole.on(method, (...args) => logs.push(`${method}: ${util.format(...args)}`));
+  }
+  virtualConsole.on('jsdomError', (error) => logs.push(`jsdomError: ${error.message}`));
+  const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'https://app.example.com/', virtualConsole });
+  const context = dom.getInternalVMContext();
+  const available = { ...packages(flags, evaluations, flagKey), ...modules };
+  const loaded = new Map();
+
+  const run = (code, name) => {
+    const { outputText } = ts.transpileModule(code, {
+      fileName: name,
+      compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, esModuleInterop: true, jsx: ts.JsxEmit.React }
+    });
+    const module = { exports: {} };
+    vm.runInContext(`(function (require, module, exports) {\n${outputText}\n})`, context, { filename: name })(importModule, module, module.exports);
+    return module.exports;
+  };
+  const importModule = (specifier) => {
+    if (!(specifier in available)) {
+      throw new Error(`${fileName} imports ${specifier}, which the harness does not provide`);
+    }
+    if (typeof available[specifier] !== 'string') {
+      return available[specifier];
+    }
+    if (!loaded.has(specifier)) {
+      loaded.set(specifier, run(available[specifier], `${specifier.replace(/^.*\//, '')}.js`));
+    }
+    return loaded.get(specifier);
+  };
+
+  try {
+    run(source, fileName);
+    for (let turn = 0; turn < SETTLE_TURNS; turn++) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    return { body: dom.window.document.body.outerHTML, logs, evaluations };
+  } finally {
+    dom.window.close();
+  }
+}
+
+module.exports = {
+  runFixture
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * The real `launchdarkly-js-client-sdk`, run in a jsdom window, so tests can
+ * check code against the client it creates rather than against a fake.
+ * Clients get their flags from `bootstrap` and make no network requests.
+ */
+
+const fs = require('fs');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// Flags come from the bootstrap, and no events, diagnostics or goals are
+// sent or fetched.
+const OFFLINE = { sendEvents: false, diagnosticOptOut: true, streaming: false, fetchGoals: false };
+
+/**
+ * Loads the SDK in a new window. Close the window when done.
+ *
+ * @returns {{initialize: function(object, object, object=): object, close: function(): void}}
+ *   `initialize(context, flags, options)` creates a client serving `flags`
+ */
+function loadLaunchDarklySdk() {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    runScripts: 'outside-only',
+    url: 'https://app.example.com/',
+    virtualConsole: new VirtualConsole()
+  });
+  const module = { exports: {} };
+  const source = fs.readFileSync(require.resolve('launchdarkly-js-client-sdk'), 'utf8');
+  vm.runInContext(`(function (module, exports) {\n${source}\n})`, dom.getInternalVMContext(), { filename: 'ldclient.cjs.js' })(module, module.exports);
+  return {
+    initialize: (context, flags, options = {}) => module.exports.initialize('client-side-id', context, { ...OFFLINE, ...options, bootstrap: flags }),
+    close: () => dom.window.close()
+  };
+}
+
+/**
+ * Names of the methods of an object, own and inherited.
+ */
+function methodsOf(object) {
+  const names = new Set();
+  for (let proto = object; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    Object.getOwnPropertyNames(proto).filter((name) => name !== 'constructor' && typeof object[name] === 'function').forEach((name) => names.add(name));
+  }
+  return [...names].sort();
+}
+
+module.exports = {
+  loadLaunchDarklySdk,
+  methodsOf
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Temporary project directories for tests that migrate or load files on
+ * disk. Every directory is removed when the test file finishes.
+ */
+
+const { after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const projects = [];
+
+after(() => {
+  for (const dir of projects) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Creates an empty directory under the OS temp directory.
+ *
+ * @returns {string} the directory's path
+ */
+function makeProject() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'statsig-to-ld-'));
+  projects.push(dir);
+  return dir;
+}
+
+module.exports = {
+  makeProject
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource, readStatsigExports, buildSummary, validateSummary } = require('../src');
+
+const SOURCE = "import { StatsigClient } from '@statsig/js-client';\n" +
+  "const client = new StatsigClient('key', { userID: 'a' });\n" +
+  "const layer = client.getLayer('promo_layer');\n" +
+  "const kind = layer.get('kind', 'seasonal');\n" +
+  "const discount = layer.get('discount', 0.1);\n";
+
+function exportWith(layer, experiments = []) {
+  return readStatsigExports([{ json: { layers: [layer], experiments } }]);
+}
+
+test('layers without an export stay on Statsig', () => {
+  const { code, report } = migrateSource(SOURCE);
+  assert.match(code, /client\.getLayer\('promo_layer'\)/);
+  assert.strictEqual(report.statsigPreserved, true);
+  assert.strictEqual(report.layers[0].decision, 'blocked');
+  assert.match(report.layers[0].reason, /No Statsig export/);
+  assert.deepStrictEqual(report.blocked, []);
+});
+
+test('layers the export shows have no experiments migrate to JSON flags', () => {
+  const statsigExport = exportWith({ name: 'promo_layer', parameters: { kind: 'seasonal' }, experiments: [] });
+  const { code, report } = migrateSource(SOURCE, { statsigExport });
+  assert.match(code, /const layer = client\.variation\('promo_layer', \{\n {2}kind: 'seasonal',\n {2}discount: 0\.1\n\}\);/);
+  assert.match(code, /const kind = layer\.kind;/);
+  assert.strictEqual(report.statsigPreserved, false);
+  assert.deepStrictEqual(report.layers, [{
+    name: 'promo_layer',
+    api: 'getLayer',
+    decision: 'migrated',
+    reason: 'No experiments run in this layer; migrated to a JSON flag',
+    experiments: [],
+    key: 'promo_layer',
+    fallback: { kind: 'seasonal', discount: 0.1 },
+    line: 3
+  }]);
+});
+
+test('layers backing experiments are blocked with the experiment names', () => {
+  const statsigExport = exportWith(
+    { name: 'promo_layer', parameters: [{ name: 'kind', defaultValue: 'seasonal' }] },
+    [{ name: 'promo_test', layerID: 'promo_layer', groups: [] }]
+  );
+  const { code, report } = migrateSource(SOURCE, { statsigExport });
+  assert.match(code, /client\.getLayer\('promo_layer'\)/);
+  assert.strictEqual(report.layers[0].decision, 'blocked');
+  assert.strictEqual(report.layers[0].reason, 'Backs experiment(s) promo_test, which stay on Statsig');
+  assert.deepStrictEqual(report.layers[0].experiments, ['promo_test']);
+});
+
+test('useLayer() follows the same policy', () => {
+  const source = "import { useLayer } from '@statsig/react-bindings';\n" +
+    "function View() {\n  const layer = useLayer('perf_layer');\n  return layer.get('lazy', true);\n}\n";
+  const statsigExport = exportWith({ name: 'perf_layer', parameters: {}, experiments: [] });
+  const { code, report } = migrateSource(source, { filePath: 'view.jsx', statsigExport });
+  assert.match(code, /const layer = flags\.perfLayer \?\? \{\n {4}lazy: true\n {2}\};/);
+  assert.match(code, /return layer\.lazy;/);
+  assert.strictEqual(report.layers[0].decision, 'migrated');
+});
+
+test('a layer object used outside .get() fails instead of migrating', () => {
+  const source = SOURCE + 'send(layer);\n';
+  const statsigExport = exportWith({ name: 'promo_layer', parameters: {}, experiments: [] });
+  const { code, report } = migrateSource(source, { statsigExport });
+  assert.match(code, /client\.getLayer\('promo_layer'\)/);
+  assert.strictEqual(report.layers[0].decision, 'failed');
+});
+
+test('layer decisions are counted in the summary', () => {
+  const statsigExport = exportWith({ name: 'promo_layer', parameters: {}, experiments: [] });
+  const migrated = migrateSource(SOURCE, { filePath: 'a.js', statsigExport }).report;
+  const blocked = migrateSource(SOURCE, { filePath: 'b.js' }).report;
+  const summary = buildSummary([migrated, blocked]);
+  assert.deepStrictEqual(summary.summary, { total_items: 2, successfully_migrated: 1, blocked_by_experiments: 1, failed: 0 });
+  assert.deepStrictEqual(summary.layers.map((layer) => [layer.file, layer.decision]), [['a.js', 'migrated'], ['b.js', 'blocked']]);
+  assert.strictEqual(validateSummary(summary).valid, true);
+});
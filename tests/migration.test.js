@@ -0,0 +1,54 @@
+'use strict';
+
+const { test } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  migrateSource,
+  buildSummary,
+  readStatsigExports,
+  findExperimentDependencies,
+  buildExperimentGraph
+} = require('../src');
+const { checkExpected } = require('./helpers/expected');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = ['vanilla-js-app.js', 'react-app.jsx', 'typescript-app.ts'];
+
+// The layer and experiment exports decide which fixture layers migrate.
+const statsigExport = readStatsigExports(['layers.json', 'experiments.json'].map((name) => ({
+  file: name,
+  json: JSON.parse(fs.readFileSync(path.join(__dirname, 'exports', name), 'utf8'))
+})));
+
+// Reports carry the repo-relative path so expected files do not depend on
+// where the repository is checked out.
+function fixturePath(name) {
+  return path.relative(ROOT, path.join(__dirname, name)).split(path.sep).join('/');
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, name), 'utf8');
+}
+
+// Built across all fixtures first, as migratePaths does.
+const experimentGraph = buildExperimentGraph({
+  codeEdges: FIXTURES.flatMap((name) => findExperimentDependencies(readFixture(name), { filePath: fixturePath(name) })),
+  statsigExport
+});
+
+const results = new Map(FIXTURES.map((name) => [
+  name,
+  migrateSource(readFixture(name), { filePath: fixturePath(name), statsigExport, experimentGraph })
+]));
+
+for (const name of FIXTURES) {
+  test(`${name} migrates to the expected output`, () => {
+    checkExpected(name, results.get(name).code);
+  });
+}
+
+test('migration-summary.json matches the expected summary', () => {
+  const summary = buildSummary(FIXTURES.map((name) => results.get(name).report), { statsigExport });
+  checkExpected('migration-summary.json', `${JSON.stringify(summary, null, 2)}\n`);
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource, buildSummary, assertValidSummary } = require('../src');
+
+test('StatsigOptions are translated to LDOptions and the rest are reported as dropped', () => {
+  const { code, report } = migrateSource(
+    "import { StatsigClient } from '@statsig/js-client';\n" +
+      'const options = {\n' +
+      "  environment: { tier: 'staging' },\n" +
+      '  loggingIntervalMs: 2000,\n' +
+      '  loggingBufferMaxSize: 50,\n' +
+      '  disableLogging: false,\n' +
+      '  initTimeoutMs: 1500,\n' +
+      '  disableLocalStorage: false,\n' +
+      "  eventLoggingAPI: 'https://events.statsig.com/v1/log_event',\n" +
+      "  networkConfig: { api: 'https://flags.example.com', networkTimeoutMs: 2000 },\n" +
+      "  overrideStableID: 'device-1'\n" +
+      '};\n' +
+      "const client = new StatsigClient('key', { userID: 'a' }, options);\n" +
+      "await client.initializeAsync();\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /initialize\('key', \{\n {2}kind: 'user',\n {2}key: 'a'\n\}, \{\n {2}flushInterval: 2000,\n {2}eventCapacity: 50,\n {2}sendEvents: true,\n {2}bootstrap: 'localStorage',\n {2}baseUrl: 'https:\/\/flags\.example\.com'\n\}\);/);
+  assert.match(code, /await client\.waitForInitialization\(1\.5\);/);
+  assert.ok(!/const options/.test(code), 'the unused StatsigOptions object is removed');
+
+  assert.deepStrictEqual(report.droppedOptions.map(({ option, api }) => [option, api]), [
+    ['environment', 'StatsigClient'],
+    ['eventLoggingAPI', 'StatsigClient'],
+    ['networkConfig.networkTimeoutMs', 'StatsigClient'],
+    ['overrideStableID', 'StatsigClient']
+  ]);
+  assert.match(report.droppedOptions[0].reason, /use the ID of your 'staging' environment/);
+  assert.ok(report.warnings.some(({ message }) => /^baseUrl is set from StatsigOptions networkConfig\.api/.test(message)));
+
+  const summary = assertValidSummary(buildSummary([report]));
+  assert.deepStrictEqual(summary.dropped_options[1], {
+    option: 'eventLoggingAPI',
+    api: 'StatsigClient',
+    reason: 'it points at Statsig; LaunchDarkly uses its own eventsUrl by default',
+    file: 'app.js',
+    line: 9
+  });
+  assert.ok(summary.next_steps.some((step) => /^Review the Statsig options listed under dropped_options/.test(step)));
+});
+
+test('provider options are translated and options that are not a literal are dropped', () => {
+  const { code } = migrateSource(
+    "import { StatsigProvider } from '@statsig/react-bindings';\n" +
+      'export const App = () => (\n' +
+      '  <StatsigProvider sdkKey="key" user={{ userID: \'a\' }} options={{ initTimeoutMs: 2000, disableStorage: true }}>\n' +
+      '    <Main />\n  </StatsigProvider>\n);\n',
+    { filePath: 'app.jsx' }
+  );
+  assert.match(code, /<LDProvider clientSideID="key" context=\{\{\n {4}kind: 'user',\n {4}key: 'a'\n {2}\}\} timeout=\{2\}>/);
+
+  const { report } = migrateSource(
+    "import { StatsigClient } from '@statsig/js-client';\n" +
+      "const client = new StatsigClient('key', { userID: 'a' }, loadOptions());\n",
+    { filePath: 'app.js' }
+  );
+  assert.deepStrictEqual(report.droppedOptions.map(({ option, reason }) => [option, reason]), [
+    ['loadOptions()', 'the options are not an object literal; translate them to LDOptions by hand']
+  ]);
+});
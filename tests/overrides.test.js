@@ -0,0 +1,90 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { migrateSource, migratePaths, buildSummary, assertValidSummary } = require('../src');
+const { localOverridesSource } = require('../src/local-overrides');
+const { loadLaunchDarklySdk } = require('./helpers/launchdarkly-sdk');
+const { makeProject } = require('./helpers/projects');
+
+const IMPORT = "import { StatsigClient } from '@statsig/js-client';\n";
+const CLIENT = "const client = new StatsigClient('key', { userID: 'a' });\n";
+
+test('override calls are routed to the local override module', () => {
+  const { code, report } = migrateSource(
+    IMPORT + CLIENT +
+      "client.overrideGate('test_gate', true, 'user-1');\n" +
+      "client.overrideConfig('test_config', { key: 'value' });\n" +
+      "client.removeConfigOverride('test_config');\n" +
+      'client.removeGateOverride();\n' +
+      "client.overrideLayer('test_layer', { variant: 'test' });\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /^import \{ overrideFlag, removeOverride, removeAllOverrides \} from '\.\/ld-overrides';$/m);
+  assert.match(code, /^overrideFlag\(ldClient, 'test_gate', true\);\noverrideFlag\(ldClient, 'test_config', \{ key: 'value' \}\);\nremoveOverride\(ldClient, 'test_config'\);\nremoveAllOverrides\(ldClient\);\nclient\.overrideLayer\('test_layer', \{ variant: 'test' \}\);$/m);
+  assert.deepStrictEqual(report.overrides.map(({ name, type, line }) => [name, type, line]), [
+    ['test_gate', 'gate', 3], ['test_config', 'config', 4], ['test_config', 'config', 5], [null, 'gate', 6]
+  ]);
+  assert.deepStrictEqual(report.blocked.map(({ name, reason }) => [name, reason]), [
+    ['overrideLayer()', "Layer 'test_layer' stays on Statsig, so its override does too"]
+  ]);
+  const messages = report.warnings.map(({ message }) => message);
+  assert.ok(messages.includes("overrideGate() applies to every context in LaunchDarkly; its user ID argument was dropped"));
+  assert.ok(messages.includes('removeGateOverride() without a name now removes every override, not only gate overrides'));
+
+  const summary = assertValidSummary(buildSummary([report]));
+  assert.deepStrictEqual(summary.overrides[0], { name: 'test_gate', type: 'gate', key: 'test_gate', file: 'app.js', line: 3 });
+  assert.ok(summary.next_steps.some((step) => /local override module .*\(see overrides\): test_gate, test_config$/.test(step)));
+});
+
+test('migratePaths writes the module next to the files using it and keeps an existing one', () => {
+  const dir = makeProject();
+  fs.mkdirSync(path.join(dir, 'src', 'nested'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'src', 'app.js'), IMPORT + CLIENT + "client.overrideGate('test_gate', true);\n");
+  fs.writeFileSync(path.join(dir, 'src', 'nested', 'setup.ts'), IMPORT + CLIENT + "client.overrideConfig('test_config', {});\n");
+
+  const results = migratePaths([dir], { write: true });
+  const module = results[results.length - 1];
+  assert.strictEqual(module.file, path.join(dir, 'src', 'ld-overrides.js'));
+  assert.strictEqual(module.generated, true);
+  assert.strictEqual(fs.readFileSync(module.file, 'utf8'), localOverridesSource());
+  assert.match(results[0].code, /from '\.\/ld-overrides';/);
+  assert.match(results[1].code, /from '\.\.\/ld-overrides';/);
+
+  fs.writeFileSync(module.file, '// edited\n');
+  fs.writeFileSync(path.join(dir, 'src', 'app.js'), IMPORT + CLIENT + "client.overrideGate('test_gate', true);\n");
+  const again = migratePaths([path.join(dir, 'src', 'app.js')], { write: true });
+  assert.strictEqual(again[1].changed, false);
+  assert.strictEqual(fs.readFileSync(module.file, 'utf8'), '// edited\n');
+});
+
+test('the generated module forces the values a LaunchDarkly client returns', async () => {
+  const dir = makeProject();
+  const file = path.join(dir, 'ld-overrides.js');
+  fs.writeFileSync(file, localOverridesSource({ commonjs: true }));
+  const { overrideFlag, removeOverride, removeAllOverrides } = require(file);
+
+  const sdk = loadLaunchDarklySdk();
+  try {
+    const flags = { test_gate: false, homepage: { title: 'Welcome' } };
+    const client = sdk.initialize({ kind: 'user', key: 'a' }, flags);
+    const other = sdk.initialize({ kind: 'user', key: 'b' }, flags);
+
+    overrideFlag(client, 'test_gate', true);
+    overrideFlag(client, 'homepage', { title: 'Test' });
+    assert.strictEqual(client.variation('test_gate', false), true);
+    assert.deepStrictEqual(client.variationDetail('homepage', {}).value, { title: 'Test' });
+    assert.deepStrictEqual(client.allFlags(), { test_gate: true, homepage: { title: 'Test' } });
+    assert.strictEqual(other.variation('test_gate', false), false, 'overrides belong to one client');
+
+    removeOverride(client, 'test_gate');
+    assert.strictEqual(client.variation('test_gate', true), false);
+    removeAllOverrides(client);
+    assert.deepStrictEqual(client.allFlags(), flags);
+    await Promise.all([client.close(), other.close()]);
+  } finally {
+    sdk.close();
+  }
+});
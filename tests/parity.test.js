@@ -0,0 +1,119 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { migrateSource, buildSummary, paritySource, uncomparedFlags } = require('../src');
+const { makeProject } = require('./helpers/projects');
+
+/**
+ * Loads the CommonJS parity module generated for the flags `source`
+ * migrates.
+ */
+function parityModule(source) {
+  const { report } = migrateSource(source, { filePath: 'app.js' });
+  const file = path.join(makeProject(), 'ld-parity.js');
+  fs.writeFileSync(file, paritySource(buildSummary([report]), { commonjs: true }));
+  return require(file);
+}
+
+/**
+ * In-memory Statsig client serving `gates` and `configs`, recording the
+ * options each check is made with.
+ */
+function statsigClient({ gates = {}, configs = {} }) {
+  const calls = [];
+  const result = (value) => ({ value, get: (key, fallback) => (key in value ? value[key] : fallback) });
+  return {
+    calls,
+    checkGate: (name, options) => {
+      calls.push(['checkGate', name, options]);
+      return Boolean(gates[name]);
+    },
+    getConfig: (name, options) => {
+      calls.push(['getConfig', name, options]);
+      return result(configs[name] || {});
+    },
+    getLayer: (name, options) => {
+      calls.push(['getLayer', name, options]);
+      return result({});
+    }
+  };
+}
+
+function ldClient(flags) {
+  const read = (key, fallback) => (key in flags ? flags[key] : fallback);
+  return {
+    getContext: () => ({ kind: 'user', key: 'user-1' }),
+    variation: read,
+    variationDetail: (key, fallback) => ({ value: read(key, fallback), variationIndex: 0, reason: { kind: 'FALLTHROUGH' } })
+  };
+}
+
+const SOURCE = "import { StatsigClient } from '@statsig/js-client';\n" +
+  "const client = new StatsigClient('key', { userID: 'user-1' });\n" +
+  "const enabled = client.checkGate('new_nav');\n" +
+  "const config = client.getConfig('homepage');\n" +
+  "const title = config.get('title', 'Welcome');\n" +
+  "const banner = config.get('show_banner', false);\n";
+
+test('parity serves Statsig, compares the keys the code reads and reports mismatches', () => {
+  const { enableParity } = parityModule(SOURCE);
+  const statsig = statsigClient({ gates: { new_nav: true }, configs: { homepage: { title: 'Hello', show_banner: true, unread: 1 } } });
+  const ld = ldClient({ new_nav: false, homepage: { title: 'Hello', show_banner: true, extra: 2 }, other_flag: 'x' });
+  const mismatches = [];
+  enableParity(ld, statsig, { sink: (mismatch) => mismatches.push(mismatch) });
+
+  assert.strictEqual(ld.variation('new_nav', false), true);
+  assert.deepStrictEqual(ld.variation('homepage', {}), { title: 'Hello', show_banner: true });
+  assert.strictEqual(ld.variation('other_flag', 'y'), 'x', 'flags the summary does not list are not compared');
+  assert.deepStrictEqual(mismatches, [
+    { key: 'new_nav', name: 'new_nav', type: 'gate', context: { kind: 'user', key: 'user-1' }, statsig: true, launchdarkly: false, served: 'statsig' }
+  ]);
+  assert.deepStrictEqual(statsig.calls, [['checkGate', 'new_nav', undefined], ['getConfig', 'homepage', undefined]]);
+});
+
+test('parity can serve LaunchDarkly and keeps reads working when the sink fails', async () => {
+  const { enableParity } = parityModule(SOURCE);
+  const statsig = statsigClient({ configs: { homepage: { title: 'Hello' } } });
+  const ld = ldClient({ new_nav: false, homepage: { title: 'Hi', show_banner: false } });
+  const mismatches = [];
+  enableParity(ld, statsig, { serve: 'launchdarkly', sink: (mismatch) => mismatches.push(mismatch) });
+
+  assert.deepStrictEqual(ld.variationDetail('homepage', {}), { value: { title: 'Hi', show_banner: false }, variationIndex: 0, reason: { kind: 'FALLTHROUGH' } });
+  assert.strictEqual(ld.variation('new_nav', false), false);
+  assert.deepStrictEqual(mismatches.map(({ key, statsig: statsigValue, launchdarkly, served }) => [key, statsigValue, launchdarkly, served]), [
+    ['homepage', { title: 'Hello', show_banner: false }, { title: 'Hi', show_banner: false }, 'launchdarkly']
+  ]);
+  assert.deepStrictEqual(statsig.calls, [
+    ['getConfig', 'homepage', { disableExposureLog: true }],
+    ['checkGate', 'new_nav', { disableExposureLog: true }]
+  ]);
+
+  const failing = ldClient({ new_nav: true });
+  const errors = [];
+  const { error } = console;
+  console.error = (...args) => errors.push(args);
+  try {
+    enableParity(failing, statsig, { sink: async () => { throw new Error('sink down'); } });
+    assert.strictEqual(failing.variation('new_nav', false), false);
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    console.error = error;
+  }
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0][1].message, 'sink down');
+});
+
+test('flags read with useFlags() are listed as not compared', () => {
+  const { report } = migrateSource(
+    "import { useGateValue, useConfig } from '@statsig/react-bindings';\n" +
+      "export function Banner() {\n  const on = useGateValue('banner');\n  const title = useConfig('copy').get('title', 'Hi');\n  return on ? title : null;\n}\n",
+    { filePath: 'Banner.jsx' }
+  );
+  const summary = buildSummary([report]);
+  assert.deepStrictEqual(summary.migrated.feature_gates.map((gate) => gate.api), ['useGateValue']);
+  assert.deepStrictEqual(uncomparedFlags(summary), ['banner', 'copy']);
+  assert.match(paritySource(summary), /^\/\/ Reads with useFlags\(\) are not compared\. These flags have some: banner, copy$/m);
+});
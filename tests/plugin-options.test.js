@@ -0,0 +1,82 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource, buildSummary, assertValidSummary } = require('../src');
+
+const IMPORT = "import { StatsigClient } from '@statsig/js-client';\n";
+const CLIENT = "const client = new StatsigClient('key', { userID: 'a' });\n";
+
+test('session replay masking options are combined into one privacySetting', () => {
+  const { code, report } = migrateSource(
+    IMPORT + "import { runStatsigSessionReplay } from '@statsig/session-replay';\n" + CLIENT +
+      'runStatsigSessionReplay(client, {\n' +
+      '  maskAllInputs: true,\n' +
+      '  maskTextContent: false,\n' +
+      '  inlineStylesheet: false,\n' +
+      '  sampling: { rate: 0.5 },\n' +
+      '  forceRecording: true\n' +
+      '});\n',
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /plugins: \[new SessionReplay\(\{\n {4}privacySetting: 'default',\n {4}inlineStylesheet: false\n {2}\}\)\]/);
+  assert.deepStrictEqual(report.pluginOptions.map(({ option, status, to }) => [option, status, to]), [
+    ['maskAllInputs', 'approximated', 'privacySetting'],
+    ['maskTextContent', 'approximated', 'privacySetting'],
+    ['inlineStylesheet', 'mapped', 'inlineStylesheet'],
+    ['sampling', 'dropped', undefined],
+    ['forceRecording', 'dropped', undefined]
+  ]);
+  assert.ok(report.warnings.some(({ message }) => message ===
+    'Session replay options were approximated (maskAllInputs, maskTextContent) or dropped (sampling, forceRecording) on the SessionReplay plugin; see plugin_options'));
+});
+
+test('autocapture options choose the traced DOM events and keep the event filter', () => {
+  const { code, report } = migrateSource(
+    IMPORT + "import { runStatsigAutoCapture } from '@statsig/web-analytics';\n" + CLIENT +
+      'runStatsigAutoCapture(client, {\n' +
+      '  captureScrolls: false,\n' +
+      '  captureErrors: false,\n' +
+      '  capturePerformance: true,\n' +
+      '  eventFilterFunc: keepEvent\n' +
+      '});\n',
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /new Observability\(\{\n {4}enablePerformanceRecording: true,\n\n {4}otel: \{\n {6}instrumentations: \{\n {8}'@opentelemetry\/instrumentation-user-interaction': \{\n {10}eventNames: \['click', 'submit'\],\n\n {10}shouldPreventSpanCreation: \(eventType, element\) => !keepEvent\(\{\n {12}eventName: eventType,\n {12}element\n {10}\}\)\n/);
+  assert.deepStrictEqual(report.pluginOptions.map(({ option, status }) => [option, status]), [
+    ['captureScrolls', 'approximated'],
+    ['captureErrors', 'dropped'],
+    ['capturePerformance', 'mapped'],
+    ['eventFilterFunc', 'approximated']
+  ]);
+
+  const summary = assertValidSummary(buildSummary([report]));
+  assert.deepStrictEqual(summary.plugin_options[1], {
+    plugin: 'Observability',
+    option: 'captureErrors',
+    status: 'dropped',
+    note: 'the Observability plugin always records uncaught errors',
+    file: 'app.js',
+    line: 6
+  });
+  assert.ok(summary.next_steps.some((step) => /plugin_options\): captureScrolls, captureErrors, eventFilterFunc$/.test(step)));
+});
+
+test('plugins started without options record none, and TypeScript event filters are typed', () => {
+  const { code, report } = migrateSource(
+    IMPORT + "import { runStatsigSessionReplay } from '@statsig/session-replay';\n" +
+      "import { runStatsigAutoCapture } from '@statsig/web-analytics';\n" + CLIENT +
+      'runStatsigSessionReplay(client);\nrunStatsigAutoCapture(client);\n',
+    { filePath: 'app.ts' }
+  );
+  assert.match(code, /plugins: \[new Observability\(\), new SessionReplay\(\)\]/);
+  assert.deepStrictEqual(report.pluginOptions, []);
+  assert.ok(!report.warnings.some(({ message }) => /plugin_options/.test(message)));
+
+  const filtered = migrateSource(
+    IMPORT + "import { runStatsigAutoCapture } from '@statsig/web-analytics';\n" + CLIENT +
+      'runStatsigAutoCapture(client, { eventFilterFunc: keepEvent });\n',
+    { filePath: 'app.ts' }
+  );
+  assert.match(filtered.code, /shouldPreventSpanCreation: \(eventType: string, element: HTMLElement\) => !keepEvent\(/);
+});
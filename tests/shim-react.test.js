@@ -0,0 +1,90 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { createElement } = require('react');
+const { renderToString } = require('react-dom/server');
+const { defaultReactOptions, camelCaseKeys } = require('launchdarkly-react-client-sdk');
+const { useGateValue, useFeatureGate, useConfig, useStatsigClient, useStatsigUser } = require('../src/shim/react');
+const { loadLaunchDarklySdk } = require('./helpers/launchdarkly-sdk');
+
+const sdk = loadLaunchDarklySdk();
+after(() => sdk.close());
+
+async function readyClient() {
+  const ld = sdk.initialize({ kind: 'user', key: 'a', email: 'a@b.c' }, { new_checkout: true, hero_copy: { title: 'Hello' } });
+  await ld.waitForInitialization(1);
+  return ld;
+}
+
+/**
+ * Renders a component that calls `hooks` under the context `LDProvider`
+ * gives its children for `ldClient`, and returns what `hooks` returned.
+ */
+function renderHooks(ldClient, hooks) {
+  let result;
+  function Probe() {
+    result = hooks();
+    return null;
+  }
+  const value = { flags: ldClient ? camelCaseKeys(ldClient.allFlags()) : {}, flagKeyMap: {}, ldClient };
+  renderToString(createElement(defaultReactOptions.reactContext.Provider, { value }, createElement(Probe)));
+  return result;
+}
+
+test('gate and config hooks read flags by their Statsig name from camelCased useFlags()', async () => {
+  const ld = await readyClient();
+  const { gate, featureGate, config } = renderHooks(ld, () => ({
+    gate: useGateValue('new_checkout'),
+    featureGate: useFeatureGate('new_checkout'),
+    config: useConfig('hero_copy')
+  }));
+
+  assert.strictEqual(gate, true);
+  assert.strictEqual(featureGate.name, 'new_checkout');
+  assert.strictEqual(featureGate.value, true);
+  assert.strictEqual(config.name, 'hero_copy');
+  assert.strictEqual(config.get('title', 'Hi'), 'Hello');
+});
+
+test('gate and config hooks fall back to false and {} for missing flags', async () => {
+  const ld = await readyClient();
+  const { gate, featureGate, config } = renderHooks(ld, () => ({
+    gate: useGateValue('missing_gate'),
+    featureGate: useFeatureGate('missing_gate'),
+    config: useConfig('missing_config')
+  }));
+
+  assert.strictEqual(gate, false);
+  assert.strictEqual(featureGate.value, false);
+  assert.deepStrictEqual(config.value, {});
+  assert.strictEqual(config.get('title', 'Hi'), 'Hi');
+});
+
+test('useStatsigClient is loading until the provider has a client', async () => {
+  const loading = renderHooks(undefined, () => useStatsigClient());
+  assert.strictEqual(loading.isLoading, true);
+  assert.strictEqual(loading.client.checkGate('new_checkout'), false);
+  assert.deepStrictEqual(loading.client.getConfig('hero_copy').value, {});
+
+  const ready = renderHooks(await readyClient(), () => useStatsigClient());
+  assert.strictEqual(ready.isLoading, false);
+  assert.strictEqual(ready.client.checkGate('new_checkout'), true);
+  assert.strictEqual(ready.client.getConfig('hero_copy').get('title', 'Hi'), 'Hello');
+});
+
+test('useStatsigUser maps the context to a user and identifies updated users', async () => {
+  const ld = await readyClient();
+  const identified = [];
+  // The SDK would request the new context's flags, which tests cannot reach.
+  ld.identify = async (context) => {
+    identified.push(context);
+  };
+  const { user, updateUserSync, updateUserAsync } = renderHooks(ld, () => useStatsigUser());
+  assert.deepStrictEqual(user, { userID: 'a', email: 'a@b.c' });
+
+  assert.strictEqual(updateUserSync({ userID: 'b' }), undefined);
+  assert.deepStrictEqual(identified, [{ kind: 'user', key: 'b' }]);
+  assert.strictEqual((await updateUserAsync({ userID: 'c', custom: { plan: 'pro' } })).success, true);
+  assert.deepStrictEqual(identified[1], { kind: 'user', key: 'c', plan: 'pro' });
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { migrateSource } = require('../src');
+const { StatsigClient, userToContext, contextToUser, readFlag } = require('../src/shim');
+const { loadLaunchDarklySdk } = require('./helpers/launchdarkly-sdk');
+
+/**
+ * Records the calls the shim makes on a LaunchDarkly client.
+ */
+function ldClient(flags = {}) {
+  const calls = [];
+  return {
+    calls,
+    waitForInitialization: async (timeout) => calls.push(['waitForInitialization', timeout]),
+    variation: (key, fallback) => {
+      calls.push(['variation', key, fallback]);
+      return key in flags ? flags[key] : fallback;
+    },
+    allFlags: () => {
+      calls.push(['allFlags']);
+      return flags;
+    },
+    identify: async (context) => calls.push(['identify', context]),
+    track: (...args) => calls.push(['track', ...args]),
+    close: async () => calls.push(['close'])
+  };
+}
+
+test('the shim evaluates gates and configs on the LaunchDarkly client', async () => {
+  const ld = ldClient({ new_nav: true, copy: { title: 'Hello', count: 'three' } });
+  const client = new StatsigClient('client-side-id', { userID: 'a' }, { ldClient: ld, initTimeoutMs: 3000 });
+  assert.strictEqual(client.loadingStatus, 'Uninitialized');
+
+  const details = await client.initializeAsync();
+  assert.strictEqual(details.success, true);
+  assert.strictEqual(client.loadingStatus, 'Ready');
+  assert.strictEqual(client.checkGate('new_nav'), true);
+  assert.strictEqual(client.checkGate('missing'), false);
+  assert.strictEqual(client.checkGate('new_nav', { disableExposureLog: true }), true);
+
+  const config = client.getConfig('copy');
+  assert.strictEqual(config.get('title', 'Hi'), 'Hello');
+  assert.strictEqual(config.get('count', 1), 1);
+  assert.strictEqual(config.get('missing', 'x'), 'x');
+  assert.deepStrictEqual(ld.calls, [
+    ['waitForInitialization', 3],
+    ['variation', 'new_nav', false],
+    ['variation', 'missing', false],
+    ['allFlags'],
+    ['variation', 'copy', {}]
+  ]);
+});
+
+test('the shim runs on a client of the LaunchDarkly SDK', async () => {
+  const sdk = loadLaunchDarklySdk();
+  try {
+    const ld = sdk.initialize({ kind: 'user', key: 'a' }, { new_nav: true, copy: { title: 'Hello' } });
+    const client = new StatsigClient('client-side-id', { userID: 'a' }, { ldClient: ld });
+    assert.strictEqual((await client.initializeAsync()).success, true);
+
+    assert.strictEqual(client.checkGate('new_nav'), true);
+    assert.strictEqual(client.checkGate('new_nav', { disableExposureLog: true }), true);
+    assert.strictEqual(client.checkGate('missing'), false);
+    assert.strictEqual(client.getConfig('copy').get('title', 'Hi'), 'Hello');
+    assert.strictEqual(client.getConfig('copy', { disableExposureLog: true }).get('title', 'Hi'), 'Hello');
+    assert.strictEqual(client.getConfig('missing').get('title', 'Hi'), 'Hi');
+    client.logEvent('purchase', 9.99, { sku: 'a' });
+    await client.shutdown();
+  } finally {
+    sdk.close();
+  }
+});
+
+test('the shim maps users, events, stable IDs and shutdown', async () => {
+  const ld = ldClient();
+  const client = new StatsigClient('client-side-id', null, { ldClient: ld, overrideStableID: 'device-1' });
+  await client.initializeAsync();
+  await client.updateUserAsync({ userID: 42, email: 'a@b.c', custom: { plan: 'pro' }, privateAttributes: { ssn: 'x' } });
+  client.logEvent('purchase', 9.99, { sku: 'a' });
+  client.logEvent({ eventName: 'view', value: 'home' });
+  await client.shutdown();
+
+  assert.strictEqual(client.getStableID(), 'device-1');
+  assert.deepStrictEqual(ld.calls.slice(1), [
+    ['identify', { kind: 'user', key: '42', email: 'a@b.c', plan: 'pro', ssn: 'x', _meta: { privateAttributes: ['ssn'] } }],
+    ['track', 'purchase', { sku: 'a' }, 9.99],
+    ['track', 'view', { value: 'home' }],
+    ['close']
+  ]);
+  assert.deepStrictEqual(userToContext({}, 'device-1'), { kind: 'user', key: 'device-1', anonymous: true });
+});
+
+test('the React adapter helpers map contexts back to users and read camelCased flags', () => {
+  const context = userToContext({ userID: 42, email: 'a@b.c', custom: { plan: 'pro' }, privateAttributes: { ssn: 'x' } }, 'device-1');
+  assert.deepStrictEqual(contextToUser(context), { userID: '42', email: 'a@b.c', custom: { plan: 'pro' }, privateAttributes: { ssn: 'x' } });
+  assert.deepStrictEqual(contextToUser({ kind: 'multi', user: { kind: 'user', key: 'device-1', anonymous: true } }), {});
+  assert.strictEqual(readFlag({ newNav: true }, 'new_nav'), true);
+  assert.strictEqual(readFlag({ 'new_nav': true }, 'new_nav'), true);
+  assert.strictEqual(readFlag({}, 'new_nav'), undefined);
+});
+
+test('a failed initialization resolves with the error', async () => {
+  const ld = { ...ldClient(), waitForInitialization: async () => { throw new Error('timeout'); } };
+  const details = await new StatsigClient('client-side-id', {}, { ldClient: ld }).initializeAsync();
+  assert.strictEqual(details.success, false);
+  assert.strictEqual(details.error.message, 'timeout');
+});
+
+test('shim mode only swaps the import', () => {
+  const source = "import { StatsigClient, StatsigUser } from '@statsig/js-client';\n" +
+    "const user: StatsigUser = { userID: 'a' };\n" +
+    "const client = new StatsigClient('key', user);\n" +
+    "export const on = (c: StatsigClient) => c.checkGate('new_nav') && c.getConfig('copy').get('title', 'Hi');\n";
+  const { code, report } = migrateSource(source, { filePath: 'app.ts', shim: true });
+
+  assert.strictEqual(code, source
+    .replace('@statsig/js-client', 'statsig-to-launchdarkly-migrator/shim')
+    .replace('const client', '// TODO(statsig-to-ld): replace the Statsig client SDK key with your LaunchDarkly client-side ID\nconst client'));
+  assert.strictEqual(report.shimmed, true);
+  assert.deepStrictEqual(report.gates.map((gate) => gate.name), ['new_nav']);
+  assert.deepStrictEqual(report.configs[0].fallback, { title: 'Hi' });
+});
+
+test('files using APIs the shim lacks are left unchanged', () => {
+  const source = fs.readFileSync(path.join(__dirname, 'typescript-app.ts'), 'utf8');
+  const { changed, report } = migrateSource(source, { filePath: 'typescript-app.ts', shim: true });
+
+  assert.strictEqual(changed, false);
+  assert.strictEqual(report.shimmed, false);
+  assert.strictEqual(report.statsigPreserved, true);
+  const blocked = report.blocked.map((item) => item.name);
+  assert.ok(blocked.includes('getExperiment()'));
+  assert.ok(blocked.includes('runStatsigSessionReplay (@statsig/session-replay)'));
+  assert.ok(!blocked.includes('checkGate()'));
+  for (const type of ['Layer', 'EvaluationDetails', 'StatsigSessionReplayOptions (@statsig/session-replay)', 'AutoCaptureEvent (@statsig/web-analytics)']) {
+    assert.ok(!blocked.includes(type), type);
+  }
+});
+
+test('imports only used as types stay on their Statsig package', () => {
+  const { code, report } = migrateSource(
+    "import { StatsigClient, Layer, EvaluationDetails } from '@statsig/js-client';\n" +
+      "import { StatsigSessionReplayOptions } from '@statsig/session-replay';\n" +
+      "const client = new StatsigClient('key', { userID: 'a' });\n" +
+      'export function name(layer: Layer, details?: EvaluationDetails, options?: StatsigSessionReplayOptions): string {\n' +
+      "  return client.checkGate('g') ? layer.name : '';\n}\n",
+    { filePath: 'app.ts', shim: true }
+  );
+  assert.strictEqual(report.shimmed, true);
+  assert.match(code, /^import \{ StatsigClient \} from 'statsig-to-launchdarkly-migrator\/shim';\nimport type \{ Layer, EvaluationDetails \} from '@statsig\/js-client';\nimport type \{ StatsigSessionReplayOptions \} from '@statsig\/session-replay';\n/);
+
+  const value = migrateSource(
+    "import { StatsigClient, Layer } from '@statsig/js-client';\nconst client = new StatsigClient('key', { userID: 'a' });\nexport const kinds = [Layer];\n",
+    { filePath: 'app.ts', shim: true }
+  );
+  assert.strictEqual(value.changed, false);
+  assert.deepStrictEqual(value.report.blocked.map((item) => item.name), ['Layer']);
+});
+
+test('shim mode points React hooks at the adapter and swaps the provider', () => {
+  const source = "import { StatsigProvider, useGateValue, useConfig, useStatsigClient } from '@statsig/react-bindings';\n" +
+    "export const App = () => <StatsigProvider sdkKey=\"key\" user={{ userID: 'a' }}><Banner /></StatsigProvider>;\n" +
+    "function Banner() {\n  const { client } = useStatsigClient();\n  client.logEvent('view');\n" +
+    "  return useGateValue('new_nav') ? useConfig('copy').get('title', 'Hi') : null;\n}\n";
+  const { code, report } = migrateSource(source, { filePath: 'app.jsx', shim: true });
+
+  assert.match(code, /^import \{ useGateValue, useConfig, useStatsigClient \} from 'statsig-to-launchdarkly-migrator\/shim\/react';$/m);
+  assert.match(code, /^import \{ LDProvider \} from 'launchdarkly-react-client-sdk';$/m);
+  assert.match(code, /<LDProvider clientSideID="key" context=\{\{/);
+  assert.ok(code.endsWith(source.slice(source.indexOf('function Banner'))));
+  assert.strictEqual(report.shimmed, true);
+  assert.deepStrictEqual(report.gates.map((gate) => gate.name), ['new_nav']);
+  assert.deepStrictEqual(report.configs[0].fallback, { title: 'Hi' });
+
+  const unsupported = migrateSource(
+    "import { StatsigProvider, useExperiment } from '@statsig/react-bindings';\n" +
+      "export const App = () => <StatsigProvider sdkKey=\"key\" user={{}} loadingComponent={null}><View /></StatsigProvider>;\n" +
+      "const View = () => useExperiment('exp').get('x', 1);\n",
+    { filePath: 'app.jsx', shim: true }
+  );
+  assert.strictEqual(unsupported.changed, false);
+  assert.deepStrictEqual(unsupported.report.blocked.map((item) => item.name), ['useExperiment', 'StatsigProvider loadingComponent']);
+});
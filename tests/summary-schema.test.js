@@ -0,0 +1,79 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildSummary, validateSummary, assertValidSummary, SummaryValidationError, SCHEMA_VERSION, parityFlags } = require('../src');
+
+const expected = JSON.parse(fs.readFileSync(path.join(__dirname, 'expected', 'migration-summary.json'), 'utf8'));
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('the expected fixture summary matches the schema', () => {
+  assert.deepStrictEqual(validateSummary(expected), { valid: true, errors: [] });
+  assert.strictEqual(expected.schema_version, SCHEMA_VERSION);
+});
+
+test('an empty run produces a valid summary', () => {
+  assert.strictEqual(validateSummary(buildSummary([]), { current: true }).valid, true);
+  assert.deepStrictEqual(validateSummary(expected, { current: true }), { valid: true, errors: [] });
+});
+
+test('summaries missing required fields are rejected', () => {
+  const summary = copy(expected);
+  delete summary.not_migrated.failed;
+  const { valid, errors } = validateSummary(summary);
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, ["/not_migrated must have required property 'failed'"]);
+});
+
+test('summaries with unknown fields or wrong types are rejected', () => {
+  const summary = copy(expected);
+  summary.summary.total_items = '48';
+  summary.migrated.feature_gates[0].flag = 'extra';
+  const { errors } = validateSummary(summary);
+  assert.deepStrictEqual(errors, [
+    '/summary/total_items must be integer',
+    '/migrated/feature_gates/0 must NOT have additional properties'
+  ]);
+});
+
+test('assertValidSummary throws a SummaryValidationError listing every problem', () => {
+  const summary = copy(expected);
+  summary.schema_version = '0.9.0';
+  summary.warnings.push({ file: 'a.js', line: 0, message: 'x' });
+  assert.throws(() => assertValidSummary(summary), (error) => {
+    assert.ok(error instanceof SummaryValidationError);
+    assert.match(error.message, /\/schema_version must match pattern/);
+    assert.match(error.message, /\/warnings\/\d+\/line must be >= 1/);
+    return true;
+  });
+});
+
+test('summaries written by earlier 1.x versions stay valid', () => {
+  const summary = copy(expected);
+  summary.schema_version = '1.0.0';
+  for (const section of ['layers', 'experiment_dependencies', 'metrics', 'context_kinds', 'shimmed', 'key_conflicts',
+    'fallback_conflicts', 'dropped_options', 'plugin_options', 'overrides']) {
+    delete summary[section];
+  }
+  for (const experiment of summary.not_migrated.experiments) {
+    delete experiment.affected_gates;
+  }
+  assert.deepStrictEqual(validateSummary(summary), { valid: true, errors: [] });
+  const migratedKeys = [...summary.migrated.feature_gates, ...summary.migrated.dynamic_configs].map((item) => item.key);
+  assert.deepStrictEqual(Object.keys(parityFlags(summary)), [...new Set(migratedKeys)]);
+
+  // Summaries are written with this version's sections, though.
+  assert.throws(() => assertValidSummary(summary, { current: true }), (error) => {
+    assert.ok(error.errors.includes('/schema_version must be equal to constant'));
+    assert.ok(error.errors.includes("/ must have required property 'layers'"));
+    return true;
+  });
+
+  summary.schema_version = '2.0.0';
+  assert.deepStrictEqual(validateSummary(summary).errors, ['/schema_version must match pattern "^1\\.\\d+\\.\\d+$"']);
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { readStatsigExports, buildFlagDefinitions } = require('../src');
+
+function gate(rules, extra = {}) {
+  return readStatsigExports([{ json: { gates: [{ name: 'gate', rules, ...extra }] } }]);
+}
+
+function targetingFor(statsigExport) {
+  const definitions = buildFlagDefinitions(statsigExport);
+  return { ...definitions, targeting: Object.values(definitions.targeting)[0] };
+}
+
+test('conditions target the attributes the context transformer produces', () => {
+  const { targeting } = targetingFor(gate([{
+    name: 'Targeted',
+    passPercentage: 100,
+    conditions: [
+      { type: 'user_id', operator: 'any_case_sensitive', targetValue: ['u1'] },
+      { type: 'custom_field', field: 'plan', operator: 'none_case_sensitive', targetValue: ['free'] },
+      { type: 'unit_id', customID: 'companyID', operator: 'any_case_sensitive', targetValue: ['acme'] },
+      { type: 'app_version', operator: 'version_gte', targetValue: '2.0.0' },
+      { type: 'ip_address', operator: 'str_starts_with_any', targetValue: ['10.'] }
+    ]
+  }]));
+  assert.deepStrictEqual(targeting.rules[0].clauses.map((clause) => [clause.attribute, clause.op, clause.negate]), [
+    ['key', 'in', false],
+    ['plan', 'in', true],
+    ['companyID', 'in', false],
+    ['appVersion', 'semVerLessThan', true],
+    ['ip', 'startsWith', false]
+  ]);
+  assert.deepStrictEqual(targeting.rules[0].clauses[3].values, ['2.0.0']);
+  assert.strictEqual(targeting.rules[0].variation, 0);
+});
+
+test('partial pass percentages become rollouts bucketed by the gate ID type', () => {
+  const { targeting, warnings } = targetingFor(gate([
+    { name: 'Half of EU', passPercentage: 50.5, conditions: [{ type: 'country', operator: 'any_case_sensitive', targetValue: ['DE'] }] }
+  ], { idType: 'companyID' }));
+  assert.deepStrictEqual(targeting.rules[0].rollout, {
+    contextKind: 'user',
+    variations: [{ variation: 0, weight: 50500 }, { variation: 1, weight: 49500 }],
+    bucketBy: 'companyID'
+  });
+  assert.deepStrictEqual(targeting.fallthrough, { variation: 1 });
+  assert.ok(warnings.some((warning) => /rule "Half of EU": the 50\.5% rollout passes a different set of users/.test(warning.message)));
+});
+
+test('an everyone rule becomes the fallthrough and ends translation', () => {
+  const { targeting, warnings } = targetingFor(gate([
+    { name: 'All', passPercentage: 100, conditions: [{ type: 'public' }] },
+    { name: 'Never reached', passPercentage: 100, conditions: [{ type: 'email', operator: 'any', targetValue: ['a@b.c'] }] }
+  ]));
+  assert.deepStrictEqual(targeting.rules, []);
+  assert.deepStrictEqual(targeting.fallthrough, { variation: 0 });
+  assert.match(warnings[0].message, /"Never reached" come after an everyone rule/);
+});
+
+test('rules with untranslatable conditions are blocked, not partially translated', () => {
+  const rules = [
+    { name: 'Chrome users', passPercentage: 100, conditions: [
+      { type: 'email', operator: 'any', targetValue: ['a@b.c'] },
+      { type: 'browser_name', operator: 'any', targetValue: ['Chrome'] }
+    ] },
+    { name: 'Segment', passPercentage: 100, conditions: [{ type: 'passes_segment', targetValue: ['beta'] }] },
+    { name: 'Null check', passPercentage: 100, conditions: [{ type: 'email', operator: 'is_null' }] }
+  ];
+  for (const rule of rules) {
+    const { targeting, blocked } = targetingFor(gate([rule]));
+    assert.deepStrictEqual(targeting.rules, []);
+    assert.deepStrictEqual(blocked.map((item) => [item.flag, item.rule]), [['gate', rule.name]]);
+  }
+  assert.match(targetingFor(gate([rules[2]])).blocked[0].reason, /operator `is_null`/);
+});
+
+test('rules after a blocked rule are blocked too, so it cannot widen targeting', () => {
+  const { targeting, blocked } = targetingFor(gate([
+    { name: 'Internal', passPercentage: 100, conditions: [{ type: 'email', operator: 'str_ends_with_any', targetValue: ['@acme.com'] }] },
+    { name: 'exclude employees', passPercentage: 0, conditions: [{ type: 'passes_segment', targetValue: ['employees'] }] },
+    { name: 'everyone', passPercentage: 100, conditions: [{ type: 'public' }] }
+  ]));
+  assert.deepStrictEqual(targeting.rules.map((rule) => rule.description), ['Internal']);
+  assert.deepStrictEqual(targeting.fallthrough, { variation: 1 });
+  assert.deepStrictEqual(blocked.map((item) => item.rule), ['exclude employees', 'everyone']);
+  assert.match(blocked[1].reason, /after rule "exclude employees"/);
+
+  const scoped = targetingFor(gate([
+    { name: 'Staging only', passPercentage: 100, environments: ['staging'], conditions: [{ type: 'public' }] },
+    { name: 'Beta', passPercentage: 100, conditions: [{ type: 'email', operator: 'any', targetValue: ['a@b.c'] }] }
+  ]));
+  assert.deepStrictEqual(scoped.targeting.rules, []);
+  assert.deepStrictEqual(scoped.blocked.map((item) => item.rule), ['Staging only', 'Beta']);
+});
+
+test('disabled gates are turned off and config rules serve their return value', () => {
+  const disabled = targetingFor(gate([], { isEnabled: false })).targeting;
+  assert.strictEqual(disabled.on, false);
+  assert.strictEqual(disabled.offVariation, 1);
+
+  const config = readStatsigExports([{ json: { dynamic_configs: [{
+    name: 'limits',
+    defaultValue: { max: 1 },
+    rules: [{ name: 'Pro', passPercentage: 20, conditions: [{ type: 'custom_field', field: 'tier', operator: 'eq', targetValue: 'pro' }], returnValue: { max: 10 } }]
+  }] } }]);
+  const { targeting } = targetingFor(config);
+  assert.deepStrictEqual(targeting.rules[0].rollout.variations, [{ variation: 1, weight: 20000 }, { variation: 0, weight: 80000 }]);
+  assert.deepStrictEqual(targeting.fallthrough, { variation: 0 });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { migrateSource } = require('../src');
+
+/**
+ * `tsc --noEmit` diagnostics for `code` as a file of this repository, so
+ * LaunchDarkly's typings resolve from node_modules.
+ */
+function typeErrors(code) {
+  const fileName = path.join(__dirname, 'migrated-app.ts');
+  const options = {
+    strict: true,
+    noEmit: true,
+    skipLibCheck: true,
+    target: ts.ScriptTarget.ES2020,
+    lib: ['lib.es2020.d.ts', 'lib.dom.d.ts'],
+    types: ['node'],
+    moduleResolution: ts.ModuleResolutionKind.Node10
+  };
+  const host = ts.createCompilerHost(options);
+  const { getSourceFile, fileExists, readFile } = host;
+  host.getSourceFile = (name, ...rest) => (name === fileName ? ts.createSourceFile(name, code, ts.ScriptTarget.ES2020, true) : getSourceFile(name, ...rest));
+  host.fileExists = (name) => name === fileName || fileExists(name);
+  host.readFile = (name) => (name === fileName ? code : readFile(name));
+  return ts.getPreEmitDiagnostics(ts.createProgram([fileName], options, host))
+    .map((diagnostic) => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+}
+
+const SOURCE = `import { StatsigClient, StatsigUser as User, DynamicConfig, EvaluationDetails, InitializationDetails } from '@statsig/js-client';
+
+interface HomepageConfig {
+  hero_title: string;
+  show_banner: boolean;
+}
+
+const user: User = { userID: 'u1', email: 'a@b.c' };
+const client: StatsigClient = new StatsigClient('client-key', user);
+
+export async function init(): Promise<InitializationDetails> {
+  return client.initializeAsync();
+}
+
+export function hasDetails(details?: EvaluationDetails): boolean {
+  return details !== undefined;
+}
+
+export function homepage(): HomepageConfig {
+  const config: DynamicConfig = client.getConfig('homepage');
+  const result: HomepageConfig = {
+    hero_title: config.get('hero_title', 'Welcome'),
+    show_banner: config.get('show_banner', false)
+  };
+  return result;
+}
+
+export function bannerText(): string {
+  const banner = client.getConfigWithDetails('banner');
+  return banner.get('text', 'Sale');
+}
+`;
+
+test('Statsig types become LaunchDarkly types and the result type-checks', () => {
+  assert.ok(typeErrors(SOURCE).length > 0, 'the Statsig source does not resolve @statsig/js-client here');
+
+  const { code } = migrateSource(SOURCE, { filePath: 'app.ts' });
+  assert.match(code, /^import \{ LDContext, initialize, LDClient, LDEvaluationDetail \} from 'launchdarkly-js-client-sdk';/);
+  assert.match(code, /const user: LDContext = \{/);
+  assert.match(code, /init\(\): Promise<void>/);
+  assert.match(code, /hasDetails\(details\?: LDEvaluationDetail\)/);
+  assert.match(code, /show_banner: false\n {2}\}\) as HomepageConfig;/);
+  assert.ok(!/@statsig\//.test(code));
+  assert.match(code, /const banner = client\.variationDetail\('banner', \{/);
+  assert.deepStrictEqual(typeErrors(code), []);
+});
+
+test('local types shadowing a Statsig name and parallel operation keep their types', () => {
+  const { code } = migrateSource(
+    "import { StatsigClient } from '@statsig/js-client';\n" +
+      "const client = new StatsigClient('key', { userID: 'a' });\n" +
+      "function read(options: { StatsigUser: string }) {\n  type StatsigUser = { id: string };\n  const user: StatsigUser = { id: options.StatsigUser };\n  return user;\n}\n",
+    { filePath: 'app.ts' }
+  );
+  assert.match(code, /const user: StatsigUser = /);
+
+  const parallel = migrateSource(
+    "import { StatsigClient, DynamicConfig } from '@statsig/js-client';\n" +
+      "const client = new StatsigClient('key', { userID: 'a' });\n" +
+      "const color = client.getExperiment('button_color').get('color', 'blue');\n" +
+      'export function read(config: DynamicConfig) {\n  return config.value;\n}\n',
+    { filePath: 'app.ts' }
+  );
+  assert.strictEqual(parallel.report.statsigPreserved, true);
+  assert.match(parallel.code, /config: DynamicConfig/);
+});
+
+test('the migrated TypeScript fixture type-checks', () => {
+  const code = fs.readFileSync(path.join(__dirname, 'expected', 'typescript-app.ts'), 'utf8');
+  // Packages that are not installed here, and the local override module
+  // `migrate` writes next to the fixture.
+  const unresolved = /^Cannot find module '(@statsig\/[^']+|@launchdarkly\/(observability|session-replay)|\.\/ld-overrides)'/;
+  assert.deepStrictEqual(typeErrors(code).filter((message) => !unresolved.test(message)), []);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrateSource } = require('../src');
+
+const IMPORT = "import { StatsigClient } from '@statsig/js-client';\n";
+
+test('updating the user identifies the LaunchDarkly client with the converted context', () => {
+  const { code, report } = migrateSource(
+    IMPORT + "const client = new StatsigClient('key', { userID: 'a' });\n" +
+      "async function switchUser() {\n  await client.updateUserAsync({ userID: 'b', custom: { plan: 'pro' } });\n  return client.checkGate('g');\n}\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /^ {2}await client\.identify\(\{\n {4}kind: 'user',\n {4}key: 'b',\n {4}plan: 'pro'\n {2}\}\);\n {2}return client\.variation\('g', false\);$/m);
+  assert.strictEqual(report.statsigPreserved, false);
+  assert.deepStrictEqual(report.blocked, []);
+});
+
+test('in parallel mode the LaunchDarkly client is identified after the Statsig user update', () => {
+  const { code, report } = migrateSource(
+    IMPORT + "const user = { userID: 'a', custom: { plan: 'free' } };\n" +
+      "const client = new StatsigClient('key', user);\n" +
+      "async function upgrade(plan) {\n  await client.updateUserAsync({ ...user, custom: { ...user.custom, plan } });\n  client.getExperiment('checkout');\n}\n" +
+      "function rename(next) {\n  client.updateUserSync({ ...next, email: 'b@c.d' });\n}\n",
+    { filePath: 'app.js' }
+  );
+  assert.match(code, /await client\.updateUserAsync\(\{ \.\.\.user, custom: \{ \.\.\.user\.custom, plan \} \}\);\n\n {2}await ldClient\.identify\(\{\n {4}\.\.\.ldContext,\n {4}\.\.\.user\.custom,\n {4}plan\n {2}\}\);/);
+  assert.match(code, /client\.updateUserSync\(\{ \.\.\.next, email: 'b@c\.d' \}\);\n\n {2}ldClient\.identify\(\{\n {4}kind: 'user',\n {4}key: next\.userID,\n {4}email: 'b@c\.d'\n {2}\}\);/);
+  assert.ok(!report.blocked.some((item) => /updateUser/.test(item.name)));
+  assert.deepStrictEqual(report.warnings.map((warning) => warning.message).filter((message) => /identify|spread/.test(message)), [
+    'identify() is asynchronous; flags read before it resolves are evaluated for the previous context',
+    'The StatsigUser spread here could not be resolved statically; its userID is the context key, copy its other attributes into the LaunchDarkly context by hand'
+  ]);
+});
+
+test('a user update without a user stays on Statsig', () => {
+  const { report } = migrateSource(
+    IMPORT + "const client = new StatsigClient('key', { userID: 'a' });\nclient.updateUserAsync();\n",
+    { filePath: 'app.js' }
+  );
+  assert.deepStrictEqual(report.blocked.map(({ name, type }) => [name, type]), [['updateUserAsync()', 'unsupported_api']]);
+  assert.strictEqual(report.statsigPreserved, true);
+});